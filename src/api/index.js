@@ -12,18 +12,28 @@
  * - /api/pages       - Page CRUD operations (JAYRAM)
  * - /api/components  - Component library operations (JAYRAM)
  * - /api/actions     - Action library operations (JAYRAM)
+ * - /api/packs       - Component packs shared across apps (MUDUMBAI)
  * - /api/openai      - OpenAI content generation
  * // 🔧 fixed/updated by ChatGPT on 2025-10-18 00:20:00 – reason: add /api/auth for token-verified user sync/profile endpoints (START)
- * - /api/auth        - Auth sync & profile (MUDUMBAI) protected by verifyToken
+ * - /api/auth        - Auth sync & profile (MUDUMBAI)
  * // 🔧 fixed/updated by ChatGPT on 2025-10-18 00:20:00 (END)
+ *
+ * Authentication:
+ * Every /api route requires `Authorization: Bearer <Firebase ID token>` and gets
+ * the acting user on `req.user`, except the routes listed in PUBLIC_ROUTES.
+ * (`/health` is mounted in app.js, outside this router, and stays public.)
+ * App-scoped routes additionally require a role on that app (owner, editor,
+ * viewer, dataEntry) via requireAppPermission(); see config/roles.js.
  */
 
 import express from "express";
+import { authenticate } from "./middleware/verifyToken.js";
 import collectionRoutes from "./routes/collectionRoutes.js";
 import appRoutes from "./routes/appRoutes.js";
 import pageRoutes from "./routes/pageRoutes.js";
 import componentRoutes from "./routes/componentRoutes.js";
 import actionRoutes from "./routes/actionRoutes.js";
+import packRoutes from "./routes/packRoutes.js";
 import openAiRoutes from "./routes/openAiRoutes.js";
 import templateRoutes from "./routes/templateRoutes.js";
 import logRoutes from "./routes/logRoutes.js";
@@ -43,11 +53,21 @@ import dataManagementRoutes from "./routes/dataManagementRoutes.js";
 
 const router = express.Router();
 
+// Routes reachable without a bearer token (paths are relative to /api)
+export const PUBLIC_ROUTES = [
+  { method: "POST", path: "/auth/signup" },   // account creation happens before a token exists
+  { method: "POST", path: "/logs" },          // frontend log shipping (also used on the login screen)
+  { method: "GET", path: "/collection/ping" } // route smoke test
+];
+
+router.use(authenticate({ publicRoutes: PUBLIC_ROUTES }));
+
 // Mount routes
 router.use("/app", appRoutes);           // App operations (create, list, delete)
 router.use("/pages", pageRoutes);        // Page operations (save, load, delete) - JAYRAM
 router.use("/components", componentRoutes); // Component library operations - JAYRAM
 router.use("/actions", actionRoutes);    // Action library operations - JAYRAM
+router.use("/packs", packRoutes);        // Component packs shared across apps - MUDUMBAI
 router.use("/openai", openAiRoutes);     // AI content generation
 router.use("/template", templateRoutes); // Template-based page generation (without OpenAI)
 // 🔧 fixed/updated by ChatGPT on 2025-10-18 00:20:00 – reason: mount /api/auth for Firebase-token-protected sync and profile retrieval (START)
@@ -0,0 +1,123 @@
+import { accessService, APP_STATUS, toAppPrefix } from '../../services/accessService.js';
+import { environmentService } from '../../services/environmentService.js';
+import { AppError } from '../../utils/errorHandler.js';
+
+/**
+ * Default app resolver.
+ * Routes identify the app in different places: the route param wins (it is
+ * the app the URL names), then the body, then the query. Controllers build
+ * collection names from req.appAccess, never from these fields, so the app
+ * that was checked is the app that is read or written.
+ */
+const APP_FIELDS = ['appPrefix', 'appName', 'appId'];
+
+export function resolveAppFromRequest(req) {
+  const sources = [req.params || {}, req.body || {}, req.query || {}];
+
+  for (const source of sources) {
+    const field = APP_FIELDS.find((name) => source[name]);
+    if (field) return source[field];
+  }
+  return null;
+}
+
+/**
+ * Prefixes of every app the request names in its params, body or query.
+ */
+function appsNamedBy(req) {
+  const sources = [req.params || {}, req.body || {}, req.query || {}];
+  const named = sources.flatMap((source) =>
+    APP_FIELDS.filter((name) => typeof source[name] === 'string' && source[name]).map((name) => toAppPrefix(source[name]))
+  );
+  return [...new Set(named)];
+}
+
+/**
+ * Check that `uid` holds `required` on an app, the same way the middleware
+ * does. Exported for handlers that touch a second app (copy / move into
+ * another app).
+ *
+ * @returns {Promise<object>} { appPrefix, app, role, permissions, environment, dataPrefix }
+ */
+export async function authorizeApp(appIdentifier, uid, required, { environment, allowInactive = false }) {
+  const access = await accessService.resolveAccess(appIdentifier, uid);
+  if (!access.app) {
+    throw new AppError('App not found', 404, { appPrefix: access.appPrefix });
+  }
+  if (!access.permissions.includes(required)) {
+    throw new AppError('Forbidden: insufficient permissions for this app', 403, {
+      appPrefix: access.appPrefix,
+      role: access.role,
+      required
+    });
+  }
+
+  const status = access.app.status || APP_STATUS.ACTIVE;
+  if (status !== APP_STATUS.ACTIVE && !required.endsWith(':read') && !allowInactive) {
+    const hint = status === APP_STATUS.ARCHIVED ? 'restore it before making changes' : 'try again once it has finished';
+    throw new AppError(`App is ${status}; ${hint}`, 409, {
+      appPrefix: access.appPrefix,
+      status
+    });
+  }
+
+  if (!required.endsWith(':read')) {
+    environmentService.assertWritable(access.app, required, environment);
+  }
+
+  return { ...access, environment, dataPrefix: environmentService.dataPrefix(access.app, environment) };
+}
+
+/**
+ * Per-app authorization.
+ * Must run after authentication (req.user) and, for multipart routes, after
+ * multer so that form fields are on req.body.
+ *
+ * On success attaches req.appAccess = { appPrefix, app, role, permissions,
+ * environment, dataPrefix }. The environment comes from ?env= or X-App-Env
+ * (dev by default); outside dev, promoted resources are read-only (409).
+ *
+ * Apps that are archived (or being deleted) are read-only: anything other
+ * than a "*:read" permission is rejected with 409 unless allowInactive is set.
+ *
+ * A request that names a different app anywhere else (appPrefix / appName /
+ * appId in params, body or query) than the one checked is rejected with 400.
+ *
+ * @param {string|(req) => string} permission - e.g. "pages:write" (see config/roles.js),
+ *   or a function deriving it from the request
+ * @param {object} [options]
+ * @param {(req) => string|null} [options.resolveApp] - override for routes that carry the app elsewhere
+ * @param {boolean} [options.allowInactive] - let writes through on archived apps (restore, purge)
+ */
+export function requireAppPermission(permission, { resolveApp = resolveAppFromRequest, allowInactive = false } = {}) {
+  return async (req, _res, next) => {
+    try {
+      if (!req.user || !req.user.uid) {
+        throw new AppError('Unauthorized', 401);
+      }
+
+      const appIdentifier = resolveApp(req);
+      if (!appIdentifier) {
+        throw new AppError('App could not be determined from the request', 400);
+      }
+      const conflicting = appsNamedBy(req).filter((prefix) => prefix !== toAppPrefix(appIdentifier));
+      if (conflicting.length) {
+        throw new AppError('The request names more than one app', 400, {
+          appPrefix: toAppPrefix(appIdentifier),
+          conflicting
+        });
+      }
+
+      const required = typeof permission === 'function' ? permission(req) : permission;
+      req.appAccess = await authorizeApp(appIdentifier, req.user.uid, required, {
+        environment: environmentService.resolveEnvironment(req),
+        allowInactive
+      });
+      return next();
+    } catch (err) {
+      next(err instanceof AppError ? err : new AppError(err.message || 'Authorization failed', 500));
+    }
+  };
+}
+
+export default requireAppPermission;
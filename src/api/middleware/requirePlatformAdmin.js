@@ -0,0 +1,29 @@
+import { getDb } from '../../services/storageAdapter.js';
+import { PLATFORM_ADMIN_ROLE } from '../../config/roles.js';
+import { AppError } from '../../utils/errorHandler.js';
+
+const USERS_COLLECTION = 'users';
+
+/**
+ * Platform-wide authorization (not tied to an app).
+ * Must run after authentication (req.user). Lets the request through only
+ * when the caller's mudumbai.users profile has the platform admin role.
+ */
+export function requirePlatformAdmin() {
+  return async (req, _res, next) => {
+    try {
+      if (!req.user || !req.user.uid) {
+        throw new AppError('Unauthorized', 401);
+      }
+      const profile = await getDb('mudumbai').collection(USERS_COLLECTION).doc(req.user.uid).get();
+      if (!profile.exists || profile.data().role !== PLATFORM_ADMIN_ROLE) {
+        throw new AppError('Forbidden: platform admins only', 403, { required: PLATFORM_ADMIN_ROLE });
+      }
+      return next();
+    } catch (err) {
+      next(err instanceof AppError ? err : new AppError(err.message || 'Authorization failed', 500));
+    }
+  };
+}
+
+export default requirePlatformAdmin;
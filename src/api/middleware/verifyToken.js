@@ -1,17 +1,41 @@
 // 🔧 fixed/updated by ChatGPT on 2025-10-18 00:12:00 – reason: add production-ready middleware to verify Firebase ID tokens from Authorization header and attach req.user for downstream controllers (START)
-import { defaultAuth } from '../../config/firebaseAdmin.js';
+import { getAuth } from '../../services/storageAdapter.js';
 import { AppError } from '../../utils/errorHandler.js';
 
+/**
+ * Token verifier
+ * --------------
+ * Resolves a bearer token to its decoded claims ({ uid, email, name, ... }).
+ * Defaults to the active storage backend's Auth client (Firebase Admin, or the
+ * local backend's verifier). Tests swap it out with setTokenVerifier() so they
+ * can authenticate requests without Firebase.
+ */
+const defaultTokenVerifier = (token) => getAuth().verifyIdToken(token);
+
+let tokenVerifier = defaultTokenVerifier;
+
+export function setTokenVerifier(verifier) {
+  tokenVerifier = verifier || defaultTokenVerifier;
+}
+
+export function resetTokenVerifier() {
+  tokenVerifier = defaultTokenVerifier;
+}
+
 export async function verifyToken(req, _res, next) {
   try {
     const authHeader = req.headers.authorization || '';
-    const [, token] = authHeader.split(' ');
-    if (!token) {
+    const [scheme, token] = authHeader.split(' ');
+    if (!token || !/^Bearer$/i.test(scheme)) {
       throw new AppError('Unauthorized: missing Bearer token', 401);
     }
 
     // Verify Firebase ID token
-    const decoded = await defaultAuth.verifyIdToken(token);
+    const decoded = await tokenVerifier(token);
+    if (!decoded || !decoded.uid) {
+      throw new AppError('Unauthorized: invalid token', 401);
+    }
+
     // Attach decoded token to request (uid, email, etc.)
     req.user = {
       uid: decoded.uid,
@@ -20,13 +44,27 @@ export async function verifyToken(req, _res, next) {
       picture: decoded.picture || '',
       emailVerified: !!decoded.email_verified,
       // pass entire decoded if needed
-      _decoded: decoded,
+      _decoded: decoded
     };
 
     return next();
   } catch (err) {
-    const status = err.statusCode || err.code === 'auth/argument-error' ? 401 : 401;
-    next(new AppError(err.message || 'Unauthorized', status));
+    next(new AppError(err.message || 'Unauthorized', 401));
   }
 }
+
+/**
+ * Global authentication layer for the /api router.
+ * Every request must carry a valid bearer token unless it matches an entry in
+ * publicRoutes ({ method, path } with path relative to the router mount point).
+ */
+export function authenticate({ publicRoutes = [] } = {}) {
+  const isPublic = (req) =>
+    publicRoutes.some((route) =>
+      (!route.method || route.method === req.method) &&
+      (route.path instanceof RegExp ? route.path.test(req.path) : route.path === req.path)
+    );
+
+  return (req, res, next) => (isPublic(req) ? next() : verifyToken(req, res, next));
+}
 // 🔧 fixed/updated by ChatGPT on 2025-10-18 00:12:00 (END)
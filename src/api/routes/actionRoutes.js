@@ -24,33 +24,34 @@ import {
   deleteAction,
   getActionsByTag
 } from "../../controllers/actionController.js";
+import { requireAppPermission } from "../middleware/requireAppPermission.js";
 
 const router = express.Router();
 
 // POST /api/actions/save
 // Save or update an action in the library
 // Request body: { appName, actionId, actionData }
-router.post("/save", saveAction);
+router.post("/save", requireAppPermission("actions:write"), saveAction);
 
 // GET /api/actions/:appName
 // Get all actions for a specific app
 // URL params: appName
-router.get("/:appName", getActionsByApp);
+router.get("/:appName", requireAppPermission("actions:read"), getActionsByApp);
 
 // GET /api/actions/:appName/by-tag/:tag
 // Get actions filtered by tag
 // URL params: appName, tag
-router.get("/:appName/by-tag/:tag", getActionsByTag);
+router.get("/:appName/by-tag/:tag", requireAppPermission("actions:read"), getActionsByTag);
 
 // GET /api/actions/:appName/:actionId
 // Get specific action
 // URL params: appName, actionId
-router.get("/:appName/:actionId", getAction);
+router.get("/:appName/:actionId", requireAppPermission("actions:read"), getAction);
 
-// DELETE /api/actions/:appName/:actionId
-// Delete an action from the library
+// DELETE /api/actions/:appName/:actionId?force=true
+// Delete an action from the library (409 with its usages unless force=true)
 // URL params: appName, actionId
-router.delete("/:appName/:actionId", deleteAction);
+router.delete("/:appName/:actionId", requireAppPermission("actions:delete"), deleteAction);
 
 export default router;
 
@@ -12,48 +12,340 @@
  * - POST   /api/app/create     - Create a new app
  * - GET    /api/app/list       - List all apps
  * - GET    /api/app/:appName   - Get specific app
- * - DELETE /api/app/:appName   - Delete app
+ * - GET    /api/app/archived   - List archived apps
+ * - DELETE /api/app/:appName   - Archive app (?permanent=true deletes it; ?dryRun=true previews)
+ * - POST   /api/app/:appName/restore - Restore archived app
+ * - POST   /api/app/:appName/clone   - Clone app under a new name
+ * - GET    /api/app/:appName/export  - Download app bundle (JSON / zip)
+ * - GET    /api/app/:appName/export/static - Download the pages as a static HTML/CSS site (zip)
+ * - POST   /api/app/import           - Create or overwrite an app from a bundle
+ * - POST   /api/app/:appName/rename  - Rename app (optionally migrating its prefix)
+ * - GET    /api/app/:appName/environments      - Environments (dev/staging/prod) and data sharing
+ * - PATCH  /api/app/:appName/environments      - Share data tables across environments or not
+ * - GET    /api/app/:appName/environments/diff - Preview a promotion
+ * - POST   /api/app/:appName/promote           - Promote one environment into another
+ * - GET    /api/app/:appName/promotions        - Promotion history
+ * - GET    /api/app/:appName/promotions/:promotionId          - One history entry
+ * - POST   /api/app/:appName/promotions/:promotionId/rollback - Undo a promotion
+ * - /api/app/:appName/sitemap/*, /api/app/:appName/menus/* - Navigation (see siteMapController.js)
+ * - GET    /api/app/:appName/sitemap.xml - XML sitemap of the published pages
+ * - GET    /api/app/:appName/robots.txt  - robots.txt for the published pages
+ * - GET    /api/app/:appName/locales         - Supported locales and the default one
+ * - PUT    /api/app/:appName/locales         - Replace the supported locales
+ * - GET    /api/app/:appName/locales/missing - Strings still missing a translation, per locale
+ * - GET    /api/app/:appName/usages          - Where a component, action, validation or asset is used
+ * - POST   /api/app/:appName/usages/rebuild  - Rebuild the usage index of an environment
+ * - GET    /api/app/:appName/packs           - Component packs installed in the app
+ * - GET    /api/app/:appName/packs/notifications - Pack update notifications
+ * - POST   /api/app/:appName/packs/:packId/install - Install a pack or update it
+ * - POST   /api/app/:appName/packs/:packId/notification/dismiss - Dismiss an update notification
+ * - GET    /api/app/jobs/:jobId - Background job progress
+ * - POST   /api/app/jobs/:jobId/resume - Resume an interrupted rename job
+ * - /api/app/:appName/members/* - Member management (see memberController.js)
  */
 
 import express from "express";
+import multer from "multer";
 import { 
   createApp,  // POST - Create new app with 4 collections
   listApps,   // GET  - List all apps with metadata
+  listArchivedApps, // GET - List archived apps
   getApp,     // GET  - Get specific app details
-  deleteApp   // DELETE - Delete app and all collections
+  deleteApp,  // DELETE - Archive app / delete archived app permanently
+  restoreApp, // POST - Restore archived app
+  cloneApp,   // POST - Clone app (background job)
+  renameApp,  // POST - Rename app / migrate prefix (background job)
+  resumeAppJob, // POST - Resume interrupted rename job
+  getAppJob   // GET  - Background job status
 } from "../../controllers/appController.js";
+import {
+  exportApp,          // GET  - Download app bundle
+  importApp           // POST - Import app bundle
+} from "../../controllers/appBundleController.js";
+import {
+  listEnvironments,   // GET   - Environments with document counts
+  updateEnvironments, // PATCH - Data sharing setting
+  diffEnvironments,   // GET   - Promotion preview
+  promoteEnvironment, // POST  - Promote from one environment to another
+  listPromotions,     // GET   - Promotion history
+  getPromotion,       // GET   - One history entry
+  rollbackPromotion   // POST  - Undo a promotion
+} from "../../controllers/environmentController.js";
+import {
+  getSiteMap,         // GET    - Page tree with paths
+  upsertSiteMapPage,  // PUT    - Add / move / re-slug a page
+  removeSiteMapPage,  // DELETE - Take a page out of the site map
+  resolveSiteMapPath, // GET    - Page or redirect for a URL path
+  listRedirects,      // GET    - Redirects left by path changes
+  deleteRedirect,     // DELETE - Drop a redirect
+  listMenus,          // GET    - All menus
+  getMenu,            // GET    - One menu
+  saveMenu,           // PUT    - Create / replace a menu
+  deleteMenu          // DELETE - Delete a menu
+} from "../../controllers/siteMapController.js";
+import {
+  exportStaticSite    // GET  - Download static HTML site
+} from "../../controllers/staticSiteController.js";
+import {
+  getSitemapXml,      // GET  - sitemap.xml
+  getRobotsTxt        // GET  - robots.txt
+} from "../../controllers/seoController.js";
+import {
+  getLocales,         // GET  - Supported locales
+  saveLocales,        // PUT  - Replace supported locales
+  getMissingTranslations // GET - Untranslated strings per locale
+} from "../../controllers/localizationController.js";
+import {
+  getUsages,          // GET  - Where an item is used
+  rebuildUsages       // POST - Rebuild the usage index
+} from "../../controllers/usageController.js";
+import {
+  listInstalledPacks,     // GET  - Packs installed in the app
+  getPackNotifications,   // GET  - Pack update notifications
+  installPack,            // POST - Install or update a pack
+  dismissPackNotification // POST - Dismiss an update notification
+} from "../../controllers/packController.js";
+import {
+  listMembers,        // GET    - Members & pending invitations
+  inviteMember,       // POST   - Invite by email
+  acceptInvitation,   // POST   - Accept an invitation token
+  revokeInvitation,   // DELETE - Revoke a pending invitation
+  changeMemberRole,   // PATCH  - Change a member's role
+  removeMember,       // DELETE - Remove a member / leave
+  transferOwnership   // POST   - Hand the app to another member
+} from "../../controllers/memberController.js";
+import { requireAppPermission } from "../middleware/requireAppPermission.js";
+import { AppError } from "../../utils/errorHandler.js";
 
 const router = express.Router();
 
+// Bundle uploads for /import are kept in memory (100MB max)
+const bundleUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 100 * 1024 * 1024 }
+});
+const receiveBundle = (req, res, next) =>
+  bundleUpload.single("bundle")(req, res, (err) =>
+    next(err instanceof multer.MulterError ? new AppError(`Upload error: ${err.message}`, 400) : err)
+  );
+
 // POST /api/app/create
 // Create a new application with 4 collections in JAYRAM database
-// Request body: { appName, description }
+// Request body: { appName, description } – owner is the authenticated user
 router.post("/create", createApp);
 
 // GET /api/app/list
-// List all applications from JAYRAM database
-// router.get("/list", listApps);
-// fixed/updated by ChatGPT on 2025-10-18 23:35:57 – enhanced route to explicitly accept createdBy query param for ownership filtering
-router.get("/list", (req, res, next) => {
-  if (!req.query.createdBy) {
-    // If frontend forgot to include uid, return user-friendly message
-    res.status(400).json({
-      success: false,
-      message: "Missing required parameter: createdBy (uid)",
-    });
-    return;
-  }
-  return listApps(req, res, next);
-});
+// List the authenticated user's applications from JAYRAM database
+router.get("/list", listApps);
+
+// GET /api/app/archived
+// Archived apps the authenticated user owns or belongs to (with purge date)
+router.get("/archived", listArchivedApps);
+
+// POST /api/app/import
+// multipart: bundle file (.json | .zip) + appName?, onConflict? (rename | overwrite | skip)
+// or JSON: { bundle, appName?, onConflict? } – the caller owns the imported app
+router.post("/import", receiveBundle, importApp);
 
 // GET /api/app/:appName
 // Get specific app details from JAYRAM database
 // URL params: appName (e.g., "MyApp" or "myapp")
-router.get("/:appName", getApp);
+router.get("/:appName", requireAppPermission("app:read"), getApp);
+
+// GET /api/app/jobs/:jobId
+// Progress of a background job started by the caller
+router.get("/jobs/:jobId", getAppJob);
+
+// POST /api/app/jobs/:jobId/resume
+// Continue an interrupted rename job (or one that failed after the new prefix went live)
+router.post("/jobs/:jobId/resume", resumeAppJob);
 
-// DELETE /api/app/:appName
-// Delete app and all its collections from JAYRAM database
+// DELETE /api/app/:appName?permanent=true&dryRun=true
+// Default: archive the app (read-only, restorable until the retention period ends)
+// permanent=true on an archived app: delete all its collections, data tables,
+// storage files and memberships; returns 202 + job (poll /jobs/:jobId)
 // URL params: appName
-router.delete("/:appName", deleteApp);
+router.delete("/:appName", requireAppPermission("app:delete", { allowInactive: true }), deleteApp);
+
+// POST /api/app/:appName/restore
+// Restore an archived app (owner only)
+router.post("/:appName/restore", requireAppPermission("app:delete", { allowInactive: true }), restoreApp);
+
+// POST /api/app/:appName/clone
+// Request body: { newAppName, description?, includeRecords? }
+// Creates the new app (owned by the caller) and returns 202 + copy job (poll /jobs/:jobId)
+// Needs app:export (every kind is copied); archived apps can still be cloned
+router.post("/:appName/clone", requireAppPermission("app:export", { allowInactive: true }), cloneApp);
+
+// POST /api/app/:appName/rename
+// Request body: { newAppName, migratePrefix? } – owner only
+// Default: display name only (200). migratePrefix: moves all data to the new prefix
+// in a job with rollback on failure (202 + job; poll /jobs/:jobId)
+router.post("/:appName/rename", requireAppPermission("app:rename"), renameApp);
+
+// GET /api/app/:appName/export?format=json|zip&includeRecords=true&includeFiles=true
+// Download a portable bundle (src/schemas/appBundle.schema.json)
+router.get("/:appName/export", requireAppPermission("app:export", { allowInactive: true }), exportApp);
+
+// GET /api/app/:appName/export/static?version=draft|published&formAction=https://...
+// Pages rendered to plain HTML/CSS with bundled assets, as a zip
+router.get("/:appName/export/static", requireAppPermission("app:export", { allowInactive: true }), exportStaticSite);
+
+// ---------------------------------------------------------------
+// Environments & promotion
+// ---------------------------------------------------------------
+
+// GET /api/app/:appName/environments
+// dev / staging / prod with document counts; whether data tables are shared
+router.get("/:appName/environments", requireAppPermission("app:read"), listEnvironments);
+
+// PATCH /api/app/:appName/environments
+// Request body: { sharedData } – owner only
+router.patch("/:appName/environments", requireAppPermission("app:promote"), updateEnvironments);
+
+// GET /api/app/:appName/environments/diff?from=dev&to=prod&kinds=pages,components
+// What promoting `from` into `to` would create, update and delete
+router.get("/:appName/environments/diff", requireAppPermission("app:read"), diffEnvironments);
+
+// POST /api/app/:appName/promote
+// Request body: { from, to, kinds?, dryRun? } – owner only
+// Applies the diff atomically and records a history entry that can be rolled back
+router.post("/:appName/promote", requireAppPermission("app:promote"), promoteEnvironment);
+
+// GET /api/app/:appName/promotions?limit=50
+// Promotion and rollback history, newest first
+router.get("/:appName/promotions", requireAppPermission("app:read"), listPromotions);
+
+// GET /api/app/:appName/promotions/:promotionId
+router.get("/:appName/promotions/:promotionId", requireAppPermission("app:read"), getPromotion);
+
+// POST /api/app/:appName/promotions/:promotionId/rollback
+// Request body: { force? } – 409 if the promoted documents changed since, unless force
+router.post("/:appName/promotions/:promotionId/rollback", requireAppPermission("app:promote"), rollbackPromotion);
+
+// ---------------------------------------------------------------
+// Site map & menus
+// ---------------------------------------------------------------
+
+// GET /api/app/:appName/sitemap
+// Page tree (ordered) with slugs, paths and the home page
+router.get("/:appName/sitemap", requireAppPermission("sitemap:read"), getSiteMap);
+
+// GET /api/app/:appName/sitemap/resolve?path=/about/team
+// Which page a URL path shows, or where an old path redirects to
+router.get("/:appName/sitemap/resolve", requireAppPermission("sitemap:read"), resolveSiteMapPath);
+
+// PUT /api/app/:appName/sitemap/pages/:pageName
+// Request body: { slug?, parentId?, order?, isHome? } – 409 if the path is taken
+router.put("/:appName/sitemap/pages/:pageName", requireAppPermission("sitemap:write"), upsertSiteMapPage);
+
+// DELETE /api/app/:appName/sitemap/pages/:pageName
+// 409 while the page has child pages or is linked from a menu
+router.delete("/:appName/sitemap/pages/:pageName", requireAppPermission("sitemap:delete"), removeSiteMapPage);
+
+// GET /api/app/:appName/sitemap/redirects
+router.get("/:appName/sitemap/redirects", requireAppPermission("sitemap:read"), listRedirects);
+
+// DELETE /api/app/:appName/sitemap/redirects?path=/old-path
+router.delete("/:appName/sitemap/redirects", requireAppPermission("sitemap:delete"), deleteRedirect);
+
+// GET /api/app/:appName/menus
+router.get("/:appName/menus", requireAppPermission("sitemap:read"), listMenus);
+
+// GET /api/app/:appName/menus/:menuName
+router.get("/:appName/menus/:menuName", requireAppPermission("sitemap:read"), getMenu);
+
+// PUT /api/app/:appName/menus/:menuName
+// Request body: { label?, items: [{ pageId | url, label?, children? }] } – pages must be in the site map
+router.put("/:appName/menus/:menuName", requireAppPermission("sitemap:write"), saveMenu);
+
+// DELETE /api/app/:appName/menus/:menuName
+router.delete("/:appName/menus/:menuName", requireAppPermission("sitemap:delete"), deleteMenu);
+
+// GET /api/app/:appName/sitemap.xml?baseUrl=https://www.example.com
+// Published pages with a URL, noindex pages left out
+router.get("/:appName/sitemap.xml", requireAppPermission("sitemap:read"), getSitemapXml);
+
+// GET /api/app/:appName/robots.txt?baseUrl=https://www.example.com
+router.get("/:appName/robots.txt", requireAppPermission("sitemap:read"), getRobotsTxt);
+
+// ---------------------------------------------------------------
+// Locales
+// ---------------------------------------------------------------
+
+// GET /api/app/:appName/locales
+router.get("/:appName/locales", requireAppPermission("pages:read"), getLocales);
+
+// PUT /api/app/:appName/locales
+// Request body: { defaultLocale, locales: ["en", "fr", ...] } – applies to every environment
+router.put("/:appName/locales", requireAppPermission("pages:write"), saveLocales);
+
+// GET /api/app/:appName/locales/missing?locale=fr&pageName=Home
+// Per locale: strings of the pages with no translation yet
+router.get("/:appName/locales/missing", requireAppPermission("pages:read"), getMissingTranslations);
+
+// ---------------------------------------------------------------
+// Usages
+// ---------------------------------------------------------------
+
+// GET /api/app/:appName/usages?type=component|action|validation|asset&id=X
+// Pages, library components and processes that reference the item
+router.get("/:appName/usages", requireAppPermission("app:read"), getUsages);
+
+// POST /api/app/:appName/usages/rebuild?env=dev
+// Recompute the index from the environment's pages, components and processes.
+// Changes no content, so like publishing it is allowed in every environment
+router.post("/:appName/usages/rebuild", requireAppPermission("pages:publish"), rebuildUsages);
+
+// ---------------------------------------------------------------
+// Component packs (browsing and publishing: /api/packs)
+// ---------------------------------------------------------------
+
+// GET /api/app/:appName/packs
+// Installed packs with their installed and latest version
+router.get("/:appName/packs", requireAppPermission("app:read"), listInstalledPacks);
+
+// GET /api/app/:appName/packs/notifications
+// New versions of installed packs that were not dismissed
+router.get("/:appName/packs/notifications", requireAppPermission("app:read"), getPackNotifications);
+
+// POST /api/app/:appName/packs/:packId/install?env=dev
+// Copy the pack's components into the library (again, to update them)
+// Request body: { overwrite? } – replace same-id components not from the pack
+router.post("/:appName/packs/:packId/install", requireAppPermission("components:write"), installPack);
+
+// POST /api/app/:appName/packs/:packId/notification/dismiss
+router.post("/:appName/packs/:packId/notification/dismiss", requireAppPermission("components:write"), dismissPackNotification);
+
+// ---------------------------------------------------------------
+// Members
+// ---------------------------------------------------------------
+
+// GET /api/app/:appName/members
+// List members (with profiles from mudumbai.users) and pending invitations
+router.get("/:appName/members", requireAppPermission("app:read"), listMembers);
+
+// POST /api/app/:appName/members/invite
+// Request body: { email, role } – returns the one-time invitation token
+router.post("/:appName/members/invite", requireAppPermission("app:manageMembers"), inviteMember);
+
+// POST /api/app/:appName/members/accept
+// Request body: { token } – caller has no role yet, so only authentication applies
+router.post("/:appName/members/accept", acceptInvitation);
+
+// POST /api/app/:appName/members/transfer-ownership
+// Request body: { uid } – current owner only
+router.post("/:appName/members/transfer-ownership", requireAppPermission("app:manageMembers"), transferOwnership);
+
+// DELETE /api/app/:appName/members/invitations/:invitationId
+router.delete("/:appName/members/invitations/:invitationId", requireAppPermission("app:manageMembers"), revokeInvitation);
+
+// PATCH /api/app/:appName/members/:uid
+// Request body: { role }
+router.patch("/:appName/members/:uid", requireAppPermission("app:manageMembers"), changeMemberRole);
+
+// DELETE /api/app/:appName/members/:uid
+// Owners remove members; members may remove themselves
+router.delete("/:appName/members/:uid", requireAppPermission("app:read"), removeMember);
 
 export default router;
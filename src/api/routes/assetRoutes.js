@@ -8,6 +8,8 @@
 import express from 'express';
 import multer from 'multer';
 import assetController from '../../controllers/assetController.js';
+import { requireAppPermission } from '../middleware/requireAppPermission.js';
+import { AppError } from '../../utils/errorHandler.js';
 
 const router = express.Router();
 
@@ -48,47 +50,53 @@ const upload = multer({
   },
 });
 
+// Storage paths look like apps/<appId>/assets/<type>/<file>
+const resolveAssetPathApp = (req) => {
+  const match = /^apps\/([^/]+)\//.exec(req.body?.path || '');
+  return match ? match[1] : null;
+};
+
 /**
  * @route   POST /api/assets/upload
  * @desc    Upload a new asset
- * @access  Protected (requires appId)
+ * @access  Protected (requires appId; assets:write)
  */
-router.post('/upload', upload.single('file'), assetController.uploadAsset);
+router.post('/upload', upload.single('file'), requireAppPermission('assets:write'), assetController.uploadAsset);
 
 /**
  * @route   GET /api/assets/:appId
  * @desc    List all assets for an app
- * @access  Protected
+ * @access  Protected (assets:read)
  */
-router.get('/:appId', assetController.listAssets);
+router.get('/:appId', requireAppPermission('assets:read'), assetController.listAssets);
 
 /**
  * @route   GET /api/assets/:appId/:assetId
  * @desc    Get a single asset by ID
- * @access  Protected
+ * @access  Protected (assets:read)
  */
-router.get('/:appId/:assetId', assetController.getAsset);
+router.get('/:appId/:assetId', requireAppPermission('assets:read'), assetController.getAsset);
 
 /**
  * @route   DELETE /api/assets/:appId/:assetId
- * @desc    Delete an asset
- * @access  Protected
+ * @desc    Delete an asset (409 with its usages unless ?force=true)
+ * @access  Protected (assets:delete)
  */
-router.delete('/:appId/:assetId', assetController.deleteAsset);
+router.delete('/:appId/:assetId', requireAppPermission('assets:delete'), assetController.deleteAsset);
 
 /**
  * @route   POST /api/assets/signed-url
  * @desc    Get a signed URL for secure asset access
- * @access  Protected
+ * @access  Protected (assets:read on the app owning the path)
  */
-router.post('/signed-url', assetController.getSignedUrl);
+router.post('/signed-url', requireAppPermission('assets:read', { resolveApp: resolveAssetPathApp }), assetController.getSignedUrl);
 
 /**
  * @route   PATCH /api/assets/:appId/:assetId
  * @desc    Update asset metadata
- * @access  Protected
+ * @access  Protected (assets:write)
  */
-router.patch('/:appId/:assetId', assetController.updateAssetMetadata);
+router.patch('/:appId/:assetId', requireAppPermission('assets:write'), assetController.updateAssetMetadata);
 
 // Error handling middleware for multer
 router.use((error, req, res, next) => {
@@ -105,6 +113,11 @@ router.use((error, req, res, next) => {
     });
   }
   
+  // Auth/permission errors already carry their status; let the global handler format them
+  if (error instanceof AppError) {
+    return next(error);
+  }
+
   if (error) {
     return res.status(400).json({
       success: false,
@@ -7,6 +7,7 @@ import {
   listUsers,
   updateRole,
 } from "../../controllers/authController.js";  // fixed import path and syntax
+import { requirePlatformAdmin } from "../middleware/requirePlatformAdmin.js";
 
 const router = express.Router();
 
@@ -14,8 +15,8 @@ const router = express.Router();
 router.post("/signup", signup);        // Create new user with email/password
 router.post("/login", login);          // Validate Firebase UID and return profile
 router.post("/google", googleAuth);    // Handle Google OAuth user
-router.get("/users", listUsers);       // List all users (admin only)
-router.patch("/:uid/role", updateRole); // Update user role (admin only)
+router.get("/users", requirePlatformAdmin(), listUsers);        // List all users (platform admins only)
+router.patch("/:uid/role", requirePlatformAdmin(), updateRole); // Update user role (platform admins only)
 
 export default router;
 // 🔧 fixed/updated by ChatGPT on 2025-10-18 11:22:00 (END)
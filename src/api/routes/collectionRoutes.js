@@ -6,6 +6,9 @@
 
 import express from "express";
 import { getCollectionData } from "../../controllers/collectionController.js";
+import { requireAppPermission } from "../middleware/requireAppPermission.js";
+import { PERMISSIONS } from "../../config/roles.js";
+import { DEFAULT_ENVIRONMENT, ENVIRONMENTS } from "../../services/environmentService.js";
 
 const router = express.Router();
 
@@ -21,7 +24,24 @@ router.get("/debug/:dbName/:appName/:collectionType", (req, res) => {
   res.status(200).json({ ok: true, params: req.params });
 });
 
+// Reading {app}_pages needs pages:read, {app}_staging_actions actions:read, ...
+// The environment segment is ignored; kinds stored next to a resource
+// (pages_history, components_versions) need that resource's permission.
+// Table collections ({app}_data_<hash>_<name>) need records:read, promotion
+// before-images app:promote; anything else app:read.
+const ENVIRONMENT_SEGMENT = new RegExp(`^(${ENVIRONMENTS.filter((env) => env !== DEFAULT_ENVIRONMENT).join("|")})_`);
+const KIND_RESOURCES = { data_schemas: "schemas", redirects: "sitemap", menus: "sitemap" };
+
+const collectionPermission = (req) => {
+  const kind = String(req.params.collectionType || "").toLowerCase().replace(ENVIRONMENT_SEGMENT, "");
+  if (kind === "promotions_before") return "app:promote";
+  if (KIND_RESOURCES[kind]) return `${KIND_RESOURCES[kind]}:read`;
+  if (kind.startsWith("data_")) return "records:read";
+  const resource = kind.split("_")[0];
+  return PERMISSIONS.includes(`${resource}:read`) ? `${resource}:read` : "app:read";
+};
+
 // Main route: GET /api/collection/:dbName/:appName/:collectionType
-router.get("/:dbName/:appName/:collectionType", getCollectionData);
+router.get("/:dbName/:appName/:collectionType", requireAppPermission(collectionPermission), getCollectionData);
 
 export default router;
@@ -12,7 +12,13 @@
  * - POST   /api/components           - Save component to library
  * - GET    /api/components           - Get all components (with filters)
  * - GET    /api/components/:id       - Get specific component
- * - DELETE /api/components/:id       - Delete component
+ * - GET    /api/components/:id/usages - Where the component is used
+ * - DELETE /api/components/:id       - Delete component (409 while in use)
+ * - POST   /api/components/:id/publish - Publish a new version
+ * - GET    /api/components/:id/versions - Version history
+ * - GET    /api/components/:id/versions/:version - One version
+ * - GET    /api/components/outdated   - Pages pinned to outdated versions
+ * - POST   /api/components/upgrade    - Upgrade outdated pins
  */
 
 import express from "express";
@@ -20,32 +26,71 @@ import {
   saveComponent,      // POST - Save component to library
   getAllComponents,   // GET  - Get all components
   getComponent,       // GET  - Get specific component
-  deleteComponent     // DELETE - Delete component
+  getComponentUsages, // GET  - Where a component is used
+  deleteComponent,    // DELETE - Delete component
+  publishComponent,   // POST - Publish a new version
+  listComponentVersions, // GET - Version history
+  getComponentVersion,   // GET - One version
+  getOutdatedComponents, // GET - Pages pinned to outdated versions
+  upgradeComponentInstances // POST - Upgrade outdated pins
 } from "../../controllers/componentController.js";
+import { requireAppPermission } from "../middleware/requireAppPermission.js";
 
 const router = express.Router();
 
+// Saves carry the app inside the component payload
+const resolveComponentApp = (req) => req.body?.componentData?.appName || null;
+
 // POST /api/components
 // Save a component to the library in JAYRAM database
 // Request body: { componentData: { id, type, name, appName, ... } }
-router.post("/", saveComponent);
+router.post("/", requireAppPermission("components:write", { resolveApp: resolveComponentApp }), saveComponent);
 
 // GET /api/components?appName=X&type=Y&category=Z
 // Get all components for an app with optional filters
 // Query params: appName (required), type (optional), category (optional)
-router.get("/", getAllComponents);
+router.get("/", requireAppPermission("components:read"), getAllComponents);
+
+// GET /api/components/outdated?appName=X&componentId=Y
+// Draft pages with components pinned to an older version than the latest
+// Query params: appName (required), componentId (optional)
+router.get("/outdated", requireAppPermission("components:read"), getOutdatedComponents);
+
+// POST /api/components/upgrade
+// Pin outdated components to the latest version (or follow it), one page revision each
+// Request body: { appName, componentId?, pages?: [pageName, ...], follow?, validationMode?, message? }
+router.post("/upgrade", requireAppPermission("pages:write"), upgradeComponentInstances);
 
 // GET /api/components/:id?appName=X
 // Get a specific component by ID
 // URL params: id (component ID)
 // Query params: appName (required)
-router.get("/:id", getComponent);
+router.get("/:id", requireAppPermission("components:read"), getComponent);
 
-// DELETE /api/components/:id?appName=X
-// Delete a component from the library
+// GET /api/components/:id/usages?appName=X
+// Pages, components and processes that reference the component
 // URL params: id (component ID)
 // Query params: appName (required)
-router.delete("/:id", deleteComponent);
+router.get("/:id/usages", requireAppPermission("components:read"), getComponentUsages);
+
+// DELETE /api/components/:id?appName=X&force=true
+// Delete a component from the library (409 with its usages unless force=true)
+// URL params: id (component ID)
+// Query params: appName (required), force (optional)
+router.delete("/:id", requireAppPermission("components:delete"), deleteComponent);
+
+// POST /api/components/:id/publish
+// Freeze the component as a new semantic version
+// Request body: { appName, version?, bump?: "major" | "minor" | "patch", notes? }
+router.post("/:id/publish", requireAppPermission("components:write"), publishComponent);
+
+// GET /api/components/:id/versions?appName=X
+// Published versions, newest first (without their content)
+router.get("/:id/versions", requireAppPermission("components:read"), listComponentVersions);
+
+// GET /api/components/:id/versions/:version?appName=X
+// One published version with the component as it was published
+router.get("/:id/versions/:version", requireAppPermission("components:read"), getComponentVersion);
 
 export default router;
 
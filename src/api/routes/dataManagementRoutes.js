@@ -32,6 +32,9 @@ import {
   exportCSV
 } from '../../controllers/csvController.js';
 
+// Authorization
+import { requireAppPermission } from '../middleware/requireAppPermission.js';
+
 const router = express.Router();
 
 // Configure multer for CSV file uploads (in-memory storage)
@@ -50,25 +53,25 @@ const upload = multer({
  * POST /api/data-schemas/create
  * Create a new table schema
  */
-router.post('/data-schemas/create', createSchema);
+router.post('/data-schemas/create', requireAppPermission('schemas:write'), createSchema);
 
 /**
  * GET /api/data-schemas/:appId
  * List all table schemas for an app
  */
-router.get('/data-schemas/:appId', listSchemas);
+router.get('/data-schemas/:appId', requireAppPermission('schemas:read'), listSchemas);
 
 /**
  * GET /api/data-schemas/:appId/:schemaId
  * Get a single table schema
  */
-router.get('/data-schemas/:appId/:schemaId', getSchema);
+router.get('/data-schemas/:appId/:schemaId', requireAppPermission('schemas:read'), getSchema);
 
 /**
  * DELETE /api/data-schemas/:schemaId
  * Delete a table schema and all its data
  */
-router.delete('/data-schemas/:schemaId', deleteSchema);
+router.delete('/data-schemas/:schemaId', requireAppPermission('schemas:delete'), deleteSchema);
 
 // ============================================
 // RECORD CRUD ROUTES
@@ -78,31 +81,31 @@ router.delete('/data-schemas/:schemaId', deleteSchema);
  * POST /api/data-records/create
  * Create a single record
  */
-router.post('/data-records/create', createRecord);
+router.post('/data-records/create', requireAppPermission('records:write'), createRecord);
 
 /**
  * GET /api/data-records/list
  * List records with pagination
  */
-router.get('/data-records/list', listRecords);
+router.get('/data-records/list', requireAppPermission('records:read'), listRecords);
 
 /**
  * PUT /api/data-records/update/:recordId
  * Update a single record
  */
-router.put('/data-records/update/:recordId', updateRecord);
+router.put('/data-records/update/:recordId', requireAppPermission('records:write'), updateRecord);
 
 /**
  * DELETE /api/data-records/delete/:recordId
  * Delete a single record
  */
-router.delete('/data-records/delete/:recordId', deleteRecord);
+router.delete('/data-records/delete/:recordId', requireAppPermission('records:delete'), deleteRecord);
 
 /**
  * POST /api/data-records/validate
  * Validate a record without saving
  */
-router.post('/data-records/validate', validateRecordData);
+router.post('/data-records/validate', requireAppPermission('schemas:read'), validateRecordData);
 
 // ============================================
 // BULK OPERATIONS ROUTES
@@ -112,19 +115,19 @@ router.post('/data-records/validate', validateRecordData);
  * POST /api/data-records/bulk-create
  * Create multiple records (max 1000)
  */
-router.post('/data-records/bulk-create', bulkCreateRecords);
+router.post('/data-records/bulk-create', requireAppPermission('records:write'), bulkCreateRecords);
 
 /**
  * POST /api/data-records/bulk-update
  * Update multiple records (max 500)
  */
-router.post('/data-records/bulk-update', bulkUpdateRecords);
+router.post('/data-records/bulk-update', requireAppPermission('records:write'), bulkUpdateRecords);
 
 /**
  * POST /api/data-records/bulk-delete
  * Delete multiple records (max 500)
  */
-router.post('/data-records/bulk-delete', bulkDeleteRecords);
+router.post('/data-records/bulk-delete', requireAppPermission('records:delete'), bulkDeleteRecords);
 
 // ============================================
 // CSV IMPORT/EXPORT ROUTES
@@ -134,13 +137,13 @@ router.post('/data-records/bulk-delete', bulkDeleteRecords);
  * POST /api/data-records/import-csv
  * Import CSV file (create new table or append to existing)
  */
-router.post('/data-records/import-csv', upload.single('file'), importCSV);
+router.post('/data-records/import-csv', upload.single('file'), requireAppPermission('records:write'), importCSV);
 
 /**
  * GET /api/data-records/export-csv
  * Export records to CSV
  */
-router.get('/data-records/export-csv', exportCSV);
+router.get('/data-records/export-csv', requireAppPermission('records:read'), exportCSV);
 
 export default router;
 
@@ -0,0 +1,56 @@
+/**
+ * Pack Routes
+ * ===========
+ * Defines HTTP routes for component packs, shared across apps (MUDUMBAI)
+ * 
+ * This routes file is imported by: /api/index.js
+ * These routes call: packController.js functions
+ * 
+ * All routes prefix: /api/packs
+ * Installing packs into an app: /api/app/:appName/packs/* (appRoutes.js)
+ * 
+ * Available endpoints:
+ * - GET    /api/packs             - Browse packs (?search=&tag=)
+ * - GET    /api/packs/:packId     - Get a pack with its components
+ * - POST   /api/packs             - Publish library components of an app as a pack
+ * - PUT    /api/packs/:packId     - Change a pack or release a new version (owner)
+ * - DELETE /api/packs/:packId     - Delete a pack (owner)
+ */
+
+import express from 'express';
+import {
+  listPacks,          // GET    - Browse packs
+  getPack,            // GET    - One pack
+  publishPack,        // POST   - Publish a pack
+  updatePack,         // PUT    - Change a pack / new version
+  deletePack          // DELETE - Delete a pack
+} from '../../controllers/packController.js';
+import { requireAppPermission } from '../middleware/requireAppPermission.js';
+
+const router = express.Router();
+
+// GET /api/packs?search=hero&tag=marketing
+// Packs of all apps, without their components
+router.get('/', listPacks);
+
+// GET /api/packs/:packId
+// One pack with its components
+router.get('/:packId', getPack);
+
+// POST /api/packs?env=dev
+// Publish library components (and the ones they link to) as version 1.0.0
+// Request body: { appName, name, componentIds, description?, tags?, preview?, releaseNotes? }
+// Reads the components from env; the controller also requires components:write
+router.post('/', requireAppPermission('components:read'), publishPack);
+
+// PUT /api/packs/:packId?env=dev
+// Owner only. With componentIds the components are taken again from appName
+// (components:write checked in the controller); changes release a new version
+// Request body: { name?, description?, tags?, preview?, releaseNotes?, appName?, componentIds?, version?, bump? }
+router.put('/:packId', updatePack);
+
+// DELETE /api/packs/:packId
+// Owner only; apps keep the components they installed
+router.delete('/:packId', deletePack);
+
+export default router;
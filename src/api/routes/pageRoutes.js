@@ -10,39 +10,159 @@
  * 
  * Available endpoints:
  * - POST   /api/pages                      - Save/update a page
- * - GET    /api/pages/:appName             - Get all pages for an app
+ * - POST   /api/pages/validate             - Validate page JSON (no save)
+ * - GET    /api/pages/:appName             - List / search pages of an app
  * - GET    /api/pages/:appName/:pageName   - Get a specific page
  * - DELETE /api/pages/:appName/:pageName   - Delete a page
+ * - GET    /api/pages/:appName/:pageName/revisions                    - List revisions
+ * - GET    /api/pages/:appName/:pageName/revisions/diff               - Diff two revisions
+ * - GET    /api/pages/:appName/:pageName/revisions/:revision          - Get a revision
+ * - POST   /api/pages/:appName/:pageName/revisions/:revision/restore  - Restore a revision
+ * - GET    /api/pages/:appName/:pageName/publication  - Publication state
+ * - POST   /api/pages/:appName/:pageName/publish      - Publish now or at publishAt
+ * - POST   /api/pages/:appName/:pageName/unpublish    - Take the page offline
+ * - DELETE /api/pages/:appName/:pageName/schedule     - Cancel a scheduled publish
+ * - POST   /api/pages/:appName/:pageName/duplicate    - Copy a page (same or other app)
+ * - POST   /api/pages/:appName/bulk/delete            - Delete several pages
+ * - POST   /api/pages/:appName/bulk/move              - Move several pages to another app
+ * - POST   /api/pages/:appName/bulk/rename            - Rename several pages
+ * - PUT    /api/pages/:appName/:pageName/translations/:locale - Save a locale's strings
+ * - POST   /api/pages/:appName/:pageName/components/:componentId/detach - Unlink a library component
+ * - GET    /api/pages/:appName/:pageName/components/:componentId        - Find a (nested) component
+ * - POST   /api/pages/:appName/:pageName/components/:componentId/move   - Move a component subtree
+ * - POST   /api/pages/:appName/:pageName/components/wrap                - Wrap siblings in a container
+ * - POST   /api/pages/:appName/:pageName/components/:componentId/unwrap - Replace a container by its children
+ *
+ * GET routes accept ?version=draft|published (default draft); page reads
+ * also accept ?locale= (see localizationService) and ?resolve=true
+ * (see componentLinkService).
  */
 
 import express from "express";
 import { 
   savePage,      // POST - Save or update a page
+  validatePage,  // POST - Schema check without saving
   getPagesByApp, // GET  - Fetch all pages for an app
   getPage,       // GET  - Fetch a specific page
-  deletePage     // DELETE - Remove a page
+  deletePage,    // DELETE - Remove a page
+  listPageRevisions,   // GET  - Revision list
+  getPageRevision,     // GET  - One revision with snapshot
+  diffPageRevisions,   // GET  - Component-level diff
+  restorePageRevision, // POST - Restore a revision as the new head
+  getPagePublication,  // GET  - Publication state
+  publishPage,         // POST - Publish draft (now or scheduled)
+  unpublishPage,       // POST - Remove live version
+  cancelScheduledPublish, // DELETE - Cancel scheduled publish
+  duplicatePage,       // POST - Copy a page (same or other app)
+  bulkDeletePages,     // POST - Delete several pages
+  bulkMovePages,       // POST - Move several pages to another app
+  bulkRenamePages,     // POST - Rename several pages
+  savePageTranslations, // PUT  - Strings of one locale
+  detachPageComponent, // POST - Replace a linked component by a copy
+  getPageComponent,    // GET  - One component of the tree
+  movePageComponent,   // POST - Move a component subtree
+  wrapPageComponents,  // POST - Wrap siblings in a new container
+  unwrapPageComponent  // POST - Replace a container by its children
 } from "../../controllers/pageController.js";
+import { requireAppPermission } from "../middleware/requireAppPermission.js";
 
 const router = express.Router();
 
 // POST /api/pages
 // Save or update a page in JAYRAM database
 // Request body: { appName, pageName, pageData }
-router.post("/", savePage);
+router.post("/", requireAppPermission("pages:write"), savePage);
+
+// POST /api/pages/validate
+// Check page JSON against the component schemas; nothing is stored, so no app permission is needed
+// Request body: { page | component, mode? }
+router.post("/validate", validatePage);
 
 // GET /api/pages/:appName
 // Get all pages for a specific app from JAYRAM database
 // URL params: appName (e.g., "MyApp")
-router.get("/:appName", getPagesByApp);
+// Query: search, componentType, updatedSince, fields (e.g. "summary"), sort, limit, cursor, locale
+router.get("/:appName", requireAppPermission("pages:read"), getPagesByApp);
 
 // GET /api/pages/:appName/:pageName
 // Get a specific page from JAYRAM database
 // URL params: appName, pageName (e.g., "MyApp", "Home_v1")
-router.get("/:appName/:pageName", getPage);
+// Query: version, locale (e.g. "fr" – text in that locale)
+router.get("/:appName/:pageName", requireAppPermission("pages:read"), getPage);
 
 // DELETE /api/pages/:appName/:pageName
 // Delete a specific page from JAYRAM database
 // URL params: appName, pageName
-router.delete("/:appName/:pageName", deletePage);
+router.delete("/:appName/:pageName", requireAppPermission("pages:delete"), deletePage);
+
+// GET /api/pages/:appName/:pageName/revisions
+// Revisions of a page, newest first
+// Query params: limit (optional)
+router.get("/:appName/:pageName/revisions", requireAppPermission("pages:read"), listPageRevisions);
+
+// GET /api/pages/:appName/:pageName/revisions/diff?from=3&to=5
+// Added / removed / changed / moved components between two revisions (to defaults to latest)
+router.get("/:appName/:pageName/revisions/diff", requireAppPermission("pages:read"), diffPageRevisions);
+
+// GET /api/pages/:appName/:pageName/revisions/:revision
+router.get("/:appName/:pageName/revisions/:revision", requireAppPermission("pages:read"), getPageRevision);
+
+// POST /api/pages/:appName/:pageName/revisions/:revision/restore
+// Request body: { message? } – writes the revision back as a new head revision
+router.post("/:appName/:pageName/revisions/:revision/restore", requireAppPermission("pages:write"), restorePageRevision);
+
+// GET /api/pages/:appName/:pageName/publication
+// Published / unpublished, live revision, pending schedule, unpublished changes
+router.get("/:appName/:pageName/publication", requireAppPermission("pages:read"), getPagePublication);
+
+// POST /api/pages/:appName/:pageName/publish
+// Request body: { publishAt? } – without publishAt the draft goes live now
+router.post("/:appName/:pageName/publish", requireAppPermission("pages:publish"), publishPage);
+
+// POST /api/pages/:appName/:pageName/unpublish
+router.post("/:appName/:pageName/unpublish", requireAppPermission("pages:publish"), unpublishPage);
+
+// DELETE /api/pages/:appName/:pageName/schedule
+router.delete("/:appName/:pageName/schedule", requireAppPermission("pages:publish"), cancelScheduledPublish);
+
+// POST /api/pages/:appName/:pageName/duplicate
+// Request body: { newPageName?, targetAppName?, relinkLibrary? } – needs pages:write on the target app
+router.post("/:appName/:pageName/duplicate", requireAppPermission("pages:read"), duplicatePage);
+
+// POST /api/pages/:appName/bulk/delete
+// Request body: { pages: [pageName, ...] } – result per page
+router.post("/:appName/bulk/delete", requireAppPermission("pages:delete"), bulkDeletePages);
+
+// POST /api/pages/:appName/bulk/move
+// Request body: { pages: [pageName, ...], targetAppName } – needs pages:write on the target app
+router.post("/:appName/bulk/move", requireAppPermission("pages:delete"), bulkMovePages);
+
+// POST /api/pages/:appName/bulk/rename
+// Request body: { pages: [{ pageName, newPageName }, ...] }
+router.post("/:appName/bulk/rename", requireAppPermission("pages:write"), bulkRenamePages);
+
+// PUT /api/pages/:appName/:pageName/translations/:locale
+// Request body: { strings: { [componentId]: { content?, title?, ..., fields?: { [fieldId]: label } } | null }, message? }
+router.put("/:appName/:pageName/translations/:locale", requireAppPermission("pages:write"), savePageTranslations);
+
+// POST /api/pages/:appName/:pageName/components/:componentId/detach
+// Request body: { message? } – the component keeps its id and content, without the link
+router.post("/:appName/:pageName/components/:componentId/detach", requireAppPermission("pages:write"), detachPageComponent);
+
+// GET /api/pages/:appName/:pageName/components/:componentId
+// Draft component with { parentId, index, depth, path }; ?resolve=true resolves linked components
+router.get("/:appName/:pageName/components/:componentId", requireAppPermission("pages:read"), getPageComponent);
+
+// POST /api/pages/:appName/:pageName/components/:componentId/move
+// Request body: { parentId?: containerId | null, index?, message? } – children move along
+router.post("/:appName/:pageName/components/:componentId/move", requireAppPermission("pages:write"), movePageComponent);
+
+// POST /api/pages/:appName/:pageName/components/wrap
+// Request body: { componentIds: [siblingId, ...], container?: { id?, name?, layout?, commonAttrs? }, message? }
+router.post("/:appName/:pageName/components/wrap", requireAppPermission("pages:write"), wrapPageComponents);
+
+// POST /api/pages/:appName/:pageName/components/:componentId/unwrap
+// Request body: { message? } – the container's children take its place
+router.post("/:appName/:pageName/components/:componentId/unwrap", requireAppPermission("pages:write"), unwrapPageComponent);
 
 export default router;
@@ -11,23 +11,24 @@ import {
   updateProcess,
   deleteProcess
 } from "../../controllers/processController.js";
+import { requireAppPermission } from "../middleware/requireAppPermission.js";
 
 const router = express.Router();
 
 // Get all processes for an app
-router.get("/:dbName/:appName", getProcesses);
+router.get("/:dbName/:appName", requireAppPermission("processes:read"), getProcesses);
 
 // Get single process by ID
-router.get("/:dbName/:appName/:id", getProcessById);
+router.get("/:dbName/:appName/:id", requireAppPermission("processes:read"), getProcessById);
 
 // Create new process
-router.post("/:dbName/:appName", createProcess);
+router.post("/:dbName/:appName", requireAppPermission("processes:write"), createProcess);
 
 // Update existing process
-router.put("/:dbName/:appName/:id", updateProcess);
+router.put("/:dbName/:appName/:id", requireAppPermission("processes:write"), updateProcess);
 
 // Delete process
-router.delete("/:dbName/:appName/:id", deleteProcess);
+router.delete("/:dbName/:appName/:id", requireAppPermission("processes:delete"), deleteProcess);
 
 // End of processRoutes.js - Created on 2025-12-30
 
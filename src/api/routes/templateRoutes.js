@@ -10,6 +10,7 @@ import {
   generateFromTemplate,
   generateAndSave
 } from "../../controllers/templateController.js";
+import { requireAppPermission } from "../middleware/requireAppPermission.js";
 
 const router = express.Router();
 
@@ -29,7 +30,7 @@ router.post("/generate", generateFromTemplate);
 // POST /api/template/generate-and-save
 // Generate pages from template and save directly to Firestore
 // Request body: { appName, appType, content }
-router.post("/generate-and-save", generateAndSave);
+router.post("/generate-and-save", requireAppPermission("pages:write"), generateAndSave);
 
 export default router;
 
@@ -11,23 +11,24 @@ import {
   updateValidation,
   deleteValidation
 } from "../../controllers/validationController.js";
+import { requireAppPermission } from "../middleware/requireAppPermission.js";
 
 const router = express.Router();
 
 // Get all validations for an app
-router.get("/:dbName/:appName", getValidations);
+router.get("/:dbName/:appName", requireAppPermission("validations:read"), getValidations);
 
 // Get single validation by ID
-router.get("/:dbName/:appName/:id", getValidationById);
+router.get("/:dbName/:appName/:id", requireAppPermission("validations:read"), getValidationById);
 
 // Create new validation
-router.post("/:dbName/:appName", createValidation);
+router.post("/:dbName/:appName", requireAppPermission("validations:write"), createValidation);
 
 // Update existing validation
-router.put("/:dbName/:appName/:id", updateValidation);
+router.put("/:dbName/:appName/:id", requireAppPermission("validations:write"), updateValidation);
 
-// Delete validation
-router.delete("/:dbName/:appName/:id", deleteValidation);
+// Delete validation (409 with its usages unless ?force=true)
+router.delete("/:dbName/:appName/:id", requireAppPermission("validations:delete"), deleteValidation);
 
 // End of validationRoutes.js - Created by Claude on 2025-11-10
 
@@ -23,7 +23,8 @@ app.use(helmet());
 
 const corsOrigin = process.env.CORS_ORIGIN || "http://localhost:3000";
 logger.info("init", `Setting up CORS (allowed origin: ${corsOrigin})`);
-app.use(cors({ origin: corsOrigin }));
+// ETag carries revision tokens for If-Match saves (see concurrencyService)
+app.use(cors({ origin: corsOrigin, exposedHeaders: ["ETag"] }));
 
 logger.info("init", "Setting up body parsers");
 app.use(express.json());
@@ -0,0 +1,41 @@
+/**
+ * pageValidationConfig.js
+ * -----------------------
+ * How page and component saves are checked against src/schemas
+ * (see pageValidationService).
+ *
+ * Environment variables:
+ * - PAGE_VALIDATION_MODE  "lenient" (default) fills in defaults and saves with
+ *                         warnings; "strict" rejects invalid pages with 422.
+ *                         A request can still pick its own mode.
+ * - PAGE_MAX_COMPONENT_DEPTH  How deep containers may nest components
+ *                         (default 8; top-level components are at depth 1).
+ */
+
+import 'dotenv/config';
+
+export const PAGE_VALIDATION_MODES = ['strict', 'lenient'];
+
+const DEFAULT_MODE = 'lenient';
+const DEFAULT_MAX_COMPONENT_DEPTH = 8;
+
+const raw = process.env.PAGE_VALIDATION_MODE;
+const mode = raw === undefined || raw === '' ? DEFAULT_MODE : raw;
+
+if (!PAGE_VALIDATION_MODES.includes(mode)) {
+  throw new Error(`Invalid PAGE_VALIDATION_MODE "${raw}". Expected one of: ${PAGE_VALIDATION_MODES.join(', ')}.`);
+}
+
+const rawDepth = process.env.PAGE_MAX_COMPONENT_DEPTH;
+const maxComponentDepth = rawDepth === undefined || rawDepth === '' ? DEFAULT_MAX_COMPONENT_DEPTH : Number(rawDepth);
+
+if (!Number.isInteger(maxComponentDepth) || maxComponentDepth < 1) {
+  throw new Error(`Invalid PAGE_MAX_COMPONENT_DEPTH "${rawDepth}". Expected a positive integer.`);
+}
+
+export const pageValidationConfig = {
+  mode,
+  maxComponentDepth
+};
+
+export default pageValidationConfig;
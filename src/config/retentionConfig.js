@@ -0,0 +1,26 @@
+/**
+ * retentionConfig.js
+ * ------------------
+ * How long archived apps are kept before the purge job hard-deletes them.
+ *
+ * Environment variables:
+ * - APP_RETENTION_DAYS  Days an app stays archived (restorable) before it is
+ *                       purged. Defaults to 30.
+ */
+
+import 'dotenv/config';
+
+const DEFAULT_RETENTION_DAYS = 30;
+
+const raw = process.env.APP_RETENTION_DAYS;
+const retentionDays = raw === undefined || raw === '' ? DEFAULT_RETENTION_DAYS : Number(raw);
+
+if (!Number.isFinite(retentionDays) || retentionDays < 0) {
+  throw new Error(`Invalid APP_RETENTION_DAYS "${raw}". Expected a non-negative number of days.`);
+}
+
+export const retentionConfig = {
+  retentionDays
+};
+
+export default retentionConfig;
@@ -0,0 +1,82 @@
+/**
+ * roles.js
+ * --------
+ * Per-app role model. A user's role on an app comes from their
+ * mudumbai.app_users membership (or from apps_meta.createdBy for the owner).
+ *
+ * Roles:
+ * - owner      full control, including renaming/deleting the app, promoting
+ *              between environments and managing members
+ * - editor     builds the app: pages, site map and menus, components, actions,
+ *              processes, validations, tables, records and assets; publishes pages
+ * - viewer     read-only access to everything in the app
+ * - dataEntry  reads the app and its tables, creates/edits records
+ *
+ * app:export (clone, export, static export) copies every kind at once, so
+ * only roles that can read all of them hold it.
+ *
+ * Separately, the role on a user's mudumbai.users profile is platform-wide.
+ * Only PLATFORM_ADMIN_ROLE may list users and change those roles; it is
+ * granted directly in the database, never through sign-up.
+ */
+
+export const ROLES = {
+  OWNER: 'owner',
+  EDITOR: 'editor',
+  VIEWER: 'viewer',
+  DATA_ENTRY: 'dataEntry'
+};
+
+export const PLATFORM_ADMIN_ROLE = 'platformAdmin';
+
+// Roles written before the permission model existed
+const LEGACY_ROLE_ALIASES = {
+  appAdmin: ROLES.OWNER
+};
+
+const RESOURCES = ['pages', 'sitemap', 'components', 'actions', 'processes', 'validations', 'schemas', 'records', 'assets'];
+
+const allOf = (verbs) => RESOURCES.flatMap((resource) => verbs.map((verb) => `${resource}:${verb}`));
+
+export const PERMISSIONS = [
+  'app:read',
+  'app:export',
+  'app:rename',
+  'app:promote',
+  'app:delete',
+  'app:manageMembers',
+  'pages:publish',
+  ...allOf(['read', 'write', 'delete'])
+];
+
+export const ROLE_PERMISSIONS = {
+  [ROLES.OWNER]: PERMISSIONS,
+  [ROLES.EDITOR]: ['app:read', 'app:export', 'pages:publish', ...allOf(['read', 'write', 'delete']).filter((p) => p !== 'schemas:delete')],
+  [ROLES.VIEWER]: ['app:read', 'app:export', ...allOf(['read'])],
+  [ROLES.DATA_ENTRY]: [
+    'app:read',
+    'pages:read',
+    'sitemap:read',
+    'components:read',
+    'validations:read',
+    'schemas:read',
+    'assets:read',
+    'records:read',
+    'records:write'
+  ]
+};
+
+/**
+ * Map a stored role to one of ROLES, or null if it is not recognised.
+ */
+export const normalizeRole = (role) => {
+  const resolved = LEGACY_ROLE_ALIASES[role] || role;
+  return Object.values(ROLES).includes(resolved) ? resolved : null;
+};
+
+export const roleHasPermission = (role, permission) => {
+  const resolved = normalizeRole(role);
+  return !!resolved && ROLE_PERMISSIONS[resolved].includes(permission);
+};
+
+export default { ROLES, PLATFORM_ADMIN_ROLE, PERMISSIONS, ROLE_PERMISSIONS, normalizeRole, roleHasPermission };
@@ -0,0 +1,28 @@
+/**
+ * schedulerConfig.js
+ * ------------------
+ * In-process scheduler for timed page publishing.
+ *
+ * Environment variables:
+ * - PUBLISH_SCHEDULER_INTERVAL_MS  How often the server looks for pages whose
+ *                                  scheduled publish time has passed.
+ *                                  Defaults to 60000; 0 turns the scheduler off
+ *                                  (e.g. when another instance runs it).
+ */
+
+import 'dotenv/config';
+
+const DEFAULT_INTERVAL_MS = 60000;
+
+const raw = process.env.PUBLISH_SCHEDULER_INTERVAL_MS;
+const intervalMs = raw === undefined || raw === '' ? DEFAULT_INTERVAL_MS : Number(raw);
+
+if (!Number.isFinite(intervalMs) || intervalMs < 0) {
+  throw new Error(`Invalid PUBLISH_SCHEDULER_INTERVAL_MS "${raw}". Expected a non-negative number of milliseconds.`);
+}
+
+export const schedulerConfig = {
+  intervalMs
+};
+
+export default schedulerConfig;
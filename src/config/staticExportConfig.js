@@ -0,0 +1,28 @@
+/**
+ * staticExportConfig.js
+ * ---------------------
+ * Static HTML export of an app (see staticSiteService).
+ *
+ * Environment variables:
+ * - STATIC_EXPORT_FORM_ACTION  Where exported forms post their data: an
+ *                              absolute http(s) URL or a path on the site's
+ *                              host. Empty (default) leaves forms without an
+ *                              endpoint; an export request can pass its own.
+ */
+
+import 'dotenv/config';
+
+export const isFormAction = (value) => /^https?:\/\/[^\s"'<>]+$/i.test(value) || /^\/[^\s"'<>]*$/.test(value);
+
+const raw = process.env.STATIC_EXPORT_FORM_ACTION;
+const formAction = raw === undefined || raw === '' ? null : raw;
+
+if (formAction !== null && !isFormAction(formAction)) {
+  throw new Error(`Invalid STATIC_EXPORT_FORM_ACTION "${raw}". Expected an http(s) URL or a path starting with "/".`);
+}
+
+export const staticExportConfig = {
+  formAction
+};
+
+export default staticExportConfig;
@@ -0,0 +1,35 @@
+/**
+ * storageConfig.js
+ * ----------------
+ * Selects the storage backend used by every controller and service.
+ *
+ * Environment variables:
+ * - STORAGE_BACKEND    "firestore" (default) or "local"
+ * - LOCAL_STORAGE_DIR  Optional directory for the local backend. When set, each
+ *                      database is persisted to <dir>/<dbName>.json and uploaded
+ *                      assets are written under <dir>/bucket/. When unset, the
+ *                      local backend is purely in-memory (used by the Jest suite).
+ */
+
+import 'dotenv/config';
+import path from 'path';
+
+export const STORAGE_BACKENDS = ['firestore', 'local'];
+
+const backend = (process.env.STORAGE_BACKEND || 'firestore').trim().toLowerCase();
+
+if (!STORAGE_BACKENDS.includes(backend)) {
+  throw new Error(`Unknown STORAGE_BACKEND "${backend}". Expected one of: ${STORAGE_BACKENDS.join(', ')}`);
+}
+
+const localDir = process.env.LOCAL_STORAGE_DIR
+  ? path.resolve(process.cwd(), process.env.LOCAL_STORAGE_DIR)
+  : null;
+
+export const storageConfig = {
+  backend,
+  localDir,
+  bucketName: process.env.FIREBASE_STORAGE_BUCKET || 'wordfun-dcd3b.firebasestorage.app'
+};
+
+export default storageConfig;
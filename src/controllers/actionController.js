@@ -10,24 +10,22 @@
  * - POST   /api/actions/save          - Save/update an action in library
  * - GET    /api/actions/:appName      - Get all actions for an app
  * - GET    /api/actions/:appName/:actionId - Get specific action
- * - DELETE /api/actions/:appName/:actionId - Delete an action
+ * - DELETE /api/actions/:appName/:actionId - Delete an action (409 while in use)
  * - GET    /api/actions/:appName/by-tag/:tag - Get actions by tag
+ *
+ * Reads carry a revision token (ETag header and `revisionToken`); saves that
+ * send it back via If-Match or expectedRevision get 409 when it is stale.
  */
 
 import { ok, created, fail } from "../utils/responseHandler.js";
 import { AppError } from "../utils/errorHandler.js";
-import { requireFields } from "../utils/validator.js";
+import { requireFields, stripIdentityFields } from "../utils/validator.js";
 import firestoreService from "../services/firestoreService.js";
+import { environmentService } from "../services/environmentService.js";
+import { concurrencyService } from "../services/concurrencyService.js";
+import { usageService } from "../services/usageService.js";
 import logger from "../services/loggerService.js";
 
-/**
- * Normalize app name to collection prefix
- * Examples: "Rama2" -> "rama2", "My App" -> "myapp"
- */
-const normalizeAppName = (appName) => {
-  return appName.trim().toLowerCase().replace(/[^a-z0-9]+/g, "");
-};
-
 /**
  * POST /api/actions/save
  * ======================
@@ -38,28 +36,31 @@ const normalizeAppName = (appName) => {
  * {
  *   appName: string,       // e.g., "MyApp"
  *   actionId: string,      // e.g., "welcome_msg_v1"
- *   actionData: object     // Action configuration and metadata
+ *   actionData: object,    // Action configuration and metadata
+ *   expectedRevision?: string // or If-Match: token from the last read
  * }
  * 
  * What it does:
  * 1. Validates required fields
- * 2. Saves/updates action in `{appName}_actions` collection
+ * 2. Saves/updates action in `{appName}_actions` collection (409 with the
+ *    current action if the expected revision is stale)
  * 
- * Response: { appName, actionId }
+ * Response: { appName, actionId, revisionToken }
  */
 export const saveAction = async (req, res, next) => {
   try {
     const { appName, actionId, actionData } = req.body || {};
     requireFields({ appName, actionId, actionData }, ["appName", "actionId", "actionData"]);
 
-    const appPrefix = normalizeAppName(appName);
-    const collectionName = `${appPrefix}_actions`;
+    const { appPrefix } = req.appAccess;
+    const collectionName = environmentService.collectionName(appPrefix, "actions", req.appAccess.environment);
 
     // Add metadata
     const enrichedData = {
-      ...actionData,
+      ...stripIdentityFields(actionData),
       actionId,
       appName,
+      updatedBy: req.user.uid,
       updatedAt: new Date().toISOString(),
       reusable: true
     };
@@ -69,14 +70,17 @@ export const saveAction = async (req, res, next) => {
       enrichedData.createdAt = new Date().toISOString();
     }
 
-    const result = await firestoreService.upsertDoc(collectionName, actionId, enrichedData);
-
-    if (!result.success) {
-      return fail(res, 500, "Failed to save action", { error: result.error });
-    }
+    const saved = await concurrencyService.upsertIfCurrent({
+      what: "Action",
+      collectionName,
+      docId: actionId,
+      data: enrichedData,
+      expected: concurrencyService.expectedRevision(req)
+    });
 
+    concurrencyService.setEtag(res, saved);
     logger.info(`[ActionController] Action saved to JAYRAM: ${appName}/${actionId}`);
-    return created(res, { appName, actionId }, "Action saved to library successfully");
+    return created(res, { appName, actionId, revisionToken: saved.revisionToken }, "Action saved to library successfully");
   } catch (err) {
     return next(err instanceof AppError ? err : new AppError(err.message || "Save action failed", 500));
   }
@@ -97,8 +101,8 @@ export const getActionsByApp = async (req, res, next) => {
     const { appName } = req.params;
     requireFields({ appName }, ["appName"]);
 
-    const appPrefix = normalizeAppName(appName);
-    const collectionName = `${appPrefix}_actions`;
+    const { appPrefix } = req.appAccess;
+    const collectionName = environmentService.collectionName(appPrefix, "actions", req.appAccess.environment);
     const result = await firestoreService.listDocs(collectionName);
 
     if (!result.success) {
@@ -109,7 +113,7 @@ export const getActionsByApp = async (req, res, next) => {
     const actions = (result.data || []).filter(action => action.id !== '_init');
 
     logger.info(`[ActionController] Fetched ${actions.length} actions for app: ${appName}`);
-    return ok(res, actions, `Fetched ${actions.length} actions from library`);
+    return ok(res, actions.map(concurrencyService.present), `Fetched ${actions.length} actions from library`);
   } catch (err) {
     return next(err instanceof AppError ? err : new AppError(err.message || "Fetch actions failed", 500));
   }
@@ -122,15 +126,15 @@ export const getActionsByApp = async (req, res, next) => {
  * 
  * URL params: appName, actionId
  * 
- * Response: Action object
+ * Response: Action object with its revisionToken (also the ETag)
  */
 export const getAction = async (req, res, next) => {
   try {
     const { appName, actionId } = req.params;
     requireFields({ appName, actionId }, ["appName", "actionId"]);
 
-    const appPrefix = normalizeAppName(appName);
-    const collectionName = `${appPrefix}_actions`;
+    const { appPrefix } = req.appAccess;
+    const collectionName = environmentService.collectionName(appPrefix, "actions", req.appAccess.environment);
     const result = await firestoreService.getDoc(collectionName, actionId);
 
     if (!result.success || !result.data) {
@@ -138,7 +142,8 @@ export const getAction = async (req, res, next) => {
     }
 
     logger.info(`[ActionController] Fetched action: ${appName}/${actionId}`);
-    return ok(res, result.data, "Action fetched successfully");
+    concurrencyService.setEtag(res, result.data);
+    return ok(res, concurrencyService.present(result.data), "Action fetched successfully");
   } catch (err) {
     return next(err instanceof AppError ? err : new AppError(err.message || "Fetch action failed", 500));
   }
@@ -150,16 +155,23 @@ export const getAction = async (req, res, next) => {
  * Delete an action from the action library
  * 
  * URL params: appName, actionId
+ * Query params: force=true to delete an action that is still in use
+ * 
+ * 409 with { usageCount, usages } while pages, components or processes
+ * reference it (see usageService).
  * 
- * Response: { message }
+ * Response: { appName, actionId, usages } – usages left dangling by a forced delete
  */
 export const deleteAction = async (req, res, next) => {
   try {
     const { appName, actionId } = req.params;
     requireFields({ appName, actionId }, ["appName", "actionId"]);
 
-    const appPrefix = normalizeAppName(appName);
-    const collectionName = `${appPrefix}_actions`;
+    const { appPrefix } = req.appAccess;
+    const collectionName = environmentService.collectionName(appPrefix, "actions", req.appAccess.environment);
+    const usages = await usageService.assertUnused(appPrefix, req.appAccess.environment, "action", actionId, {
+      force: req.query.force === "true"
+    });
     const result = await firestoreService.deleteDoc(collectionName, actionId);
 
     if (!result.success) {
@@ -167,7 +179,7 @@ export const deleteAction = async (req, res, next) => {
     }
 
     logger.info(`[ActionController] Action deleted: ${appName}/${actionId}`);
-    return ok(res, { appName, actionId }, "Action deleted from library successfully");
+    return ok(res, { appName, actionId, usages }, "Action deleted from library successfully");
   } catch (err) {
     return next(err instanceof AppError ? err : new AppError(err.message || "Delete action failed", 500));
   }
@@ -187,8 +199,8 @@ export const getActionsByTag = async (req, res, next) => {
     const { appName, tag } = req.params;
     requireFields({ appName, tag }, ["appName", "tag"]);
 
-    const appPrefix = normalizeAppName(appName);
-    const collectionName = `${appPrefix}_actions`;
+    const { appPrefix } = req.appAccess;
+    const collectionName = environmentService.collectionName(appPrefix, "actions", req.appAccess.environment);
     const result = await firestoreService.listDocs(collectionName);
 
     if (!result.success) {
@@ -203,7 +215,7 @@ export const getActionsByTag = async (req, res, next) => {
     );
 
     logger.info(`[ActionController] Fetched ${actions.length} actions with tag "${tag}" for app: ${appName}`);
-    return ok(res, actions, `Fetched ${actions.length} actions with tag: ${tag}`);
+    return ok(res, actions.map(concurrencyService.present), `Fetched ${actions.length} actions with tag: ${tag}`);
   } catch (err) {
     return next(err instanceof AppError ? err : new AppError(err.message || "Fetch actions by tag failed", 500));
   }
@@ -0,0 +1,108 @@
+/**
+ * App Bundle Controller
+ * =====================
+ * Export an app to a portable bundle and import bundles (backups, moving
+ * apps between Firebase projects). Format: src/schemas/appBundle.schema.json
+ *
+ * This controller is called from: /api/routes/appRoutes.js
+ * Uses: appBundleService for business logic
+ *
+ * Endpoints provided:
+ * - GET  /api/app/:appName/export  - Download the app as a JSON or zip bundle
+ * - POST /api/app/import           - Create (or overwrite) an app from a bundle
+ */
+
+import { ok, created } from '../utils/responseHandler.js';
+import { AppError } from '../utils/errorHandler.js';
+import { appBundleService, CONFLICT_STRATEGIES } from '../services/appBundleService.js';
+import { createLogger } from '../services/loggerService.js';
+
+// Create file-scoped logger
+const logger = createLogger(import.meta.url);
+
+const EXPORT_FORMATS = ['json', 'zip'];
+
+const isTrue = (value) => String(value) === 'true';
+
+/**
+ * GET /api/app/:appName/export
+ * ============================
+ * Query Params:
+ * - format:         "json" (default) | "zip"
+ * - includeRecords: "true" to add data table records
+ * - includeFiles:   "true" to add asset file bytes (base64 in json, entries in zip);
+ *                   otherwise only the asset manifest is exported
+ *
+ * Response: the bundle as an attachment (<appPrefix>.bundle.json | .zip)
+ */
+export const exportApp = async (req, res, next) => {
+  try {
+    const { appPrefix, app } = req.appAccess;
+    const format = req.query.format || 'json';
+    if (!EXPORT_FORMATS.includes(format)) {
+      throw new AppError(`format must be one of: ${EXPORT_FORMATS.join(', ')}`, 400);
+    }
+    const includeRecords = isTrue(req.query.includeRecords);
+    const includeFiles = isTrue(req.query.includeFiles);
+    logger.entry('exportApp', { appPrefix, format, includeRecords, includeFiles });
+
+    const exported = await appBundleService.exportApp(app, { includeRecords, includeFiles, exportedBy: req.user.uid });
+    const body = appBundleService.encode(exported, format);
+
+    logger.exit('exportApp', { appPrefix, bytes: body.length });
+    res.setHeader('Content-Type', format === 'zip' ? 'application/zip' : 'application/json');
+    res.setHeader('Content-Disposition', `attachment; filename="${appPrefix}.bundle.${format}"`);
+    return res.status(200).send(body);
+  } catch (err) {
+    logger.error('exportApp', 'Failed to export app', err);
+    return next(err instanceof AppError ? err : new AppError(err.message || 'Export app failed', 500));
+  }
+};
+
+/**
+ * POST /api/app/import
+ * ====================
+ * Either multipart/form-data with a `bundle` file (.json or .zip) plus the
+ * fields below, or a JSON body { bundle, appName?, onConflict? } for small
+ * bundles.
+ *
+ * Fields:
+ * - appName?:    import under this name instead of the one in the bundle
+ * - onConflict?: what to do when the app already exists
+ *                rename    – import as "<name> 2", "<name> 3", ...
+ *                overwrite – replace its content (owner only)
+ *                skip      – leave it alone
+ *                (omitted: 409)
+ *
+ * The caller owns an app created by the import.
+ * Response: { action, appName, appPrefix, skipped, collections, documents, records, files, filesMissing }
+ */
+export const importApp = async (req, res, next) => {
+  try {
+    const { appName, onConflict } = req.body || {};
+    if (onConflict && !CONFLICT_STRATEGIES.includes(onConflict)) {
+      throw new AppError(`onConflict must be one of: ${CONFLICT_STRATEGIES.join(', ')}`, 400);
+    }
+
+    let decoded;
+    if (req.file) {
+      decoded = appBundleService.decode(req.file.buffer);
+    } else if (req.body && req.body.bundle && typeof req.body.bundle === 'object') {
+      decoded = appBundleService.fromObject(req.body.bundle);
+    } else {
+      throw new AppError('Provide the bundle as a \'bundle\' file upload or JSON field', 400);
+    }
+    logger.entry('importApp', { appName, onConflict, source: decoded.bundle?.app?.appPrefix });
+
+    const result = await appBundleService.importBundle(decoded, { appName, onConflict, importedBy: req.user.uid });
+
+    logger.exit('importApp', { appPrefix: result.appPrefix, action: result.action });
+    if (result.skipped) {
+      return ok(res, result, 'App already exists; import skipped');
+    }
+    return created(res, result, result.action === 'overwrite' ? 'App overwritten from bundle' : 'App imported from bundle');
+  } catch (err) {
+    logger.error('importApp', 'Failed to import app', err);
+    return next(err instanceof AppError ? err : new AppError(err.message || 'Import app failed', 500));
+  }
+};
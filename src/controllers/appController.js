@@ -10,7 +10,13 @@
  * - POST   /api/app/create     - Create new app with 4 collections
  * - GET    /api/app/list       - List all apps with metadata
  * - GET    /api/app/:appName   - Get specific app details
- * - DELETE /api/app/:appName   - Delete app and all collections
+ * - GET    /api/app/archived   - List the user's archived apps
+ * - DELETE /api/app/:appName   - Archive app (?permanent=true: cascade delete job)
+ * - POST   /api/app/:appName/restore - Restore an archived app
+ * - POST   /api/app/:appName/clone   - Copy an app into a new one (background job)
+ * - POST   /api/app/:appName/rename  - Rename an app (optionally migrating its prefix)
+ * - POST   /api/app/jobs/:jobId/resume - Resume an interrupted rename job
+ * - GET    /api/app/jobs/:jobId - Progress of a background app job
  */
 
 import { ok, created, fail } from "../utils/responseHandler.js";
@@ -19,6 +25,13 @@ import { requireFields } from "../utils/validator.js";
 import AppService from "../services/appService.js";
 import firestoreService from "../services/firestoreService.js";
 import { createLogger } from "../services/loggerService.js";
+import { APP_STATUS, toAppPrefix } from "../services/accessService.js";
+import { normalizeRole, ROLES } from "../config/roles.js";
+import { appDeletionService } from "../services/appDeletionService.js";
+import { appCloneService } from "../services/appCloneService.js";
+import { appRenameService } from "../services/appRenameService.js";
+import { jobService } from "../services/jobService.js";
+import { retentionConfig } from "../config/retentionConfig.js";
 
 // Create file-scoped logger
 const logger = createLogger(import.meta.url);
@@ -35,9 +48,10 @@ const appService = new AppService({ firestore: firestoreService });
  * Request Body:
  * {
  *   appName: string,      // e.g., "My Event App"
- *   description?: string, // Optional app description
- *   createdBy: string     // uid of logged-in user (added in 2025-10-18 update)
+ *   description?: string  // Optional app description
  * }
+ * The owner (createdBy) is the authenticated user (req.user.uid); any
+ * createdBy sent in the body is ignored.
  * 
  * What it does:
  * 1. Normalizes app name to prefix (e.g., "My Event App" -> "myeventapp")
@@ -55,11 +69,12 @@ export const createApp = async (req, res, next) => {
   logger.entry("createApp", { body: req.body });
   
   try {
-    const { appName, description = "", createdBy } = req.body || {};
+    const { appName, description = "" } = req.body || {};
+    const createdBy = req.user.uid;
     logger.info("createApp", "Validating request", { appName, createdBy });
 
     // Validate required fields
-    requireFields({ appName, createdBy }, ["appName", "createdBy"]);
+    requireFields({ appName }, ["appName"]);
     logger.info("createApp", "Validation passed");
 
     // Call AppService to create app in JAYRAM database
@@ -84,6 +99,34 @@ export const createApp = async (req, res, next) => {
   }
 };
 
+/**
+ * Apps the user owns (apps_meta.createdBy) plus apps shared with them through
+ * mudumbai.app_users, each tagged with the caller's `role`. Any status.
+ */
+const findAppsForUser = async (uid) => {
+  // Step 1: Fetch apps created by this user in jayram.apps_meta
+  const result = await firestoreService.queryDocs("apps_meta", "createdBy", "==", uid);
+  let apps = (result.success ? result.data : []).map(app => ({ ...app, role: ROLES.OWNER }));
+
+  // Step 2: Add apps shared with this user through mudumbai.app_users memberships
+  const mappingResult = await firestoreService.queryDocs("app_users", "uid", "==", uid, "mudumbai");
+  const ownedPrefixes = new Set(apps.map(app => app.appPrefix));
+  const shared = (mappingResult.success ? mappingResult.data : [])
+    .filter(m => !m.status || m.status === "active")
+    .map(m => ({ appPrefix: toAppPrefix(m.appPrefix || m.appName), role: normalizeRole(m.role) }))
+    .filter(m => m.appPrefix && m.role && !ownedPrefixes.has(m.appPrefix));
+
+  if (shared.length > 0) {
+    const roleByPrefix = new Map(shared.map(m => [m.appPrefix, m.role]));
+    const metaResult = await firestoreService.getDocsByIds("apps_meta", [...roleByPrefix.keys()]);
+    const sharedApps = (metaResult.success ? metaResult.data : [])
+      .map(app => ({ ...app, role: roleByPrefix.get(app.appPrefix || app.id) }));
+    apps = apps.concat(sharedApps);
+  }
+
+  return apps;
+};
+
 /**
  * GET /api/app/list
  * =================
@@ -91,7 +134,9 @@ export const createApp = async (req, res, next) => {
  * Called from: Frontend Dashboard via apiService.getAllApps()
  * 
  * What it does:
- * 1. Fetches apps belonging to current user (by createdBy or app_users mapping)
+ * 1. Fetches apps owned by the authenticated user (createdBy) plus apps shared
+ *    with them via mudumbai.app_users; each app carries the caller's `role`.
+ *    Archived apps and apps being deleted are left out (see GET /api/app/archived)
  * 2. For each app, counts pages in {appPrefix}_pages collection
  * 3. Returns enhanced app list with page counts
  * 
@@ -112,34 +157,13 @@ export const listApps = async (req, res, next) => {
   logger.entry("listApps", { query: req.query });
   
   try {
-    const { createdBy } = req.query;
-    
-    if (!createdBy) {
-      logger.warn("listApps", "Missing createdBy parameter");
-      return fail(res, 400, "Missing required parameter: createdBy (uid)");
-    }
+    const createdBy = req.user.uid;
 
     logger.info("listApps", "Fetching apps for user", { createdBy });
 
-    // Step 1: Fetch apps created by this user in jayram.apps_meta
-    logger.debug("listApps", "Querying apps_meta collection");
-    const result = await firestoreService.queryDocs("apps_meta", "createdBy", "==", createdBy);
-    let apps = result.success ? result.data : [];
-    logger.info("listApps", "Direct ownership query result", { count: apps.length });
-
-    // Step 2: If user not direct owner, fallback to mudumbai.app_users mapping
-    if (apps.length === 0) {
-      logger.debug("listApps", "No direct apps found, checking user mappings");
-      const mappingResult = await firestoreService.queryDocs("app_users", "uid", "==", createdBy, "mudumbai");
-      
-      if (mappingResult.success && mappingResult.data.length > 0) {
-        logger.info("listApps", "Found user mappings", { count: mappingResult.data.length });
-        const prefixes = mappingResult.data.map(m => m.appPrefix);
-        const metaResult = await firestoreService.getDocsByIds("apps_meta", prefixes);
-        apps = metaResult.success ? metaResult.data : [];
-        logger.info("listApps", "Fetched apps via mappings", { count: apps.length });
-      }
-    }
+    const allApps = await findAppsForUser(createdBy);
+    const apps = allApps.filter(app => ![APP_STATUS.ARCHIVED, APP_STATUS.DELETING].includes(app.status));
+    logger.info("listApps", "Apps found for user", { total: allApps.length, active: apps.length });
 
     if (!apps || apps.length === 0) {
       logger.info("listApps", "No apps found for user", { createdBy });
@@ -177,6 +201,33 @@ export const listApps = async (req, res, next) => {
   }
 };
 
+/**
+ * GET /api/app/archived
+ * =====================
+ * Archived apps the authenticated user owns or is a member of, with the
+ * date each becomes eligible for purge.
+ *
+ * Response: [{ appName, appPrefix, role, archivedAt, archivedBy, purgeAfter, ... }]
+ */
+export const listArchivedApps = async (req, res, next) => {
+  logger.entry("listArchivedApps", {});
+
+  try {
+    const apps = (await findAppsForUser(req.user.uid))
+      .filter(app => app.status === APP_STATUS.ARCHIVED)
+      .map(app => ({
+        ...app,
+        purgeAfter: new Date(Date.parse(app.archivedAt) + retentionConfig.retentionDays * 24 * 3600 * 1000).toISOString()
+      }));
+
+    logger.exit("listArchivedApps", { count: apps.length });
+    return ok(res, apps, "Archived apps fetched for this user");
+  } catch (err) {
+    logger.error("listArchivedApps", "Failed to list archived apps", err);
+    return next(new AppError(err.message || "List archived apps failed", 500));
+  }
+};
+
 /**
  * GET /api/app/:appName
  * =====================
@@ -195,8 +246,7 @@ export const getApp = async (req, res, next) => {
       return fail(res, 400, "App name is required");
     }
 
-    // Normalize to app prefix for lookup
-    const appPrefix = appName.trim().toLowerCase().replace(/[^a-z0-9]+/g, "");
+    const { appPrefix } = req.appAccess;
     const result = await firestoreService.getDoc("apps_meta", appPrefix);
 
     if (!result.success) {
@@ -213,68 +263,246 @@ export const getApp = async (req, res, next) => {
 /**
  * DELETE /api/app/:appName
  * ========================
- * Delete an app and all its collections from JAYRAM database
+ * Archive (soft delete) an app, or permanently delete an archived one
  * Called from: Frontend Dashboard via apiService.deleteApp()
  * 
  * URL Params:
  * - appName: string  // e.g., "My Event App" or "myeventapp"
+ *
+ * Query Params:
+ * - permanent: "true" to hard-delete now instead of waiting for the purge job
+ *              (app must already be archived)
+ * - dryRun:    "true" with permanent to only list what would be removed
  * 
  * What it does:
- * 1. Fetches app metadata to get collection names
- * 2. Deletes all documents in each collection:
- *    - {appPrefix}_pages
- *    - {appPrefix}_components
- *    - {appPrefix}_layouts
- *    - {appPrefix}_theme
- * 3. Deletes app metadata document
+ * 1. Default: sets apps_meta.status = "archived". Data is kept, the app turns
+ *    read-only and can be restored until the retention period
+ *    (APP_RETENTION_DAYS) ends; the purge job then hard-deletes it.
+ * 2. permanent: starts the cascade deletion job (see appDeletionService.js)
+ *    and returns it (202); poll GET /api/app/jobs/:jobId for progress.
  * 
- * Response: { appName }
+ * Response: { appName, archivedAt, purgeAfter } | { appName, plan } | { appName, job }
  */
 export const deleteApp = async (req, res, next) => {
   try {
     const { appName } = req.params;
-    if (!appName) {
-      return fail(res, 400, "App name is required");
+    const { appPrefix, app } = req.appAccess;
+    const permanent = String(req.query.permanent) === "true";
+    const dryRun = String(req.query.dryRun) === "true";
+    logger.entry("deleteApp", { appPrefix, permanent, dryRun });
+
+    if (!permanent) {
+      const archived = await appService.archiveApp(appPrefix, req.user.uid, retentionConfig.retentionDays);
+      logger.exit("deleteApp", { appPrefix, archived: true });
+      return ok(res, { appName, ...archived }, "App archived; restore it before it is purged");
     }
 
-    // Normalize to app prefix
-    const appPrefix = appName.trim().toLowerCase().replace(/[^a-z0-9]+/g, "");
+    if (dryRun) {
+      const { plan } = await appDeletionService.deleteApp(appPrefix, { dryRun, actor: req.user.uid });
+      logger.exit("deleteApp", { appPrefix, dryRun, totals: plan.totals });
+      return ok(res, { appName, plan }, "Dry run: nothing was deleted");
+    }
 
-    // Get app metadata first to know which collections to delete
-    const appResult = await firestoreService.getDoc("apps_meta", appPrefix);
-    if (!appResult.success) {
-      return fail(res, 404, "App not found in JAYRAM database");
+    if (app.status !== APP_STATUS.ARCHIVED) {
+      return fail(res, 409, "Archive the app before deleting it permanently", { appPrefix, status: app.status });
     }
 
-    const app = appResult.data;
-    const collections = app.collections || [
-      `${appPrefix}_pages`,
-      `${appPrefix}_components`,
-      `${appPrefix}_layouts`,
-      `${appPrefix}_theme`
-    ];
-
-    // Delete all documents in each collection
-    for (const collectionName of collections) {
-      try {
-        const docsResult = await firestoreService.listDocs(collectionName);
-        if (docsResult.success && docsResult.data) {
-          for (const doc of docsResult.data) {
-            await firestoreService.deleteDoc(collectionName, doc.id);
-          }
-        }
-        logger.info(`[AppController] Deleted collection from JAYRAM: ${collectionName}`);
-      } catch (e) {
-        logger.warn(`[AppController] Failed to delete collection ${collectionName}: ${e.message}`);
-      }
+    const job = await jobService.createJob({
+      type: "app.delete",
+      appPrefix,
+      params: { appName },
+      createdBy: req.user.uid
+    });
+    jobService.start(job, (j, reportProgress) =>
+      appDeletionService.deleteApp(appPrefix, { actor: req.user.uid, jobId: j.id, onProgress: reportProgress })
+    );
+
+    logger.exit("deleteApp", { appPrefix, jobId: job.id });
+    return ok(res, { appName, job }, "App deletion started", 202);
+  } catch (err) {
+    logger.error("deleteApp", "Failed to delete app", err);
+    return next(err instanceof AppError ? err : new AppError(err.message || "Delete app failed", 500));
+  }
+};
+
+/**
+ * POST /api/app/:appName/restore
+ * ==============================
+ * Bring an archived app back to "active" (owner only)
+ *
+ * Response: { appName, appPrefix, status, restoredAt, restoredBy }
+ */
+export const restoreApp = async (req, res, next) => {
+  try {
+    const { appName } = req.params;
+    const { appPrefix } = req.appAccess;
+    logger.entry("restoreApp", { appPrefix });
+
+    const restored = await appService.restoreApp(appPrefix, req.user.uid);
+
+    logger.exit("restoreApp", { appPrefix });
+    return ok(res, { appName, ...restored }, "App restored");
+  } catch (err) {
+    logger.error("restoreApp", "Failed to restore app", err);
+    return next(err instanceof AppError ? err : new AppError(err.message || "Restore app failed", 500));
+  }
+};
+
+/**
+ * POST /api/app/:appName/clone
+ * ============================
+ * Start a new app from an existing one. The caller owns the clone.
+ *
+ * Request Body:
+ * {
+ *   newAppName: string,         // e.g., "My Event App 2"
+ *   description?: string,       // defaults to the source app's description
+ *   includeRecords?: boolean    // also copy data table records (default false)
+ * }
+ *
+ * What it does:
+ * 1. Creates the new app via AppService (fails with 409 if the name is taken)
+ * 2. Starts an "app.clone" job that copies pages, components, layouts, theme,
+ *    actions, validations, processes, data schemas (new schemaIds and
+ *    internalNames), optionally records, and assets, rewriting references to
+ *    the source app (see appCloneService.js)
+ *
+ * Response (202): { appName, appPrefix, sourceAppPrefix, job } – poll GET /api/app/jobs/:jobId
+ */
+export const cloneApp = async (req, res, next) => {
+  try {
+    const { newAppName, description, includeRecords = false } = req.body || {};
+    requireFields({ newAppName }, ["newAppName"]);
+
+    const { appPrefix: sourcePrefix, app: source } = req.appAccess;
+    logger.entry("cloneApp", { sourcePrefix, newAppName, includeRecords });
+
+    const { appPrefix } = await appService.createCloneTarget(source, newAppName, req.user.uid, description);
+
+    const job = await jobService.createJob({
+      type: "app.clone",
+      appPrefix,
+      params: { sourceAppPrefix: sourcePrefix, includeRecords: Boolean(includeRecords) },
+      createdBy: req.user.uid
+    });
+    jobService.start(job, (_job, reportProgress) =>
+      appCloneService.cloneApp({
+        source: { ...source, appPrefix: sourcePrefix },
+        target: { appPrefix, appName: newAppName },
+        includeRecords: Boolean(includeRecords),
+        onProgress: reportProgress
+      })
+    );
+
+    logger.exit("cloneApp", { sourcePrefix, appPrefix, jobId: job.id });
+    return ok(res, { appName: newAppName, appPrefix, sourceAppPrefix: sourcePrefix, job }, "App clone started", 202);
+  } catch (err) {
+    logger.error("cloneApp", "Failed to clone app", err);
+    return next(err instanceof AppError ? err : new AppError(err.message || "Clone app failed", 500));
+  }
+};
+
+/**
+ * POST /api/app/:appName/rename
+ * =============================
+ * Rename an app (owner only)
+ *
+ * Request Body:
+ * {
+ *   newAppName: string,
+ *   migratePrefix?: boolean  // default false
+ * }
+ *
+ * What it does:
+ * - Default: changes apps_meta.appName only. The prefix stays, so keep
+ *   addressing the app by its appPrefix afterwards.
+ * - migratePrefix: moves every {prefix}_* collection, data-table internalName,
+ *   asset file and app_users/app_invitations entry to the prefix derived from
+ *   newAppName in an "app.rename" job (see appRenameService.js). The app is
+ *   read-only meanwhile; a failure rolls the move back.
+ *
+ * Response: 200 { appPrefix, appName, ... } | 202 { appName, appPrefix, fromPrefix, job }
+ */
+export const renameApp = async (req, res, next) => {
+  try {
+    const { newAppName, migratePrefix = false } = req.body || {};
+    requireFields({ newAppName }, ["newAppName"]);
+
+    const { appPrefix, app } = req.appAccess;
+    logger.entry("renameApp", { appPrefix, newAppName, migratePrefix });
+
+    if (!migratePrefix) {
+      const renamed = await appRenameService.renameDisplayName(app, newAppName, req.user.uid);
+      logger.exit("renameApp", { appPrefix, newAppName });
+      return ok(res, renamed, "App renamed");
+    }
+
+    // Reserves the new prefix; released again if the job cannot be created
+    const plan = await appRenameService.planMigration(app, newAppName);
+    let job;
+    try {
+      job = await jobService.createJob({
+        type: "app.rename",
+        appPrefix,
+        params: plan,
+        createdBy: req.user.uid
+      });
+    } catch (err) {
+      await appRenameService.releaseTarget(plan);
+      throw err;
+    }
+    jobService.start(job, (j, reportProgress) => appRenameService.migratePrefix(j, reportProgress));
+
+    logger.exit("renameApp", { appPrefix, toPrefix: plan.toPrefix, jobId: job.id });
+    return ok(res, { appName: newAppName, appPrefix: plan.toPrefix, fromPrefix: appPrefix, job }, "App rename started", 202);
+  } catch (err) {
+    logger.error("renameApp", "Failed to rename app", err);
+    return next(err instanceof AppError ? err : new AppError(err.message || "Rename app failed", 500));
+  }
+};
+
+/**
+ * POST /api/app/jobs/:jobId/resume
+ * ================================
+ * Continue an "app.rename" job that was interrupted (server restart) or that
+ * failed after the new prefix went live. Only the job's creator may resume it.
+ *
+ * Response (202): { job }
+ */
+export const resumeAppJob = async (req, res, next) => {
+  try {
+    const job = await jobService.getJob(req.params.jobId);
+    if (!job || job.createdBy !== req.user.uid) {
+      return fail(res, 404, "Job not found");
+    }
+    if (!appRenameService.canResume(job)) {
+      return fail(res, 409, "Job cannot be resumed", { status: job.status, type: job.type });
     }
 
-    // Delete app metadata
-    await firestoreService.deleteDoc("apps_meta", appPrefix);
+    jobService.start(job, (j, reportProgress) => appRenameService.migratePrefix(j, reportProgress));
+    logger.info("resumeAppJob", "Job resumed", { jobId: job.id, phase: job.progress?.phase });
+    return ok(res, { job }, "Job resumed", 202);
+  } catch (err) {
+    return next(new AppError(err.message || "Resume job failed", 500));
+  }
+};
 
-    logger.info(`[AppController] App deleted from JAYRAM: ${appName}`);
-    return ok(res, { appName }, "App and all collections deleted successfully");
+/**
+ * GET /api/app/jobs/:jobId
+ * ========================
+ * Status and progress of a background app job (e.g. deletion).
+ * Only the user who started the job can see it.
+ *
+ * Response: { id, type, appPrefix, status, progress, result?, error?, ... }
+ */
+export const getAppJob = async (req, res, next) => {
+  try {
+    const job = await jobService.getJob(req.params.jobId);
+    if (!job || job.createdBy !== req.user.uid) {
+      return fail(res, 404, "Job not found");
+    }
+    return ok(res, job, "Job fetched successfully");
   } catch (err) {
-    return next(new AppError(err.message || "Delete app failed", 500));
+    return next(new AppError(err.message || "Get job failed", 500));
   }
 };
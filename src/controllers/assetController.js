@@ -6,22 +6,17 @@
  */
 
 import assetService from '../services/assetService.js';
-import { db } from '../config/firebaseConfig.js';
+import { getDb } from '../services/storageAdapter.js';
 import { logger } from '../utils/logger.js';
 import { ok, created, fail } from '../utils/responseHandler.js';
+import { usageService } from '../services/usageService.js';
 
-/**
- * Normalize app name to collection prefix
- * Examples: "Rama2" -> "rama2", "My App" -> "myapp"
- */
-const normalizeAppName = (appName) => {
-  return appName.trim().toLowerCase().replace(/[^a-z0-9]+/g, "");
-};
+const db = getDb('jayram');
 
 /**
  * Upload a new asset
  * POST /api/assets/upload
- * Body: multipart/form-data with file, appId, description, uploadedBy
+ * Body: multipart/form-data with file, appId, description (uploadedBy is the authenticated user)
  */
 export const uploadAsset = async (req, res) => {
   try {
@@ -35,23 +30,24 @@ export const uploadAsset = async (req, res) => {
       return fail(res, 400, 'No file uploaded');
     }
 
-    const { appId, description = '', uploadedBy = 'unknown' } = req.body;
+    const { appId, description = '' } = req.body;
+    const uploadedBy = req.user.uid;
 
     if (!appId) {
       return fail(res, 400, 'appId is required');
     }
 
-    // Upload to Firebase Storage
+    // Upload to Firebase Storage, under the prefix of the app that was authorized
+    const { appPrefix } = req.appAccess;
     const assetData = await assetService.uploadAsset(
       req.file.buffer,
       req.file.originalname,
       req.file.mimetype,
-      appId,
+      appPrefix,
       { description, uploadedBy }
     );
 
     // Store metadata in Firestore
-    const appPrefix = normalizeAppName(appId);
     const collectionName = `${appPrefix}_assets`;
     const assetRef = db.collection(collectionName).doc();
     
@@ -93,7 +89,7 @@ export const listAssets = async (req, res) => {
     }
 
     // Get metadata from Firestore
-    const appPrefix = normalizeAppName(appId);
+    const { appPrefix } = req.appAccess;
     const collectionName = `${appPrefix}_assets`;
     let query = db.collection(collectionName);
     
@@ -135,7 +131,7 @@ export const getAsset = async (req, res) => {
       return fail(res, 400, 'appId and assetId are required');
     }
 
-    const appPrefix = normalizeAppName(appId);
+    const { appPrefix } = req.appAccess;
     const collectionName = `${appPrefix}_assets`;
     const doc = await db.collection(collectionName).doc(assetId).get();
 
@@ -167,7 +163,7 @@ export const deleteAsset = async (req, res) => {
     }
 
     // Get asset metadata from Firestore
-    const appPrefix = normalizeAppName(appId);
+    const { appPrefix } = req.appAccess;
     const collectionName = `${appPrefix}_assets`;
     const doc = await db.collection(collectionName).doc(assetId).get();
 
@@ -177,6 +173,17 @@ export const deleteAsset = async (req, res) => {
 
     const asset = doc.data();
 
+    // Refuse while pages, components or processes of any environment use it
+    const usages = await usageService.usagesOf(appPrefix, req.appAccess.environment, 'asset', assetId);
+    if (usages.length && req.query.force !== 'true') {
+      return fail(res, 409, `Asset is still used by ${usages.length} item(s); pass force=true to delete it anyway`, {
+        type: 'asset',
+        id: assetId,
+        usageCount: usages.length,
+        usages
+      });
+    }
+
     // Delete from Firebase Storage
     await assetService.deleteAsset(asset.path);
 
@@ -184,7 +191,7 @@ export const deleteAsset = async (req, res) => {
     await db.collection(collectionName).doc(assetId).delete();
 
     logger.log('[AssetController] Asset deleted successfully', { assetId });
-    return ok(res, { data: { id: assetId } }, 'Asset deleted successfully');
+    return ok(res, { data: { id: assetId, usages } }, 'Asset deleted successfully');
   } catch (error) {
     logger.error('[AssetController] Delete failed', { error: error.message });
     return fail(res, 500, error.message);
@@ -231,7 +238,7 @@ export const updateAssetMetadata = async (req, res) => {
       return fail(res, 400, 'appId and assetId are required');
     }
 
-    const appPrefix = normalizeAppName(appId);
+    const { appPrefix } = req.appAccess;
     const collectionName = `${appPrefix}_assets`;
     const docRef = db.collection(collectionName).doc(assetId);
     const doc = await docRef.get();
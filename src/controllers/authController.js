@@ -1,5 +1,5 @@
 // 🔧 fixed/updated by ChatGPT on 2025-10-18 01:55:00 – reason: Added complete authentication controller using Firebase Auth + Firestore (mudumbaiDb) for user roles and profiles (START)
-import { mudumbaiDb, defaultAuth } from "../config/firebaseAdmin.js";
+import { getDb, getAuth } from "../services/storageAdapter.js";
 import { ok, created, fail } from "../utils/responseHandler.js";
 import { AppError } from "../utils/errorHandler.js";
 import logger from "../services/loggerService.js";
@@ -16,6 +16,9 @@ import logger from "../services/loggerService.js";
 const USERS_COLLECTION = "users";
 const APP_USERS_COLLECTION = "app_users";
 
+const mudumbaiDb = getDb("mudumbai");
+const defaultAuth = getAuth();
+
 /**
  * POST /api/auth/signup
  * Creates Firebase Auth user + Firestore profile
@@ -54,12 +57,11 @@ export const signup = async (req, res, next) => {
 
 /**
  * POST /api/auth/login
- * Verifies Firebase Auth user and fetches Firestore profile
+ * Fetches the Firestore profile of the user identified by the bearer token
  */
 export const login = async (req, res, next) => {
   try {
-    const { uid } = req.body; // frontend sends Firebase uid after login
-    if (!uid) return fail(res, 400, "Missing user UID");
+    const { uid } = req.user; // resolved from the verified ID token, never the body
 
     const userDoc = await mudumbaiDb.collection(USERS_COLLECTION).doc(uid).get();
     if (!userDoc.exists) return fail(res, 404, "User not found");
@@ -73,12 +75,13 @@ export const login = async (req, res, next) => {
 
 /**
  * POST /api/auth/google
- * Handles Google OAuth sign-in
+ * Handles Google OAuth sign-in (identity comes from the verified ID token)
  */
 export const googleAuth = async (req, res, next) => {
   try {
-    const { uid, email, displayName } = req.body;
-    if (!uid || !email) return fail(res, 400, "Invalid Google user payload");
+    const { uid, email } = req.user;
+    const displayName = req.user.name || req.body.displayName || "";
+    if (!email) return fail(res, 400, "Invalid Google user payload");
 
     const userRef = mudumbaiDb.collection(USERS_COLLECTION).doc(uid);
     const existing = await userRef.get();
@@ -105,7 +108,7 @@ export const googleAuth = async (req, res, next) => {
 
 /**
  * GET /api/auth/users
- * Returns list of all users (admin-only)
+ * Returns list of all users (platform admins only, see requirePlatformAdmin)
  */
 export const listUsers = async (_req, res, next) => {
   try {
@@ -119,7 +122,7 @@ export const listUsers = async (_req, res, next) => {
 
 /**
  * PATCH /api/auth/:uid/role
- * Updates a user role (admin only)
+ * Updates a user role (platform admins only, see requirePlatformAdmin)
  */
 export const updateRole = async (req, res, next) => {
   try {
@@ -2,7 +2,7 @@
  * Bulk Operations Controller
  * Handles bulk create, update, and delete operations
  */
-import { jayramDb as db } from '../config/firebaseAdmin.js';
+import { getDb } from '../services/storageAdapter.js';
 import { created, ok, fail } from '../utils/responseHandler.js';
 import { createLogger } from '../services/loggerService.js';
 import {
@@ -16,6 +16,7 @@ import {
 import { validateRecord } from '../services/fieldValidationService.js';
 
 const logger = createLogger(import.meta.url);
+const db = getDb('jayram');
 
 /**
  * POST /api/data-records/bulk-create
@@ -23,7 +24,8 @@ const logger = createLogger(import.meta.url);
  */
 export async function bulkCreateRecords(req, res) {
   try {
-    const { appId, schemaId, userId, records, appPrefix } = req.body;
+    const { appId, schemaId, records, appPrefix } = req.body;
+    const userId = req.user.uid;
 
     logger.info('bulkCreateRecords', 'Bulk creating records', {
       appId,
@@ -32,9 +34,9 @@ export async function bulkCreateRecords(req, res) {
     });
 
     // Validation
-    if (!appId || !schemaId || !userId || !records || !appPrefix) {
+    if (!appId || !schemaId || !records || !appPrefix) {
       return fail(res, 400, 'INVALID_INPUT', {
-        details: 'appId, schemaId, userId, records, and appPrefix are required'
+        details: 'appId, schemaId, records, and appPrefix are required'
       });
     }
 
@@ -57,7 +59,7 @@ export async function bulkCreateRecords(req, res) {
     }
 
     // Get schema
-    const schemaCollectionName = getSchemaCollectionName(appPrefix);
+    const schemaCollectionName = getSchemaCollectionName(req.appAccess.dataPrefix);
     const schemaDoc = await db.collection(schemaCollectionName).doc(schemaId).get();
 
     if (!schemaDoc.exists) {
@@ -154,7 +156,8 @@ export async function bulkCreateRecords(req, res) {
  */
 export async function bulkUpdateRecords(req, res) {
   try {
-    const { appId, schemaId, userId, updates, appPrefix } = req.body;
+    const { appId, schemaId, updates, appPrefix } = req.body;
+    const userId = req.user.uid;
 
     logger.info('bulkUpdateRecords', 'Bulk updating records', {
       appId,
@@ -163,9 +166,9 @@ export async function bulkUpdateRecords(req, res) {
     });
 
     // Validation
-    if (!appId || !schemaId || !userId || !updates || !appPrefix) {
+    if (!appId || !schemaId || !updates || !appPrefix) {
       return fail(res, 400, 'INVALID_INPUT', {
-        details: 'appId, schemaId, userId, updates, and appPrefix are required'
+        details: 'appId, schemaId, updates, and appPrefix are required'
       });
     }
 
@@ -188,7 +191,7 @@ export async function bulkUpdateRecords(req, res) {
     }
 
     // Get schema
-    const schemaCollectionName = getSchemaCollectionName(appPrefix);
+    const schemaCollectionName = getSchemaCollectionName(req.appAccess.dataPrefix);
     const schemaDoc = await db.collection(schemaCollectionName).doc(schemaId).get();
 
     if (!schemaDoc.exists) {
@@ -321,7 +324,7 @@ export async function bulkDeleteRecords(req, res) {
     }
 
     // Get schema
-    const schemaCollectionName = getSchemaCollectionName(appPrefix);
+    const schemaCollectionName = getSchemaCollectionName(req.appAccess.dataPrefix);
     const schemaDoc = await db.collection(schemaCollectionName).doc(schemaId).get();
 
     if (!schemaDoc.exists) {
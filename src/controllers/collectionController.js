@@ -8,13 +8,13 @@ export const getCollectionData = async (req, res) => {
     return res.status(400).json({ error: "appName and collectionType are required." });
   }
 
-  // Try exact, then common fallbacks (lowercase app / lowercase type)
-  const candidates = [
-    `${appName}_${collectionType}`,                               // exact
-    `${appName.toLowerCase()}_${collectionType}`,                 // lowercase app
-    `${appName}_${collectionType.toLowerCase()}`,                 // lowercase type
-    `${appName.toLowerCase()}_${collectionType.toLowerCase()}`,   // both lowercase
-  ];
+  // The app part is always the prefix that requireAppPermission checked;
+  // try the type as given, then lowercased
+  const { appPrefix } = req.appAccess;
+  const candidates = [...new Set([
+    `${appPrefix}_${collectionType}`,                             // exact type
+    `${appPrefix}_${collectionType.toLowerCase()}`                // lowercase type
+  ])];
 
   try {
     for (const path of candidates) {
@@ -12,14 +12,42 @@
  * - POST   /api/components           - Save component to library
  * - GET    /api/components           - Get all components (with optional filters)
  * - GET    /api/components/:id       - Get specific component
- * - DELETE /api/components/:id       - Delete component
+ * - GET    /api/components/:id/usages - Pages, components and processes using it
+ * - DELETE /api/components/:id       - Delete component (409 while in use)
+ * - POST   /api/components/:id/publish - Publish the component as a new version
+ * - GET    /api/components/:id/versions - Version history
+ * - GET    /api/components/:id/versions/:version - One version with its content
+ * - GET    /api/components/outdated   - Pages pinned to outdated versions
+ * - POST   /api/components/upgrade    - Move outdated pins to the latest version
+ *
+ * Pages can link to library components instead of copying them (see
+ * componentLinkService); saving a component reports which pages it reaches.
+ * Publishing freezes a semantic version (see componentVersionService); page
+ * instances either pin one (libraryVersion) or follow the latest.
+ *
+ * Reads carry a revision token (ETag header and `revisionToken`); saves that
+ * send it back via If-Match or expectedRevision get 409 when it is stale.
  */
 
 import { ok, created, fail } from "../utils/responseHandler.js";
 import { AppError } from "../utils/errorHandler.js";
+import { stripIdentityFields } from "../utils/validator.js";
 import firestoreService from "../services/firestoreService.js";
+import { environmentService } from "../services/environmentService.js";
+import { concurrencyService } from "../services/concurrencyService.js";
+import { pageValidationService } from "../services/pageValidationService.js";
+import { componentLinkService } from "../services/componentLinkService.js";
+import { usageService } from "../services/usageService.js";
+import { componentVersionService } from "../services/componentVersionService.js";
+import { pageOperationsService } from "../services/pageOperationsService.js";
 import logger from "../services/loggerService.js";
 
+// Set by publishing only (see publishComponent)
+const VERSION_FIELDS = ["latestVersion", "latestPublishedAt"];
+
+// Page document ID, as pageController derives it: "Home v1" -> "home_v1"
+const toPageId = (pageName) => String(pageName).trim().toLowerCase().replace(/[^a-z0-9_]+/g, "_");
+
 /**
  * POST /api/components
  * ====================
@@ -37,54 +65,101 @@ import logger from "../services/loggerService.js";
  *     specificAttrs: object,
  *     tags: array,
  *     category: string
- *   }
+ *   },
+ *   expectedRevision?: string,  // or If-Match: token from the last read
+ *   validationMode?: "strict" | "lenient", // Default: PAGE_VALIDATION_MODE
+ *   dryRun?: boolean            // Only report the propagation, save nothing
  * }
  * 
  * Flow:
- * 1. Extract component data
+ * 1. Extract component data and check it against the component schemas
+ *    (strict: 422 on errors; lenient: defaults filled in, warnings)
  * 2. Determine collection name from appName
- * 3. Save to {appName}_components collection in JAYRAM
+ * 3. Work out which draft pages link to the component and which of them
+ *    look different after the change (overrides can hide it)
+ * 4. Save to {appName}_components collection in JAYRAM (409 with the current
+ *    component if the expected revision is stale)
  * 
- * Response: { componentId, collectionName }
+ * Response: { componentId, collectionName, revisionToken, warnings, propagation, latestVersion }
+ * propagation: { libraryComponentId, pageCount, changedPageCount,
+ *                pages: [{ pageId, name, instanceIds, changed, published }] }
+ * Live pages keep the old version until they are published again
+ * (published: true marks the pages that need it). Once the component has
+ * a published version, saves only change the working copy: pages see the
+ * change when it is published (POST /api/components/:id/publish).
+ * With dryRun: 200 with { componentId, collectionName, warnings, propagation, dryRun: true }
  */
 export const saveComponent = async (req, res, next) => {
   try {
-    const { componentData } = req.body || {};
+    const { componentData, validationMode, dryRun } = req.body || {};
     
     if (!componentData) {
       return fail(res, 400, "Component data is required");
     }
 
-    // Extract appName to determine collection
+    // The component names its app (the one requireAppPermission checked)
     const appName = componentData.appName;
     if (!appName) {
       return fail(res, 400, "appName is required in componentData");
     }
 
-    // Normalize app name to collection name
-    const appPrefix = appName.trim().toLowerCase().replace(/[^a-z0-9]+/g, "");
-    const collectionName = `${appPrefix}_components`;
+    // Check against the component schemas (lenient mode fills in defaults)
+    const validation = pageValidationService.assertValid(
+      pageValidationService.validateComponent({ ...componentData, id: componentData.id || `comp_${Date.now()}` }, { mode: validationMode }),
+      "Component"
+    );
+
+    // Collections of the app that was authorized (see requireAppPermission)
+    const { appPrefix } = req.appAccess;
+    const collectionName = environmentService.collectionName(appPrefix, "components", req.appAccess.environment);
     
-    // Use component ID as document ID (or generate one)
-    const componentId = componentData.id || `comp_${Date.now()}`;
+    // Use component ID as document ID (generated above when missing)
+    const componentId = validation.component.id;
     
-    // Prepare component data with metadata
+    // Prepare component data with metadata (versions are set by publishing)
+    const fields = stripIdentityFields(validation.component);
+    VERSION_FIELDS.forEach((field) => delete fields[field]);
     const fullComponentData = {
-      ...componentData,
+      ...fields,
       id: componentId,
+      updatedBy: req.user.uid,
       savedAt: new Date().toISOString(),
       updatedAt: new Date().toISOString()
     };
 
-    // Save to JAYRAM database
-    const result = await firestoreService.upsertDoc(collectionName, componentId, fullComponentData);
-    
-    if (!result.success) {
-      return fail(res, 500, "Failed to save component", { error: result.error });
+    // Pages linking to the component, before and after this change
+    const library = await componentLinkService.loadLibrary(appPrefix, req.appAccess.environment);
+    const propagation = await componentLinkService.propagation(
+      appPrefix,
+      req.appAccess.environment,
+      componentId,
+      library,
+      componentLinkService.withSavedComponent(library, componentId, fullComponentData)
+    );
+
+    if (dryRun === true) {
+      logger.info(`[ComponentController] Dry run for ${collectionName}/${componentId}: ${propagation.changedPageCount} of ${propagation.pageCount} linked pages change`);
+      return ok(res, { componentId, collectionName, warnings: validation.warnings, propagation, dryRun: true }, "Component not saved (dry run)");
     }
 
+    // Save to JAYRAM database, guarded by the expected revision
+    const saved = await concurrencyService.upsertIfCurrent({
+      what: "Component",
+      collectionName,
+      docId: componentId,
+      data: fullComponentData,
+      expected: concurrencyService.expectedRevision(req)
+    });
+
+    await usageService.indexSource(appPrefix, req.appAccess.environment, "component", componentId, saved);
+
+    concurrencyService.setEtag(res, saved);
     logger.info(`[ComponentController] Component saved to JAYRAM: ${collectionName}/${componentId}`);
-    return created(res, { componentId, collectionName }, "Component saved successfully");
+    return created(
+      res,
+      { componentId, collectionName, revisionToken: saved.revisionToken, warnings: validation.warnings, propagation, latestVersion: saved.latestVersion || null },
+      "Component saved successfully"
+    );
     
   } catch (err) {
     return next(err instanceof AppError ? err : new AppError(err.message || "Save component failed", 500));
@@ -117,9 +192,8 @@ export const getAllComponents = async (req, res, next) => {
       return fail(res, 400, "appName query parameter is required");
     }
 
-    // Normalize app name to collection name
-    const appPrefix = appName.trim().toLowerCase().replace(/[^a-z0-9]+/g, "");
-    const collectionName = `${appPrefix}_components`;
+    const { appPrefix } = req.appAccess;
+    const collectionName = environmentService.collectionName(appPrefix, "components", req.appAccess.environment);
     
     // Fetch all components from JAYRAM
     const result = await firestoreService.listDocs(collectionName);
@@ -144,7 +218,7 @@ export const getAllComponents = async (req, res, next) => {
     }
 
     logger.info(`[ComponentController] Fetched ${components.length} components from JAYRAM: ${collectionName}`);
-    return ok(res, components, "Components fetched successfully");
+    return ok(res, components.map(concurrencyService.present), "Components fetched successfully");
     
   } catch (err) {
     return next(new AppError(err.message || "Get components failed", 500));
@@ -162,7 +236,7 @@ export const getAllComponents = async (req, res, next) => {
  * Query Params:
  * - appName: string (required)
  * 
- * Response: Single component object
+ * Response: Single component object with its revisionToken (also the ETag)
  */
 export const getComponent = async (req, res, next) => {
   try {
@@ -177,9 +251,8 @@ export const getComponent = async (req, res, next) => {
       return fail(res, 400, "Component ID is required");
     }
 
-    // Normalize app name to collection name
-    const appPrefix = appName.trim().toLowerCase().replace(/[^a-z0-9]+/g, "");
-    const collectionName = `${appPrefix}_components`;
+    const { appPrefix } = req.appAccess;
+    const collectionName = environmentService.collectionName(appPrefix, "components", req.appAccess.environment);
     
     // Fetch component from JAYRAM
     const result = await firestoreService.getDoc(collectionName, id);
@@ -189,13 +262,48 @@ export const getComponent = async (req, res, next) => {
     }
 
     logger.info(`[ComponentController] Fetched component from JAYRAM: ${collectionName}/${id}`);
-    return ok(res, result.data, "Component fetched successfully");
+    concurrencyService.setEtag(res, result.data);
+    return ok(res, concurrencyService.present(result.data), "Component fetched successfully");
     
   } catch (err) {
     return next(new AppError(err.message || "Get component failed", 500));
   }
 };
 
+/**
+ * GET /api/components/:id/usages
+ * ==============================
+ * Where a library component is used (from the usage index)
+ * 
+ * URL Params:
+ * - id: string - Component ID
+ * 
+ * Query Params:
+ * - appName: string (required)
+ * 
+ * Response: { componentId, usageCount, usages: [{ sourceType, sourceId, name, environment, paths }] }
+ * where sourceType is "page" (linked instances), "component" or "process"
+ * (step content) and paths point at the references in the source
+ */
+export const getComponentUsages = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { appName } = req.query;
+
+    if (!appName) {
+      return fail(res, 400, "appName query parameter is required");
+    }
+
+    const { appPrefix } = req.appAccess;
+    const usages = await usageService.usagesOf(appPrefix, req.appAccess.environment, "component", id);
+
+    logger.info(`[ComponentController] Component ${appPrefix}/${id} is used by ${usages.length} item(s)`);
+    return ok(res, { componentId: id, usageCount: usages.length, usages }, "Component usages fetched successfully");
+  } catch (err) {
+    return next(err instanceof AppError ? err : new AppError(err.message || "Get component usages failed", 500));
+  }
+};
+
 /**
  * DELETE /api/components/:id
  * ==========================
@@ -206,8 +314,13 @@ export const getComponent = async (req, res, next) => {
  * 
  * Query Params:
  * - appName: string (required)
+ * - force: "true" to delete a component that is still in use
+ * 
+ * 409 with { usageCount, usages } while pages, components or processes use
+ * it. Forced deletes leave linked instances unresolved. Published versions
+ * are deleted with the component.
  * 
- * Response: { componentId }
+ * Response: { componentId, usages, versionsDeleted } – usages left dangling by a forced delete
  */
 export const deleteComponent = async (req, res, next) => {
   try {
@@ -222,9 +335,12 @@ export const deleteComponent = async (req, res, next) => {
       return fail(res, 400, "Component ID is required");
     }
 
-    // Normalize app name to collection name
-    const appPrefix = appName.trim().toLowerCase().replace(/[^a-z0-9]+/g, "");
-    const collectionName = `${appPrefix}_components`;
+    const { appPrefix } = req.appAccess;
+    const collectionName = environmentService.collectionName(appPrefix, "components", req.appAccess.environment);
+
+    const usages = await usageService.assertUnused(appPrefix, req.appAccess.environment, "component", id, {
+      force: req.query.force === "true"
+    });
     
     // Delete component from JAYRAM
     const result = await firestoreService.deleteDoc(collectionName, id);
@@ -233,11 +349,176 @@ export const deleteComponent = async (req, res, next) => {
       return fail(res, 500, "Failed to delete component", { error: result.error });
     }
 
+    await usageService.removeSource(appPrefix, req.appAccess.environment, "component", id);
+    const versionsDeleted = await componentVersionService.removeVersions(appPrefix, req.appAccess.environment, id);
+
     logger.info(`[ComponentController] Deleted component from JAYRAM: ${collectionName}/${id}`);
-    return ok(res, { componentId: id }, "Component deleted successfully");
+    return ok(res, { componentId: id, usages, versionsDeleted }, "Component deleted successfully");
     
   } catch (err) {
-    return next(new AppError(err.message || "Delete component failed", 500));
+    return next(err instanceof AppError ? err : new AppError(err.message || "Delete component failed", 500));
+  }
+};
+
+/**
+ * POST /api/components/:id/publish
+ * ================================
+ * Freeze the component as it is now as a new semantic version. Pages that
+ * follow the latest version see it from now on (drafts; live pages when
+ * they are published again); pinned pages keep their version.
+ * 
+ * Request Body:
+ * {
+ *   appName: string,
+ *   version?: string,                   // e.g. "2.0.0"; must be greater than the latest
+ *   bump?: "major" | "minor" | "patch", // Without version; default "patch" (first version: 1.0.0)
+ *   notes?: string                      // Release notes
+ * }
+ * 
+ * 409 when the version is not greater than the latest, or the component
+ * has not changed since the latest version.
+ * 
+ * Response: { componentId, version, previousVersion, publishedAt, propagation }
+ * (propagation as for POST /api/components)
+ */
+export const publishComponent = async (req, res, next) => {
+  try {
+    const { id } = req.params;
+    const { appPrefix, environment } = req.appAccess;
+    const { version, bump, notes } = req.body || {};
+
+    const before = await componentLinkService.loadLibrary(appPrefix, environment);
+    const published = await componentVersionService.publish(appPrefix, environment, id, { version, bump, notes, publishedBy: req.user.uid });
+    const { version: entry, previousVersion } = published;
+    const after = await componentLinkService.loadLibrary(appPrefix, environment);
+    const propagation = await componentLinkService.propagation(appPrefix, environment, id, before, after);
+
+    logger.info(`[ComponentController] Component ${appPrefix}/${id} published as ${entry.version} (was ${previousVersion || "unpublished"})`);
+    return created(
+      res,
+      { componentId: id, version: entry.version, previousVersion, publishedAt: entry.publishedAt, propagation },
+      "Component published successfully"
+    );
+  } catch (err) {
+    return next(err instanceof AppError ? err : new AppError(err.message || "Publish component failed", 500));
+  }
+};
+
+/**
+ * GET /api/components/:id/versions
+ * ================================
+ * Published versions of a component, newest first
+ * 
+ * Query Params:
+ * - appName: string (required)
+ * 
+ * Response: { componentId, latestVersion, unpublishedChanges,
+ *             versions: [{ componentId, version, notes, publishedAt, publishedBy }] }
+ * unpublishedChanges: the component was saved since its latest version
+ */
+export const listComponentVersions = async (req, res, next) => {
+  try {
+    const { appPrefix, environment } = req.appAccess;
+    const history = await componentVersionService.listVersions(appPrefix, environment, req.params.id);
+    return ok(res, history, "Component versions fetched successfully");
+  } catch (err) {
+    return next(err instanceof AppError ? err : new AppError(err.message || "List component versions failed", 500));
+  }
+};
+
+/**
+ * GET /api/components/:id/versions/:version
+ * =========================================
+ * One published version, with the component as it was published
+ * 
+ * Query Params:
+ * - appName: string (required)
+ * 
+ * Response: { componentId, version, component, notes, publishedAt, publishedBy }
+ */
+export const getComponentVersion = async (req, res, next) => {
+  try {
+    const { appPrefix, environment } = req.appAccess;
+    const version = await componentVersionService.getVersion(appPrefix, environment, req.params.id, req.params.version);
+    return ok(res, version, "Component version fetched successfully");
+  } catch (err) {
+    return next(err instanceof AppError ? err : new AppError(err.message || "Get component version failed", 500));
+  }
+};
+
+/**
+ * GET /api/components/outdated
+ * ============================
+ * Draft pages with components pinned to a version older than the latest
+ * 
+ * Query Params:
+ * - appName: string (required)
+ * - componentId: string (optional) - Only instances of this library component
+ * 
+ * Response: { componentId, pageCount, instanceCount,
+ *             pages: [{ pageId, name, instances: [{ componentId, libraryComponentId, pinnedVersion, latestVersion }] }] }
+ */
+export const getOutdatedComponents = async (req, res, next) => {
+  try {
+    const { appPrefix, environment } = req.appAccess;
+    const report = await componentVersionService.outdated(appPrefix, environment, { componentId: req.query.componentId || null });
+
+    logger.info(`[ComponentController] ${report.instanceCount} outdated component(s) on ${report.pageCount} page(s) of ${appPrefix}`);
+    return ok(res, report, "Outdated components fetched successfully");
+  } catch (err) {
+    return next(err instanceof AppError ? err : new AppError(err.message || "Get outdated components failed", 500));
+  }
+};
+
+/**
+ * POST /api/components/upgrade
+ * ============================
+ * Move outdated pinned components to the latest version of their library
+ * component, one new revision per page
+ * 
+ * Request Body:
+ * {
+ *   appName: string,
+ *   componentId?: string,   // Only instances of this library component
+ *   pages?: string[],       // Page names; default: every page with outdated components
+ *   follow?: boolean,       // Drop the pin and follow the latest from now on (default: pin the latest)
+ *   validationMode?: "strict" | "lenient",
+ *   message?: string
+ * }
+ * 
+ * Upgraded components must still resolve to valid components (422 for that
+ * page otherwise).
+ * 
+ * Response: { results: [{ pageId, revision, upgraded: [{ componentId, libraryComponentId, from, to }], success }
+ *                       | { pageName, success: false, status, error, details? }],
+ *             succeeded, failed }
+ */
+export const upgradeComponentInstances = async (req, res, next) => {
+  try {
+    const { appPrefix, environment } = req.appAccess;
+    const { componentId = null, pages, follow = false, validationMode, message } = req.body || {};
+
+    const pageNames = pages !== undefined
+      ? pages
+      : (await componentVersionService.outdated(appPrefix, environment, { componentId })).pages.map((page) => page.pageId);
+    if (!pageNames.length && pages === undefined) {
+      return ok(res, { results: [], succeeded: 0, failed: 0 }, "No outdated components to upgrade");
+    }
+
+    const report = await pageOperationsService.runBulk(pageNames, (pageName) =>
+      componentVersionService.upgradePage(appPrefix, environment, toPageId(pageName), {
+        componentId,
+        follow: follow === true,
+        mode: validationMode,
+        message,
+        authorId: req.user.uid
+      })
+    );
+
+    logger.info(`[ComponentController] Upgrade in ${appPrefix}: ${report.succeeded} page(s) upgraded, ${report.failed} failed`);
+    return ok(res, report, `Upgrade finished: ${report.succeeded} succeeded, ${report.failed} failed`);
+  } catch (err) {
+    return next(err instanceof AppError ? err : new AppError(err.message || "Upgrade components failed", 500));
   }
 };
 
@@ -246,7 +527,13 @@ export default {
   saveComponent,
   getAllComponents,
   getComponent,
-  deleteComponent
+  getComponentUsages,
+  deleteComponent,
+  publishComponent,
+  listComponentVersions,
+  getComponentVersion,
+  getOutdatedComponents,
+  upgradeComponentInstances
 };
 
 
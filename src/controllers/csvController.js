@@ -2,7 +2,7 @@
  * CSV Import/Export Controller
  * Handles CSV file upload, parsing, import, and export
  */
-import { jayramDb as db } from '../config/firebaseAdmin.js';
+import { getDb } from '../services/storageAdapter.js';
 import { created, ok, fail } from '../utils/responseHandler.js';
 import { createLogger } from '../services/loggerService.js';
 import {
@@ -17,6 +17,7 @@ import { detectFieldType, validateRecord } from '../services/fieldValidationServ
 import { parseCSV, generateCSV, validateCSVFile } from '../services/csvService.js';
 
 const logger = createLogger(import.meta.url);
+const db = getDb('jayram');
 
 /**
  * POST /api/data-records/import-csv
@@ -25,7 +26,8 @@ const logger = createLogger(import.meta.url);
 export async function importCSV(req, res) {
   try {
     const file = req.file;
-    const { appId, appPrefix, userId, createNewTable, displayName, schemaId } = req.body;
+    const { appId, appPrefix, createNewTable, displayName, schemaId } = req.body;
+    const userId = req.user.uid;
 
     logger.info('importCSV', 'Importing CSV', {
       appId,
@@ -44,9 +46,9 @@ export async function importCSV(req, res) {
     }
 
     // Validate required fields
-    if (!appId || !appPrefix || !userId) {
+    if (!appId || !appPrefix) {
       return fail(res, 400, 'INVALID_INPUT', {
-        details: 'appId, appPrefix, and userId are required'
+        details: 'appId and appPrefix are required'
       });
     }
 
@@ -58,6 +60,13 @@ export async function importCSV(req, res) {
       });
     }
 
+    // The route only guarantees records:write; creating a table needs schemas:write
+    if (isNewTable && !req.appAccess?.permissions.includes('schemas:write')) {
+      return fail(res, 403, 'FORBIDDEN', {
+        details: { message: 'Your role cannot create tables', role: req.appAccess?.role }
+      });
+    }
+
     if (!isNewTable && !schemaId) {
       return fail(res, 400, 'INVALID_INPUT', {
         details: 'schemaId is required when createNewTable is false'
@@ -84,7 +93,8 @@ export async function importCSV(req, res) {
       return await importCSVCreateNewTable(
         res,
         appId,
-        appPrefix,
+        req.appAccess.appPrefix,
+        req.appAccess.dataPrefix,
         userId,
         displayName,
         parsed
@@ -95,7 +105,8 @@ export async function importCSV(req, res) {
     return await importCSVAppendToTable(
       res,
       appId,
-      appPrefix,
+      req.appAccess.appPrefix,
+      req.appAccess.dataPrefix,
       userId,
       schemaId,
       parsed
@@ -111,7 +122,7 @@ export async function importCSV(req, res) {
 /**
  * Import CSV and create new table
  */
-async function importCSVCreateNewTable(res, appId, appPrefix, userId, displayName, parsed) {
+async function importCSVCreateNewTable(res, appId, appPrefix, dataPrefix, userId, displayName, parsed) {
   try {
     logger.info('importCSVCreateNewTable', 'Creating new table from CSV', { displayName });
 
@@ -141,11 +152,11 @@ async function importCSVCreateNewTable(res, appId, appPrefix, userId, displayNam
 
     // Generate internal table name
     const timestamp = Date.now();
-    const internalName = generateInternalTableName(appPrefix, displayName, timestamp);
+    const internalName = generateInternalTableName(dataPrefix, displayName, timestamp);
     const schemaIdNew = generateSchemaId();
 
     // Create schema
-    const schemaCollectionName = getSchemaCollectionName(appPrefix);
+    const schemaCollectionName = getSchemaCollectionName(dataPrefix);
     const schemaData = {
       schemaId: schemaIdNew,
       displayName,
@@ -211,12 +222,12 @@ async function importCSVCreateNewTable(res, appId, appPrefix, userId, displayNam
 /**
  * Import CSV and append to existing table
  */
-async function importCSVAppendToTable(res, appId, appPrefix, userId, schemaId, parsed) {
+async function importCSVAppendToTable(res, appId, appPrefix, dataPrefix, userId, schemaId, parsed) {
   try {
     logger.info('importCSVAppendToTable', 'Appending CSV to existing table', { schemaId });
 
     // Get schema
-    const schemaCollectionName = getSchemaCollectionName(appPrefix);
+    const schemaCollectionName = getSchemaCollectionName(dataPrefix);
     const schemaDoc = await db.collection(schemaCollectionName).doc(schemaId).get();
 
     if (!schemaDoc.exists) {
@@ -335,7 +346,7 @@ export async function exportCSV(req, res) {
     }
 
     // Get schema
-    const schemaCollectionName = getSchemaCollectionName(appPrefix);
+    const schemaCollectionName = getSchemaCollectionName(req.appAccess.dataPrefix);
     const schemaDoc = await db.collection(schemaCollectionName).doc(schemaId).get();
 
     if (!schemaDoc.exists) {
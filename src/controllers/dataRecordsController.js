@@ -2,7 +2,7 @@
  * Data Records Controller
  * Handles record CRUD operations
  */
-import { jayramDb as db } from '../config/firebaseAdmin.js';
+import { getDb } from '../services/storageAdapter.js';
 import { created, ok, fail } from '../utils/responseHandler.js';
 import { createLogger } from '../services/loggerService.js';
 import {
@@ -15,6 +15,7 @@ import {
 import { validateRecord } from '../services/fieldValidationService.js';
 
 const logger = createLogger(import.meta.url);
+const db = getDb('jayram');
 
 /**
  * POST /api/data-records/create
@@ -22,19 +23,20 @@ const logger = createLogger(import.meta.url);
  */
 export async function createRecord(req, res) {
   try {
-    const { appId, schemaId, userId, data, appPrefix } = req.body;
+    const { appId, schemaId, data, appPrefix } = req.body;
+    const userId = req.user.uid;
 
     logger.info('createRecord', 'Creating record', { appId, schemaId, userId });
 
     // Validation
-    if (!appId || !schemaId || !userId || !data || !appPrefix) {
+    if (!appId || !schemaId || !data || !appPrefix) {
       return fail(res, 400, 'INVALID_INPUT', {
-        details: 'appId, schemaId, userId, data, and appPrefix are required'
+        details: 'appId, schemaId, data, and appPrefix are required'
       });
     }
 
     // Get schema
-    const schemaCollectionName = getSchemaCollectionName(appPrefix);
+    const schemaCollectionName = getSchemaCollectionName(req.appAccess.dataPrefix);
     const schemaDoc = await db.collection(schemaCollectionName).doc(schemaId).get();
 
     if (!schemaDoc.exists) {
@@ -114,7 +116,7 @@ export async function listRecords(req, res) {
     }
 
     // Get schema
-    const schemaCollectionName = getSchemaCollectionName(appPrefix);
+    const schemaCollectionName = getSchemaCollectionName(req.appAccess.dataPrefix);
     const schemaDoc = await db.collection(schemaCollectionName).doc(schemaId).get();
 
     if (!schemaDoc.exists) {
@@ -197,19 +199,20 @@ export async function listRecords(req, res) {
 export async function updateRecord(req, res) {
   try {
     const { recordId } = req.params;
-    const { appId, schemaId, userId, data, appPrefix } = req.body;
+    const { appId, schemaId, data, appPrefix } = req.body;
+    const userId = req.user.uid;
 
     logger.info('updateRecord', 'Updating record', { recordId, schemaId, userId });
 
     // Validation
-    if (!appId || !schemaId || !userId || !data || !appPrefix) {
+    if (!appId || !schemaId || !data || !appPrefix) {
       return fail(res, 400, 'INVALID_INPUT', {
-        details: 'appId, schemaId, userId, data, and appPrefix are required'
+        details: 'appId, schemaId, data, and appPrefix are required'
       });
     }
 
     // Get schema
-    const schemaCollectionName = getSchemaCollectionName(appPrefix);
+    const schemaCollectionName = getSchemaCollectionName(req.appAccess.dataPrefix);
     const schemaDoc = await db.collection(schemaCollectionName).doc(schemaId).get();
 
     if (!schemaDoc.exists) {
@@ -279,7 +282,7 @@ export async function deleteRecord(req, res) {
     }
 
     // Get schema
-    const schemaCollectionName = getSchemaCollectionName(appPrefix);
+    const schemaCollectionName = getSchemaCollectionName(req.appAccess.dataPrefix);
     const schemaDoc = await db.collection(schemaCollectionName).doc(schemaId).get();
 
     if (!schemaDoc.exists) {
@@ -340,7 +343,7 @@ export async function validateRecordData(req, res) {
     }
 
     // Get schema
-    const schemaCollectionName = getSchemaCollectionName(appPrefix);
+    const schemaCollectionName = getSchemaCollectionName(req.appAccess.dataPrefix);
     const schemaDoc = await db.collection(schemaCollectionName).doc(schemaId).get();
 
     if (!schemaDoc.exists) {
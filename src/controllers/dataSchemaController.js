@@ -2,7 +2,7 @@
  * Data Schema Controller
  * Handles table schema management (create, list, get, delete)
  */
-import { jayramDb as db } from '../config/firebaseAdmin.js';
+import { getDb } from '../services/storageAdapter.js';
 import { created, ok, fail } from '../utils/responseHandler.js';
 import { createLogger } from '../services/loggerService.js';
 import {
@@ -16,6 +16,7 @@ import {
 import { isValidFieldType } from '../services/fieldValidationService.js';
 
 const logger = createLogger(import.meta.url);
+const db = getDb('jayram');
 
 /**
  * POST /api/data-schemas/create
@@ -23,14 +24,15 @@ const logger = createLogger(import.meta.url);
  */
 export async function createSchema(req, res) {
   try {
-    const { appId, appPrefix, displayName, fields, userId } = req.body;
+    const { appId, appPrefix, displayName, fields } = req.body;
+    const userId = req.user.uid;
 
     logger.info('createSchema', 'Creating new schema', { appId, displayName, userId });
 
     // Validation
-    if (!appId || !appPrefix || !displayName || !fields || !userId) {
+    if (!appId || !appPrefix || !displayName || !fields) {
       return fail(res, 400, 'INVALID_INPUT', {
-        details: 'appId, appPrefix, displayName, fields, and userId are required'
+        details: 'appId, appPrefix, displayName, and fields are required'
       });
     }
 
@@ -83,7 +85,7 @@ export async function createSchema(req, res) {
     }
 
     // Check for duplicate table name in this app
-    const schemaCollectionName = getSchemaCollectionName(appPrefix);
+    const schemaCollectionName = getSchemaCollectionName(req.appAccess.dataPrefix);
     const existingSchemas = await db
       .collection(schemaCollectionName)
       .where('appId', '==', appId)
@@ -101,7 +103,7 @@ export async function createSchema(req, res) {
 
     // Generate internal table name (obfuscated)
     const timestamp = Date.now();
-    const internalName = generateInternalTableName(appPrefix, displayName, timestamp);
+    const internalName = generateInternalTableName(req.appAccess.dataPrefix, displayName, timestamp);
     const schemaId = generateSchemaId();
 
     // Create schema document
@@ -110,7 +112,7 @@ export async function createSchema(req, res) {
       displayName,
       internalName,
       appId,
-      appPrefix,
+      appPrefix: req.appAccess.appPrefix,
       fields,
       recordCount: 0,
       ...addSystemFieldsForCreate({}, userId)
@@ -157,7 +159,7 @@ export async function listSchemas(req, res) {
       });
     }
 
-    const schemaCollectionName = getSchemaCollectionName(appPrefix);
+    const schemaCollectionName = getSchemaCollectionName(req.appAccess.dataPrefix);
     const schemasSnapshot = await db
       .collection(schemaCollectionName)
       .where('appId', '==', appId)
@@ -214,7 +216,7 @@ export async function getSchema(req, res) {
       });
     }
 
-    const schemaCollectionName = getSchemaCollectionName(appPrefix);
+    const schemaCollectionName = getSchemaCollectionName(req.appAccess.dataPrefix);
     const schemaDoc = await db.collection(schemaCollectionName).doc(schemaId).get();
 
     if (!schemaDoc.exists) {
@@ -251,14 +253,15 @@ export async function getSchema(req, res) {
 export async function deleteSchema(req, res) {
   try {
     const { schemaId } = req.params;
-    const { appId, userId, confirmDelete, appPrefix } = req.body;
+    const { appId, confirmDelete, appPrefix } = req.body;
+    const userId = req.user.uid;
 
     logger.info('deleteSchema', 'Deleting schema', { schemaId, appId, userId });
 
     // Validation
-    if (!appId || !userId || !confirmDelete || !appPrefix) {
+    if (!appId || !confirmDelete || !appPrefix) {
       return fail(res, 400, 'INVALID_INPUT', {
-        details: 'appId, userId, confirmDelete, and appPrefix are required'
+        details: 'appId, confirmDelete, and appPrefix are required'
       });
     }
 
@@ -269,7 +272,7 @@ export async function deleteSchema(req, res) {
     }
 
     // Get schema
-    const schemaCollectionName = getSchemaCollectionName(appPrefix);
+    const schemaCollectionName = getSchemaCollectionName(req.appAccess.dataPrefix);
     const schemaDoc = await db.collection(schemaCollectionName).doc(schemaId).get();
 
     if (!schemaDoc.exists) {
@@ -280,15 +283,16 @@ export async function deleteSchema(req, res) {
 
     const schema = schemaDoc.data();
 
-    // Verify app ownership
-    // TODO: This should check the app's createdBy field from apps_meta collection
-    // For now, we'll check if the user created the schema
-    if (schema.createdBy !== userId) {
+    // Verify app ownership against apps_meta (the schema's own createdBy may be an editor)
+    const appMetaDoc = await db.collection('apps_meta').doc(req.appAccess.appPrefix).get();
+    const appCreatedBy = appMetaDoc.exists ? appMetaDoc.data().createdBy : null;
+
+    if (appCreatedBy !== userId) {
       return fail(res, 403, 'FORBIDDEN_NOT_OWNER', {
         details: {
           message: 'Only app owner can delete tables',
           userId,
-          schemaCreatedBy: schema.createdBy
+          appCreatedBy
         }
       });
     }
@@ -0,0 +1,216 @@
+/**
+ * Environment Controller
+ * ======================
+ * Per-app environments (dev / staging / prod) and promotion between them.
+ * Other routes pick an environment with ?env= or the X-App-Env header; only
+ * dev is edited directly.
+ *
+ * This controller is called from: /api/routes/appRoutes.js
+ * Uses: environmentService for business logic
+ *
+ * Endpoints provided:
+ * - GET   /api/app/:appName/environments       - Environments, document counts, data sharing
+ * - PATCH /api/app/:appName/environments       - Share data tables across environments or not
+ * - GET   /api/app/:appName/environments/diff  - What a promotion would change
+ * - POST  /api/app/:appName/promote            - Promote one environment into another
+ * - GET   /api/app/:appName/promotions         - Promotion history
+ * - GET   /api/app/:appName/promotions/:promotionId          - One history entry
+ * - POST  /api/app/:appName/promotions/:promotionId/rollback - Undo a promotion
+ *
+ * Promotions and rollbacks rebuild the usage index of the environment they
+ * wrote to (see usageService).
+ */
+
+import { ok, created } from '../utils/responseHandler.js';
+import { AppError } from '../utils/errorHandler.js';
+import { requireFields } from '../utils/validator.js';
+import { environmentService } from '../services/environmentService.js';
+import { usageService } from '../services/usageService.js';
+import { createLogger } from '../services/loggerService.js';
+
+// Create file-scoped logger
+const logger = createLogger(import.meta.url);
+
+/**
+ * GET /api/app/:appName/environments
+ * ==================================
+ * Response: { sharedData, environments: [{ name, editable, counts: { pages, ... } }] }
+ */
+export const listEnvironments = async (req, res, next) => {
+  try {
+    const { appPrefix, app } = req.appAccess;
+    logger.entry('listEnvironments', { appPrefix });
+
+    const result = await environmentService.describeEnvironments(app);
+
+    logger.exit('listEnvironments', { appPrefix });
+    return ok(res, result, 'Environments fetched successfully');
+  } catch (err) {
+    logger.error('listEnvironments', 'Failed to list environments', err);
+    return next(err instanceof AppError ? err : new AppError(err.message || 'List environments failed', 500));
+  }
+};
+
+/**
+ * PATCH /api/app/:appName/environments
+ * ====================================
+ * Request Body: { sharedData: boolean }
+ *
+ * sharedData=false gives staging and prod their own data schemas and tables;
+ * they start empty and receive schemas through promotion. Switching back to
+ * shared leaves those tables in place but unused.
+ */
+export const updateEnvironments = async (req, res, next) => {
+  try {
+    const { appPrefix } = req.appAccess;
+    const { sharedData } = req.body || {};
+    if (typeof sharedData !== 'boolean') {
+      throw new AppError('sharedData must be true or false', 400);
+    }
+    logger.entry('updateEnvironments', { appPrefix, sharedData });
+
+    const environments = await environmentService.setSharedData(appPrefix, sharedData, req.user.uid);
+
+    logger.exit('updateEnvironments', { appPrefix });
+    return ok(res, { environments }, 'Environment settings updated');
+  } catch (err) {
+    logger.error('updateEnvironments', 'Failed to update environment settings', err);
+    return next(err instanceof AppError ? err : new AppError(err.message || 'Update environments failed', 500));
+  }
+};
+
+/**
+ * GET /api/app/:appName/environments/diff?from=dev&to=prod&kinds=pages,components
+ * ===============================================================================
+ * Response: { from, to, kinds, summary: { create, update, delete }, changes: [{ kind, id, action }] }
+ */
+export const diffEnvironments = async (req, res, next) => {
+  try {
+    const { appPrefix, app } = req.appAccess;
+    const { from, to, kinds } = req.query;
+    requireFields({ from, to }, ['from', 'to']);
+    logger.entry('diffEnvironments', { appPrefix, from, to });
+
+    const diff = await environmentService.diff(app, { from, to, kinds });
+
+    logger.exit('diffEnvironments', { appPrefix, summary: diff.summary });
+    return ok(res, diff, 'Environment diff computed');
+  } catch (err) {
+    logger.error('diffEnvironments', 'Failed to diff environments', err);
+    return next(err instanceof AppError ? err : new AppError(err.message || 'Diff environments failed', 500));
+  }
+};
+
+/**
+ * POST /api/app/:appName/promote
+ * ==============================
+ * Request Body:
+ * {
+ *   from: "dev" | "staging" | "prod",
+ *   to:   "dev" | "staging" | "prod",
+ *   kinds?: ["pages", "components", ...],  // default: all promoted kinds
+ *   dryRun?: boolean                       // only return the diff
+ * }
+ *
+ * Makes `to` match `from` for the chosen kinds (creates, updates and deletes)
+ * in one transaction and records a history entry.
+ *
+ * Response: 201 { promotion } | 200 { promotion: null } when nothing differs | 200 diff on dryRun
+ */
+export const promoteEnvironment = async (req, res, next) => {
+  try {
+    const { appPrefix, app } = req.appAccess;
+    const { from, to, kinds, dryRun = false } = req.body || {};
+    requireFields({ from, to }, ['from', 'to']);
+    logger.entry('promoteEnvironment', { appPrefix, from, to, kinds, dryRun });
+
+    if (dryRun) {
+      const diff = await environmentService.promote(app, { from, to, kinds, dryRun: true });
+      logger.exit('promoteEnvironment', { appPrefix, dryRun, summary: diff.summary });
+      return ok(res, diff, 'Promotion preview');
+    }
+
+    const promotion = await environmentService.promote(app, { from, to, kinds, promotedBy: req.user.uid });
+    if (promotion) await usageService.rebuild(appPrefix, to);
+
+    logger.exit('promoteEnvironment', { appPrefix, promotionId: promotion && promotion.id });
+    if (!promotion) {
+      return ok(res, { promotion: null }, `${to} already matches ${from}`);
+    }
+    logger.info('promoteEnvironment', `Promoted ${from} -> ${to}`, { appPrefix, summary: promotion.summary });
+    return created(res, { promotion }, `Promoted ${from} to ${to}`);
+  } catch (err) {
+    logger.error('promoteEnvironment', 'Failed to promote environment', err);
+    return next(err instanceof AppError ? err : new AppError(err.message || 'Promotion failed', 500));
+  }
+};
+
+/**
+ * GET /api/app/:appName/promotions?limit=50
+ * =========================================
+ * Newest first. Response: [{ id, type, from, to, kinds, summary, changeCount, createdBy, createdAt, rolledBackAt, ... }]
+ */
+export const listPromotions = async (req, res, next) => {
+  try {
+    const { appPrefix } = req.appAccess;
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+    logger.entry('listPromotions', { appPrefix, limit });
+
+    const promotions = await environmentService.listPromotions(appPrefix, { limit });
+
+    logger.exit('listPromotions', { appPrefix, count: promotions.length });
+    return ok(res, promotions, 'Promotions fetched successfully');
+  } catch (err) {
+    logger.error('listPromotions', 'Failed to list promotions', err);
+    return next(err instanceof AppError ? err : new AppError(err.message || 'List promotions failed', 500));
+  }
+};
+
+/**
+ * GET /api/app/:appName/promotions/:promotionId
+ * =============================================
+ * Response: the history entry with its changes ({ kind, id, action })
+ */
+export const getPromotion = async (req, res, next) => {
+  try {
+    const { appPrefix } = req.appAccess;
+    const { promotionId } = req.params;
+    logger.entry('getPromotion', { appPrefix, promotionId });
+
+    const promotion = await environmentService.getPromotion(appPrefix, promotionId);
+
+    logger.exit('getPromotion', { appPrefix, promotionId });
+    return ok(res, promotion, 'Promotion fetched successfully');
+  } catch (err) {
+    logger.error('getPromotion', 'Failed to get promotion', err);
+    return next(err instanceof AppError ? err : new AppError(err.message || 'Get promotion failed', 500));
+  }
+};
+
+/**
+ * POST /api/app/:appName/promotions/:promotionId/rollback
+ * =======================================================
+ * Request Body: { force?: boolean }
+ *
+ * Restores the documents the promotion replaced in its target environment.
+ * 409 when any of them changed since (e.g. a later promotion) unless force.
+ *
+ * Response: { rollback } – the new history entry, plus the ids that had drifted
+ */
+export const rollbackPromotion = async (req, res, next) => {
+  try {
+    const { appPrefix, app } = req.appAccess;
+    const { promotionId } = req.params;
+    const force = (req.body && req.body.force) === true;
+    logger.entry('rollbackPromotion', { appPrefix, promotionId, force });
+
+    const rollback = await environmentService.rollback(app, promotionId, { force, rolledBackBy: req.user.uid });
+    await usageService.rebuild(appPrefix, rollback.to);
+
+    logger.exit('rollbackPromotion', { appPrefix, promotionId, rollbackId: rollback.id });
+    return ok(res, { rollback }, 'Promotion rolled back');
+  } catch (err) {
+    logger.error('rollbackPromotion', 'Failed to roll back promotion', err);
+    return next(err instanceof AppError ? err : new AppError(err.message || 'Rollback failed', 500));
+  }
+};
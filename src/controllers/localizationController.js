@@ -0,0 +1,129 @@
+/**
+ * Localization Controller
+ * =======================
+ * Locales an app supports and the strings still missing for each of them.
+ * The strings themselves are saved per page:
+ * PUT /api/pages/:appName/:pageName/translations/:locale (pageController).
+ *
+ * This controller is called from: /api/routes/appRoutes.js
+ * Uses: localizationService for business logic
+ *
+ * Endpoints provided:
+ * - GET /api/app/:appName/locales          - Supported locales and the default
+ * - PUT /api/app/:appName/locales          - Replace them
+ * - GET /api/app/:appName/locales/missing  - Untranslated strings per locale
+ */
+
+import { ok } from '../utils/responseHandler.js';
+import { AppError } from '../utils/errorHandler.js';
+import { requireFields } from '../utils/validator.js';
+import { localizationService } from '../services/localizationService.js';
+import { environmentService } from '../services/environmentService.js';
+import { componentLinkService } from '../services/componentLinkService.js';
+import { getDb } from '../services/storageAdapter.js';
+import { createLogger } from '../services/loggerService.js';
+
+// Create file-scoped logger
+const logger = createLogger(import.meta.url);
+
+const jayramDb = getDb('jayram');
+
+// Same document ID rule as pageController: "Home v1" -> "home_v1"
+const toPageId = (pageName) => pageName.trim().toLowerCase().replace(/[^a-z0-9_]+/g, '_');
+
+const toList = (value) =>
+  String(value || '')
+    .split(',')
+    .map((item) => item.trim())
+    .filter(Boolean);
+
+/**
+ * GET /api/app/:appName/locales
+ * =============================
+ * Response: { defaultLocale, locales } – apps that never set them have "en"
+ */
+export const getLocales = async (req, res, next) => {
+  try {
+    return ok(res, localizationService.getSettings(req.appAccess.app), 'Locales fetched successfully');
+  } catch (err) {
+    return next(err instanceof AppError ? err : new AppError(err.message || 'Get locales failed', 500));
+  }
+};
+
+/**
+ * PUT /api/app/:appName/locales
+ * =============================
+ * Request Body: { defaultLocale: "en", locales: ["en", "fr", "de-CH"] }
+ *
+ * Locale codes are BCP 47 and stored in canonical form ("de-ch" -> "de-CH").
+ * The default locale is always part of the list. Locales apply to every
+ * environment. Dropping a locale keeps its strings in the pages, unused.
+ *
+ * Response: { defaultLocale, locales, updatedBy, updatedAt }
+ */
+export const saveLocales = async (req, res, next) => {
+  try {
+    const { appPrefix } = req.appAccess;
+    const { defaultLocale, locales } = req.body || {};
+    requireFields({ defaultLocale }, ['defaultLocale']);
+    logger.entry('saveLocales', { appPrefix, defaultLocale, locales });
+
+    const i18n = await localizationService.saveSettings(appPrefix, { defaultLocale, locales }, req.user.uid);
+
+    logger.exit('saveLocales', { appPrefix, locales: i18n.locales });
+    return ok(res, i18n, 'Locales saved');
+  } catch (err) {
+    logger.error('saveLocales', 'Failed to save locales', err);
+    return next(err instanceof AppError ? err : new AppError(err.message || 'Save locales failed', 500));
+  }
+};
+
+/**
+ * GET /api/app/:appName/locales/missing?locale=fr,de&pageName=Home
+ * =================================================================
+ * Draft pages of the environment (?env=) by default.
+ *
+ * Query Params:
+ * - locale: only these locales (default: every locale but the default one)
+ * - pageName: only these pages (comma separated)
+ *
+ * A string counts as translated when the locale or its supported language
+ * (fr for fr-CA) has it.
+ *
+ * Response:
+ * {
+ *   defaultLocale,
+ *   locales: [{ locale, total, missingCount, missing: [{ pageId, componentId, key, source }] }]
+ * }
+ * where key is an attribute ("content") or a form field ("fields.email").
+ */
+export const getMissingTranslations = async (req, res, next) => {
+  try {
+    const { appPrefix, environment, app } = req.appAccess;
+    const settings = localizationService.getSettings(app);
+    const locales = localizationService.assertSupported(settings, toList(req.query.locale));
+    const pageIds = toList(req.query.pageName).map(toPageId);
+    logger.entry('getMissingTranslations', { appPrefix, environment, locales, pageIds });
+
+    const snap = await jayramDb.collection(environmentService.collectionName(appPrefix, 'pages', environment)).get();
+    // Linked components count with the strings they resolve to
+    const pages = await componentLinkService.resolvePages(
+      appPrefix,
+      environment,
+      snap.docs
+        .filter((doc) => doc.id !== '_init' && (!pageIds.length || pageIds.includes(doc.id)))
+        .map((doc) => ({ id: doc.id, ...doc.data() }))
+    );
+
+    const report = localizationService.missingTranslations(pages, settings, locales.length ? locales : null);
+
+    logger.exit('getMissingTranslations', {
+      appPrefix,
+      missing: report.locales.map(({ locale, missingCount }) => `${locale}:${missingCount}`).join(',')
+    });
+    return ok(res, report, 'Missing translations fetched successfully');
+  } catch (err) {
+    logger.error('getMissingTranslations', 'Failed to compute missing translations', err);
+    return next(err instanceof AppError ? err : new AppError(err.message || 'Get missing translations failed', 500));
+  }
+};
@@ -0,0 +1,196 @@
+/**
+ * Member Controller
+ * =================
+ * Share an app with teammates (MUDUMBAI app_users / app_invitations)
+ *
+ * This controller is called from: /api/routes/appRoutes.js
+ * Uses: membershipService for business logic
+ *
+ * Endpoints provided:
+ * - GET    /api/app/:appName/members                            - List members & pending invitations
+ * - POST   /api/app/:appName/members/invite                     - Invite by email
+ * - POST   /api/app/:appName/members/accept                     - Accept an invitation
+ * - DELETE /api/app/:appName/members/invitations/:invitationId  - Revoke a pending invitation
+ * - PATCH  /api/app/:appName/members/:uid                       - Change a member's role
+ * - DELETE /api/app/:appName/members/:uid                       - Remove a member (or leave the app)
+ * - POST   /api/app/:appName/members/transfer-ownership         - Make another member the owner
+ *
+ * Every route except accept runs behind requireAppPermission, so
+ * req.appAccess = { appPrefix, app, role, permissions } is available.
+ */
+
+import { ok, created } from '../utils/responseHandler.js';
+import { AppError } from '../utils/errorHandler.js';
+import { requireFields } from '../utils/validator.js';
+import { membershipService } from '../services/membershipService.js';
+import { accessService, APP_STATUS, toAppPrefix } from '../services/accessService.js';
+import { createLogger } from '../services/loggerService.js';
+
+// Create file-scoped logger
+const logger = createLogger(import.meta.url);
+
+const toAppError = (err, fallback) =>
+  err instanceof AppError ? err : new AppError(err.message || fallback, 500);
+
+/**
+ * GET /api/app/:appName/members
+ * =============================
+ * Response: { members: [{ uid, role, email, name, picture, joinedAt }], pending: [invitation] }
+ */
+export const listMembers = async (req, res, next) => {
+  try {
+    const { appPrefix, app } = req.appAccess;
+    const result = await membershipService.listMembers(appPrefix, app.createdBy, app.appName);
+    logger.info('listMembers', 'Fetched members', { appPrefix, count: result.members.length });
+    return ok(res, result, 'Members fetched successfully');
+  } catch (err) {
+    logger.error('listMembers', 'Failed to list members', err);
+    return next(toAppError(err, 'List members failed'));
+  }
+};
+
+/**
+ * POST /api/app/:appName/members/invite
+ * =====================================
+ * Request Body: { email, role }   // role: editor | viewer | dataEntry
+ *
+ * Response: { invitation, token } – the token is only returned here; deliver it
+ * to the invitee, who accepts with POST /members/accept.
+ */
+export const inviteMember = async (req, res, next) => {
+  try {
+    const { email, role } = req.body || {};
+    requireFields({ email, role }, ['email', 'role']);
+
+    const { appPrefix } = req.appAccess;
+    const result = await membershipService.inviteMember({ appPrefix, email, role, invitedBy: req.user.uid });
+
+    logger.info('inviteMember', 'Invitation created', { appPrefix, email: result.invitation.email, role });
+    return created(res, result, 'Invitation created');
+  } catch (err) {
+    logger.error('inviteMember', 'Failed to invite member', err);
+    return next(toAppError(err, 'Invite member failed'));
+  }
+};
+
+/**
+ * POST /api/app/:appName/members/accept
+ * =====================================
+ * Request Body: { token }
+ * The caller needs no role on the app yet; the token and the caller's
+ * verified email address must match the invitation.
+ */
+export const acceptInvitation = async (req, res, next) => {
+  try {
+    const { token } = req.body || {};
+    requireFields({ token }, ['token']);
+
+    const appPrefix = toAppPrefix(req.params.appName);
+    const app = await accessService.getAppMeta(appPrefix);
+    if (!app) {
+      throw new AppError('App not found', 404, { appPrefix });
+    }
+    if ((app.status || APP_STATUS.ACTIVE) !== APP_STATUS.ACTIVE) {
+      throw new AppError(`App is ${app.status}; invitations cannot be accepted`, 409, { appPrefix });
+    }
+
+    const member = await membershipService.acceptInvitation({ appPrefix, token, user: req.user });
+    logger.info('acceptInvitation', 'Invitation accepted', { appPrefix, uid: req.user.uid, role: member.role });
+    return ok(res, member, 'Invitation accepted');
+  } catch (err) {
+    logger.error('acceptInvitation', 'Failed to accept invitation', err);
+    return next(toAppError(err, 'Accept invitation failed'));
+  }
+};
+
+/**
+ * DELETE /api/app/:appName/members/invitations/:invitationId
+ */
+export const revokeInvitation = async (req, res, next) => {
+  try {
+    const { appPrefix } = req.appAccess;
+    const result = await membershipService.revokeInvitation(appPrefix, req.params.invitationId);
+    logger.info('revokeInvitation', 'Invitation revoked', { appPrefix, id: result.id });
+    return ok(res, result, 'Invitation revoked');
+  } catch (err) {
+    logger.error('revokeInvitation', 'Failed to revoke invitation', err);
+    return next(toAppError(err, 'Revoke invitation failed'));
+  }
+};
+
+/**
+ * PATCH /api/app/:appName/members/:uid
+ * ====================================
+ * Request Body: { role }   // editor | viewer | dataEntry
+ */
+export const changeMemberRole = async (req, res, next) => {
+  try {
+    const { role } = req.body || {};
+    requireFields({ role }, ['role']);
+
+    const { appPrefix, app } = req.appAccess;
+    const member = await membershipService.changeRole({
+      appPrefix,
+      uid: req.params.uid,
+      role,
+      ownerUid: app.createdBy
+    });
+
+    logger.info('changeMemberRole', 'Role changed', { appPrefix, uid: req.params.uid, role });
+    return ok(res, member, 'Member role updated');
+  } catch (err) {
+    logger.error('changeMemberRole', 'Failed to change role', err);
+    return next(toAppError(err, 'Change member role failed'));
+  }
+};
+
+/**
+ * DELETE /api/app/:appName/members/:uid
+ * =====================================
+ * Owners remove anyone except themselves; any member may remove themselves.
+ */
+export const removeMember = async (req, res, next) => {
+  try {
+    const { appPrefix, app, permissions } = req.appAccess;
+    const { uid } = req.params;
+
+    if (uid !== req.user.uid && !permissions.includes('app:manageMembers')) {
+      throw new AppError('Forbidden: insufficient permissions for this app', 403, {
+        appPrefix,
+        required: 'app:manageMembers'
+      });
+    }
+
+    const result = await membershipService.removeMember({ appPrefix, uid, ownerUid: app.createdBy });
+    logger.info('removeMember', 'Member removed', { appPrefix, uid, by: req.user.uid });
+    return ok(res, result, 'Member removed');
+  } catch (err) {
+    logger.error('removeMember', 'Failed to remove member', err);
+    return next(toAppError(err, 'Remove member failed'));
+  }
+};
+
+/**
+ * POST /api/app/:appName/members/transfer-ownership
+ * =================================================
+ * Request Body: { uid }   // must already be a member
+ * The current owner becomes an editor.
+ */
+export const transferOwnership = async (req, res, next) => {
+  try {
+    const { uid } = req.body || {};
+    requireFields({ uid }, ['uid']);
+
+    const { appPrefix, app } = req.appAccess;
+    if (app.createdBy !== req.user.uid) {
+      throw new AppError('Only the current owner can transfer ownership', 403);
+    }
+
+    const result = await membershipService.transferOwnership({ appPrefix, fromUid: req.user.uid, toUid: uid });
+    logger.info('transferOwnership', 'Ownership transferred', result);
+    return ok(res, result, 'Ownership transferred');
+  } catch (err) {
+    logger.error('transferOwnership', 'Failed to transfer ownership', err);
+    return next(toAppError(err, 'Transfer ownership failed'));
+  }
+};
@@ -5,6 +5,7 @@
  */
 import { ok, fail } from "../utils/responseHandler.js";
 import { OpenAiService } from "../services/openAiService.js";
+import { pageValidationService } from "../services/pageValidationService.js";
 
 export const generateContent = async (req, res) => {
   try {
@@ -21,13 +22,19 @@ export const generateContent = async (req, res) => {
 
 export const generatePageJson = async (req, res) => {
   try {
-    const { appName, description, content } = req.body;
+    const { appName, description, content, validationMode } = req.body;
     if (!appName || !description || !content)
       return fail(res, 400, "appName, description, and content are required");
 
     const result = await OpenAiService.generatePageJson(appName, description, content);
-    return ok(res, result, "Page JSON generated successfully");
+
+    // Model output is checked like any page save (strict: 422, lenient: defaults + warnings)
+    const validation = pageValidationService.assertValid(
+      pageValidationService.validatePages(Array.isArray(result.pages) ? result.pages : [], { mode: validationMode }),
+      "Generated pages"
+    );
+    return ok(res, { ...result, pages: validation.pages, warnings: validation.warnings }, "Page JSON generated successfully");
   } catch (error) {
-    return fail(res, 500, error.message || "Failed to generate page JSON");
+    return fail(res, error.status || 500, error.message || "Failed to generate page JSON", error.details);
   }
 };
@@ -0,0 +1,282 @@
+/**
+ * Pack Controller
+ * ===============
+ * Component packs: library components shared across apps through the
+ * MUDUMBAI database. A pack is published from one app's library; other apps
+ * install it (copying its components into their own library) and get an
+ * update notification when the owner releases a new version
+ * (see componentPackService).
+ *
+ * This controller is called from: /api/routes/packRoutes.js and
+ * /api/routes/appRoutes.js (the app-scoped endpoints)
+ * Uses: componentPackService for business logic
+ *
+ * Endpoints provided:
+ * - GET    /api/packs                 - Browse packs
+ * - GET    /api/packs/:packId         - One pack with its components
+ * - POST   /api/packs                 - Publish components of an app as a pack
+ * - PUT    /api/packs/:packId         - Change a pack / release a new version (owner)
+ * - DELETE /api/packs/:packId         - Delete a pack (owner)
+ * - GET    /api/app/:appName/packs                         - Packs installed in an app
+ * - GET    /api/app/:appName/packs/notifications           - Pack update notifications
+ * - POST   /api/app/:appName/packs/:packId/install         - Install or update a pack
+ * - POST   /api/app/:appName/packs/:packId/notification/dismiss - Dismiss a notification
+ */
+
+import { ok, created } from '../utils/responseHandler.js';
+import { AppError } from '../utils/errorHandler.js';
+import { requireFields } from '../utils/validator.js';
+import { componentPackService } from '../services/componentPackService.js';
+import { environmentService, DEFAULT_ENVIRONMENT } from '../services/environmentService.js';
+import { authorizeApp } from '../api/middleware/requireAppPermission.js';
+import { createLogger } from '../services/loggerService.js';
+
+// Create file-scoped logger
+const logger = createLogger(import.meta.url);
+
+// Packs reach every app on the platform, so sharing components takes the
+// right to edit them (checked in dev, where they are edited), not just to read them
+const assertCanShare = (appIdentifier, uid) =>
+  authorizeApp(appIdentifier, uid, 'components:write', { environment: DEFAULT_ENVIRONMENT });
+
+/**
+ * GET /api/packs?search=hero&tag=marketing
+ * ========================================
+ * Packs without their components, by name.
+ *
+ * Response: { packs: [{ id, name, description, tags, preview, version, componentIds, ... }] }
+ */
+export const listPacks = async (req, res, next) => {
+  try {
+    const { search, tag } = req.query;
+    logger.entry('listPacks', { search, tag });
+
+    const packs = await componentPackService.list({ search, tag });
+
+    logger.exit('listPacks', { count: packs.length });
+    return ok(res, { packs }, 'Packs fetched successfully');
+  } catch (err) {
+    logger.error('listPacks', 'Failed to fetch packs', err);
+    return next(err instanceof AppError ? err : new AppError(err.message || 'List packs failed', 500));
+  }
+};
+
+/**
+ * GET /api/packs/:packId
+ * ======================
+ * Response: the pack with components: [{ id, sourceVersion, dependency?, component }]
+ */
+export const getPack = async (req, res, next) => {
+  try {
+    const { packId } = req.params;
+    logger.entry('getPack', { packId });
+
+    const pack = await componentPackService.get(packId);
+
+    logger.exit('getPack', { packId, version: pack.version });
+    return ok(res, pack, 'Pack fetched successfully');
+  } catch (err) {
+    logger.error('getPack', 'Failed to fetch pack', err);
+    return next(err instanceof AppError ? err : new AppError(err.message || 'Get pack failed', 500));
+  }
+};
+
+/**
+ * POST /api/packs?env=dev
+ * =======================
+ * Needs components:write on the app (the components are read from `env`).
+ *
+ * Request Body:
+ * - appName: app whose library the components come from
+ * - name: pack name (its id is the name as a slug)
+ * - componentIds: library components to share (components they link to come along)
+ * - description, tags, preview, releaseNotes: optional
+ *
+ * Response (201): the pack, version 1.0.0
+ */
+export const publishPack = async (req, res, next) => {
+  try {
+    const { appPrefix, environment } = req.appAccess;
+    const { name, componentIds, description, tags, preview, releaseNotes } = req.body || {};
+    requireFields({ name, componentIds }, ['name', 'componentIds']);
+    logger.entry('publishPack', { appPrefix, environment, name, componentIds });
+    await assertCanShare(appPrefix, req.user.uid);
+
+    const pack = await componentPackService.publish({
+      name,
+      appPrefix,
+      environment,
+      componentIds,
+      description,
+      tags,
+      preview,
+      releaseNotes,
+      ownerId: req.user.uid
+    });
+
+    logger.exit('publishPack', { packId: pack.id, components: pack.componentIds.length });
+    return created(res, pack, 'Pack published successfully');
+  } catch (err) {
+    logger.error('publishPack', 'Failed to publish pack', err);
+    return next(err instanceof AppError ? err : new AppError(err.message || 'Publish pack failed', 500));
+  }
+};
+
+/**
+ * PUT /api/packs/:packId?env=dev
+ * ==============================
+ * Owner only. Metadata changes keep the version; with componentIds (and the
+ * appName they come from, which needs components:write) the components are
+ * taken again and, if they changed, released as a new version. Apps with an
+ * older version installed are notified.
+ *
+ * Request Body: { name?, description?, tags?, preview?, releaseNotes?,
+ *   appName?, componentIds?, version?, bump?: "major" | "minor" | "patch" }
+ *
+ * Response: { pack, previousVersion, notified }
+ */
+export const updatePack = async (req, res, next) => {
+  try {
+    const { packId } = req.params;
+    const { appName, componentIds, ...changes } = req.body || {};
+    logger.entry('updatePack', { packId, appName, componentIds });
+
+    let source = null;
+    if (componentIds !== undefined) {
+      requireFields({ appName }, ['appName']);
+      const environment = environmentService.resolveEnvironment(req);
+      const access = await authorizeApp(appName, req.user.uid, 'components:read', { environment });
+      await assertCanShare(access.appPrefix, req.user.uid);
+      source = { appPrefix: access.appPrefix, environment, componentIds };
+    }
+
+    const result = await componentPackService.update(packId, req.user.uid, { ...changes, source });
+    const { components: _components, ...pack } = result.pack;
+
+    logger.exit('updatePack', { packId, version: pack.version, notified: result.notified });
+    return ok(res, { ...result, pack }, 'Pack updated successfully');
+  } catch (err) {
+    logger.error('updatePack', 'Failed to update pack', err);
+    return next(err instanceof AppError ? err : new AppError(err.message || 'Update pack failed', 500));
+  }
+};
+
+/**
+ * DELETE /api/packs/:packId
+ * =========================
+ * Owner only. Apps keep the components they installed.
+ *
+ * Response: the deleted pack (without components)
+ */
+export const deletePack = async (req, res, next) => {
+  try {
+    const { packId } = req.params;
+    logger.entry('deletePack', { packId });
+
+    const pack = await componentPackService.remove(packId, req.user.uid);
+
+    logger.exit('deletePack', { packId });
+    return ok(res, pack, 'Pack deleted successfully');
+  } catch (err) {
+    logger.error('deletePack', 'Failed to delete pack', err);
+    return next(err instanceof AppError ? err : new AppError(err.message || 'Delete pack failed', 500));
+  }
+};
+
+/**
+ * GET /api/app/:appName/packs
+ * ===========================
+ * Response: { installs: [{ packId, packName, installedVersion, latestVersion,
+ *   updateAvailable, packDeleted, componentIds, notification, ... }] }
+ */
+export const listInstalledPacks = async (req, res, next) => {
+  try {
+    const { appPrefix } = req.appAccess;
+    logger.entry('listInstalledPacks', { appPrefix });
+
+    const installs = await componentPackService.installsOf(appPrefix);
+
+    logger.exit('listInstalledPacks', { appPrefix, count: installs.length });
+    return ok(res, { installs }, 'Installed packs fetched successfully');
+  } catch (err) {
+    logger.error('listInstalledPacks', 'Failed to fetch installed packs', err);
+    return next(err instanceof AppError ? err : new AppError(err.message || 'List installed packs failed', 500));
+  }
+};
+
+/**
+ * GET /api/app/:appName/packs/notifications
+ * =========================================
+ * Response: { notifications: [{ packId, packName, installedVersion, version, releaseNotes, createdAt }] }
+ */
+export const getPackNotifications = async (req, res, next) => {
+  try {
+    const { appPrefix } = req.appAccess;
+    logger.entry('getPackNotifications', { appPrefix });
+
+    const notifications = await componentPackService.notificationsOf(appPrefix);
+
+    logger.exit('getPackNotifications', { appPrefix, count: notifications.length });
+    return ok(res, { notifications }, 'Pack notifications fetched successfully');
+  } catch (err) {
+    logger.error('getPackNotifications', 'Failed to fetch pack notifications', err);
+    return next(err instanceof AppError ? err : new AppError(err.message || 'Get pack notifications failed', 500));
+  }
+};
+
+/**
+ * POST /api/app/:appName/packs/:packId/install?env=dev
+ * ====================================================
+ * Copy the pack's components into the app's library, or update them to the
+ * pack's current version. 409 with `conflicts` when the app has components
+ * with the same ids that did not come from the pack, unless overwrite=true.
+ *
+ * Request Body: { overwrite? }
+ *
+ * Response: { packId, version, previousVersion, components: [{ id, action }], removedFromPack }
+ */
+export const installPack = async (req, res, next) => {
+  try {
+    const { appPrefix, environment } = req.appAccess;
+    const { appName, packId } = req.params;
+    const overwrite = req.body?.overwrite === true || req.query.overwrite === 'true';
+    logger.entry('installPack', { appPrefix, environment, packId, overwrite });
+
+    const result = await componentPackService.install(packId, {
+      appPrefix,
+      appName,
+      environment,
+      overwrite,
+      installedBy: req.user.uid
+    });
+
+    logger.exit('installPack', { appPrefix, packId, version: result.version });
+    return ok(res, result, result.previousVersion ? 'Pack updated successfully' : 'Pack installed successfully');
+  } catch (err) {
+    logger.error('installPack', 'Failed to install pack', err);
+    return next(err instanceof AppError ? err : new AppError(err.message || 'Install pack failed', 500));
+  }
+};
+
+/**
+ * POST /api/app/:appName/packs/:packId/notification/dismiss
+ * =========================================================
+ * Hide the update notification; the update stays available.
+ *
+ * Response: { packId, version, releaseNotes, createdAt, dismissedAt }
+ */
+export const dismissPackNotification = async (req, res, next) => {
+  try {
+    const { appPrefix } = req.appAccess;
+    const { packId } = req.params;
+    logger.entry('dismissPackNotification', { appPrefix, packId });
+
+    const notification = await componentPackService.dismissNotification(appPrefix, packId);
+
+    logger.exit('dismissPackNotification', { appPrefix, packId });
+    return ok(res, notification, 'Notification dismissed');
+  } catch (err) {
+    logger.error('dismissPackNotification', 'Failed to dismiss pack notification', err);
+    return next(err instanceof AppError ? err : new AppError(err.message || 'Dismiss notification failed', 500));
+  }
+};
@@ -7,17 +7,90 @@
  * 
  * Endpoints provided:
  * - POST /api/pages - Save or update a page
+ * - POST /api/pages/validate - Check page JSON against the component schemas
  * - GET /api/pages/:appName - Get all pages for an app
  * - GET /api/pages/:appName/:pageName - Get a specific page
  * - DELETE /api/pages/:appName/:pageName - Delete a page
+ * - GET /api/pages/:appName/:pageName/revisions - List page revisions
+ * - GET /api/pages/:appName/:pageName/revisions/diff - Diff two revisions
+ * - GET /api/pages/:appName/:pageName/revisions/:revision - Get one revision
+ * - POST /api/pages/:appName/:pageName/revisions/:revision/restore - Restore a revision
+ * - GET /api/pages/:appName/:pageName/publication - Publication state
+ * - POST /api/pages/:appName/:pageName/publish - Publish the draft (now or at publishAt)
+ * - POST /api/pages/:appName/:pageName/unpublish - Take the page offline
+ * - DELETE /api/pages/:appName/:pageName/schedule - Cancel a scheduled publish
+ * - POST /api/pages/:appName/:pageName/duplicate - Copy a page (same or other app)
+ * - POST /api/pages/:appName/bulk/delete - Delete several pages
+ * - POST /api/pages/:appName/bulk/move - Move several pages to another app
+ * - POST /api/pages/:appName/bulk/rename - Rename several pages
+ * - PUT /api/pages/:appName/:pageName/translations/:locale - Save a locale's strings
+ * - POST /api/pages/:appName/:pageName/components/:componentId/detach - Unlink a library component
+ * - GET /api/pages/:appName/:pageName/components/:componentId - Find a component in the tree
+ * - POST /api/pages/:appName/:pageName/components/:componentId/move - Move a component and its children
+ * - POST /api/pages/:appName/:pageName/components/wrap - Put sibling components into a new container
+ * - POST /api/pages/:appName/:pageName/components/:componentId/unwrap - Replace a container by its children
+ *
+ * Saves always go to the draft. Readers that want the live site pass
+ * ?version=published (see pagePublicationService). Reads with ?locale=fr
+ * return the page's French text (see localizationService).
+ *
+ * Components with a libraryComponentId are linked to the app's component
+ * library; reads with ?resolve=true return what they resolve to, and
+ * publishing freezes that into the live page (see componentLinkService).
+ *
+ * Containers nest components in specificAttrs.children; the components
+ * routes find, move, wrap and unwrap them anywhere in that tree (see
+ * componentTreeService).
+ *
+ * Reads return the page's revision token as ETag and `revisionToken`; saves
+ * that send it back (If-Match or expectedRevision) fail with 409 if the page
+ * changed meanwhile (see concurrencyService).
  */
 
 import { ok, created, fail } from "../utils/responseHandler.js";
 import { AppError } from "../utils/errorHandler.js";
-import { requireFields } from "../utils/validator.js";
+import { requireFields, stripIdentityFields } from "../utils/validator.js";
+import { authorizeApp } from "../api/middleware/requireAppPermission.js";
 import firestoreService from "../services/firestoreService.js";
+import { environmentService } from "../services/environmentService.js";
+import { pageHistoryService } from "../services/pageHistoryService.js";
+import { pagePublicationService } from "../services/pagePublicationService.js";
+import { concurrencyService } from "../services/concurrencyService.js";
+import { pageValidationService } from "../services/pageValidationService.js";
+import { pageOperationsService } from "../services/pageOperationsService.js";
+import { pageSearchService } from "../services/pageSearchService.js";
+import { localizationService } from "../services/localizationService.js";
+import { seoService } from "../services/seoService.js";
+import { componentLinkService } from "../services/componentLinkService.js";
+import { componentTreeService } from "../services/componentTreeService.js";
 import logger from "../services/loggerService.js";
 
+// Page document ID: "Home v1" -> "home_v1"
+const toPageId = (pageName) => pageName.trim().toLowerCase().replace(/[^a-z0-9_]+/g, "_");
+
+/**
+ * ?locale= on reads: the locale served (also sent as Content-Language) and a
+ * function that localizes a page; without ?locale= pages stay as stored,
+ * translations included.
+ */
+const localeOf = (req, res) => {
+  if (!req.query.locale) return { locale: null, localize: (page) => page };
+  const settings = localizationService.getSettings(req.appAccess.app);
+  const { locale } = localizationService.resolveLocale(settings, req.query.locale);
+  res.set("Content-Language", locale);
+  return { locale, localize: (page) => localizationService.localizePage(page, settings, locale) };
+};
+
+/**
+ * ?resolve=true on draft reads: linked components replaced by what they
+ * resolve to (library component + overrides). Without it they are returned
+ * as stored; published pages were resolved when they were published.
+ */
+const resolveLinks = (req, pages) =>
+  req.query.resolve === "true" && pagePublicationService.resolveVersion(req.query.version) === "draft"
+    ? componentLinkService.resolvePages(req.appAccess.appPrefix, req.appAccess.environment, pages)
+    : pages;
+
 /**
  * POST /api/pages
  * ===============
@@ -28,53 +101,121 @@ import logger from "../services/loggerService.js";
  * {
  *   appName: string,      // e.g., "MyApp"
  *   pageName: string,     // e.g., "Home_v1"
- *   pageData: object      // Page configuration (components, layout, etc.)
+ *   pageData: object,     // Page configuration (components, layout, seo, etc.)
+ *                         // seo?: { title (max 60), description (max 160), canonicalUrl,
+ *                         //         ogImageAssetId (an image asset), noindex } | null
+ *                         // components[] may hold linked instances:
+ *                         //   { id, libraryComponentId, overrides?: { name, commonAttrs, specificAttrs } }
+ *   message?: string,     // Optional revision message
+ *   expectedRevision?: string, // Revision token the edit is based on (or If-Match header)
+ *   autoMerge?: boolean,  // Merge with newer saves when they touched other components
+ *   validationMode?: "strict" | "lenient" // Default: PAGE_VALIDATION_MODE
  * }
  * 
  * Flow:
- * 1. Validate required fields
+ * 1. Validate required fields and check pageData against the component
+ *    schemas (strict: 422 on errors; lenient: defaults filled in, warnings)
+ *    Linked components must point at a library component and, with their
+ *    overrides, resolve to a valid component (422 otherwise)
  * 2. Normalize app name to collection name (e.g., "MyApp" -> "myapp_pages")
  * 3. Normalize page name to document ID (e.g., "Home v1" -> "home_v1")
  * 4. Add metadata (name, appName, updatedAt)
- * 5. Save to Firestore using upsertDoc (creates or updates)
+ * 5. Check the expected revision, if any (409 with the current page and the
+ *    conflicting components when it is stale and cannot be merged)
+ * 6. Merge into the page and record an immutable revision (one transaction)
  * 
- * Response: { pageName, docId }
+ * Response: { pageName, docId, revision, revisionToken, merged, warnings }
  */
 export const savePage = async (req, res, next) => {
   try {
-    const { appName, pageName, pageData } = req.body || {};
+    const { appName, pageName, pageData, message, autoMerge, validationMode } = req.body || {};
     
     // Validate required fields
     requireFields({ appName, pageName, pageData }, ["appName", "pageName", "pageData"]);
 
+    // Check against the component schemas (lenient mode fills in defaults)
+    const validation = pageValidationService.assertValid(
+      pageValidationService.validatePage(pageData, { mode: validationMode })
+    );
+    await seoService.assertOgImage(req.appAccess.appPrefix, validation.page.seo);
+    const links = await componentLinkService.checkInstances(
+      req.appAccess.appPrefix,
+      req.appAccess.environment,
+      validation.page,
+      validation.mode
+    );
+
     // Generate collection name: "myapp_pages"
-    const collectionName = `${appName.trim().toLowerCase().replace(/[^a-z0-9]+/g, "")}_pages`;
+    const collectionName = environmentService.collectionName(req.appAccess.appPrefix, "pages", req.appAccess.environment);
     
     // Generate document ID: safe identifier for Firestore
-    const docId = pageName.trim().toLowerCase().replace(/[^a-z0-9_]+/g, "_");
+    const docId = toPageId(pageName);
     
     // Prepare full page data with metadata
     const fullPageData = {
-      ...pageData,
+      ...concurrencyService.stripTokenFields(stripIdentityFields(validation.page)),
       name: pageName,        // Original page name
       appName: appName,      // Original app name
+      updatedBy: req.user.uid,             // Authenticated editor, never taken from the body
       updatedAt: new Date().toISOString()  // Track when page was last modified
     };
 
-    // Save to JAYRAM database
-    const result = await firestoreService.upsertDoc(collectionName, docId, fullPageData);
-    
-    if (!result.success) {
-      return fail(res, 500, "Failed to save page", { error: result.error });
-    }
+    // Save to JAYRAM database together with a new revision
+    const { revision, page, merged } = await pageHistoryService.saveRevision({
+      appPrefix: req.appAccess.appPrefix,
+      environment: req.appAccess.environment,
+      pagesCollection: collectionName,
+      pageId: docId,
+      data: fullPageData,
+      message,
+      authorId: req.user.uid,
+      expectedRevision: concurrencyService.expectedRevision(req),
+      autoMerge: autoMerge === true
+    });
 
-    logger.info(`[PageController] Page saved: ${appName}/${pageName} in JAYRAM database`);
-    return created(res, { pageName, docId }, "Page saved successfully");
+    const revisionToken = concurrencyService.setEtag(res, page);
+    logger.info(`[PageController] Page saved: ${appName}/${pageName} (revision ${revision}${merged ? ", merged" : ""}) in JAYRAM database`);
+    return created(res, { pageName, docId, revision, revisionToken, merged, warnings: [...validation.warnings, ...links.warnings] }, "Page saved successfully");
   } catch (err) {
     return next(err instanceof AppError ? err : new AppError(err.message || "Save page failed", 500));
   }
 };
 
+/**
+ * POST /api/pages/validate
+ * ========================
+ * Check page JSON (or a single component) against standardComponentSchemas.json
+ * and componentVocabulary.json without saving anything
+ * Called from: the editor, before saving
+ * 
+ * Request Body:
+ * {
+ *   page?: object,        // Page JSON (components array, layoutId, themeId, ...)
+ *   component?: object,   // Or one component
+ *   mode?: "strict" | "lenient"  // Default: PAGE_VALIDATION_MODE
+ * }
+ * 
+ * Response: { valid, mode, errors, warnings, page | component }
+ * (page / component include the defaults lenient mode would fill in)
+ */
+export const validatePage = async (req, res, next) => {
+  try {
+    const { page, component, mode } = req.body || {};
+    if (page === undefined && component === undefined) {
+      return fail(res, 422, "page or component is required");
+    }
+
+    const report = page !== undefined
+      ? pageValidationService.validatePage(page, { mode })
+      : pageValidationService.validateComponent(component, { mode });
+
+    logger.info(`[PageController] Validated ${page !== undefined ? "page" : "component"} (${report.mode}): ${report.errors.length} errors, ${report.warnings.length} warnings`);
+    return ok(res, report, report.valid ? "Validation passed" : "Validation failed");
+  } catch (err) {
+    return next(err instanceof AppError ? err : new AppError(err.message || "Validate page failed", 500));
+  }
+};
+
 /**
  * GET /api/pages/:appName
  * ========================
@@ -84,13 +225,23 @@ export const savePage = async (req, res, next) => {
  * URL Params:
  * - appName: string  // e.g., "MyApp"
  * 
+ * Query Params:
+ * - version: "draft" (default) | "published" – published lists only live pages
+ * - search, componentType, updatedSince, fields, sort, limit, cursor
+ *   (see pageSearchService)
+ * - locale: e.g. "fr" – pages in that locale (search matches its text)
+ * - resolve: "true" – linked components of drafts resolved against the library
+ * 
  * Flow:
  * 1. Normalize app name to collection name
  * 2. Fetch all documents from {appname}_pages collection
  * 3. Filter out initialization docs (_init)
- * 4. Return array of page documents
+ * 4. Search / filter / project / paginate
+ * 5. Return array of page documents
  * 
- * Response: Array of page objects with id, name, components, etc.
+ * Response: { data: [page objects with id, name, components, revisionToken, etc.
+ *             or only the requested fields], pagination: { total, limit, nextCursor },
+ *             locale? }
  */
 export const getPagesByApp = async (req, res, next) => {
   try {
@@ -100,8 +251,31 @@ export const getPagesByApp = async (req, res, next) => {
       return fail(res, 400, "App name is required");
     }
 
+    const version = pagePublicationService.resolveVersion(req.query.version);
+    const options = pageSearchService.parseQuery(req.query);
+    const { locale, localize } = localeOf(req, res);
+    const respond = async (pages) => {
+      const resolved = await resolveLinks(req, pages.map(concurrencyService.present));
+      const found = pageSearchService.search(resolved.map(localize), options);
+      return ok(
+        res,
+        {
+          data: found.pages,
+          pagination: { total: found.total, limit: options.limit, nextCursor: found.nextCursor },
+          ...(locale ? { locale } : {})
+        },
+        "Pages fetched successfully"
+      );
+    };
+
+    if (version === "published") {
+      const published = await pagePublicationService.listPublished(req.appAccess.appPrefix, req.appAccess.environment);
+      logger.info(`[PageController] Fetched ${published.length} published pages for app: ${appName}`);
+      return await respond(published);
+    }
+
     // Generate collection name
-    const collectionName = `${appName.trim().toLowerCase().replace(/[^a-z0-9]+/g, "")}_pages`;
+    const collectionName = environmentService.collectionName(req.appAccess.appPrefix, "pages", req.appAccess.environment);
     
     // Fetch all documents from JAYRAM database
     const result = await firestoreService.listDocs(collectionName);
@@ -114,9 +288,9 @@ export const getPagesByApp = async (req, res, next) => {
     const pages = (result.data || []).filter(page => page.id !== '_init');
 
     logger.info(`[PageController] Fetched ${pages.length} pages for app: ${appName} from JAYRAM database`);
-    return ok(res, pages, "Pages fetched successfully");
+    return await respond(pages);
   } catch (err) {
-    return next(new AppError(err.message || "Get pages failed", 500));
+    return next(err instanceof AppError ? err : new AppError(err.message || "Get pages failed", 500));
   }
 };
 
@@ -130,12 +304,24 @@ export const getPagesByApp = async (req, res, next) => {
  * - appName: string   // e.g., "MyApp"
  * - pageName: string  // e.g., "Home_v1"
  * 
+ * Query Params:
+ * - version: "draft" (default) | "published" – 404 if the page is not published
+ * - locale: e.g. "fr-CA" – text in that locale, falling back to its language
+ *   and then to the default locale; the page then carries `locale` (the
+ *   locale served) instead of `translations`. Save edits from a read
+ *   without locale, or the translated text would become the default text.
+ * - resolve: "true" – linked components of the draft replaced by their library component
+ *   with the instance's overrides applied (id, libraryComponentId and
+ *   overrides are kept). Save edits from a read without resolve, or the
+ *   links become copies.
+ * 
  * Flow:
  * 1. Normalize app name and page name
  * 2. Fetch document from Firestore
  * 3. Return page data
  * 
- * Response: Single page object with all configuration data
+ * Response: Single page object with all configuration data and its
+ * revisionToken (also sent as the ETag header)
  */
 export const getPage = async (req, res, next) => {
   try {
@@ -146,8 +332,20 @@ export const getPage = async (req, res, next) => {
     }
 
     // Generate collection and document identifiers
-    const collectionName = `${appName.trim().toLowerCase().replace(/[^a-z0-9]+/g, "")}_pages`;
-    const docId = pageName.trim().toLowerCase().replace(/[^a-z0-9_]+/g, "_");
+    const collectionName = environmentService.collectionName(req.appAccess.appPrefix, "pages", req.appAccess.environment);
+    const docId = toPageId(pageName);
+
+    const { locale, localize } = localeOf(req, res);
+    const present = async (page) => {
+      const [resolved] = await resolveLinks(req, [concurrencyService.present(page)]);
+      return { ...localize(resolved), ...(locale ? { locale } : {}) };
+    };
+
+    if (pagePublicationService.resolveVersion(req.query.version) === "published") {
+      const published = await pagePublicationService.getPublished(req.appAccess.appPrefix, req.appAccess.environment, docId);
+      concurrencyService.setEtag(res, published);
+      return ok(res, await present(published), "Page fetched successfully");
+    }
     
     // Fetch from JAYRAM database
     const result = await firestoreService.getDoc(collectionName, docId);
@@ -157,9 +355,10 @@ export const getPage = async (req, res, next) => {
     }
 
     logger.info(`[PageController] Fetched page: ${appName}/${pageName} from JAYRAM database`);
-    return ok(res, result.data, "Page fetched successfully");
+    concurrencyService.setEtag(res, result.data);
+    return ok(res, await present(result.data), "Page fetched successfully");
   } catch (err) {
-    return next(new AppError(err.message || "Get page failed", 500));
+    return next(err instanceof AppError ? err : new AppError(err.message || "Get page failed", 500));
   }
 };
 
@@ -175,8 +374,11 @@ export const getPage = async (req, res, next) => {
  * 
  * Flow:
  * 1. Normalize app name and page name
- * 2. Delete document from Firestore
- * 3. Return success confirmation
+ * 2. Refuse (409) while the page has child pages in the site map or a menu
+ *    links to it
+ * 3. Delete document from Firestore (the draft, its published copy and its
+ *    site map entry; revision history is kept)
+ * 4. Return success confirmation
  * 
  * Response: { pageName }
  */
@@ -188,28 +390,685 @@ export const deletePage = async (req, res, next) => {
       return fail(res, 400, "App name and page name are required");
     }
 
-    // Generate collection and document identifiers
-    const collectionName = `${appName.trim().toLowerCase().replace(/[^a-z0-9]+/g, "")}_pages`;
-    const docId = pageName.trim().toLowerCase().replace(/[^a-z0-9_]+/g, "_");
-    
-    // Delete from JAYRAM database
-    const result = await firestoreService.deleteDoc(collectionName, docId);
-    
-    if (!result.success) {
-      return fail(res, 500, "Failed to delete page", { error: result.error });
-    }
+    // Delete from JAYRAM database (menus must never point at deleted pages)
+    await pageOperationsService.deletePage(req.appAccess.appPrefix, req.appAccess.environment, toPageId(pageName));
 
     logger.info(`[PageController] Deleted page: ${appName}/${pageName} from JAYRAM database`);
     return ok(res, { pageName }, "Page deleted successfully");
   } catch (err) {
-    return next(new AppError(err.message || "Delete page failed", 500));
+    return next(err instanceof AppError ? err : new AppError(err.message || "Delete page failed", 500));
+  }
+};
+
+/**
+ * GET /api/pages/:appName/:pageName/revisions
+ * ============================================
+ * List revisions of a page, newest first (snapshots omitted)
+ * 
+ * Query Params:
+ * - limit: number (optional, default 50, max 200)
+ * 
+ * Response: [{ pageId, revision, message, authorId, createdAt, restoredFrom, componentCount }]
+ */
+export const listPageRevisions = async (req, res, next) => {
+  try {
+    const { appPrefix, environment } = req.appAccess;
+    const docId = toPageId(req.params.pageName);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+
+    const revisions = await pageHistoryService.listRevisions(appPrefix, environment, docId, { limit });
+
+    logger.info(`[PageController] Fetched ${revisions.length} revisions for page: ${appPrefix}/${docId}`);
+    return ok(res, revisions, "Revisions fetched successfully");
+  } catch (err) {
+    return next(err instanceof AppError ? err : new AppError(err.message || "List revisions failed", 500));
+  }
+};
+
+/**
+ * GET /api/pages/:appName/:pageName/revisions/:revision
+ * ======================================================
+ * Get one revision including the full page snapshot
+ * 
+ * Response: { pageId, revision, page, message, authorId, createdAt, restoredFrom }
+ */
+export const getPageRevision = async (req, res, next) => {
+  try {
+    const { appPrefix, environment } = req.appAccess;
+    const docId = toPageId(req.params.pageName);
+
+    const revision = await pageHistoryService.getRevision(appPrefix, environment, docId, req.params.revision);
+
+    return ok(res, revision, "Revision fetched successfully");
+  } catch (err) {
+    return next(err instanceof AppError ? err : new AppError(err.message || "Get revision failed", 500));
+  }
+};
+
+/**
+ * GET /api/pages/:appName/:pageName/revisions/diff?from=3&to=5
+ * =============================================================
+ * Structural diff between two revisions (to defaults to the latest)
+ * 
+ * Response:
+ * {
+ *   pageId, from, to,
+ *   page:    [{ path, from, to }],               // page-level fields
+ *   added:   [{ id, type, name, position }],     // components
+ *   removed: [{ id, type, name, position }],
+ *   changed: [{ id, type, name, position, attrs: [{ path, from, to }] }],
+ *   moved:   [{ id, from, to }]
+ * }
+ */
+export const diffPageRevisions = async (req, res, next) => {
+  try {
+    const { appPrefix, environment } = req.appAccess;
+    const docId = toPageId(req.params.pageName);
+    const { from, to } = req.query;
+    requireFields({ from }, ["from"]);
+
+    const diff = await pageHistoryService.diffRevisions(appPrefix, environment, docId, { from, to });
+
+    return ok(res, diff, "Revision diff computed");
+  } catch (err) {
+    return next(err instanceof AppError ? err : new AppError(err.message || "Diff revisions failed", 500));
+  }
+};
+
+/**
+ * POST /api/pages/:appName/:pageName/revisions/:revision/restore
+ * ===============================================================
+ * Make an old revision the page's head again. The restore is itself a new
+ * revision, so it can be undone the same way.
+ * 
+ * Request Body: { message?: string, expectedRevision?: string }
+ * (or If-Match: 409 if the page changed since that revision)
+ * 
+ * Response: { pageName, docId, revision, revisionToken, restoredFrom }
+ */
+export const restorePageRevision = async (req, res, next) => {
+  try {
+    const { appPrefix, environment } = req.appAccess;
+    const { pageName } = req.params;
+    const docId = toPageId(pageName);
+    const collectionName = environmentService.collectionName(appPrefix, "pages", environment);
+
+    const { revision, page } = await pageHistoryService.restoreRevision({
+      appPrefix,
+      environment,
+      pagesCollection: collectionName,
+      pageId: docId,
+      revision: req.params.revision,
+      message: req.body && req.body.message,
+      authorId: req.user.uid,
+      expectedRevision: concurrencyService.expectedRevision(req)
+    });
+
+    const revisionToken = concurrencyService.setEtag(res, page);
+    logger.info(`[PageController] Restored page ${appPrefix}/${docId} to revision ${req.params.revision} (now ${revision})`);
+    return ok(res, { pageName: page.name || pageName, docId, revision, revisionToken, restoredFrom: Number(req.params.revision) }, "Revision restored");
+  } catch (err) {
+    return next(err instanceof AppError ? err : new AppError(err.message || "Restore revision failed", 500));
+  }
+};
+
+/**
+ * GET /api/pages/:appName/:pageName/publication
+ * ==============================================
+ * Response:
+ * {
+ *   pageId, status: "published" | "unpublished",
+ *   revision, publishedAt, publishedBy, unpublishedAt, unpublishedBy,
+ *   scheduledAt, scheduledBy, scheduledRevision,
+ *   draftRevision, hasUnpublishedChanges
+ * }
+ */
+export const getPagePublication = async (req, res, next) => {
+  try {
+    const { appPrefix, environment } = req.appAccess;
+    const docId = toPageId(req.params.pageName);
+    const collectionName = environmentService.collectionName(appPrefix, "pages", environment);
+
+    const publication = await pagePublicationService.getPublication(appPrefix, environment, collectionName, docId);
+
+    return ok(res, publication, "Publication state fetched successfully");
+  } catch (err) {
+    return next(err instanceof AppError ? err : new AppError(err.message || "Get publication failed", 500));
+  }
+};
+
+/**
+ * POST /api/pages/:appName/:pageName/publish
+ * ===========================================
+ * Snapshot the draft as the live version.
+ * 
+ * Request Body: { publishAt?: string }  // ISO timestamp in the future
+ * 
+ * With publishAt the draft as it is now is published at that time by the
+ * server-side scheduler (replacing any earlier schedule); later edits need a
+ * new schedule.
+ * 
+ * Response: publication state (see GET .../publication)
+ */
+export const publishPage = async (req, res, next) => {
+  try {
+    const { appPrefix, environment } = req.appAccess;
+    const docId = toPageId(req.params.pageName);
+    const collectionName = environmentService.collectionName(appPrefix, "pages", environment);
+    const { publishAt } = req.body || {};
+    const params = { appPrefix, environment, pagesCollection: collectionName, pageId: docId };
+
+    if (publishAt) {
+      const publication = await pagePublicationService.schedule({ ...params, publishAt, scheduledBy: req.user.uid });
+      logger.info(`[PageController] Scheduled publish of ${appPrefix}/${docId} (${environment}) at ${publication.scheduledAt}`);
+      return ok(res, publication, "Publish scheduled");
+    }
+
+    const publication = await pagePublicationService.publish({ ...params, publishedBy: req.user.uid });
+    logger.info(`[PageController] Published ${appPrefix}/${docId} (${environment}) at revision ${publication.revision}`);
+    return ok(res, publication, "Page published");
+  } catch (err) {
+    return next(err instanceof AppError ? err : new AppError(err.message || "Publish page failed", 500));
+  }
+};
+
+/**
+ * POST /api/pages/:appName/:pageName/unpublish
+ * =============================================
+ * Remove the live version (the draft is untouched) and cancel any scheduled publish.
+ * 
+ * Response: publication state
+ */
+export const unpublishPage = async (req, res, next) => {
+  try {
+    const { appPrefix, environment } = req.appAccess;
+    const docId = toPageId(req.params.pageName);
+
+    const publication = await pagePublicationService.unpublish({
+      appPrefix,
+      environment,
+      pageId: docId,
+      unpublishedBy: req.user.uid
+    });
+
+    logger.info(`[PageController] Unpublished ${appPrefix}/${docId} (${environment})`);
+    return ok(res, publication, "Page unpublished");
+  } catch (err) {
+    return next(err instanceof AppError ? err : new AppError(err.message || "Unpublish page failed", 500));
+  }
+};
+
+/**
+ * DELETE /api/pages/:appName/:pageName/schedule
+ * ==============================================
+ * Cancel a scheduled publish. Response: publication state
+ */
+export const cancelScheduledPublish = async (req, res, next) => {
+  try {
+    const { appPrefix, environment } = req.appAccess;
+    const docId = toPageId(req.params.pageName);
+
+    const publication = await pagePublicationService.cancelSchedule({ appPrefix, environment, pageId: docId });
+
+    logger.info(`[PageController] Cancelled scheduled publish of ${appPrefix}/${docId} (${environment})`);
+    return ok(res, publication, "Scheduled publish cancelled");
+  } catch (err) {
+    return next(err instanceof AppError ? err : new AppError(err.message || "Cancel schedule failed", 500));
+  }
+};
+
+/**
+ * The app a copy / move writes to (default: this one): the caller needs
+ * pages:write there, in the same environment. Returns { appPrefix, appName }.
+ */
+const resolveTargetApp = async (req, targetAppName) => {
+  const access = await authorizeApp(targetAppName || req.appAccess.appPrefix, req.user.uid, "pages:write", {
+    environment: req.appAccess.environment
+  });
+  return { appPrefix: access.appPrefix, appName: access.app.appName || targetAppName || req.params.appName };
+};
+
+const bulkMessage = (what, { succeeded, failed }) => `${what} finished: ${succeeded} succeeded, ${failed} failed`;
+
+/**
+ * POST /api/pages/:appName/:pageName/duplicate
+ * =============================================
+ * Copy a page within the app or into another app the caller can edit.
+ * 
+ * Request Body:
+ * {
+ *   newPageName?: string,    // Default: "<name> copy" (same app) or the same name
+ *   targetAppName?: string,  // Default: this app (needs pages:write there)
+ *   relinkLibrary?: boolean  // Keep library components linked (libraryComponentId)
+ * }
+ * 
+ * Component ids are regenerated. 409 if the target page already exists.
+ * 
+ * Response: { pageId, pageName, appPrefix, revision, componentIds: { old: new },
+ *             libraryComponents: [{ id, action: "copied" | "existing" | "missing" }] }
+ */
+export const duplicatePage = async (req, res, next) => {
+  try {
+    const { pageName } = req.params;
+    const { newPageName, targetAppName, relinkLibrary } = req.body || {};
+    const target = await resolveTargetApp(req, targetAppName);
+    const sameApp = target.appPrefix === req.appAccess.appPrefix;
+    const name = newPageName || (sameApp ? `${pageName} copy` : pageName);
+    if (typeof name !== "string" || !toPageId(name).replace(/_/g, "")) {
+      return fail(res, 400, "newPageName must contain letters or digits");
+    }
+
+    const result = await pageOperationsService.duplicatePage({
+      environment: req.appAccess.environment,
+      sourcePrefix: req.appAccess.appPrefix,
+      pageId: toPageId(pageName),
+      target,
+      newPageId: toPageId(name),
+      newPageName: name,
+      relinkLibrary: relinkLibrary === true,
+      authorId: req.user.uid
+    });
+
+    logger.info(`[PageController] Duplicated page ${req.appAccess.appPrefix}/${pageName} to ${result.appPrefix}/${result.pageId}`);
+    return created(res, result, "Page duplicated successfully");
+  } catch (err) {
+    return next(err instanceof AppError ? err : new AppError(err.message || "Duplicate page failed", 500));
+  }
+};
+
+/**
+ * POST /api/pages/:appName/bulk/delete
+ * ====================================
+ * Request Body: { pages: ["Home", "About", ...] }  // up to 100
+ * 
+ * Each page is deleted like DELETE /api/pages/:appName/:pageName; one
+ * failing page does not stop the others.
+ * 
+ * Response: { results: [{ pageName, pageId, success, status?, error? }], succeeded, failed }
+ */
+export const bulkDeletePages = async (req, res, next) => {
+  try {
+    const { appPrefix, environment } = req.appAccess;
+    const report = await pageOperationsService.runBulk((req.body || {}).pages, async (pageName) => {
+      const pageId = toPageId(String(pageName));
+      const { existed } = await pageOperationsService.deletePage(appPrefix, environment, pageId);
+      if (!existed) throw new AppError("Page not found", 404, { pageId });
+      return { pageName, pageId };
+    });
+
+    logger.info(`[PageController] Bulk delete in ${appPrefix}: ${report.succeeded} deleted, ${report.failed} failed`);
+    return ok(res, report, bulkMessage("Bulk delete", report));
+  } catch (err) {
+    return next(err instanceof AppError ? err : new AppError(err.message || "Bulk delete failed", 500));
+  }
+};
+
+/**
+ * POST /api/pages/:appName/bulk/move
+ * ==================================
+ * Request Body: { pages: ["Home", ...], targetAppName: string }
+ * 
+ * Moves pages (same ids, same components) into another app the caller can
+ * edit. A page in use by this app's site map or menus stays (409 for it).
+ * 
+ * Response: { results: [{ pageName, pageId, appPrefix, revision, success, ... }], succeeded, failed }
+ */
+export const bulkMovePages = async (req, res, next) => {
+  try {
+    const { pages, targetAppName } = req.body || {};
+    requireFields({ targetAppName }, ["targetAppName"]);
+    const target = await resolveTargetApp(req, targetAppName);
+    const { appPrefix, environment } = req.appAccess;
+
+    const report = await pageOperationsService.runBulk(pages, async (pageName) => {
+      const moved = await pageOperationsService.movePage({
+        environment,
+        sourcePrefix: appPrefix,
+        pageId: toPageId(String(pageName)),
+        target,
+        authorId: req.user.uid
+      });
+      return { pageName, ...moved };
+    });
+
+    logger.info(`[PageController] Bulk move ${appPrefix} -> ${target.appPrefix}: ${report.succeeded} moved, ${report.failed} failed`);
+    return ok(res, report, bulkMessage("Bulk move", report));
+  } catch (err) {
+    return next(err instanceof AppError ? err : new AppError(err.message || "Bulk move failed", 500));
+  }
+};
+
+/**
+ * POST /api/pages/:appName/bulk/rename
+ * ====================================
+ * Request Body: { pages: [{ pageName, newPageName }, ...] }
+ * 
+ * A name that maps to a new id moves the page there, together with its
+ * published copy, site map entry, menu items and redirects.
+ * 
+ * Response: { results: [{ pageName, newPageName, pageId, previousPageId, success, ... }], succeeded, failed }
+ */
+export const bulkRenamePages = async (req, res, next) => {
+  try {
+    const { appPrefix, environment } = req.appAccess;
+    const report = await pageOperationsService.runBulk((req.body || {}).pages, async (item) => {
+      const { pageName, newPageName } = item || {};
+      requireFields({ pageName, newPageName }, ["pageName", "newPageName"]);
+      if (!toPageId(String(newPageName)).replace(/_/g, "")) {
+        throw new AppError("newPageName must contain letters or digits", 400);
+      }
+      const renamed = await pageOperationsService.renamePage({
+        appPrefix,
+        environment,
+        pageId: toPageId(String(pageName)),
+        newPageId: toPageId(String(newPageName)),
+        newPageName: String(newPageName),
+        authorId: req.user.uid
+      });
+      return { pageName, newPageName, ...renamed };
+    });
+
+    logger.info(`[PageController] Bulk rename in ${appPrefix}: ${report.succeeded} renamed, ${report.failed} failed`);
+    return ok(res, report, bulkMessage("Bulk rename", report));
+  } catch (err) {
+    return next(err instanceof AppError ? err : new AppError(err.message || "Bulk rename failed", 500));
+  }
+};
+
+/**
+ * PUT /api/pages/:appName/:pageName/translations/:locale
+ * ======================================================
+ * Save strings of one locale (not the default one, whose text is the page).
+ * 
+ * Request Body:
+ * {
+ *   strings: {
+ *     [componentId]: {
+ *       content?, title?, description?, label?, linkText?, submitLabel?, caption?, alt?,
+ *       fields?: { [fieldId]: label }   // form field labels
+ *     } | null
+ *   },
+ *   message?: string
+ * }
+ * 
+ * Strings are merged into what the locale already has; null removes a
+ * string (or all strings of a component). 400 for unsupported locales and
+ * for components or attributes the page does not have. Saved as a new
+ * revision; If-Match / expectedRevision work as for POST /api/pages.
+ * 
+ * Response: { pageName, docId, locale, revision, revisionToken, translations }
+ */
+export const savePageTranslations = async (req, res, next) => {
+  try {
+    const { appPrefix, environment, app } = req.appAccess;
+    const { pageName } = req.params;
+    const { strings, message } = req.body || {};
+    requireFields({ strings }, ["strings"]);
+    const locale = localizationService.assertTranslatable(localizationService.getSettings(app), req.params.locale);
+
+    const collectionName = environmentService.collectionName(appPrefix, "pages", environment);
+    const docId = toPageId(pageName);
+    const result = await firestoreService.getDoc(collectionName, docId);
+    if (!result.success) {
+      return fail(res, 404, "Page not found", { error: result.error });
+    }
+    const { id, ...current } = result.data;
+    // Linked components are checked against the text they resolve to
+    const [resolved] = await componentLinkService.resolvePages(appPrefix, environment, [result.data]);
+    const translations = localizationService.applyStrings(resolved, locale, strings);
+
+    // Written whole so removed strings disappear; the token read above
+    // guards against saves in between unless the client sent its own
+    const { revision, page } = await pageHistoryService.saveRevision({
+      appPrefix,
+      environment,
+      pagesCollection: collectionName,
+      pageId: id,
+      data: { ...current, translations, updatedBy: req.user.uid, updatedAt: new Date().toISOString() },
+      message: message || `Translations (${locale}) updated`,
+      authorId: req.user.uid,
+      replace: true,
+      expectedRevision: concurrencyService.expectedRevision(req) || concurrencyService.revisionToken(current),
+      autoMerge: true
+    });
+
+    const revisionToken = concurrencyService.setEtag(res, page);
+    logger.info(`[PageController] Translations (${locale}) saved: ${appPrefix}/${docId} (revision ${revision})`);
+    return ok(res, { pageName: page.name || pageName, docId, locale, revision, revisionToken, translations: translations[locale] || {} }, "Translations saved");
+  } catch (err) {
+    return next(err instanceof AppError ? err : new AppError(err.message || "Save translations failed", 500));
+  }
+};
+
+/**
+ * POST /api/pages/:appName/:pageName/components/:componentId/detach
+ * ==================================================================
+ * Turn a linked component (nested ones included) into a plain copy of what
+ * it resolves to now, overrides applied; later library edits no longer
+ * reach it. Saved as a new revision; If-Match / expectedRevision work as
+ * for POST /api/pages.
+ * 
+ * Request Body: { message?: string }
+ * 
+ * 404 if the page has no such component, 400 if it is not linked, 409 if
+ * its library component was deleted and the instance has no copy to keep.
+ * 
+ * Response: { pageName, docId, revision, revisionToken, component, libraryComponentId }
+ */
+export const detachPageComponent = async (req, res, next) => {
+  try {
+    const { appPrefix, environment } = req.appAccess;
+    const { pageName, componentId } = req.params;
+    const { message } = req.body || {};
+
+    const collectionName = environmentService.collectionName(appPrefix, "pages", environment);
+    const docId = toPageId(pageName);
+    const result = await firestoreService.getDoc(collectionName, docId);
+    if (!result.success) {
+      return fail(res, 404, "Page not found", { error: result.error });
+    }
+    const { id, ...current } = result.data;
+    const library = await componentLinkService.loadLibrary(appPrefix, environment);
+    const { page: detached, component, libraryComponentId } = componentLinkService.detach(current, componentId, library);
+
+    const { revision, page } = await pageHistoryService.saveRevision({
+      appPrefix,
+      environment,
+      pagesCollection: collectionName,
+      pageId: id,
+      data: { ...detached, updatedBy: req.user.uid, updatedAt: new Date().toISOString() },
+      message: message || `Component ${componentId} detached from ${libraryComponentId}`,
+      authorId: req.user.uid,
+      replace: true,
+      expectedRevision: concurrencyService.expectedRevision(req) || concurrencyService.revisionToken(current),
+      autoMerge: true
+    });
+
+    const revisionToken = concurrencyService.setEtag(res, page);
+    logger.info(`[PageController] Component ${componentId} detached from ${libraryComponentId}: ${appPrefix}/${docId} (revision ${revision})`);
+    return ok(res, { pageName: page.name || pageName, docId, revision, revisionToken, component, libraryComponentId }, "Component detached");
+  } catch (err) {
+    return next(err instanceof AppError ? err : new AppError(err.message || "Detach component failed", 500));
+  }
+};
+
+/**
+ * Draft of a page for a component tree change: 404 if missing.
+ */
+const readDraft = async (req) => {
+  const { appPrefix, environment } = req.appAccess;
+  const collectionName = environmentService.collectionName(appPrefix, "pages", environment);
+  const docId = toPageId(req.params.pageName);
+  const result = await firestoreService.getDoc(collectionName, docId);
+  if (!result.success) {
+    throw new AppError("Page not found", 404, { error: result.error });
+  }
+  const { id, ...current } = result.data;
+  return { collectionName, docId: id, current };
+};
+
+/**
+ * Save a changed component tree as a new revision, like detach.
+ */
+const saveTree = async (req, res, { collectionName, docId, current }, page, message) => {
+  const { appPrefix, environment } = req.appAccess;
+  const saved = await pageHistoryService.saveRevision({
+    appPrefix,
+    environment,
+    pagesCollection: collectionName,
+    pageId: docId,
+    data: { ...page, updatedBy: req.user.uid, updatedAt: new Date().toISOString() },
+    message: (req.body && req.body.message) || message,
+    authorId: req.user.uid,
+    replace: true,
+    expectedRevision: concurrencyService.expectedRevision(req) || concurrencyService.revisionToken(current),
+    autoMerge: true
+  });
+  const revisionToken = concurrencyService.setEtag(res, saved.page);
+  return { pageName: saved.page.name || req.params.pageName, docId, revision: saved.revision, revisionToken };
+};
+
+/**
+ * GET /api/pages/:appName/:pageName/components/:componentId
+ * ==========================================================
+ * A component of the draft, wherever it is nested, with its position.
+ * ?resolve=true resolves linked components first.
+ * 
+ * Response: { component, parentId, index, depth, path } – parentId is null
+ * at the top level; path is the JSON path in the page (validation style)
+ */
+export const getPageComponent = async (req, res, next) => {
+  try {
+    const { componentId } = req.params;
+    const { current } = await readDraft(req);
+    const [page] = await resolveLinks(req, [current]);
+    const found = componentTreeService.findById(page, componentId);
+    return ok(res, found, "Component fetched successfully");
+  } catch (err) {
+    return next(err instanceof AppError ? err : new AppError(err.message || "Get component failed", 500));
+  }
+};
+
+/**
+ * POST /api/pages/:appName/:pageName/components/:componentId/move
+ * ================================================================
+ * Move a component, with everything nested in it, into another container
+ * or to the top level. Saved as a new revision (If-Match / expectedRevision
+ * as for POST /api/pages).
+ * 
+ * Request Body: { parentId?: string | null, index?: number, message?: string }
+ * - parentId: target container (null or missing: top level)
+ * - index: position among the target's children (default: last)
+ * 
+ * 400 if the target is not a container or lies inside the moved component,
+ * 422 if the move nests components deeper than allowed.
+ * 
+ * Response: { pageName, docId, revision, revisionToken, componentId, parentId, index }
+ */
+export const movePageComponent = async (req, res, next) => {
+  try {
+    const { componentId } = req.params;
+    const { parentId = null, index } = req.body || {};
+    if (index !== undefined && !Number.isInteger(index)) {
+      return fail(res, 400, "index must be an integer");
+    }
+
+    const draft = await readDraft(req);
+    const moved = componentTreeService.moveSubtree(draft.current, componentId, { parentId, index });
+    const where = moved.parentId ? `into ${moved.parentId}` : "to the top level";
+    const saved = await saveTree(req, res, draft, moved.page, `Component ${componentId} moved ${where}`);
+
+    logger.info(`[PageController] Component ${componentId} moved ${where}: ${req.appAccess.appPrefix}/${draft.docId} (revision ${saved.revision})`);
+    return ok(res, { ...saved, componentId, parentId: moved.parentId, index: moved.index }, "Component moved");
+  } catch (err) {
+    return next(err instanceof AppError ? err : new AppError(err.message || "Move component failed", 500));
+  }
+};
+
+/**
+ * POST /api/pages/:appName/:pageName/components/wrap
+ * ===================================================
+ * Put sibling components into a new container, placed where the first of
+ * them was. Saved as a new revision.
+ * 
+ * Request Body:
+ * {
+ *   componentIds: string[],   // siblings (same parent), kept in page order
+ *   container?: { id?, name?, layout?, commonAttrs? },  // layout default "column"
+ *   message?: string
+ * }
+ * 
+ * 400 if the components do not share a parent, 409 if container.id is
+ * taken, 422 if wrapping nests components deeper than allowed.
+ * 
+ * Response: { pageName, docId, revision, revisionToken, component, parentId, index }
+ */
+export const wrapPageComponents = async (req, res, next) => {
+  try {
+    requireFields(req.body, ["componentIds"]);
+    const { componentIds, container } = req.body;
+
+    const draft = await readDraft(req);
+    const wrapped = componentTreeService.wrap(draft.current, componentIds, container);
+    const saved = await saveTree(req, res, draft, wrapped.page, `Components ${componentIds.join(", ")} wrapped in ${wrapped.component.id}`);
+
+    logger.info(`[PageController] ${componentIds.length} component(s) wrapped in ${wrapped.component.id}: ${req.appAccess.appPrefix}/${draft.docId} (revision ${saved.revision})`);
+    return created(res, { ...saved, component: wrapped.component, parentId: wrapped.parentId, index: wrapped.index }, "Components wrapped");
+  } catch (err) {
+    return next(err instanceof AppError ? err : new AppError(err.message || "Wrap components failed", 500));
+  }
+};
+
+/**
+ * POST /api/pages/:appName/:pageName/components/:componentId/unwrap
+ * ==================================================================
+ * Remove a container and put its children in its place. Saved as a new
+ * revision.
+ * 
+ * Request Body: { message?: string }
+ * 
+ * 400 if the component is not a container, or lists its children by id.
+ * 
+ * Response: { pageName, docId, revision, revisionToken, containerId, parentId, childIds }
+ */
+export const unwrapPageComponent = async (req, res, next) => {
+  try {
+    const { componentId } = req.params;
+
+    const draft = await readDraft(req);
+    const unwrapped = componentTreeService.unwrap(draft.current, componentId);
+    const saved = await saveTree(req, res, draft, unwrapped.page, `Container ${componentId} unwrapped`);
+
+    logger.info(`[PageController] Container ${componentId} unwrapped: ${req.appAccess.appPrefix}/${draft.docId} (revision ${saved.revision})`);
+    return ok(res, { ...saved, containerId: componentId, parentId: unwrapped.parentId, childIds: unwrapped.childIds }, "Container unwrapped");
+  } catch (err) {
+    return next(err instanceof AppError ? err : new AppError(err.message || "Unwrap container failed", 500));
   }
 };
 
 // Export all controller functions
 export default {
   savePage,
+  validatePage,
   getPagesByApp,
   getPage,
-  deletePage
+  deletePage,
+  listPageRevisions,
+  getPageRevision,
+  diffPageRevisions,
+  restorePageRevision,
+  getPagePublication,
+  publishPage,
+  unpublishPage,
+  cancelScheduledPublish,
+  duplicatePage,
+  bulkDeletePages,
+  bulkMovePages,
+  bulkRenamePages,
+  savePageTranslations,
+  detachPageComponent,
+  getPageComponent,
+  movePageComponent,
+  wrapPageComponents,
+  unwrapPageComponent
 };
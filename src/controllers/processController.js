@@ -2,19 +2,17 @@
 // Created on 2025-12-30
 // Purpose: Handle CRUD operations for business processes in Firestore
 // Collection pattern: {appPrefix}_processes in jayram database (normalized lowercase)
+// Reads carry a revision token (ETag + revisionToken); writes sending it back via
+// If-Match or expectedRevision get 409 with the current copy when it is stale.
+// Saves and deletes keep the usage index (validations, actions and components
+// the steps reference) up to date.
 
 import firestoreService from "../services/firestoreService.js";
+import { environmentService } from "../services/environmentService.js";
+import { concurrencyService } from "../services/concurrencyService.js";
+import { usageService } from "../services/usageService.js";
 import logger from "../services/loggerService.js";
-
-/**
- * Normalize app name to collection prefix (same as AppService)
- * Examples: "Rama2" -> "rama2", "My App" -> "myapp"
- * @param {string} appName - Original app name
- * @returns {string} Normalized prefix
- */
-const normalizeAppName = (appName) => {
-  return appName.trim().toLowerCase().replace(/[^a-z0-9]+/g, "");
-};
+import { AppError } from "../utils/errorHandler.js";
 
 /**
  * Get all processes for an app
@@ -30,8 +28,8 @@ export const getProcesses = async (req, res) => {
   }
   
   try {
-    const appPrefix = normalizeAppName(appName);
-    const collectionName = `${appPrefix}_processes`;
+    const { appPrefix } = req.appAccess;
+    const collectionName = environmentService.collectionName(appPrefix, "processes", req.appAccess.environment);
     logger.info(`[processController] Normalized collection name: ${collectionName}`);
     const result = await firestoreService.getDocs(collectionName, dbName || "jayram");
     
@@ -41,7 +39,7 @@ export const getProcesses = async (req, res) => {
     }
     
     logger.info(`[processController] Retrieved ${result.data.length} processes from ${collectionName}`);
-    return res.status(200).json(result.data);
+    return res.status(200).json(result.data.map(concurrencyService.present));
   } catch (error) {
     logger.error(`[processController] Error getting processes: ${error.message}`);
     return res.status(500).json({ error: "Failed to fetch processes" });
@@ -62,8 +60,8 @@ export const getProcessById = async (req, res) => {
   }
   
   try {
-    const appPrefix = normalizeAppName(appName);
-    const collectionName = `${appPrefix}_processes`;
+    const { appPrefix } = req.appAccess;
+    const collectionName = environmentService.collectionName(appPrefix, "processes", req.appAccess.environment);
     logger.info(`[processController] Normalized collection name: ${collectionName}`);
     const result = await firestoreService.getDoc(collectionName, id, dbName || "jayram");
     
@@ -73,7 +71,8 @@ export const getProcessById = async (req, res) => {
     }
     
     logger.info(`[processController] Retrieved process: ${id}`);
-    return res.status(200).json(result.data);
+    concurrencyService.setEtag(res, result.data);
+    return res.status(200).json(concurrencyService.present(result.data));
   } catch (error) {
     logger.error(`[processController] Error getting process: ${error.message}`);
     return res.status(500).json({ error: "Failed to fetch process" });
@@ -104,8 +103,8 @@ export const createProcess = async (req, res) => {
   }
   
   try {
-    const appPrefix = normalizeAppName(appName);
-    const collectionName = `${appPrefix}_processes`;
+    const { appPrefix } = req.appAccess;
+    const collectionName = environmentService.collectionName(appPrefix, "processes", req.appAccess.environment);
     logger.info(`[processController] Normalized collection name: ${collectionName}`);
     
     // Generate ID if not provided or null
@@ -123,25 +122,30 @@ export const createProcess = async (req, res) => {
       version: processData.version || 1,
       createdAt: new Date().toISOString(),
       updatedAt: new Date().toISOString(),
+      createdBy: req.user.uid,
+      updatedBy: req.user.uid,
       appPrefix: appPrefix  // Store normalized prefix for reference
     };
     
-    // Use upsert to create with specific ID
-    const result = await firestoreService.upsertDoc(
-      collectionName, 
-      processId, 
-      processDoc, 
-      dbName || "jayram"
-    );
+    // Use upsert to create with specific ID (guarded when a revision is expected)
+    const saved = await concurrencyService.upsertIfCurrent({
+      what: "Process",
+      collectionName,
+      docId: processId,
+      data: processDoc,
+      expected: concurrencyService.expectedRevision(req),
+      dbName: dbName || "jayram"
+    });
     
-    if (!result.success) {
-      logger.error(`[processController] Failed to create process: ${result.error}`);
-      return res.status(500).json({ error: result.error });
-    }
+    await usageService.indexSource(appPrefix, req.appAccess.environment, "process", processId, saved);
     
     logger.info(`[processController] Created process: ${processId} in ${collectionName}`);
-    return res.status(201).json(result.data);
+    concurrencyService.setEtag(res, saved);
+    return res.status(201).json(saved);
   } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.status).json({ error: error.message, details: error.details });
+    }
     logger.error(`[processController] Error creating process: ${error.message}`);
     return res.status(500).json({ error: "Failed to create process" });
   }
@@ -162,8 +166,8 @@ export const updateProcess = async (req, res) => {
   }
   
   try {
-    const appPrefix = normalizeAppName(appName);
-    const collectionName = `${appPrefix}_processes`;
+    const { appPrefix } = req.appAccess;
+    const collectionName = environmentService.collectionName(appPrefix, "processes", req.appAccess.environment);
     logger.info(`[processController] Normalized collection name: ${collectionName}`);
     
     // Check if process exists
@@ -186,25 +190,30 @@ export const updateProcess = async (req, res) => {
       steps: updates.steps || existing.data.steps,
       finalActions: updates.finalActions || existing.data.finalActions,
       updatedAt: new Date().toISOString(),
+      updatedBy: req.user.uid,
       version: currentVersion + 1,
       appPrefix: appPrefix
     };
     
-    const result = await firestoreService.updateDoc(
-      collectionName, 
-      id, 
-      updateData, 
-      dbName || "jayram"
-    );
+    // Only applied while the stored copy still has the expected revision token
+    const saved = await concurrencyService.updateIfCurrent({
+      what: "Process",
+      collectionName,
+      docId: id,
+      data: updateData,
+      expected: concurrencyService.expectedRevision(req),
+      dbName: dbName || "jayram"
+    });
     
-    if (!result.success) {
-      logger.error(`[processController] Failed to update process: ${result.error}`);
-      return res.status(500).json({ error: result.error });
-    }
+    await usageService.indexSource(appPrefix, req.appAccess.environment, "process", id, saved);
     
     logger.info(`[processController] Updated process: ${id} in ${collectionName}`);
-    return res.status(200).json(result.data);
+    concurrencyService.setEtag(res, saved);
+    return res.status(200).json(saved);
   } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.status).json({ error: error.message, details: error.details });
+    }
     logger.error(`[processController] Error updating process: ${error.message}`);
     return res.status(500).json({ error: "Failed to update process" });
   }
@@ -224,8 +233,8 @@ export const deleteProcess = async (req, res) => {
   }
   
   try {
-    const appPrefix = normalizeAppName(appName);
-    const collectionName = `${appPrefix}_processes`;
+    const { appPrefix } = req.appAccess;
+    const collectionName = environmentService.collectionName(appPrefix, "processes", req.appAccess.environment);
     logger.info(`[processController] Normalized collection name: ${collectionName}`);
     
     const result = await firestoreService.deleteDoc(collectionName, id, dbName || "jayram");
@@ -235,6 +244,8 @@ export const deleteProcess = async (req, res) => {
       return res.status(404).json({ error: "Process not found" });
     }
     
+    await usageService.removeSource(appPrefix, req.appAccess.environment, "process", id);
+    
     logger.info(`[processController] Deleted process: ${id} from ${collectionName}`);
     return res.status(200).json({ message: "Process deleted successfully", id });
   } catch (error) {
@@ -0,0 +1,81 @@
+/**
+ * SEO Controller
+ * ==============
+ * sitemap.xml and robots.txt of an app, generated from its published pages
+ * (see seoService). The site's own server fetches them and serves them at
+ * its root; the page metadata itself is saved with the page (`seo` block).
+ *
+ * This controller is called from: /api/routes/appRoutes.js
+ * Uses: seoService for business logic
+ *
+ * Endpoints provided:
+ * - GET /api/app/:appName/sitemap.xml  - XML sitemap of the published pages
+ * - GET /api/app/:appName/robots.txt   - robots.txt pointing at the sitemap
+ */
+
+import { AppError } from '../utils/errorHandler.js';
+import { seoService, isBaseUrl } from '../services/seoService.js';
+import { createLogger } from '../services/loggerService.js';
+
+// Create file-scoped logger
+const logger = createLogger(import.meta.url);
+
+/**
+ * Base URL of the site: ?baseUrl=https://www.example.com, or this server.
+ */
+const baseUrlOf = (req) => {
+  const { baseUrl } = req.query;
+  if (baseUrl === undefined || baseUrl === '') return `${req.protocol}://${req.get('host')}`;
+  if (!isBaseUrl(baseUrl)) {
+    throw new AppError('baseUrl must be an absolute http(s) URL without query or fragment', 400, { baseUrl });
+  }
+  return baseUrl;
+};
+
+/**
+ * GET /api/app/:appName/sitemap.xml?baseUrl=https://www.example.com
+ * =================================================================
+ * Published pages with a site map path (or a canonicalUrl), except noindex
+ * pages; lastmod is the published version's updatedAt. Use ?env=prod for
+ * the live site.
+ *
+ * Response: application/xml
+ */
+export const getSitemapXml = async (req, res, next) => {
+  try {
+    const { appPrefix, environment } = req.appAccess;
+    const baseUrl = baseUrlOf(req);
+    logger.entry('getSitemapXml', { appPrefix, environment, baseUrl });
+
+    const xml = await seoService.sitemapXml(appPrefix, environment, baseUrl);
+
+    logger.exit('getSitemapXml', { appPrefix, bytes: xml.length });
+    return res.type('application/xml').send(xml);
+  } catch (err) {
+    logger.error('getSitemapXml', 'Failed to generate sitemap.xml', err);
+    return next(err instanceof AppError ? err : new AppError(err.message || 'Generate sitemap failed', 500));
+  }
+};
+
+/**
+ * GET /api/app/:appName/robots.txt?baseUrl=https://www.example.com
+ * ================================================================
+ * Disallows the paths of published noindex pages and links the sitemap.
+ *
+ * Response: text/plain
+ */
+export const getRobotsTxt = async (req, res, next) => {
+  try {
+    const { appPrefix, environment } = req.appAccess;
+    const baseUrl = baseUrlOf(req);
+    logger.entry('getRobotsTxt', { appPrefix, environment, baseUrl });
+
+    const text = await seoService.robotsTxt(appPrefix, environment, baseUrl);
+
+    logger.exit('getRobotsTxt', { appPrefix });
+    return res.type('text/plain').send(text);
+  } catch (err) {
+    logger.error('getRobotsTxt', 'Failed to generate robots.txt', err);
+    return next(err instanceof AppError ? err : new AppError(err.message || 'Generate robots.txt failed', 500));
+  }
+};
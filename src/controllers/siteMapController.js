@@ -0,0 +1,261 @@
+/**
+ * Site Map Controller
+ * ===================
+ * Navigation of an app: page tree with URL slugs, home page, redirects left
+ * behind by slug changes, and named menus (header, footer, ...) that link to
+ * pages. Everything is per environment, like the pages themselves.
+ *
+ * This controller is called from: /api/routes/appRoutes.js
+ * Uses: siteMapService for business logic
+ *
+ * Endpoints provided:
+ * - GET    /api/app/:appName/sitemap                  - Page tree with paths
+ * - PUT    /api/app/:appName/sitemap/pages/:pageName  - Add / move / re-slug a page
+ * - DELETE /api/app/:appName/sitemap/pages/:pageName  - Take a page out of the site map
+ * - GET    /api/app/:appName/sitemap/resolve?path=    - Page (or redirect) for a URL path
+ * - GET    /api/app/:appName/sitemap/redirects        - Redirects left by path changes
+ * - DELETE /api/app/:appName/sitemap/redirects?path=  - Drop a redirect
+ * - GET    /api/app/:appName/menus                    - All menus
+ * - GET    /api/app/:appName/menus/:menuName          - One menu
+ * - PUT    /api/app/:appName/menus/:menuName          - Create / replace a menu
+ * - DELETE /api/app/:appName/menus/:menuName          - Delete a menu
+ */
+
+import { ok } from '../utils/responseHandler.js';
+import { AppError } from '../utils/errorHandler.js';
+import { requireFields } from '../utils/validator.js';
+import { siteMapService } from '../services/siteMapService.js';
+import { createLogger } from '../services/loggerService.js';
+
+// Create file-scoped logger
+const logger = createLogger(import.meta.url);
+
+// Same document ID rule as pageController: "Home v1" -> "home_v1"
+const toPageId = (pageName) => pageName.trim().toLowerCase().replace(/[^a-z0-9_]+/g, '_');
+
+/**
+ * GET /api/app/:appName/sitemap
+ * =============================
+ * Response: { homePageId, tree: [{ pageId, name, slug, path, order, isHome, children: [...] }] }
+ */
+export const getSiteMap = async (req, res, next) => {
+  try {
+    const { appPrefix, environment } = req.appAccess;
+    logger.entry('getSiteMap', { appPrefix, environment });
+
+    const siteMap = await siteMapService.getSiteMap(appPrefix, environment);
+
+    logger.exit('getSiteMap', { appPrefix, roots: siteMap.tree.length });
+    return ok(res, siteMap, 'Site map fetched successfully');
+  } catch (err) {
+    logger.error('getSiteMap', 'Failed to fetch site map', err);
+    return next(err instanceof AppError ? err : new AppError(err.message || 'Get site map failed', 500));
+  }
+};
+
+/**
+ * PUT /api/app/:appName/sitemap/pages/:pageName
+ * =============================================
+ * Request Body: { slug?, parentId?, order?, isHome? }
+ *
+ * New pages default to a slug from the page name, top level, last. A changed
+ * path leaves redirects from the old path of the page and its children;
+ * 409 if another page already has the path.
+ *
+ * Response: { node: { pageId, slug, parentId, order, isHome, path }, redirects: [{ from, to, pageId }] }
+ */
+export const upsertSiteMapPage = async (req, res, next) => {
+  try {
+    const { appPrefix, environment } = req.appAccess;
+    const pageId = toPageId(req.params.pageName);
+    const { slug, parentId, order, isHome } = req.body || {};
+    logger.entry('upsertSiteMapPage', { appPrefix, environment, pageId });
+
+    const result = await siteMapService.upsertNode({
+      appPrefix,
+      environment,
+      pageId,
+      slug,
+      parentId,
+      order,
+      isHome,
+      updatedBy: req.user.uid
+    });
+
+    logger.exit('upsertSiteMapPage', { appPrefix, pageId, path: result.node.path, redirects: result.redirects.length });
+    return ok(res, result, 'Site map updated');
+  } catch (err) {
+    logger.error('upsertSiteMapPage', 'Failed to update site map', err);
+    return next(err instanceof AppError ? err : new AppError(err.message || 'Update site map failed', 500));
+  }
+};
+
+/**
+ * DELETE /api/app/:appName/sitemap/pages/:pageName
+ * ================================================
+ * The page itself stays; it just has no URL any more. 409 while it has child
+ * pages or a menu links to it.
+ *
+ * Response: { pageId, redirectsRemoved }
+ */
+export const removeSiteMapPage = async (req, res, next) => {
+  try {
+    const { appPrefix, environment } = req.appAccess;
+    const pageId = toPageId(req.params.pageName);
+    logger.entry('removeSiteMapPage', { appPrefix, environment, pageId });
+
+    const result = await siteMapService.removeNode(appPrefix, environment, pageId);
+
+    logger.exit('removeSiteMapPage', { appPrefix, pageId });
+    return ok(res, result, 'Page removed from site map');
+  } catch (err) {
+    logger.error('removeSiteMapPage', 'Failed to remove page from site map', err);
+    return next(err instanceof AppError ? err : new AppError(err.message || 'Remove site map page failed', 500));
+  }
+};
+
+/**
+ * GET /api/app/:appName/sitemap/resolve?path=/about/team
+ * ======================================================
+ * Response: { pageId, path } or, for an old path, { pageId, redirectTo, status: 301 }
+ */
+export const resolveSiteMapPath = async (req, res, next) => {
+  try {
+    const { appPrefix, environment } = req.appAccess;
+    const { path } = req.query;
+    requireFields({ path }, ['path']);
+
+    const result = await siteMapService.resolvePath(appPrefix, environment, path);
+
+    return ok(res, result, result.redirectTo ? 'Path redirects' : 'Path resolved');
+  } catch (err) {
+    return next(err instanceof AppError ? err : new AppError(err.message || 'Resolve path failed', 500));
+  }
+};
+
+/**
+ * GET /api/app/:appName/sitemap/redirects
+ * =======================================
+ * Response: [{ id, from, to, pageId, createdAt }]
+ */
+export const listRedirects = async (req, res, next) => {
+  try {
+    const { appPrefix, environment } = req.appAccess;
+    logger.entry('listRedirects', { appPrefix, environment });
+
+    const redirects = await siteMapService.listRedirects(appPrefix, environment);
+
+    logger.exit('listRedirects', { appPrefix, count: redirects.length });
+    return ok(res, redirects, 'Redirects fetched successfully');
+  } catch (err) {
+    logger.error('listRedirects', 'Failed to list redirects', err);
+    return next(err instanceof AppError ? err : new AppError(err.message || 'List redirects failed', 500));
+  }
+};
+
+/**
+ * DELETE /api/app/:appName/sitemap/redirects?path=/old-path
+ * =========================================================
+ * Response: { from }
+ */
+export const deleteRedirect = async (req, res, next) => {
+  try {
+    const { appPrefix, environment } = req.appAccess;
+    const { path } = req.query;
+    requireFields({ path }, ['path']);
+    logger.entry('deleteRedirect', { appPrefix, environment, path });
+
+    const result = await siteMapService.deleteRedirect(appPrefix, environment, path);
+
+    logger.exit('deleteRedirect', { appPrefix, from: result.from });
+    return ok(res, result, 'Redirect deleted');
+  } catch (err) {
+    logger.error('deleteRedirect', 'Failed to delete redirect', err);
+    return next(err instanceof AppError ? err : new AppError(err.message || 'Delete redirect failed', 500));
+  }
+};
+
+/**
+ * GET /api/app/:appName/menus
+ * ===========================
+ * Response: [{ id, name, label, items: [{ pageId, label, path, children? } | { url, label }] }]
+ */
+export const listMenus = async (req, res, next) => {
+  try {
+    const { appPrefix, environment } = req.appAccess;
+    logger.entry('listMenus', { appPrefix, environment });
+
+    const menus = await siteMapService.listMenus(appPrefix, environment);
+
+    logger.exit('listMenus', { appPrefix, count: menus.length });
+    return ok(res, menus, 'Menus fetched successfully');
+  } catch (err) {
+    logger.error('listMenus', 'Failed to list menus', err);
+    return next(err instanceof AppError ? err : new AppError(err.message || 'List menus failed', 500));
+  }
+};
+
+/**
+ * GET /api/app/:appName/menus/:menuName
+ * =====================================
+ * Response: { id, name, label, items }, page items with their current path
+ */
+export const getMenu = async (req, res, next) => {
+  try {
+    const { appPrefix, environment } = req.appAccess;
+    const menu = await siteMapService.getMenu(appPrefix, environment, req.params.menuName);
+    return ok(res, menu, 'Menu fetched successfully');
+  } catch (err) {
+    return next(err instanceof AppError ? err : new AppError(err.message || 'Get menu failed', 500));
+  }
+};
+
+/**
+ * PUT /api/app/:appName/menus/:menuName
+ * =====================================
+ * Request Body:
+ * {
+ *   label?: string,
+ *   items: [{ pageId, label?, children? } | { url, label, children? }]  // up to 3 levels
+ * }
+ *
+ * Every pageId must be a page in the site map (400 otherwise).
+ */
+export const saveMenu = async (req, res, next) => {
+  try {
+    const { appPrefix, environment } = req.appAccess;
+    const { menuName } = req.params;
+    const { label, items } = req.body || {};
+    requireFields({ items }, ['items']);
+    logger.entry('saveMenu', { appPrefix, environment, menuName });
+
+    const menu = await siteMapService.saveMenu({ appPrefix, environment, name: menuName, label, items, updatedBy: req.user.uid });
+
+    logger.exit('saveMenu', { appPrefix, menuName, items: menu.items.length });
+    return ok(res, menu, 'Menu saved');
+  } catch (err) {
+    logger.error('saveMenu', 'Failed to save menu', err);
+    return next(err instanceof AppError ? err : new AppError(err.message || 'Save menu failed', 500));
+  }
+};
+
+/**
+ * DELETE /api/app/:appName/menus/:menuName
+ * ========================================
+ * Response: { menu }
+ */
+export const deleteMenu = async (req, res, next) => {
+  try {
+    const { appPrefix, environment } = req.appAccess;
+    const { menuName } = req.params;
+    logger.entry('deleteMenu', { appPrefix, environment, menuName });
+
+    const result = await siteMapService.deleteMenu(appPrefix, environment, menuName);
+
+    logger.exit('deleteMenu', { appPrefix, menuName });
+    return ok(res, result, 'Menu deleted');
+  } catch (err) {
+    logger.error('deleteMenu', 'Failed to delete menu', err);
+    return next(err instanceof AppError ? err : new AppError(err.message || 'Delete menu failed', 500));
+  }
+};
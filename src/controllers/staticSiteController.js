@@ -0,0 +1,63 @@
+/**
+ * Static Site Controller
+ * ======================
+ * Export an app's pages as plain HTML/CSS (no React runtime) for simple
+ * hosting.
+ *
+ * This controller is called from: /api/routes/appRoutes.js
+ * Uses: staticSiteService for rendering, utils/zip.js for the archive
+ *
+ * Endpoints provided:
+ * - GET /api/app/:appName/export/static  - Download the rendered site as a zip
+ */
+
+import { AppError } from '../utils/errorHandler.js';
+import { createZip } from '../utils/zip.js';
+import { staticSiteService } from '../services/staticSiteService.js';
+import { pagePublicationService } from '../services/pagePublicationService.js';
+import { staticExportConfig, isFormAction } from '../config/staticExportConfig.js';
+import { createLogger } from '../services/loggerService.js';
+
+// Create file-scoped logger
+const logger = createLogger(import.meta.url);
+
+/**
+ * GET /api/app/:appName/export/static
+ * ===================================
+ * Query Params:
+ * - version:    "draft" (default) | "published" – published exports only live pages
+ * - formAction: where forms post (http(s) URL or /path); defaults to
+ *               STATIC_EXPORT_FORM_ACTION
+ * - env:        environment to export (see environmentService), like page reads
+ *
+ * Response: <appPrefix>.site.zip with one index.html per page, css/, assets/
+ * and export.json (pages, bundled assets, warnings)
+ */
+export const exportStaticSite = async (req, res, next) => {
+  try {
+    const { appPrefix, app, environment } = req.appAccess;
+    const version = pagePublicationService.resolveVersion(req.query.version);
+    const formAction = req.query.formAction || staticExportConfig.formAction;
+    if (formAction && !isFormAction(formAction)) {
+      throw new AppError('formAction must be an http(s) URL or a path starting with "/"', 400, { formAction });
+    }
+    logger.entry('exportStaticSite', { appPrefix, environment, version, formAction });
+
+    const { files, manifest } = await staticSiteService.exportSite({
+      appPrefix,
+      appName: app.appName || appPrefix,
+      environment,
+      version,
+      formAction
+    });
+    const body = createZip(files);
+
+    logger.exit('exportStaticSite', { appPrefix, pages: manifest.pages.length, assets: manifest.assets.length, bytes: body.length });
+    res.setHeader('Content-Type', 'application/zip');
+    res.setHeader('Content-Disposition', `attachment; filename="${appPrefix}.site.zip"`);
+    return res.status(200).send(body);
+  } catch (err) {
+    logger.error('exportStaticSite', 'Failed to export static site', err);
+    return next(err instanceof AppError ? err : new AppError(err.message || 'Static export failed', 500));
+  }
+};
@@ -7,7 +7,10 @@
 import { ok, created, fail } from "../utils/responseHandler.js";
 import { AppError } from "../utils/errorHandler.js";
 import TemplateGenerationService from "../services/templateGenerationService.js";
-import firestoreService from "../services/firestoreService.js";
+import { environmentService } from "../services/environmentService.js";
+import { pageHistoryService } from "../services/pageHistoryService.js";
+import { concurrencyService } from "../services/concurrencyService.js";
+import { pageValidationService } from "../services/pageValidationService.js";
 import logger from "../services/loggerService.js";
 
 /**
@@ -54,12 +57,16 @@ export const getTemplatePreview = async (req, res, next) => {
  * {
  *   appName: string,
  *   appType: string (e-commerce, booking, portfolio, etc.),
- *   content: object (optional content to fill in)
+ *   content: object (optional content to fill in),
+ *   validationMode: "strict" | "lenient" (optional, default PAGE_VALIDATION_MODE)
  * }
+ * 
+ * Generated pages are checked against the component schemas: strict mode
+ * answers 422, lenient mode fills in defaults and returns warnings.
  */
 export const generateFromTemplate = async (req, res, next) => {
   try {
-    const { appName, appType, content } = req.body;
+    const { appName, appType, content, validationMode } = req.body;
     
     if (!appName || !appType) {
       return fail(res, 400, "appName and appType are required");
@@ -72,9 +79,13 @@ export const generateFromTemplate = async (req, res, next) => {
       appType,
       content || {}
     );
+    const validation = pageValidationService.assertValid(
+      pageValidationService.validatePages(result.pages, { mode: validationMode }),
+      "Generated pages"
+    );
     
-    logger.info(`[TemplateController] Generated ${result.pages.length} pages for ${appName}`);
-    return ok(res, result, "Pages generated successfully from template");
+    logger.info(`[TemplateController] Generated ${result.pages.length} pages for ${appName} (${validation.warnings.length} validation warnings)`);
+    return ok(res, { pages: validation.pages, warnings: validation.warnings }, "Pages generated successfully from template");
   } catch (err) {
     return next(err instanceof AppError ? err : new AppError(err.message || "Failed to generate from template", 500));
   }
@@ -82,18 +93,21 @@ export const generateFromTemplate = async (req, res, next) => {
 
 /**
  * POST /api/template/generate-and-save
- * Generate pages from template and save directly to Firestore
+ * Generate pages from template and save each one as a new page revision
  * 
  * Request Body:
  * {
  *   appName: string,
  *   appType: string,
- *   content: object (optional)
+ *   content: object (optional),
+ *   validationMode: "strict" | "lenient" (optional)
  * }
+ * 
+ * Pages that fail strict validation are not saved and are listed in errors.
  */
 export const generateAndSave = async (req, res, next) => {
   try {
-    const { appName, appType, content } = req.body;
+    const { appName, appType, content, validationMode } = req.body;
     
     if (!appName || !appType) {
       return fail(res, 400, "appName and appType are required");
@@ -101,31 +115,45 @@ export const generateAndSave = async (req, res, next) => {
 
     logger.info(`[TemplateController] Generating and saving pages for ${appName} using ${appType} template`);
     
-    // Generate pages
+    // Generate pages and check them against the component schemas
     const result = TemplateGenerationService.generatePageJson(
       appName,
       appType,
       content || {}
     );
+    const validation = pageValidationService.validatePages(result.pages, { mode: validationMode });
     
     // Save each page to Firestore
     const savedPages = [];
     const errors = [];
     
-    for (const page of result.pages) {
+    for (const { page, valid, errors: schemaErrors } of validation.reports) {
+      if (!valid) {
+        errors.push({ pageName: page.name, error: "Page does not match the component schemas", details: schemaErrors });
+        logger.warn(`[TemplateController] Skipped invalid page: ${page.name} (${schemaErrors.length} schema errors)`);
+        continue;
+      }
       try {
-        const collectionName = `${appName.trim().toLowerCase().replace(/[^a-z0-9]+/g, "")}_pages`;
+        const collectionName = environmentService.collectionName(req.appAccess.appPrefix, "pages", req.appAccess.environment);
         const docId = page.id.trim().toLowerCase().replace(/[^a-z0-9_]+/g, "_");
         
-        const saveResult = await firestoreService.upsertDoc(collectionName, docId, page);
+        // Saved like an editor save: new revision, new ETag, usage index refreshed
+        const { revision } = await pageHistoryService.saveRevision({
+          appPrefix: req.appAccess.appPrefix,
+          environment: req.appAccess.environment,
+          pagesCollection: collectionName,
+          pageId: docId,
+          data: {
+            ...concurrencyService.stripTokenFields(page),
+            updatedBy: req.user.uid,
+            updatedAt: new Date().toISOString()
+          },
+          message: `Generated from the ${appType} template`,
+          authorId: req.user.uid
+        });
         
-        if (saveResult.success) {
-          savedPages.push({ pageName: page.name, docId });
-          logger.info(`[TemplateController] Saved page: ${page.name} to ${collectionName}/${docId}`);
-        } else {
-          errors.push({ pageName: page.name, error: saveResult.error });
-          logger.error(`[TemplateController] Failed to save page: ${page.name} - ${saveResult.error}`);
-        }
+        savedPages.push({ pageName: page.name, docId, revision });
+        logger.info(`[TemplateController] Saved page: ${page.name} to ${collectionName}/${docId} (revision ${revision})`);
       } catch (saveError) {
         errors.push({ pageName: page.name, error: saveError.message });
         logger.error(`[TemplateController] Error saving page: ${page.name} - ${saveError.message}`);
@@ -138,7 +166,8 @@ export const generateAndSave = async (req, res, next) => {
         pagesGenerated: result.pages.length,
         pagesSaved: savedPages.length,
         savedPages,
-        errors
+        errors,
+        warnings: validation.warnings
       }, "Pages generated with some errors");
     }
     
@@ -147,7 +176,8 @@ export const generateAndSave = async (req, res, next) => {
       pagesGenerated: result.pages.length,
       pagesSaved: savedPages.length,
       appName,
-      savedPages
+      savedPages,
+      warnings: validation.warnings
     }, "Pages generated and saved successfully");
     
   } catch (err) {
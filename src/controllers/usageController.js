@@ -0,0 +1,73 @@
+/**
+ * Usage Controller
+ * ================
+ * The usage index: which pages, library components and processes reference
+ * a component, action, validation or asset. Deletes of those consult it and
+ * answer 409 while something still uses the item (see usageService).
+ *
+ * This controller is called from: /api/routes/appRoutes.js
+ * Uses: usageService for business logic
+ *
+ * Endpoints provided:
+ * - GET  /api/app/:appName/usages          - Where one item is used
+ * - POST /api/app/:appName/usages/rebuild  - Rebuild the index of an environment
+ */
+
+import { ok } from '../utils/responseHandler.js';
+import { AppError } from '../utils/errorHandler.js';
+import { requireFields } from '../utils/validator.js';
+import { usageService } from '../services/usageService.js';
+import { createLogger } from '../services/loggerService.js';
+
+// Create file-scoped logger
+const logger = createLogger(import.meta.url);
+
+/**
+ * GET /api/app/:appName/usages?type=action&id=openurl_1
+ * =====================================================
+ * Query Params:
+ * - type: "component" | "action" | "validation" | "asset"
+ * - id: the item's id
+ * - env: environment (assets are looked up in all of them)
+ *
+ * Response: { type, id, usageCount, usages: [{ sourceType, sourceId, name, environment, paths }] }
+ */
+export const getUsages = async (req, res, next) => {
+  try {
+    const { appPrefix, environment } = req.appAccess;
+    const { type, id } = req.query;
+    requireFields({ type, id }, ['type', 'id']);
+    logger.entry('getUsages', { appPrefix, environment, type, id });
+
+    const usages = await usageService.usagesOf(appPrefix, environment, type, id);
+
+    logger.exit('getUsages', { appPrefix, usageCount: usages.length });
+    return ok(res, { type, id, usageCount: usages.length, usages }, 'Usages fetched successfully');
+  } catch (err) {
+    logger.error('getUsages', 'Failed to fetch usages', err);
+    return next(err instanceof AppError ? err : new AppError(err.message || 'Get usages failed', 500));
+  }
+};
+
+/**
+ * POST /api/app/:appName/usages/rebuild?env=prod
+ * ==============================================
+ * Recompute the index from the environment's pages, components and
+ * processes, e.g. after writes that bypassed the API (imports, scripts).
+ *
+ * Response: { environment, sources, indexed, removed }
+ */
+export const rebuildUsages = async (req, res, next) => {
+  try {
+    const { appPrefix, environment } = req.appAccess;
+    logger.entry('rebuildUsages', { appPrefix, environment });
+
+    const result = await usageService.rebuild(appPrefix, environment);
+
+    logger.exit('rebuildUsages', result);
+    return ok(res, result, 'Usage index rebuilt');
+  } catch (err) {
+    logger.error('rebuildUsages', 'Failed to rebuild the usage index', err);
+    return next(err instanceof AppError ? err : new AppError(err.message || 'Rebuild usages failed', 500));
+  }
+};
@@ -3,19 +3,16 @@
 // Updated by Claude on 2025-11-10 - Added appName normalization to match system standard
 // Purpose: Handle CRUD operations for custom business validations in Firestore
 // Collection pattern: {appPrefix}_validations in jayram database (normalized lowercase)
+// Reads carry a revision token (ETag + revisionToken); writes sending it back via
+// If-Match or expectedRevision get 409 with the current copy when it is stale.
 
 import firestoreService from "../services/firestoreService.js";
+import { environmentService } from "../services/environmentService.js";
+import { concurrencyService } from "../services/concurrencyService.js";
+import { usageService } from "../services/usageService.js";
 import logger from "../services/loggerService.js";
-
-/**
- * Normalize app name to collection prefix (same as AppService)
- * Examples: "Rama2" -> "rama2", "My App" -> "myapp"
- * @param {string} appName - Original app name
- * @returns {string} Normalized prefix
- */
-const normalizeAppName = (appName) => {
-  return appName.trim().toLowerCase().replace(/[^a-z0-9]+/g, "");
-};
+import { stripIdentityFields } from "../utils/validator.js";
+import { AppError } from "../utils/errorHandler.js";
 
 /**
  * Get all validations for an app
@@ -31,8 +28,8 @@ export const getValidations = async (req, res) => {
   }
   
   try {
-    const appPrefix = normalizeAppName(appName);
-    const collectionName = `${appPrefix}_validations`;
+    const { appPrefix } = req.appAccess;
+    const collectionName = environmentService.collectionName(appPrefix, "validations", req.appAccess.environment);
     logger.info(`[validationController] Normalized collection name: ${collectionName}`);
     const result = await firestoreService.getDocs(collectionName, dbName || "jayram");
     
@@ -42,7 +39,7 @@ export const getValidations = async (req, res) => {
     }
     
     logger.info(`[validationController] Retrieved ${result.data.length} validations from ${collectionName}`);
-    return res.status(200).json(result.data);
+    return res.status(200).json(result.data.map(concurrencyService.present));
   } catch (error) {
     logger.error(`[validationController] Error getting validations: ${error.message}`);
     return res.status(500).json({ error: "Failed to fetch validations" });
@@ -63,8 +60,8 @@ export const getValidationById = async (req, res) => {
   }
   
   try {
-    const appPrefix = normalizeAppName(appName);
-    const collectionName = `${appPrefix}_validations`;
+    const { appPrefix } = req.appAccess;
+    const collectionName = environmentService.collectionName(appPrefix, "validations", req.appAccess.environment);
     logger.info(`[validationController] Normalized collection name: ${collectionName}`);
     const result = await firestoreService.getDoc(collectionName, id, dbName || "jayram");
     
@@ -74,7 +71,8 @@ export const getValidationById = async (req, res) => {
     }
     
     logger.info(`[validationController] Retrieved validation: ${id}`);
-    return res.status(200).json(result.data);
+    concurrencyService.setEtag(res, result.data);
+    return res.status(200).json(concurrencyService.present(result.data));
   } catch (error) {
     logger.error(`[validationController] Error getting validation: ${error.message}`);
     return res.status(500).json({ error: "Failed to fetch validation" });
@@ -87,7 +85,7 @@ export const getValidationById = async (req, res) => {
  */
 export const createValidation = async (req, res) => {
   const { dbName, appName } = req.params;
-  const validationData = req.body;
+  const validationData = stripIdentityFields(req.body);
   
   logger.info(`[validationController] CREATE validation - dbName: ${dbName}, appName: ${appName}, name: ${validationData.name}`);
   
@@ -100,8 +98,8 @@ export const createValidation = async (req, res) => {
   }
   
   try {
-    const appPrefix = normalizeAppName(appName);
-    const collectionName = `${appPrefix}_validations`;
+    const { appPrefix } = req.appAccess;
+    const collectionName = environmentService.collectionName(appPrefix, "validations", req.appAccess.environment);
     logger.info(`[validationController] Normalized collection name: ${collectionName}`);
     
     // Generate ID if not provided
@@ -114,26 +112,29 @@ export const createValidation = async (req, res) => {
       version: validationData.version || "1.0.0",
       createdAt: new Date().toISOString(),
       updatedAt: new Date().toISOString(),
+      createdBy: req.user.uid,
+      updatedBy: req.user.uid,
       appName: appName,
       appPrefix: appPrefix  // Store normalized prefix for reference
     };
     
-    // Use upsert to create with specific ID
-    const result = await firestoreService.upsertDoc(
-      collectionName, 
-      validationId, 
-      validationDoc, 
-      dbName || "jayram"
-    );
-    
-    if (!result.success) {
-      logger.error(`[validationController] Failed to create validation: ${result.error}`);
-      return res.status(500).json({ error: result.error });
-    }
+    // Use upsert to create with specific ID (guarded when a revision is expected)
+    const saved = await concurrencyService.upsertIfCurrent({
+      what: "Validation",
+      collectionName,
+      docId: validationId,
+      data: validationDoc,
+      expected: concurrencyService.expectedRevision(req),
+      dbName: dbName || "jayram"
+    });
     
     logger.info(`[validationController] Created validation: ${validationId} in ${collectionName}`);
-    return res.status(201).json(result.data);
+    concurrencyService.setEtag(res, saved);
+    return res.status(201).json(saved);
   } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.status).json({ error: error.message, details: error.details });
+    }
     logger.error(`[validationController] Error creating validation: ${error.message}`);
     return res.status(500).json({ error: "Failed to create validation" });
   }
@@ -145,7 +146,7 @@ export const createValidation = async (req, res) => {
  */
 export const updateValidation = async (req, res) => {
   const { dbName, appName, id } = req.params;
-  const updates = req.body;
+  const updates = stripIdentityFields(req.body);
   
   logger.info(`[validationController] UPDATE validation - dbName: ${dbName}, appName: ${appName}, id: ${id}`);
   
@@ -154,8 +155,8 @@ export const updateValidation = async (req, res) => {
   }
   
   try {
-    const appPrefix = normalizeAppName(appName);
-    const collectionName = `${appPrefix}_validations`;
+    const { appPrefix } = req.appAccess;
+    const collectionName = environmentService.collectionName(appPrefix, "validations", req.appAccess.environment);
     logger.info(`[validationController] Normalized collection name: ${collectionName}`);
     
     // Check if validation exists
@@ -169,24 +170,27 @@ export const updateValidation = async (req, res) => {
       ...updates,
       id: id, // Ensure ID doesn't change
       updatedAt: new Date().toISOString(),
+      updatedBy: req.user.uid,
       version: incrementVersion(existing.data.version || "1.0.0")
     };
     
-    const result = await firestoreService.updateDoc(
-      collectionName, 
-      id, 
-      updateData, 
-      dbName || "jayram"
-    );
-    
-    if (!result.success) {
-      logger.error(`[validationController] Failed to update validation: ${result.error}`);
-      return res.status(500).json({ error: result.error });
-    }
+    // Only applied while the stored copy still has the expected revision token
+    const saved = await concurrencyService.updateIfCurrent({
+      what: "Validation",
+      collectionName,
+      docId: id,
+      data: updateData,
+      expected: concurrencyService.expectedRevision(req),
+      dbName: dbName || "jayram"
+    });
     
     logger.info(`[validationController] Updated validation: ${id} in ${collectionName}`);
-    return res.status(200).json(result.data);
+    concurrencyService.setEtag(res, saved);
+    return res.status(200).json(saved);
   } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.status).json({ error: error.message, details: error.details });
+    }
     logger.error(`[validationController] Error updating validation: ${error.message}`);
     return res.status(500).json({ error: "Failed to update validation" });
   }
@@ -206,10 +210,15 @@ export const deleteValidation = async (req, res) => {
   }
   
   try {
-    const appPrefix = normalizeAppName(appName);
-    const collectionName = `${appPrefix}_validations`;
+    const { appPrefix } = req.appAccess;
+    const collectionName = environmentService.collectionName(appPrefix, "validations", req.appAccess.environment);
     logger.info(`[validationController] Normalized collection name: ${collectionName}`);
     
+    // 409 with the referencing items (e.g. process steps) unless ?force=true
+    const usages = await usageService.assertUnused(appPrefix, req.appAccess.environment, "validation", id, {
+      force: req.query.force === "true"
+    });
+    
     const result = await firestoreService.deleteDoc(collectionName, id, dbName || "jayram");
     
     if (!result.success) {
@@ -218,8 +227,11 @@ export const deleteValidation = async (req, res) => {
     }
     
     logger.info(`[validationController] Deleted validation: ${id} from ${collectionName}`);
-    return res.status(200).json({ message: "Validation deleted successfully", id });
+    return res.status(200).json({ message: "Validation deleted successfully", id, usages });
   } catch (error) {
+    if (error instanceof AppError) {
+      return res.status(error.status).json({ error: error.message, details: error.details });
+    }
     logger.error(`[validationController] Error deleting validation: ${error.message}`);
     return res.status(500).json({ error: "Failed to delete validation" });
   }
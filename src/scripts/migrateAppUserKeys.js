@@ -0,0 +1,28 @@
+/**
+ * migrateAppUserKeys.js
+ * ---------------------
+ * One-off migration for mudumbai.app_users.
+ *
+ * Older rows were keyed `${uid}_${appPrefix}` (AppService) or
+ * `${appName}__${uid}` (userService). This rewrites them to
+ * `${appPrefix}__${uid}`, maps the legacy "appAdmin" role to "owner" and
+ * backfills an owner row for every app in apps_meta. Re-running is a no-op.
+ *
+ * Usage:
+ *   npm run migrate:app-users             # apply
+ *   npm run migrate:app-users -- --dry-run
+ */
+
+import { membershipService } from '../services/membershipService.js';
+import logger from '../services/loggerService.js';
+
+const dryRun = process.argv.includes('--dry-run');
+
+try {
+  const summary = await membershipService.migrateMembershipKeys({ dryRun });
+  logger.info(`[migrateAppUserKeys] ${dryRun ? 'Dry run' : 'Migration'} complete: ${JSON.stringify(summary)}`);
+  process.exit(0);
+} catch (err) {
+  logger.error(`[migrateAppUserKeys] Migration failed: ${err.message}`);
+  process.exit(1);
+}
@@ -0,0 +1,37 @@
+/**
+ * purgeArchivedApps.js
+ * --------------------
+ * Retention job: permanently deletes apps that have been archived for longer
+ * than APP_RETENTION_DAYS (see config/retentionConfig.js). Meant to run from
+ * cron / Cloud Scheduler, e.g. once a day. Each run is recorded as an
+ * "app.purge" job in app_jobs and every deleted app gets an audit_log entry.
+ *
+ * Usage:
+ *   npm run purge:archived-apps
+ *   npm run purge:archived-apps -- --dry-run
+ */
+
+import { appDeletionService } from '../services/appDeletionService.js';
+import { jobService } from '../services/jobService.js';
+import { retentionConfig } from '../config/retentionConfig.js';
+import logger from '../services/loggerService.js';
+
+const dryRun = process.argv.includes('--dry-run');
+const { retentionDays } = retentionConfig;
+
+try {
+  const job = await jobService.createJob({
+    type: 'app.purge',
+    appPrefix: null,
+    params: { retentionDays, dryRun },
+    createdBy: 'system:retention'
+  });
+  const summary = await jobService.run(job, (_job, reportProgress) =>
+    appDeletionService.purgeArchivedApps({ retentionDays, dryRun, onProgress: reportProgress })
+  );
+  logger.info(`[purgeArchivedApps] Done (job ${job.id}): ${JSON.stringify(summary)}`);
+  process.exit(summary.failed.length ? 1 : 0);
+} catch (err) {
+  logger.error(`[purgeArchivedApps] Purge failed: ${err.message}`);
+  process.exit(1);
+}
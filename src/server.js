@@ -8,6 +8,8 @@ import path from "path";
 import { fileURLToPath } from "url";
 import app from "./app.js";
 import { createLogger } from "./services/loggerService.js";
+import { publishScheduler } from "./services/publishScheduler.js";
+import { schedulerConfig } from "./config/schedulerConfig.js";
 
 const logger = createLogger(import.meta.url);
 const __filename = fileURLToPath(import.meta.url);
@@ -31,17 +33,21 @@ if (!process.env.OPENAI_API_KEY) {
   logger.info("startup", "OpenAI API key found");
 }
 
-// Verify Firebase configuration
-if (!process.env.JAYRAM_PROJECT_ID) {
-  logger.warn("startup", "JAYRAM_PROJECT_ID not found. Firebase may not work.");
+// Verify Firebase configuration (not needed when running on the local storage backend)
+if (process.env.STORAGE_BACKEND === "local") {
+  logger.info("startup", "Local storage backend selected; Firebase configuration not required");
 } else {
-  logger.info("startup", "Firebase JAYRAM configuration found");
-}
+  if (!process.env.JAYRAM_PROJECT_ID) {
+    logger.warn("startup", "JAYRAM_PROJECT_ID not found. Firebase may not work.");
+  } else {
+    logger.info("startup", "Firebase JAYRAM configuration found");
+  }
 
-if (!process.env.MUDUMBAI_PROJECT_ID) {
-  logger.warn("startup", "MUDUMBAI_PROJECT_ID not found. User database may not work.");
-} else {
-  logger.info("startup", "Firebase MUDUMBAI configuration found");
+  if (!process.env.MUDUMBAI_PROJECT_ID) {
+    logger.warn("startup", "MUDUMBAI_PROJECT_ID not found. User database may not work.");
+  } else {
+    logger.info("startup", "Firebase MUDUMBAI configuration found");
+  }
 }
 
 // Start server
@@ -51,6 +57,12 @@ try {
     logger.info("startup", `📍 Health check: http://localhost:${PORT}/health`);
     logger.info("startup", `📍 API base: http://localhost:${PORT}/api`);
     logger.info("startup", "Server ready to accept requests");
+
+    if (publishScheduler.start(schedulerConfig)) {
+      logger.info("startup", `Publish scheduler running every ${schedulerConfig.intervalMs}ms`);
+    } else {
+      logger.info("startup", "Publish scheduler disabled (PUBLISH_SCHEDULER_INTERVAL_MS=0)");
+    }
   });
 } catch (error) {
   logger.error("startup", "Failed to start server", error);
@@ -0,0 +1,97 @@
+/**
+ * accessService.js
+ * ----------------
+ * Resolves what a user may do on an app.
+ *
+ * - apps_meta (JAYRAM) says whether the app exists and who created it
+ * - app_users (MUDUMBAI) holds per-app memberships: { appPrefix, uid, role }
+ *
+ * Membership rows are keyed `${appPrefix}__${uid}`. Rows written before that
+ * format (`${uid}_${appPrefix}` / `${appName}__${uid}`) are still found by a
+ * uid query until membershipService.migrateMembershipKeys() rewrites them.
+ */
+import { getDb } from './storageAdapter.js';
+import { normalizeRole, ROLE_PERMISSIONS, ROLES } from '../config/roles.js';
+import { AppError } from '../utils/errorHandler.js';
+
+const jayramDb = getDb('jayram');
+const mudumbaiDb = getDb('mudumbai');
+
+const APPS_META_COLLECTION = 'apps_meta';
+const APP_USERS_COLLECTION = 'app_users';
+
+export const toAppPrefix = (value) => String(value || '').trim().toLowerCase().replace(/[^a-z0-9]+/g, '');
+
+export const membershipId = (appPrefix, uid) => `${appPrefix}__${uid}`;
+
+// First segments of platform collections (apps_meta, app_jobs, app_users,
+// audit_log, component_packs, system_validation_templates, users, …). An app
+// with one of these prefixes would have collection names among them.
+export const RESERVED_APP_PREFIXES = ['app', 'apps', 'audit', 'component', 'components', 'local', 'system', 'user', 'users'];
+
+/**
+ * Throw AppError 400 unless `appPrefix` can be used for a new or renamed app.
+ */
+export const assertAppPrefixAllowed = (appPrefix) => {
+  if (!appPrefix) throw new AppError('The app name must contain letters or digits', 400);
+  if (RESERVED_APP_PREFIXES.includes(appPrefix)) {
+    throw new AppError(`"${appPrefix}" is reserved; choose another app name`, 400, { appPrefix });
+  }
+};
+
+// apps_meta.status lifecycle: active -> archived -> (restored to active | deleting -> gone)
+// "migrating" is set on the old prefix while a rename moves the app to a new one
+export const APP_STATUS = {
+  ACTIVE: 'active',
+  ARCHIVED: 'archived',
+  DELETING: 'deleting',
+  MIGRATING: 'migrating'
+};
+
+const membershipMatchesApp = (membership, appPrefix) =>
+  toAppPrefix(membership.appPrefix || membership.appName) === appPrefix;
+
+// Pending invitations and removed members carry a status; legacy rows have none
+const isActiveMembership = (membership) => !membership.status || membership.status === 'active';
+
+export const accessService = {
+  async getAppMeta(appPrefix) {
+    const snap = await jayramDb.collection(APPS_META_COLLECTION).doc(appPrefix).get();
+    return snap.exists ? { id: snap.id, ...snap.data() } : null;
+  },
+
+  async getMembership(appPrefix, uid) {
+    const keyed = await mudumbaiDb.collection(APP_USERS_COLLECTION).doc(membershipId(appPrefix, uid)).get();
+    if (keyed.exists) {
+      return isActiveMembership(keyed.data()) ? { id: keyed.id, ...keyed.data() } : null;
+    }
+
+    // Legacy ids
+    const snap = await mudumbaiDb.collection(APP_USERS_COLLECTION).where('uid', '==', uid).get();
+    const doc = snap.docs.find((d) => membershipMatchesApp(d.data(), appPrefix) && isActiveMembership(d.data()));
+    return doc ? { id: doc.id, ...doc.data() } : null;
+  },
+
+  /**
+   * Returns { appPrefix, app, role, permissions }.
+   * `app` is null when the app does not exist; `role` is null when the user
+   * has no access to it.
+   */
+  async resolveAccess(appIdentifier, uid) {
+    const appPrefix = toAppPrefix(appIdentifier);
+    const app = await this.getAppMeta(appPrefix);
+    if (!app) return { appPrefix, app: null, role: null, permissions: [] };
+
+    let role = null;
+    if (app.createdBy && app.createdBy === uid) {
+      role = ROLES.OWNER;
+    } else {
+      const membership = await this.getMembership(appPrefix, uid);
+      role = membership ? normalizeRole(membership.role) : null;
+    }
+
+    return { appPrefix, app, role, permissions: role ? ROLE_PERMISSIONS[role] : [] };
+  }
+};
+
+export default accessService;
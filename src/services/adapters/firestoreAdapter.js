@@ -0,0 +1,41 @@
+/**
+ * firestoreAdapter.js
+ * -------------------
+ * Storage adapter backed by the live Firebase project.
+ *
+ * The Firebase modules are imported lazily so that selecting the local backend
+ * never requires a service account key on disk.
+ */
+
+export async function createFirestoreAdapter({ bucketName }) {
+  const { defaultAuth, defaultDb, jayramDb, mudumbaiDb } = await import('../../config/firebaseAdmin.js');
+  const { admin, db } = await import('../../config/firebaseConfig.js');
+
+  let bucket = null;
+
+  return {
+    name: 'firestore',
+
+    /**
+     * Resolve a database handle by name ("jayram" | "mudumbai" | "default").
+     * Unknown names fall back to jayram, matching the historical getDB() helper.
+     */
+    getDb(dbName = 'jayram') {
+      if (dbName === 'mudumbai' && mudumbaiDb) return mudumbaiDb;
+      if (dbName === 'default' && defaultDb) return defaultDb;
+      if (jayramDb) return jayramDb;
+      return db;
+    },
+
+    getBucket() {
+      if (!bucket) bucket = admin.storage().bucket(bucketName);
+      return bucket;
+    },
+
+    getAuth() {
+      return defaultAuth;
+    }
+  };
+}
+
+export default createFirestoreAdapter;
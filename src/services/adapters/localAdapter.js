@@ -0,0 +1,851 @@
+/**
+ * localAdapter.js
+ * ---------------
+ * Storage adapter that runs without a Firebase project.
+ *
+ * Implements the subset of the Firestore / Cloud Storage / Admin Auth client APIs
+ * that this backend uses (collections, documents, subcollections, queries,
+ * batches, transactions, bucket files, user creation) on top of plain in-memory
+ * maps. When a directory is configured, every committed write is flushed to
+ * <dir>/<dbName>.json and bucket files are stored under <dir>/bucket/.
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+
+/* --------------------------
+   Value helpers
+--------------------------- */
+
+/**
+ * Minimal stand-in for Firestore's Timestamp. Dates written through the local
+ * adapter are stored as LocalTimestamp so readers that rely on `_seconds`
+ * (e.g. listSchemas sorting) behave the same as against Firestore.
+ */
+export class LocalTimestamp {
+  constructor(seconds, nanoseconds = 0) {
+    this._seconds = seconds;
+    this._nanoseconds = nanoseconds;
+  }
+
+  static fromDate(date) {
+    const ms = date.getTime();
+    return new LocalTimestamp(Math.floor(ms / 1000), (ms % 1000) * 1e6);
+  }
+
+  static now() {
+    return LocalTimestamp.fromDate(new Date());
+  }
+
+  get seconds() {
+    return this._seconds;
+  }
+
+  get nanoseconds() {
+    return this._nanoseconds;
+  }
+
+  toMillis() {
+    return this._seconds * 1000 + Math.floor(this._nanoseconds / 1e6);
+  }
+
+  toDate() {
+    return new Date(this.toMillis());
+  }
+
+  isEqual(other) {
+    return other instanceof LocalTimestamp && other.toMillis() === this.toMillis();
+  }
+
+  toJSON() {
+    return { _seconds: this._seconds, _nanoseconds: this._nanoseconds };
+  }
+}
+
+const isPlainObject = (value) =>
+  value !== null && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype;
+
+// Deep-copy a value for storage: Dates become timestamps, undefined fields are dropped
+// (the Firestore clients are created with ignoreUndefinedProperties: true).
+function toStored(value) {
+  if (value instanceof Date) return LocalTimestamp.fromDate(value);
+  if (value instanceof LocalTimestamp) return value;
+  if (Array.isArray(value)) return value.filter((v) => v !== undefined).map(toStored);
+  if (isPlainObject(value)) {
+    const out = {};
+    for (const [key, v] of Object.entries(value)) {
+      if (v !== undefined) out[key] = toStored(v);
+    }
+    return out;
+  }
+  return value;
+}
+
+// Deep-copy a stored value on its way out so callers cannot mutate the store.
+function cloneStored(value) {
+  if (value instanceof LocalTimestamp) return value;
+  if (Array.isArray(value)) return value.map(cloneStored);
+  if (isPlainObject(value)) {
+    const out = {};
+    for (const [key, v] of Object.entries(value)) out[key] = cloneStored(v);
+    return out;
+  }
+  return value;
+}
+
+// Rebuild timestamps from their JSON form when loading a persisted database.
+function revive(value) {
+  if (Array.isArray(value)) return value.map(revive);
+  if (isPlainObject(value)) {
+    const keys = Object.keys(value);
+    if (keys.length === 2 && '_seconds' in value && '_nanoseconds' in value) {
+      return new LocalTimestamp(value._seconds, value._nanoseconds);
+    }
+    const out = {};
+    for (const [key, v] of Object.entries(value)) out[key] = revive(v);
+    return out;
+  }
+  return value;
+}
+
+function deepMerge(target, source) {
+  const out = { ...target };
+  for (const [key, value] of Object.entries(source)) {
+    out[key] = isPlainObject(value) && isPlainObject(out[key]) ? deepMerge(out[key], value) : value;
+  }
+  return out;
+}
+
+function getField(data, fieldPath) {
+  if (fieldPath === '__name__') return undefined;
+  return String(fieldPath)
+    .split('.')
+    .reduce((acc, key) => (acc !== null && typeof acc === 'object' ? acc[key] : undefined), data);
+}
+
+function setField(data, fieldPath, value) {
+  const keys = String(fieldPath).split('.');
+  let node = data;
+  for (let i = 0; i < keys.length - 1; i++) {
+    if (!isPlainObject(node[keys[i]])) node[keys[i]] = {};
+    node = node[keys[i]];
+  }
+  if (value === undefined) {
+    delete node[keys[keys.length - 1]];
+  } else {
+    node[keys[keys.length - 1]] = value;
+  }
+}
+
+function comparable(value) {
+  if (value instanceof LocalTimestamp) return value.toMillis();
+  if (value instanceof Date) return value.getTime();
+  return value;
+}
+
+function compareValues(a, b) {
+  const x = comparable(a);
+  const y = comparable(b);
+  if (x === y) return 0;
+  if (x === undefined || x === null) return -1;
+  if (y === undefined || y === null) return 1;
+  if (typeof x === typeof y && (typeof x === 'number' || typeof x === 'string' || typeof x === 'boolean')) {
+    return x < y ? -1 : 1;
+  }
+  const sx = JSON.stringify(x);
+  const sy = JSON.stringify(y);
+  return sx < sy ? -1 : sx > sy ? 1 : 0;
+}
+
+const valuesEqual = (a, b) => compareValues(a, b) === 0;
+
+const FILTERS = {
+  '==': (v, x) => valuesEqual(v, x),
+  '!=': (v, x) => v !== undefined && !valuesEqual(v, x),
+  '<': (v, x) => v !== undefined && compareValues(v, x) < 0,
+  '<=': (v, x) => v !== undefined && compareValues(v, x) <= 0,
+  '>': (v, x) => v !== undefined && compareValues(v, x) > 0,
+  '>=': (v, x) => v !== undefined && compareValues(v, x) >= 0,
+  'in': (v, x) => Array.isArray(x) && x.some((item) => valuesEqual(v, item)),
+  'not-in': (v, x) => v !== undefined && Array.isArray(x) && !x.some((item) => valuesEqual(v, item)),
+  'array-contains': (v, x) => Array.isArray(v) && v.some((item) => valuesEqual(item, x)),
+  'array-contains-any': (v, x) =>
+    Array.isArray(v) && Array.isArray(x) && v.some((item) => x.some((y) => valuesEqual(item, y)))
+};
+
+function firestoreError(code, status, message) {
+  const err = new Error(`${code} ${status}: ${message}`);
+  err.code = code;
+  return err;
+}
+
+const autoId = () => {
+  const chars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
+  const bytes = crypto.randomBytes(20);
+  let id = '';
+  for (let i = 0; i < 20; i++) id += chars[bytes[i] % chars.length];
+  return id;
+};
+
+/* --------------------------
+   Snapshots
+--------------------------- */
+
+class LocalDocumentSnapshot {
+  constructor(ref, entry) {
+    this.ref = ref;
+    this.id = ref.id;
+    this.exists = !!entry;
+    this.createTime = entry ? entry.createTime : undefined;
+    this.updateTime = entry ? entry.updateTime : undefined;
+    this._data = entry ? entry.data : undefined;
+  }
+
+  data() {
+    return this._data === undefined ? undefined : cloneStored(this._data);
+  }
+
+  get(fieldPath) {
+    return this._data === undefined ? undefined : cloneStored(getField(this._data, fieldPath));
+  }
+}
+
+class LocalQuerySnapshot {
+  constructor(docs) {
+    this.docs = docs;
+    this.size = docs.length;
+    this.empty = docs.length === 0;
+  }
+
+  forEach(callback) {
+    this.docs.forEach(callback);
+  }
+}
+
+/* --------------------------
+   References & queries
+--------------------------- */
+
+class LocalDocumentReference {
+  constructor(db, collectionPath, id) {
+    this._db = db;
+    this.id = id;
+    this.path = `${collectionPath}/${id}`;
+    this._collectionPath = collectionPath;
+  }
+
+  get parent() {
+    return new LocalCollectionReference(this._db, this._collectionPath);
+  }
+
+  collection(name) {
+    return new LocalCollectionReference(this._db, `${this.path}/${name}`);
+  }
+
+  async listCollections() {
+    return this._db._childCollections(this.path);
+  }
+
+  async get() {
+    return this._db._snapshot(this);
+  }
+
+  async set(data, options = {}) {
+    this._db._commit([{ type: 'set', ref: this, data, options }]);
+    return { writeTime: LocalTimestamp.now() };
+  }
+
+  async create(data) {
+    this._db._commit([{ type: 'create', ref: this, data }]);
+    return { writeTime: LocalTimestamp.now() };
+  }
+
+  async update(data) {
+    this._db._commit([{ type: 'update', ref: this, data }]);
+    return { writeTime: LocalTimestamp.now() };
+  }
+
+  async delete() {
+    this._db._commit([{ type: 'delete', ref: this }]);
+    return { writeTime: LocalTimestamp.now() };
+  }
+
+  isEqual(other) {
+    return other instanceof LocalDocumentReference && other._db === this._db && other.path === this.path;
+  }
+}
+
+class LocalQuery {
+  constructor(db, collectionPath, spec = {}) {
+    this._db = db;
+    this._collectionPath = collectionPath;
+    this._spec = { filters: [], orders: [], limit: null, offset: 0, startAfter: null, ...spec };
+  }
+
+  _with(changes) {
+    return new LocalQuery(this._db, this._collectionPath, { ...this._spec, ...changes });
+  }
+
+  where(field, op, value) {
+    if (!FILTERS[op]) throw new Error(`Unsupported query operator: ${op}`);
+    return this._with({ filters: [...this._spec.filters, { field, op, value }] });
+  }
+
+  orderBy(field, direction = 'asc') {
+    return this._with({ orders: [...this._spec.orders, { field, direction }] });
+  }
+
+  limit(n) {
+    return this._with({ limit: n });
+  }
+
+  offset(n) {
+    return this._with({ offset: n });
+  }
+
+  /**
+   * Cursor support: accepts either a document snapshot or the order-by values.
+   */
+  startAfter(...values) {
+    return this._with({ startAfter: values });
+  }
+
+  _run() {
+    const { filters, orders, limit, offset, startAfter } = this._spec;
+    const collection = this._db._collection(this._collectionPath);
+
+    let rows = [...collection.entries()].map(([id, entry]) => ({ id, entry }));
+
+    rows = rows.filter(({ id, entry }) =>
+      filters.every(({ field, op, value }) =>
+        FILTERS[op](field === '__name__' ? id : getField(entry.data, field), value)
+      )
+    );
+
+    // Firestore omits documents that do not contain an order-by field
+    rows = rows.filter(({ entry }) => orders.every(({ field }) => getField(entry.data, field) !== undefined));
+
+    const sortKey = (row, field) => (field === '__name__' ? row.id : getField(row.entry.data, field));
+    const sorts = orders.length ? orders : [{ field: '__name__', direction: 'asc' }];
+    rows.sort((a, b) => {
+      for (const { field, direction } of sorts) {
+        const diff = compareValues(sortKey(a, field), sortKey(b, field));
+        if (diff !== 0) return direction === 'desc' ? -diff : diff;
+      }
+      return a.id < b.id ? -1 : a.id > b.id ? 1 : 0;
+    });
+
+    if (startAfter && startAfter.length) {
+      const cursor = startAfter[0] instanceof LocalDocumentSnapshot
+        ? sorts.map(({ field }) => (field === '__name__' ? startAfter[0].id : startAfter[0].get(field)))
+        : startAfter;
+      const index = rows.findIndex((row) => {
+        for (let i = 0; i < cursor.length && i < sorts.length; i++) {
+          const diff = compareValues(sortKey(row, sorts[i].field), cursor[i]);
+          const directed = sorts[i].direction === 'desc' ? -diff : diff;
+          if (directed !== 0) return directed > 0;
+        }
+        return false;
+      });
+      rows = index === -1 ? [] : rows.slice(index);
+    }
+
+    rows = rows.slice(offset || 0);
+    if (limit !== null && limit !== undefined) rows = rows.slice(0, limit);
+
+    return rows.map(({ id, entry }) =>
+      new LocalDocumentSnapshot(new LocalDocumentReference(this._db, this._collectionPath, id), entry)
+    );
+  }
+
+  async get() {
+    return new LocalQuerySnapshot(this._run());
+  }
+
+  count() {
+    return {
+      get: async () => {
+        const count = this._run().length;
+        return { data: () => ({ count }) };
+      }
+    };
+  }
+}
+
+class LocalCollectionReference extends LocalQuery {
+  constructor(db, collectionPath) {
+    super(db, collectionPath);
+    this.path = collectionPath;
+    this.id = collectionPath.split('/').pop();
+  }
+
+  doc(id) {
+    return new LocalDocumentReference(this._db, this.path, id || autoId());
+  }
+
+  async add(data) {
+    const ref = this.doc();
+    await ref.set(data);
+    return ref;
+  }
+
+  async listDocuments() {
+    return [...this._db._collection(this.path).keys()].map((id) => this.doc(id));
+  }
+}
+
+/* --------------------------
+   Batches & transactions
+--------------------------- */
+
+class LocalWriteBatch {
+  constructor(db) {
+    this._db = db;
+    this._ops = [];
+  }
+
+  set(ref, data, options = {}) {
+    this._ops.push({ type: 'set', ref, data, options });
+    return this;
+  }
+
+  create(ref, data) {
+    this._ops.push({ type: 'create', ref, data });
+    return this;
+  }
+
+  update(ref, data) {
+    this._ops.push({ type: 'update', ref, data });
+    return this;
+  }
+
+  delete(ref) {
+    this._ops.push({ type: 'delete', ref });
+    return this;
+  }
+
+  async commit() {
+    this._db._commit(this._ops);
+    return this._ops.map(() => ({ writeTime: LocalTimestamp.now() }));
+  }
+}
+
+class LocalTransaction extends LocalWriteBatch {
+  constructor(db) {
+    super(db);
+    this._reads = new Map();
+  }
+
+  async get(refOrQuery) {
+    if (refOrQuery instanceof LocalDocumentReference) {
+      const snap = this._db._snapshot(refOrQuery);
+      this._reads.set(refOrQuery.path, this._db._version(refOrQuery));
+      return snap;
+    }
+    const snap = await refOrQuery.get();
+    snap.docs.forEach((doc) => this._reads.set(doc.ref.path, this._db._version(doc.ref)));
+    return snap;
+  }
+
+  _isStale() {
+    for (const [docPath, version] of this._reads) {
+      if (this._db._version(this._db.doc(docPath)) !== version) return true;
+    }
+    return false;
+  }
+}
+
+/* --------------------------
+   Database
+--------------------------- */
+
+export class LocalFirestore {
+  /**
+   * @param {object} opts
+   * @param {string} opts.name - Database name (jayram, mudumbai, default)
+   * @param {string|null} opts.filePath - JSON file used for persistence, or null for memory only
+   */
+  constructor({ name, filePath = null }) {
+    this.databaseId = name;
+    this._filePath = filePath;
+    this._collections = new Map();
+    this._clock = 0;
+    this._load();
+  }
+
+  collection(collectionPath) {
+    return new LocalCollectionReference(this, collectionPath);
+  }
+
+  doc(documentPath) {
+    const index = documentPath.lastIndexOf('/');
+    return new LocalDocumentReference(this, documentPath.slice(0, index), documentPath.slice(index + 1));
+  }
+
+  batch() {
+    return new LocalWriteBatch(this);
+  }
+
+  async runTransaction(updateFunction, { maxAttempts = 5 } = {}) {
+    for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+      const tx = new LocalTransaction(this);
+      const result = await updateFunction(tx);
+      if (!tx._isStale()) {
+        this._commit(tx._ops);
+        return result;
+      }
+    }
+    throw firestoreError(10, 'ABORTED', 'Transaction was contended too many times');
+  }
+
+  async listCollections() {
+    return this._childCollections('');
+  }
+
+  async getAll(...refs) {
+    return refs.map((ref) => this._snapshot(ref));
+  }
+
+  /** Drop every collection (test helper). */
+  reset() {
+    this._collections.clear();
+    this._persist();
+  }
+
+  _collection(collectionPath) {
+    return this._collections.get(collectionPath) || new Map();
+  }
+
+  _childCollections(parentPath) {
+    const depth = parentPath ? parentPath.split('/').length + 1 : 1;
+    const prefix = parentPath ? `${parentPath}/` : '';
+    return [...this._collections.keys()]
+      .filter((p) => p.startsWith(prefix) && p.split('/').length === depth && this._collections.get(p).size > 0)
+      .map((p) => new LocalCollectionReference(this, p));
+  }
+
+  _snapshot(ref) {
+    return new LocalDocumentSnapshot(ref, this._collection(ref._collectionPath).get(ref.id));
+  }
+
+  _version(ref) {
+    const entry = this._collection(ref._collectionPath).get(ref.id);
+    return entry ? entry.version : 0;
+  }
+
+  // Validate every operation first so a failing batch leaves the store untouched
+  _commit(ops) {
+    const staged = new Map();
+    const current = (ref) => (staged.has(ref.path) ? staged.get(ref.path).entry : this._collection(ref._collectionPath).get(ref.id));
+
+    for (const op of ops) {
+      const existing = current(op.ref);
+      const now = LocalTimestamp.now();
+      let entry;
+
+      if (op.type === 'delete') {
+        entry = null;
+      } else if (op.type === 'create' && existing) {
+        throw firestoreError(6, 'ALREADY_EXISTS', `Document already exists: ${op.ref.path}`);
+      } else if (op.type === 'update') {
+        if (!existing) throw firestoreError(5, 'NOT_FOUND', `No document to update: ${op.ref.path}`);
+        const data = cloneStored(existing.data);
+        for (const [field, value] of Object.entries(op.data)) setField(data, field, toStored(value));
+        entry = { ...existing, data, updateTime: now };
+      } else {
+        const incoming = toStored(op.data);
+        const data = op.options && op.options.merge && existing ? deepMerge(existing.data, incoming) : incoming;
+        entry = { data, createTime: existing ? existing.createTime : now, updateTime: now };
+      }
+
+      staged.set(op.ref.path, { ref: op.ref, entry });
+    }
+
+    for (const { ref, entry } of staged.values()) {
+      if (!this._collections.has(ref._collectionPath)) this._collections.set(ref._collectionPath, new Map());
+      const collection = this._collections.get(ref._collectionPath);
+      if (entry) {
+        collection.set(ref.id, { ...entry, version: ++this._clock });
+      } else {
+        collection.delete(ref.id);
+      }
+    }
+
+    this._persist();
+  }
+
+  _load() {
+    if (!this._filePath || !fs.existsSync(this._filePath)) return;
+    const raw = JSON.parse(fs.readFileSync(this._filePath, 'utf8'));
+    for (const [collectionPath, docs] of Object.entries(raw)) {
+      const collection = new Map();
+      for (const [id, data] of Object.entries(docs)) {
+        const now = LocalTimestamp.now();
+        collection.set(id, { data: revive(data), createTime: now, updateTime: now, version: ++this._clock });
+      }
+      this._collections.set(collectionPath, collection);
+    }
+  }
+
+  _persist() {
+    if (!this._filePath) return;
+    const out = {};
+    for (const [collectionPath, docs] of this._collections) {
+      if (docs.size === 0) continue;
+      out[collectionPath] = {};
+      for (const [id, entry] of docs) out[collectionPath][id] = entry.data;
+    }
+    fs.mkdirSync(path.dirname(this._filePath), { recursive: true });
+    const tmp = `${this._filePath}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(out, null, 2));
+    fs.renameSync(tmp, this._filePath);
+  }
+}
+
+/* --------------------------
+   Storage bucket
+--------------------------- */
+
+class LocalFile {
+  constructor(bucket, name) {
+    this.bucket = bucket;
+    this.name = name;
+  }
+
+  async save(buffer, { metadata = {} } = {}) {
+    const now = new Date().toISOString();
+    this.bucket._files.set(this.name, {
+      buffer: Buffer.from(buffer),
+      metadata: {
+        name: this.name,
+        bucket: this.bucket.name,
+        contentType: metadata.contentType,
+        metadata: metadata.metadata || {},
+        size: String(Buffer.byteLength(buffer)),
+        timeCreated: now,
+        updated: now
+      }
+    });
+    this.bucket._persistFile(this.name);
+  }
+
+  async exists() {
+    return [this.bucket._files.has(this.name)];
+  }
+
+  async download() {
+    return [this._entry().buffer];
+  }
+
+  async getMetadata() {
+    return [{ ...this._entry().metadata }];
+  }
+
+  async makePublic() {
+    this._entry();
+  }
+
+  async getSignedUrl({ expires }) {
+    this._entry();
+    return [`${this.publicUrl()}?expires=${expires}`];
+  }
+
+  publicUrl() {
+    return `local://${this.bucket.name}/${this.name}`;
+  }
+
+  async copy(destination) {
+    const target = typeof destination === 'string' ? this.bucket.file(destination) : destination;
+    const entry = this._entry();
+    await target.save(entry.buffer, { metadata: { contentType: entry.metadata.contentType, metadata: entry.metadata.metadata } });
+    return [target];
+  }
+
+  async move(destination) {
+    const [target] = await this.copy(destination);
+    await this.delete();
+    return [target];
+  }
+
+  async delete() {
+    this._entry();
+    this.bucket._files.delete(this.name);
+    this.bucket._removeFile(this.name);
+  }
+
+  _entry() {
+    const entry = this.bucket._files.get(this.name);
+    if (!entry) {
+      const err = new Error(`No such object: ${this.bucket.name}/${this.name}`);
+      err.code = 404;
+      throw err;
+    }
+    return entry;
+  }
+}
+
+export class LocalBucket {
+  constructor({ name, dir = null }) {
+    this.name = name;
+    this._dir = dir;
+    this._files = new Map();
+    this._load();
+  }
+
+  file(name) {
+    return new LocalFile(this, name);
+  }
+
+  async getFiles({ prefix = '' } = {}) {
+    return [[...this._files.keys()].filter((name) => name.startsWith(prefix)).map((name) => this.file(name))];
+  }
+
+  async deleteFiles({ prefix = '' } = {}) {
+    const [files] = await this.getFiles({ prefix });
+    await Promise.all(files.map((file) => file.delete()));
+  }
+
+  _metaPath(name) {
+    return path.join(this._dir, `${name}.meta.json`);
+  }
+
+  _persistFile(name) {
+    if (!this._dir) return;
+    const entry = this._files.get(name);
+    const filePath = path.join(this._dir, name);
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, entry.buffer);
+    fs.writeFileSync(this._metaPath(name), JSON.stringify(entry.metadata, null, 2));
+  }
+
+  _removeFile(name) {
+    if (!this._dir) return;
+    fs.rmSync(path.join(this._dir, name), { force: true });
+    fs.rmSync(this._metaPath(name), { force: true });
+  }
+
+  _load() {
+    if (!this._dir || !fs.existsSync(this._dir)) return;
+    const walk = (dir) => {
+      for (const item of fs.readdirSync(dir, { withFileTypes: true })) {
+        const full = path.join(dir, item.name);
+        if (item.isDirectory()) {
+          walk(full);
+        } else if (item.name.endsWith('.meta.json')) {
+          const name = path.relative(this._dir, full).slice(0, -'.meta.json'.length).split(path.sep).join('/');
+          const buffer = fs.readFileSync(path.join(this._dir, name));
+          this._files.set(name, { buffer, metadata: JSON.parse(fs.readFileSync(full, 'utf8')) });
+        }
+      }
+    };
+    walk(this._dir);
+  }
+}
+
+/* --------------------------
+   Auth
+--------------------------- */
+
+/**
+ * In-memory replacement for the Admin Auth client. Users live in the same local
+ * "default" database so they survive restarts when persistence is enabled.
+ */
+export class LocalAuth {
+  constructor(db) {
+    this._users = db.collection('_local_auth_users');
+  }
+
+  async createUser({ uid, email, password, displayName = '' }) {
+    if (email) {
+      const existing = await this._users.where('email', '==', email).get();
+      if (!existing.empty) {
+        const err = new Error('The email address is already in use by another account.');
+        err.code = 'auth/email-already-exists';
+        throw err;
+      }
+    }
+    const ref = this._users.doc(uid || autoId());
+    const passwordHash = password ? crypto.createHash('sha256').update(password).digest('hex') : null;
+    const record = { uid: ref.id, email: email || '', displayName, passwordHash, disabled: false };
+    await ref.set(record);
+    return this._toUserRecord(record);
+  }
+
+  async getUser(uid) {
+    const snap = await this._users.doc(uid).get();
+    if (!snap.exists) throw this._notFound(uid);
+    return this._toUserRecord(snap.data());
+  }
+
+  async getUserByEmail(email) {
+    const snap = await this._users.where('email', '==', email).limit(1).get();
+    if (snap.empty) throw this._notFound(email);
+    return this._toUserRecord(snap.docs[0].data());
+  }
+
+  async deleteUser(uid) {
+    await this._users.doc(uid).delete();
+  }
+
+  /**
+   * Local stand-in for Firebase ID tokens: "local:<uid>" for an existing,
+   * enabled local user. Returns decoded claims shaped like Firebase's.
+   */
+  async verifyIdToken(token) {
+    const match = /^local:(.+)$/.exec(token || '');
+    const snap = match ? await this._users.doc(match[1]).get() : null;
+    if (!snap || !snap.exists || snap.data().disabled) {
+      const err = new Error('Decoding local ID token failed. Expected "local:<uid>" for an existing user.');
+      err.code = 'auth/argument-error';
+      throw err;
+    }
+    const { uid, email, displayName } = snap.data();
+    return { uid, email, name: displayName, email_verified: false };
+  }
+
+  _toUserRecord({ uid, email, displayName, disabled }) {
+    return { uid, email, displayName, disabled };
+  }
+
+  _notFound(key) {
+    const err = new Error(`There is no user record corresponding to the provided identifier: ${key}`);
+    err.code = 'auth/user-not-found';
+    return err;
+  }
+}
+
+/* --------------------------
+   Adapter factory
+--------------------------- */
+
+export function createLocalAdapter({ localDir = null, bucketName = 'local-bucket' } = {}) {
+  const databases = new Map();
+  let bucket = null;
+  let auth = null;
+
+  const getDb = (dbName = 'jayram') => {
+    const name = ['jayram', 'mudumbai', 'default'].includes(dbName) ? dbName : 'jayram';
+    if (!databases.has(name)) {
+      databases.set(name, new LocalFirestore({ name, filePath: localDir ? path.join(localDir, `${name}.json`) : null }));
+    }
+    return databases.get(name);
+  };
+
+  return {
+    name: 'local',
+    getDb,
+
+    getBucket() {
+      if (!bucket) bucket = new LocalBucket({ name: bucketName, dir: localDir ? path.join(localDir, 'bucket') : null });
+      return bucket;
+    },
+
+    getAuth() {
+      if (!auth) auth = new LocalAuth(getDb('default'));
+      return auth;
+    }
+  };
+}
+
+export default createLocalAdapter;
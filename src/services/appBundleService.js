@@ -0,0 +1,393 @@
+/**
+ * appBundleService.js
+ * -------------------
+ * Export an app to a portable bundle and import it again, possibly into
+ * another Firebase project. The format is documented by
+ * src/schemas/appBundle.schema.json; bump BUNDLE_VERSION on breaking changes.
+ *
+ * Two encodings of the same bundle:
+ * - json: one document; file bytes (if included) are base64 in files[].content
+ * - zip:  bundle.json plus one entry per file under files/
+ *
+ * Import re-targets the bundle at the chosen app prefix the same way a clone
+ * does (appName/appPrefix/appId fields), keeping document ids, schemaIds and
+ * validation ids as exported. A bundle is untrusted input: only collections an
+ * app can own are accepted (see appContentService), every data table gets a
+ * new internalName under `${targetPrefix}_data_` whatever the bundle says,
+ * and file paths must stay inside an apps/<folder>/ without `.` or `..`.
+ */
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { getDb, getBucket } from './storageAdapter.js';
+import { accessService, APP_STATUS, assertAppPrefixAllowed, toAppPrefix } from './accessService.js';
+import { appContentService } from './appContentService.js';
+import { appDeletionService } from './appDeletionService.js';
+import { rewriteAppReferences } from './appCloneService.js';
+import AppService from './appService.js';
+import firestoreService from './firestoreService.js';
+import { generateInternalTableName, getSchemaCollectionName } from '../utils/dataSchemaUtils.js';
+import { validateJsonSchema } from '../utils/jsonSchema.js';
+import { createZip, isZip, readZip } from '../utils/zip.js';
+import { AppError } from '../utils/errorHandler.js';
+import logger from './loggerService.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const jayramDb = getDb('jayram');
+const appService = new AppService({ firestore: firestoreService });
+
+export const BUNDLE_FORMAT = 'klmn-app-bundle';
+export const BUNDLE_VERSION = 1;
+const SUPPORTED_VERSIONS = [1];
+
+export const CONFLICT_STRATEGIES = ['rename', 'overwrite', 'skip'];
+
+const BUNDLE_ENTRY = 'bundle.json';
+const BATCH_SIZE = 400;
+const SENTINEL_ID = '_init';
+const TIMESTAMP_KEY = '__timestamp';
+const SCHEMA_KIND = 'data_schemas';
+const STORAGE_ROOT = /^apps\/[^/]+\//;
+
+// apps/<folder>/<name>, with no empty, "." or ".." segments
+const isSafeFilePath = (filePath) =>
+  typeof filePath === 'string'
+  && STORAGE_ROOT.test(filePath)
+  && !filePath.includes('\\')
+  && filePath.split('/').every((segment) => segment && segment !== '.' && segment !== '..');
+
+let bundleSchema = null;
+const loadBundleSchema = () => {
+  if (!bundleSchema) {
+    bundleSchema = JSON.parse(fs.readFileSync(path.join(__dirname, '../schemas/appBundle.schema.json'), 'utf8'));
+  }
+  return bundleSchema;
+};
+
+const isPlainObject = (value) =>
+  value !== null && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype;
+
+// Firestore Timestamps (and Dates) -> { __timestamp: ISO }; everything else as-is
+const encodeValue = (value) => {
+  if (value instanceof Date) return { [TIMESTAMP_KEY]: value.toISOString() };
+  if (value && typeof value.toDate === 'function') return { [TIMESTAMP_KEY]: value.toDate().toISOString() };
+  if (Array.isArray(value)) return value.map(encodeValue);
+  if (isPlainObject(value)) return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, encodeValue(v)]));
+  return value;
+};
+
+const decodeValue = (value) => {
+  if (Array.isArray(value)) return value.map(decodeValue);
+  if (isPlainObject(value)) {
+    const keys = Object.keys(value);
+    if (keys.length === 1 && keys[0] === TIMESTAMP_KEY) return new Date(value[TIMESTAMP_KEY]);
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, decodeValue(v)]));
+  }
+  return value;
+};
+
+const readCollection = async (name) => {
+  const snap = await jayramDb.collection(name).get();
+  return snap.docs
+    .filter((doc) => doc.id !== SENTINEL_ID)
+    .map((doc) => ({ id: doc.id, data: encodeValue(doc.data()) }));
+};
+
+async function writeInBatches(collectionName, docs) {
+  for (let i = 0; i < docs.length; i += BATCH_SIZE) {
+    const batch = jayramDb.batch();
+    docs.slice(i, i + BATCH_SIZE).forEach(({ id, data }) => batch.set(jayramDb.collection(collectionName).doc(id), data));
+    await batch.commit();
+  }
+}
+
+export const appBundleService = {
+  /**
+   * Build the bundle object for an app.
+   *
+   * @param {object} app - apps_meta of the app
+   * @param {object} options
+   * @param {boolean} [options.includeRecords]
+   * @param {boolean} [options.includeFiles] - read asset file bytes into memory
+   * @param {string}  [options.exportedBy]
+   * @returns {Promise<{ bundle: object, fileContents: Map<string, Buffer> }>}
+   */
+  async exportApp(app, { includeRecords = false, includeFiles = false, exportedBy = null } = {}) {
+    const appPrefix = app.appPrefix || app.id;
+    const content = await appContentService.discover(appPrefix);
+
+    const schemaCollection = getSchemaCollectionName(appPrefix);
+    const schemas = content.collections.includes(schemaCollection) ? await readCollection(schemaCollection) : [];
+    const dataTables = new Map(
+      content.dataTables.filter((table) => table.schemaCollection === schemaCollection).map((table) => [table.name, table.schemaId])
+    );
+
+    // Data tables are exported under records, keyed by schemaId
+    const collections = {};
+    for (const name of content.collections) {
+      collections[name.slice(appPrefix.length + 1)] = name === schemaCollection ? schemas : await readCollection(name);
+    }
+
+    let records;
+    if (includeRecords) {
+      records = {};
+      for (const [table, schemaId] of dataTables) {
+        records[schemaId] = await readCollection(table);
+      }
+    }
+
+    const bucket = getBucket();
+    const files = [];
+    const fileContents = new Map();
+    for (const { data } of collections.assets || []) {
+      if (!appContentService.storageRootOf(appPrefix, data.path) || !isSafeFilePath(data.path)) continue;
+      const file = bucket.file(data.path);
+      const [exists] = await file.exists();
+      const entry = { path: data.path, contentType: data.fileType || null, size: Number(data.size) || null, included: false };
+      if (exists && includeFiles) {
+        const [buffer] = await file.download();
+        fileContents.set(data.path, buffer);
+        entry.included = true;
+        entry.size = buffer.length;
+      }
+      files.push(entry);
+    }
+
+    const bundle = {
+      format: BUNDLE_FORMAT,
+      version: BUNDLE_VERSION,
+      exportedAt: new Date().toISOString(),
+      exportedBy,
+      app: { appName: app.appName || appPrefix, appPrefix, description: app.description || '' },
+      collections,
+      ...(records ? { records } : {}),
+      files
+    };
+
+    logger.info(`[appBundleService] Exported ${appPrefix}: ${Object.keys(collections).length} collections, ${files.length} files`);
+    return { bundle, fileContents };
+  },
+
+  /**
+   * Serialize an exported bundle.
+   * @param {'json'|'zip'} format
+   * @returns {Buffer}
+   */
+  encode({ bundle, fileContents }, format = 'json') {
+    if (format === 'zip') {
+      const files = bundle.files.map((file) =>
+        fileContents.has(file.path) ? { ...file, zipEntry: `files/${file.path}` } : file
+      );
+      return createZip([
+        { name: BUNDLE_ENTRY, data: JSON.stringify({ ...bundle, files }, null, 2) },
+        ...[...fileContents].map(([filePath, data]) => ({ name: `files/${filePath}`, data }))
+      ]);
+    }
+
+    const files = bundle.files.map((file) =>
+      fileContents.has(file.path) ? { ...file, content: fileContents.get(file.path).toString('base64') } : file
+    );
+    return Buffer.from(JSON.stringify({ ...bundle, files }, null, 2));
+  },
+
+  /**
+   * Parse an uploaded bundle (zip or JSON) back into { bundle, fileContents }.
+   * Throws AppError 400 when it cannot be read.
+   */
+  decode(buffer) {
+    try {
+      if (isZip(buffer)) {
+        const entries = readZip(buffer);
+        if (!entries.has(BUNDLE_ENTRY)) throw new Error(`${BUNDLE_ENTRY} missing from archive`);
+        const bundle = JSON.parse(entries.get(BUNDLE_ENTRY).toString('utf8'));
+        const fileContents = new Map();
+        (Array.isArray(bundle.files) ? bundle.files : []).forEach((file) => {
+          if (file && file.zipEntry && entries.has(file.zipEntry)) fileContents.set(file.path, entries.get(file.zipEntry));
+        });
+        return { bundle, fileContents };
+      }
+      return this.fromObject(JSON.parse(buffer.toString('utf8')));
+    } catch (err) {
+      throw new AppError(`Bundle could not be read: ${err.message}`, 400);
+    }
+  },
+
+  fromObject(bundle) {
+    const fileContents = new Map();
+    (Array.isArray(bundle?.files) ? bundle.files : []).forEach((file) => {
+      if (file && typeof file.content === 'string') fileContents.set(file.path, Buffer.from(file.content, 'base64'));
+    });
+    return { bundle, fileContents };
+  },
+
+  /**
+   * Check format, version and shape. Throws AppError 422 with the schema errors.
+   */
+  validate(bundle) {
+    if (!bundle || bundle.format !== BUNDLE_FORMAT) {
+      throw new AppError(`Not an app bundle (expected format "${BUNDLE_FORMAT}")`, 422);
+    }
+    if (!SUPPORTED_VERSIONS.includes(bundle.version)) {
+      throw new AppError(`Unsupported bundle version ${bundle.version}`, 422, { supportedVersions: SUPPORTED_VERSIONS });
+    }
+    const { valid, errors } = validateJsonSchema(loadBundleSchema(), bundle);
+    if (!valid) {
+      throw new AppError('Bundle does not match appBundle.schema.json', 422, { errors: errors.slice(0, 50) });
+    }
+
+    const allowed = appContentService.collectionSuffixes();
+    const unknown = Object.keys(bundle.collections).filter((suffix) => !allowed.includes(suffix));
+    if (unknown.length) {
+      throw new AppError('Bundle contains collections an app cannot own', 422, { collections: unknown, allowed });
+    }
+    const unsafe = bundle.files.map((file) => file.path).filter((filePath) => !isSafeFilePath(filePath));
+    if (unsafe.length) {
+      throw new AppError('Bundle file paths must stay inside apps/<folder>/', 422, { paths: unsafe.slice(0, 50) });
+    }
+  },
+
+  /**
+   * Decide which app the bundle goes into.
+   * @returns {Promise<{ action: 'create'|'overwrite'|'skip', appName, appPrefix }>}
+   */
+  async resolveTarget(appName, onConflict, uid) {
+    const appPrefix = toAppPrefix(appName);
+    assertAppPrefixAllowed(appPrefix);
+
+    const existing = await accessService.getAppMeta(appPrefix);
+    if (!existing) return { action: 'create', appName, appPrefix };
+
+    if (onConflict === 'skip') {
+      return { action: 'skip', appName, appPrefix };
+    }
+    if (onConflict === 'rename') {
+      const renamed = await this.findFreeName(appName);
+      return { action: 'create', appName: renamed, appPrefix: toAppPrefix(renamed) };
+    }
+    if (onConflict !== 'overwrite') {
+      throw new AppError(`An app named "${appName}" already exists`, 409, {
+        appPrefix,
+        onConflict: CONFLICT_STRATEGIES
+      });
+    }
+
+    const access = await accessService.resolveAccess(appPrefix, uid);
+    if (!access.permissions.includes('app:delete')) {
+      throw new AppError('Only the owner can overwrite an existing app', 403, { appPrefix });
+    }
+    if ((existing.status || APP_STATUS.ACTIVE) !== APP_STATUS.ACTIVE) {
+      throw new AppError(`App is ${existing.status}; restore it before overwriting`, 409, { appPrefix });
+    }
+    return { action: 'overwrite', appName: existing.appName || appName, appPrefix };
+  },
+
+  // "My App" -> "My App 2", "My App 3", ... whichever prefix is still free
+  async findFreeName(appName) {
+    for (let n = 2; ; n++) {
+      const candidate = `${appName} ${n}`;
+      if (!(await accessService.getAppMeta(toAppPrefix(candidate)))) return candidate;
+    }
+  },
+
+  /**
+   * Validate and import a bundle.
+   *
+   * @param {{ bundle, fileContents }} decoded - see decode()/fromObject()
+   * @param {object} options
+   * @param {string} [options.appName] - import under this name instead of the bundle's
+   * @param {'rename'|'overwrite'|'skip'} [options.onConflict]
+   * @param {string} options.importedBy - uid; owns a newly created app
+   */
+  async importBundle({ bundle, fileContents }, { appName, onConflict, importedBy }) {
+    this.validate(bundle);
+
+    const target = await this.resolveTarget(appName || bundle.app.appName, onConflict, importedBy);
+    if (target.action === 'skip') {
+      logger.info(`[appBundleService] Import skipped, ${target.appPrefix} exists`);
+      return { ...target, skipped: true };
+    }
+
+    let cleared = null;
+    if (target.action === 'overwrite') {
+      cleared = await appDeletionService.clearAppContent(target.appPrefix);
+    }
+    await appService.createApp(target.appName, bundle.app.description || '', importedBy);
+
+    const sourcePrefix = bundle.app.appPrefix;
+    const ctx = { sourcePrefix, targetPrefix: target.appPrefix, targetName: target.appName, idMap: new Map() };
+    // Every schema gets a table of its own under the target's `${prefix}_data_`
+    // (`${prefix}_staging_data_` for staging schemas, …); the bundle's names are only
+    // kept as keys for rewriting references
+    const timestamp = Date.now();
+    const tableNames = new Map();
+    Object.entries(bundle.collections)
+      .filter(([suffix]) => suffix === SCHEMA_KIND || suffix.endsWith(`_${SCHEMA_KIND}`))
+      .forEach(([suffix, docs]) => {
+        const tablePrefix = `${target.appPrefix}_${suffix}`.slice(0, -`_${SCHEMA_KIND}`.length);
+        const names = new Map();
+        docs.forEach(({ id, data }, i) => {
+          const internalName = generateInternalTableName(tablePrefix, data.displayName || id, timestamp + i);
+          names.set(id, internalName);
+          if (typeof data.internalName === 'string' && !ctx.idMap.has(data.internalName)) {
+            ctx.idMap.set(data.internalName, internalName);
+          }
+        });
+        tableNames.set(suffix, names);
+      });
+
+    const result = { collections: [], documents: 0, records: 0, files: 0, filesMissing: 0 };
+    for (const [suffix, docs] of Object.entries(bundle.collections)) {
+      const name = `${target.appPrefix}_${suffix}`;
+      let prepared = docs.map(({ id, data }) => ({ id, data: rewriteAppReferences(decodeValue(data), ctx) }));
+      if (tableNames.has(suffix)) {
+        const names = tableNames.get(suffix);
+        prepared = prepared.map(({ id, data }) => ({
+          id,
+          data: { ...data, internalName: names.get(id), ...(bundle.records ? {} : { recordCount: 0 }) }
+        }));
+      }
+      await writeInBatches(name, prepared);
+      result.collections.push({ name, documents: prepared.length });
+      result.documents += prepared.length;
+    }
+
+    const tableBySchemaId = tableNames.get(SCHEMA_KIND) || new Map();
+    for (const [schemaId, docs] of Object.entries(bundle.records || {})) {
+      const table = tableBySchemaId.get(schemaId);
+      if (!table) {
+        logger.warn(`[appBundleService] Records for unknown schema ${schemaId} skipped`);
+        continue;
+      }
+      await writeInBatches(table, docs.map(({ id, data }) => ({ id, data: rewriteAppReferences(decodeValue(data), ctx) })));
+      result.records += docs.length;
+    }
+
+    const bucket = getBucket();
+    const assetsByPath = new Map((bundle.collections.assets || []).map(({ id, data }) => [data.path, id]));
+    for (const file of bundle.files) {
+      const buffer = fileContents.get(file.path);
+      if (!buffer) {
+        result.filesMissing += 1;
+        continue;
+      }
+      const newPath = file.path.replace(STORAGE_ROOT, `apps/${target.appPrefix}/`);
+      const stored = bucket.file(newPath);
+      await stored.save(buffer, { metadata: { contentType: file.contentType || 'application/octet-stream' } });
+      await stored.makePublic();
+      const assetId = assetsByPath.get(file.path);
+      if (assetId) {
+        await jayramDb.collection(`${target.appPrefix}_assets`).doc(assetId).set(
+          { path: newPath, downloadURL: `https://storage.googleapis.com/${bucket.name}/${newPath}` },
+          { merge: true }
+        );
+      }
+      result.files += 1;
+    }
+
+    logger.info(`[appBundleService] Imported bundle into ${target.appPrefix} (${target.action}): ${result.documents} documents, ${result.records} records, ${result.files} files`);
+    return { ...target, skipped: false, cleared, ...result };
+  }
+};
+
+export default appBundleService;
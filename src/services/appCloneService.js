@@ -0,0 +1,217 @@
+/**
+ * appCloneService.js
+ * ------------------
+ * Deep copy of an app into a new app prefix.
+ *
+ * The target app is created through AppService.createApp (apps_meta, base
+ * collections, owner membership); this service then copies the collections
+ * appContentService finds for the source into `${targetPrefix}_*`:
+ * - pages, components, layouts, theme, actions, processes, assets … as-is
+ * - validations under new ids
+ * - data schemas (of every environment) under new schemaIds and freshly
+ *   generated internalNames; records are copied only with includeRecords
+ * - asset files in the source's own folders are copied to apps/<targetPrefix>/
+ *   and the metadata repointed
+ *
+ * References are rewritten while copying: appName/appPrefix/appId fields that
+ * name the source app, and validationId/schemaId/internalName fields that hold
+ * an id which changed (e.g. process steps' validationId). Other values are
+ * copied as they are, even when they happen to equal such an id.
+ */
+import { getDb, getBucket } from './storageAdapter.js';
+import { toAppPrefix } from './accessService.js';
+import { appContentService } from './appContentService.js';
+import { generateInternalTableName, generateSchemaId } from '../utils/dataSchemaUtils.js';
+import logger from './loggerService.js';
+
+const jayramDb = getDb('jayram');
+
+const BATCH_SIZE = 400;
+const FILE_COPY_CONCURRENCY = 20;
+
+// Sentinel docs are written by AppService.createApp for the new app
+const SENTINEL_ID = '_init';
+
+const APP_NAME_KEYS = new Set(['appName']);
+const APP_PREFIX_KEYS = new Set(['appPrefix', 'appId']);
+// Fields that hold a validation id, schemaId or data table name
+const REFERENCE_KEYS = new Set(['validationId', 'schemaId', 'internalName']);
+
+const SCHEMA_KIND = 'data_schemas';
+
+const isPlainObject = (value) =>
+  value !== null && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype;
+
+/**
+ * Return a copy of `value` with references to the source app replaced.
+ * Timestamps and other class instances are kept untouched.
+ *
+ * @param {*} value
+ * @param {{ sourcePrefix, targetPrefix, targetName, idMap: Map<string, string> }} ctx
+ */
+export function rewriteAppReferences(value, ctx, key = null) {
+  if (Array.isArray(value)) return value.map((item) => rewriteAppReferences(item, ctx, key));
+  if (isPlainObject(value)) {
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, rewriteAppReferences(v, ctx, k)]));
+  }
+  if (typeof value !== 'string') return value;
+
+  if (REFERENCE_KEYS.has(key) && ctx.idMap.has(value)) return ctx.idMap.get(value);
+  if (APP_NAME_KEYS.has(key) && toAppPrefix(value) === ctx.sourcePrefix) return ctx.targetName;
+  if (APP_PREFIX_KEYS.has(key) && toAppPrefix(value) === ctx.sourcePrefix) return ctx.targetPrefix;
+  return value;
+}
+
+async function writeInBatches(collectionName, docs, onBatch = () => {}) {
+  for (let i = 0; i < docs.length; i += BATCH_SIZE) {
+    const batch = jayramDb.batch();
+    const chunk = docs.slice(i, i + BATCH_SIZE);
+    chunk.forEach(({ id, data }) => batch.set(jayramDb.collection(collectionName).doc(id), data));
+    await batch.commit();
+    await onBatch(chunk.length);
+  }
+}
+
+export const appCloneService = {
+  /**
+   * Copy everything the source app owns into an already created target app.
+   *
+   * @param {object} options
+   * @param {object} options.source - apps_meta of the source app ({ appPrefix, appName })
+   * @param {object} options.target - { appPrefix, appName } of the new app
+   * @param {boolean} [options.includeRecords] - also copy data table records
+   * @param {(progress) => Promise} [options.onProgress]
+   * @returns {Promise<{ collections, documents, records, files, idMap }>}
+   */
+  async cloneApp({ source, target, includeRecords = false, onProgress = async () => {} }) {
+    const sourcePrefix = source.appPrefix;
+    const ctx = {
+      sourcePrefix,
+      targetPrefix: target.appPrefix,
+      targetName: target.appName,
+      idMap: new Map()
+    };
+
+    const content = await appContentService.discover(sourcePrefix);
+    const renamed = (name) => `${target.appPrefix}${name.slice(sourcePrefix.length)}`;
+
+    // Ids that change must all be known before any document is rewritten.
+    // Each environment's schemas name tables under its own `${prefix}_data_`.
+    const schemaCollections = content.collections.filter((name) => name.endsWith(`_${SCHEMA_KIND}`));
+    const timestamp = Date.now();
+    for (const schemaCollection of schemaCollections) {
+      const tablePrefix = renamed(schemaCollection).slice(0, -`_${SCHEMA_KIND}`.length);
+      const schemas = await jayramDb.collection(schemaCollection).get();
+      schemas.docs.forEach((doc) => {
+        const data = doc.data();
+        ctx.idMap.set(doc.id, generateSchemaId());
+        if (data.internalName) {
+          ctx.idMap.set(data.internalName, generateInternalTableName(tablePrefix, data.displayName || doc.id, timestamp));
+        }
+      });
+    }
+
+    // A validation promoted to other environments keeps its id there, so it maps to one new id
+    const validationCollections = content.collections.filter((name) => name.endsWith('_validations'));
+    for (const validationCollection of validationCollections) {
+      (await jayramDb.collection(validationCollection).get()).docs.forEach((doc) => {
+        if (!ctx.idMap.has(doc.id)) ctx.idMap.set(doc.id, `val_${timestamp}_${ctx.idMap.size}`);
+      });
+    }
+
+    // Only schemas and validations get new document ids
+    const renumbered = new Set([...schemaCollections, ...validationCollections]);
+    const newId = (name, id) => (renumbered.has(name) && ctx.idMap.get(id)) || id;
+
+    // Data tables travel with their schema and are copied as records
+    const dataTables = [...new Set(content.dataTables.map((table) => table.name))];
+    const copyable = content.collections;
+
+    const progress = { phase: 'collections', collectionsDone: 0, collectionsTotal: copyable.length, documents: 0, records: 0, files: 0 };
+    const report = async (patch = {}) => {
+      Object.assign(progress, patch);
+      await onProgress({ ...progress });
+    };
+
+    const result = { collections: [], documents: 0, records: 0, files: 0 };
+    const assetDocs = [];
+
+    for (const name of copyable) {
+      const snap = await jayramDb.collection(name).get();
+      const docs = [];
+      snap.docs.forEach((doc) => {
+        if (doc.id === SENTINEL_ID) return;
+        const id = newId(name, doc.id);
+        let data = rewriteAppReferences(doc.data(), ctx);
+        // Documents that repeat their own id (validations) follow the new id
+        if (data.id === doc.id) data = { ...data, id };
+        if (schemaCollections.includes(name) && !includeRecords) data = { ...data, recordCount: 0 };
+        if (name === `${sourcePrefix}_assets`) assetDocs.push({ id, data });
+        docs.push({ id, data });
+      });
+
+      await writeInBatches(renamed(name), docs, (n) => report({ documents: progress.documents + n }));
+      result.collections.push({ name: renamed(name), documents: docs.length });
+      result.documents += docs.length;
+      await report({ collectionsDone: progress.collectionsDone + 1 });
+    }
+
+    if (includeRecords) {
+      await report({ phase: 'records' });
+      for (const table of dataTables) {
+        const snap = await jayramDb.collection(table).get();
+        const docs = snap.docs.map((doc) => ({ id: doc.id, data: rewriteAppReferences(doc.data(), ctx) }));
+        await writeInBatches(ctx.idMap.get(table), docs, (n) => report({ records: progress.records + n }));
+        result.collections.push({ name: ctx.idMap.get(table), documents: docs.length });
+        result.records += docs.length;
+      }
+    }
+
+    await report({ phase: 'assets' });
+    result.files = await this.copyAssetFiles(assetDocs, ctx, (copied) => report({ files: copied }));
+
+    await report({ phase: 'done' });
+    logger.info(`[appCloneService] Cloned ${sourcePrefix} -> ${target.appPrefix}: ${result.documents} documents, ${result.records} records, ${result.files} files`);
+    return { ...result, idMap: Object.fromEntries(ctx.idMap) };
+  },
+
+  /**
+   * Copy the stored file behind each cloned asset doc to apps/<targetPrefix>/…
+   * and point the doc's path/downloadURL at the copy.
+   */
+  async copyAssetFiles(assetDocs, ctx, onCopied = async () => {}) {
+    const bucket = getBucket();
+    // Files in another app's folder are not the source's to copy
+    const withFiles = assetDocs.filter(({ data }) => appContentService.storageRootOf(ctx.sourcePrefix, data.path));
+    let copied = 0;
+
+    for (let i = 0; i < withFiles.length; i += FILE_COPY_CONCURRENCY) {
+      const chunk = withFiles.slice(i, i + FILE_COPY_CONCURRENCY);
+      await Promise.all(
+        chunk.map(async ({ id, data }) => {
+          const newPath = data.path.replace(/^apps\/[^/]+\//, `apps/${ctx.targetPrefix}/`);
+          const file = bucket.file(data.path);
+          const [exists] = await file.exists();
+          if (!exists) {
+            logger.warn(`[appCloneService] Asset file missing, metadata copied without it: ${data.path}`);
+            return;
+          }
+          const [copy] = await file.copy(bucket.file(newPath));
+          await copy.makePublic();
+          await jayramDb.collection(`${ctx.targetPrefix}_assets`).doc(id).set(
+            {
+              path: newPath,
+              downloadURL: data.downloadURL ? data.downloadURL.replace(data.path, newPath) : data.downloadURL
+            },
+            { merge: true }
+          );
+          copied += 1;
+        })
+      );
+      await onCopied(copied);
+    }
+    return copied;
+  }
+};
+
+export default appCloneService;
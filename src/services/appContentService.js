@@ -0,0 +1,95 @@
+/**
+ * appContentService.js
+ * --------------------
+ * What an app owns in JAYRAM and in Storage, for the services that delete,
+ * clone, export or rename whole apps.
+ *
+ * Nothing is matched by prefix alone: `apps_meta` starts with `apps_` and
+ * `app_jobs` with `app_`, and neither belongs to an app called "apps" or
+ * "app". An app owns exactly
+ * - `${appPrefix}_${kind}` for the APP_KINDS (assets, theme, promotions, …)
+ * - the ENVIRONMENT_KINDS in every environment (`${appPrefix}_pages`,
+ *   `${appPrefix}_staging_pages`, …, see environmentService)
+ * - the data tables its data_schemas point at, as long as the internalName
+ *   lies under the schema's own `${prefix}_data_`
+ * - Storage files under apps/<appPrefix>/, and under the folder asset docs
+ *   were uploaded to when that folder is the app's own name written
+ *   differently (older uploads used the display name)
+ */
+import { getDb } from './storageAdapter.js';
+import { toAppPrefix } from './accessService.js';
+import { DEFAULT_ENVIRONMENT, ENVIRONMENTS, PROMOTABLE_KINDS, environmentService } from './environmentService.js';
+
+const jayramDb = getDb('jayram');
+
+// One collection per app, shared by its environments
+export const APP_KINDS = ['layouts', 'theme', 'themes', 'assets', 'promotions', 'promotions_before'];
+
+// One collection per app and environment
+export const ENVIRONMENT_KINDS = [...PROMOTABLE_KINDS, 'pages_published', 'pages_history', 'usages', 'data_schemas'];
+
+const STORAGE_ROOT = /^apps\/([^/]+)\//;
+
+export const appContentService = {
+  /**
+   * Collection names relative to the app prefix (`pages`, `staging_pages`,
+   * `assets`, …): every collection an app can own apart from its data tables.
+   */
+  collectionSuffixes() {
+    const scoped = ENVIRONMENTS.flatMap((environment) =>
+      ENVIRONMENT_KINDS.map((kind) => (environment === DEFAULT_ENVIRONMENT ? kind : `${environment}_${kind}`))
+    );
+    return [...APP_KINDS, ...scoped];
+  },
+
+  /**
+   * The storage folder (apps/<root>/) a path lies in, if it is one of the
+   * app's folders; otherwise null.
+   */
+  storageRootOf(appPrefix, filePath) {
+    const match = STORAGE_ROOT.exec(filePath || '');
+    return match && toAppPrefix(match[1]) === appPrefix ? match[1] : null;
+  },
+
+  /**
+   * @returns {Promise<{
+   *   collections: string[],
+   *   dataTables: { name, schemaId, schemaCollection, displayName }[],
+   *   storageRoots: string[]
+   * }>} existing collections (sorted), the tables named by the app's schemas
+   * (which may not have records yet) and the storage folders, without apps/
+   */
+  async discover(appPrefix) {
+    const existing = new Set((await jayramDb.listCollections()).map((col) => col.id));
+    const collections = this.collectionSuffixes()
+      .map((suffix) => `${appPrefix}_${suffix}`)
+      .filter((name) => existing.has(name))
+      .sort();
+
+    const dataTables = [];
+    for (const environment of ENVIRONMENTS) {
+      const schemaCollection = environmentService.collectionName(appPrefix, 'data_schemas', environment);
+      if (!existing.has(schemaCollection)) continue;
+      const tablePrefix = `${environmentService.collectionName(appPrefix, 'data', environment)}_`;
+      const schemas = await jayramDb.collection(schemaCollection).get();
+      schemas.docs.forEach((doc) => {
+        const { internalName, displayName } = doc.data();
+        if (typeof internalName !== 'string' || !internalName.startsWith(tablePrefix)) return;
+        dataTables.push({ name: internalName, schemaId: doc.id, schemaCollection, displayName: displayName || doc.id });
+      });
+    }
+
+    const storageRoots = new Set([appPrefix]);
+    if (existing.has(`${appPrefix}_assets`)) {
+      const assets = await jayramDb.collection(`${appPrefix}_assets`).get();
+      assets.docs.forEach((doc) => {
+        const root = this.storageRootOf(appPrefix, doc.data().path);
+        if (root) storageRoots.add(root);
+      });
+    }
+
+    return { collections, dataTables, storageRoots: [...storageRoots] };
+  }
+};
+
+export default appContentService;
@@ -0,0 +1,287 @@
+/**
+ * appDeletionService.js
+ * ---------------------
+ * Cascade delete of everything an app owns.
+ *
+ * Discovery (nothing is taken from apps_meta.collections alone):
+ * - the JAYRAM collections and data tables appContentService finds for the
+ *   prefix – never every `${appPrefix}_*` collection, which for an app
+ *   called "apps" would include apps_meta
+ * - Storage files under the app's folders (see appContentService)
+ * - MUDUMBAI app_users memberships, app_invitations and component pack installs
+ * - the apps_meta document itself (deleted last so a failed run can be retried;
+ *   the app is marked deleting while the cascade runs and archived again if
+ *   it fails)
+ *
+ * Documents are removed with batched deletes (BATCH_SIZE per commit). Each
+ * run, real or dry, writes an audit record to MUDUMBAI `audit_log`.
+ *
+ * purgeArchivedApps() applies the retention policy: archived apps older than
+ * the retention window go through the same cascade.
+ */
+import { getDb, getBucket } from './storageAdapter.js';
+import { APP_STATUS, toAppPrefix } from './accessService.js';
+import { appContentService } from './appContentService.js';
+import { PACK_INSTALLS_COLLECTION } from './componentPackService.js';
+import logger from './loggerService.js';
+
+const jayramDb = getDb('jayram');
+const mudumbaiDb = getDb('mudumbai');
+
+const APPS_META_COLLECTION = 'apps_meta';
+const APP_USERS_COLLECTION = 'app_users';
+const INVITATIONS_COLLECTION = 'app_invitations';
+const AUDIT_COLLECTION = 'audit_log';
+
+const BATCH_SIZE = 400;
+const FILE_DELETE_CONCURRENCY = 20;
+
+const countDocs = async (query) => (await query.count().get()).data().count;
+
+/**
+ * Delete every document matched by `query` in batches; returns the number deleted.
+ */
+async function deleteQueryInBatches(db, query, onBatch = () => {}) {
+  let deleted = 0;
+  for (;;) {
+    const snap = await query.limit(BATCH_SIZE).get();
+    if (snap.empty) return deleted;
+    const batch = db.batch();
+    snap.docs.forEach((doc) => batch.delete(doc.ref));
+    await batch.commit();
+    deleted += snap.size;
+    await onBatch(snap.size);
+  }
+}
+
+async function deleteFilesUnder(prefix, onChunk = async () => {}) {
+  const [files] = await getBucket().getFiles({ prefix });
+  for (let i = 0; i < files.length; i += FILE_DELETE_CONCURRENCY) {
+    const chunk = files.slice(i, i + FILE_DELETE_CONCURRENCY);
+    await Promise.all(chunk.map((file) => file.delete({ ignoreNotFound: true })));
+    await onChunk(chunk.length);
+  }
+  return files.length;
+}
+
+// Memberships written before the `${appPrefix}__${uid}` key format may only carry appName
+const membershipQueries = (app) => {
+  const col = mudumbaiDb.collection(APP_USERS_COLLECTION);
+  const queries = [col.where('appPrefix', '==', app.appPrefix)];
+  if (app.appName) queries.push(col.where('appName', '==', app.appName));
+  return queries;
+};
+
+export const appDeletionService = {
+  /**
+   * Build the deletion plan for an app without changing anything.
+   */
+  async discover(appIdentifier) {
+    const appPrefix = toAppPrefix(appIdentifier);
+    const metaSnap = await jayramDb.collection(APPS_META_COLLECTION).doc(appPrefix).get();
+    const app = metaSnap.exists ? { appPrefix, ...metaSnap.data() } : { appPrefix };
+
+    const content = await appContentService.discover(appPrefix);
+    const collections = [];
+    const names = new Set([...content.collections, ...content.dataTables.map((table) => table.name)]);
+    for (const name of names) {
+      collections.push({ name, documents: await countDocs(jayramDb.collection(name)) });
+    }
+
+    const bucket = getBucket();
+    const storage = [];
+    for (const root of content.storageRoots) {
+      const prefix = `apps/${root}/`;
+      const [files] = await bucket.getFiles({ prefix });
+      if (files.length) storage.push({ prefix, files: files.length });
+    }
+
+    let memberships = 0;
+    for (const query of membershipQueries(app)) memberships += await countDocs(query);
+    const invitations = await countDocs(
+      mudumbaiDb.collection(INVITATIONS_COLLECTION).where('appPrefix', '==', appPrefix)
+    );
+
+    return {
+      appPrefix,
+      appName: app.appName || null,
+      appExists: metaSnap.exists,
+      collections,
+      storage,
+      memberships,
+      invitations,
+      totals: {
+        collections: collections.length,
+        documents: collections.reduce((sum, c) => sum + c.documents, 0),
+        files: storage.reduce((sum, s) => sum + s.files, 0)
+      }
+    };
+  },
+
+  /**
+   * Delete everything in the plan.
+   *
+   * @param {string} appIdentifier - app name or prefix
+   * @param {object} options
+   * @param {boolean} [options.dryRun] - only discover and audit
+   * @param {string}  options.actor - uid that requested the deletion
+   * @param {string}  [options.jobId]
+   * @param {(progress) => Promise} [options.onProgress]
+   */
+  async deleteApp(appIdentifier, { dryRun = false, actor, jobId = null, onProgress = async () => {} } = {}) {
+    const startedAt = new Date().toISOString();
+    const plan = await this.discover(appIdentifier);
+    const { appPrefix } = plan;
+
+    if (dryRun) {
+      await this.writeAudit({ appPrefix, appName: plan.appName, actor, jobId, dryRun, status: 'planned', plan, startedAt });
+      return { dryRun: true, plan };
+    }
+
+    const progress = {
+      phase: 'collections',
+      collectionsDone: 0,
+      collectionsTotal: plan.totals.collections,
+      documentsDeleted: 0,
+      documentsTotal: plan.totals.documents,
+      filesDeleted: 0,
+      filesTotal: plan.totals.files,
+      percent: 0
+    };
+    const units = Math.max(1, plan.totals.documents + plan.totals.files);
+    const report = async (patch = {}) => {
+      Object.assign(progress, patch);
+      progress.percent = Math.min(100, Math.round(((progress.documentsDeleted + progress.filesDeleted) / units) * 100));
+      await onProgress({ ...progress });
+    };
+
+    // Stop new work against the app while it is being torn down
+    if (plan.appExists) {
+      await jayramDb.collection(APPS_META_COLLECTION).doc(appPrefix).set(
+        { status: APP_STATUS.DELETING, updatedAt: startedAt },
+        { merge: true }
+      );
+    }
+
+    const deleted = { collections: [], documents: 0, files: 0, memberships: 0, invitations: 0 };
+    try {
+      for (const { name } of plan.collections) {
+        const count = await deleteQueryInBatches(jayramDb, jayramDb.collection(name), (n) =>
+          report({ documentsDeleted: progress.documentsDeleted + n })
+        );
+        deleted.collections.push({ name, documents: count });
+        deleted.documents += count;
+        await report({ collectionsDone: progress.collectionsDone + 1 });
+      }
+
+      await report({ phase: 'storage' });
+      for (const { prefix } of plan.storage) {
+        deleted.files += await deleteFilesUnder(prefix, (n) => report({ filesDeleted: progress.filesDeleted + n }));
+      }
+
+      await report({ phase: 'memberships' });
+      for (const query of membershipQueries(plan)) {
+        deleted.memberships += await deleteQueryInBatches(mudumbaiDb, query);
+      }
+      deleted.invitations = await deleteQueryInBatches(
+        mudumbaiDb,
+        mudumbaiDb.collection(INVITATIONS_COLLECTION).where('appPrefix', '==', appPrefix)
+      );
+      await deleteQueryInBatches(
+        mudumbaiDb,
+        mudumbaiDb.collection(PACK_INSTALLS_COLLECTION).where('appPrefix', '==', appPrefix)
+      );
+
+      await report({ phase: 'metadata' });
+      await jayramDb.collection(APPS_META_COLLECTION).doc(appPrefix).delete();
+      await report({ phase: 'done', percent: 100 });
+    } catch (err) {
+      logger.error(`[appDeletionService] Deletion of ${appPrefix} failed: ${err.message}`);
+      // Back to archived, where permanent delete and the purge job can pick it up again
+      if (plan.appExists) {
+        await jayramDb.collection(APPS_META_COLLECTION).doc(appPrefix)
+          .set({ status: APP_STATUS.ARCHIVED, updatedAt: new Date().toISOString() }, { merge: true })
+          .catch((resetErr) => logger.error(`[appDeletionService] Could not reset ${appPrefix} to archived: ${resetErr.message}`));
+      }
+      await this.writeAudit({
+        appPrefix, appName: plan.appName, actor, jobId, dryRun, status: 'failed', plan, deleted, startedAt, error: err.message
+      });
+      throw err;
+    }
+
+    logger.info(`[appDeletionService] Deleted app ${appPrefix}: ${deleted.documents} documents, ${deleted.files} files`);
+    const audit = await this.writeAudit({
+      appPrefix, appName: plan.appName, actor, jobId, dryRun, status: 'completed', plan, deleted, startedAt
+    });
+    return { dryRun: false, deleted, auditId: audit.id };
+  },
+
+  /**
+   * Empty an app without deleting it: collections and storage files go,
+   * apps_meta and memberships stay. Used when an import overwrites an app.
+   */
+  async clearAppContent(appIdentifier) {
+    const plan = await this.discover(appIdentifier);
+    const cleared = { collections: plan.collections.length, documents: 0, files: 0 };
+    for (const { name } of plan.collections) {
+      cleared.documents += await deleteQueryInBatches(jayramDb, jayramDb.collection(name));
+    }
+    for (const { prefix } of plan.storage) {
+      cleared.files += await deleteFilesUnder(prefix);
+    }
+    logger.info(`[appDeletionService] Cleared ${plan.appPrefix}: ${cleared.documents} documents, ${cleared.files} files`);
+    return cleared;
+  },
+
+  /**
+   * Hard-delete every app that has been archived for longer than retentionDays.
+   * Apps are processed one at a time; a failure is recorded and the rest continue.
+   *
+   * @returns {Promise<{ checked, purged: string[], pending: string[], failed: object[] }>}
+   */
+  async purgeArchivedApps({ retentionDays, dryRun = false, now = new Date(), actor = 'system:retention', onProgress = async () => {} }) {
+    const cutoff = now.getTime() - retentionDays * 24 * 3600 * 1000;
+    const snap = await jayramDb.collection(APPS_META_COLLECTION).where('status', '==', APP_STATUS.ARCHIVED).get();
+    const summary = { checked: snap.size, purged: [], pending: [], failed: [], dryRun };
+
+    for (const doc of snap.docs) {
+      const archivedAt = Date.parse(doc.data().archivedAt);
+      if (!(archivedAt <= cutoff)) {
+        summary.pending.push(doc.id);
+        continue;
+      }
+      try {
+        await this.deleteApp(doc.id, { dryRun, actor });
+        summary.purged.push(doc.id);
+      } catch (err) {
+        summary.failed.push({ appPrefix: doc.id, error: err.message });
+      }
+      await onProgress({ processed: summary.purged.length + summary.failed.length, purged: summary.purged.length });
+    }
+
+    logger.info(`[appDeletionService] Purge ${dryRun ? '(dry run) ' : ''}checked ${summary.checked}, purged ${summary.purged.length}, failed ${summary.failed.length}`);
+    return summary;
+  },
+
+  async writeAudit({ appPrefix, appName, actor, jobId, dryRun, status, plan, deleted = null, startedAt, error = null }) {
+    const ref = mudumbaiDb.collection(AUDIT_COLLECTION).doc();
+    const record = {
+      action: 'app.delete',
+      appPrefix,
+      appName,
+      actor: actor || null,
+      jobId,
+      dryRun,
+      status,
+      plan,
+      deleted,
+      error,
+      startedAt,
+      finishedAt: new Date().toISOString()
+    };
+    await ref.set(record);
+    return { id: ref.id, ...record };
+  }
+};
+
+export default appDeletionService;
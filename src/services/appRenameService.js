@@ -0,0 +1,382 @@
+/**
+ * appRenameService.js
+ * -------------------
+ * Rename an app.
+ *
+ * - renameDisplayName(): only apps_meta.appName changes; the prefix (and so
+ *   every collection, data table and storage path) stays as it is.
+ * - migratePrefix(): moves the app to the prefix derived from the new name.
+ *   Runs as an "app.rename" job (jobService) in phases:
+ *
+ *     copy collections -> copy files -> copy memberships, invitations & pack installs
+ *       -> write new apps_meta (commit) -> cleanup of the old prefix
+ *
+ *   planMigration() reserves the new prefix right away: it creates its
+ *   apps_meta document (status "migrating", no owner) in a transaction, so
+ *   no other app can be created or renamed onto it in the meantime.
+ *   While it runs the old app is "migrating" (read-only). Every phase is
+ *   idempotent and recorded on the job, so an interrupted job is resumed from
+ *   where it stopped (POST /api/app/jobs/:jobId/resume). A failure before the commit rolls back
+ *   everything written under the new prefix and reactivates the old app; a
+ *   failure during cleanup leaves the renamed app in place and can be resumed.
+ *
+ * Document contents are rewritten like a clone (appName/appPrefix/appId fields,
+ * data-table internalNames); document ids are kept.
+ */
+import { getDb, getBucket } from './storageAdapter.js';
+import { accessService, APP_STATUS, assertAppPrefixAllowed, membershipId, toAppPrefix } from './accessService.js';
+import { rewriteAppReferences } from './appCloneService.js';
+import { appContentService } from './appContentService.js';
+import { PACK_INSTALLS_COLLECTION, installId } from './componentPackService.js';
+import { generateInternalTableName } from '../utils/dataSchemaUtils.js';
+import { AppError } from '../utils/errorHandler.js';
+import logger from './loggerService.js';
+
+const jayramDb = getDb('jayram');
+const mudumbaiDb = getDb('mudumbai');
+
+const APPS_META_COLLECTION = 'apps_meta';
+const APP_USERS_COLLECTION = 'app_users';
+const INVITATIONS_COLLECTION = 'app_invitations';
+
+const BATCH_SIZE = 400;
+const FILE_CONCURRENCY = 20;
+
+// A "running" job whose last progress report is older than this is treated as interrupted
+export const RESUME_STALE_MS = 2 * 60 * 1000;
+
+const STORAGE_ROOT = /^apps\/([^/]+)\//;
+const SCHEMA_KIND = 'data_schemas';
+
+// Jobs currently executing in this process
+const running = new Set();
+
+async function copyInBatches(db, fromQuery, toCollection, transform) {
+  const snap = await fromQuery.get();
+  for (let i = 0; i < snap.docs.length; i += BATCH_SIZE) {
+    const batch = db.batch();
+    snap.docs.slice(i, i + BATCH_SIZE).forEach((doc) => {
+      const { id, data } = transform(doc);
+      batch.set(db.collection(toCollection).doc(id), data);
+    });
+    await batch.commit();
+  }
+  return snap.size;
+}
+
+async function deleteInBatches(db, query) {
+  let deleted = 0;
+  for (;;) {
+    const snap = await query.limit(BATCH_SIZE).get();
+    if (snap.empty) return deleted;
+    const batch = db.batch();
+    snap.docs.forEach((doc) => batch.delete(doc.ref));
+    await batch.commit();
+    deleted += snap.size;
+  }
+}
+
+async function forEachFile(prefix, fn) {
+  const [files] = await getBucket().getFiles({ prefix });
+  for (let i = 0; i < files.length; i += FILE_CONCURRENCY) {
+    await Promise.all(files.slice(i, i + FILE_CONCURRENCY).map(fn));
+  }
+  return files.length;
+}
+
+// Old memberships may only carry appName (pre `${appPrefix}__${uid}` keys)
+const membershipQueries = (appPrefix, appName) => {
+  const col = mudumbaiDb.collection(APP_USERS_COLLECTION);
+  return appName ? [col.where('appPrefix', '==', appPrefix), col.where('appName', '==', appName)] : [col.where('appPrefix', '==', appPrefix)];
+};
+
+export const appRenameService = {
+  /**
+   * Change apps_meta.appName only. The new name must not point at another app.
+   */
+  async renameDisplayName(app, newAppName, renamedBy) {
+    const appPrefix = app.appPrefix || app.id;
+    const nameTarget = toAppPrefix(newAppName);
+    if (!nameTarget) throw new AppError('newAppName must contain letters or digits', 400);
+    if (nameTarget !== appPrefix && (await accessService.getAppMeta(nameTarget))) {
+      throw new AppError(`"${newAppName}" would be confused with the existing app "${nameTarget}"`, 409, { appPrefix: nameTarget });
+    }
+
+    const now = new Date().toISOString();
+    const update = { appName: newAppName, previousAppName: app.appName || null, renamedAt: now, renamedBy, updatedAt: now };
+    await jayramDb.collection(APPS_META_COLLECTION).doc(appPrefix).set(update, { merge: true });
+    logger.info(`[appRenameService] Renamed ${appPrefix} display name to "${newAppName}"`);
+    return { appPrefix, ...update };
+  },
+
+  /**
+   * Validate a prefix migration and work out the collection mapping. Stored on
+   * the job so that resumed runs use exactly the same target names.
+   */
+  async planMigration(app, newAppName) {
+    const fromPrefix = app.appPrefix || app.id;
+    const toPrefix = toAppPrefix(newAppName);
+    assertAppPrefixAllowed(toPrefix);
+    if (toPrefix === fromPrefix) {
+      throw new AppError('The new name maps to the same prefix; rename the display name instead', 400, { appPrefix: toPrefix });
+    }
+    if (await accessService.getAppMeta(toPrefix)) {
+      throw new AppError(`An app with prefix "${toPrefix}" already exists`, 409, { appPrefix: toPrefix });
+    }
+
+    const leftovers = (await appContentService.discover(toPrefix)).collections;
+    if (leftovers.length) {
+      throw new AppError(`Collections with prefix "${toPrefix}" already exist`, 409, { collections: leftovers });
+    }
+
+    const content = await appContentService.discover(fromPrefix);
+    const renamed = (name) => `${toPrefix}${name.slice(fromPrefix.length)}`;
+    const timestamp = Date.now();
+    const collectionMap = {};
+    // Each environment's tables move under that environment's new `${prefix}_data_`
+    content.dataTables.forEach(({ name, schemaCollection, displayName }) => {
+      const tablePrefix = renamed(schemaCollection).slice(0, -`_${SCHEMA_KIND}`.length);
+      collectionMap[name] = collectionMap[name] || generateInternalTableName(tablePrefix, displayName, timestamp);
+    });
+    content.collections.forEach((name) => {
+      collectionMap[name] = renamed(name);
+    });
+
+    await this.reserveTarget(fromPrefix, toPrefix);
+
+    return {
+      fromPrefix,
+      toPrefix,
+      fromAppName: app.appName || fromPrefix,
+      newAppName,
+      collectionMap,
+      storageRoots: content.storageRoots
+    };
+  },
+
+  /**
+   * Create apps_meta/{toPrefix} as a placeholder unless the prefix is taken.
+   * commit() replaces it with the renamed app; rollback() deletes it.
+   */
+  async reserveTarget(fromPrefix, toPrefix) {
+    const ref = jayramDb.collection(APPS_META_COLLECTION).doc(toPrefix);
+    const now = new Date().toISOString();
+    await jayramDb.runTransaction(async (tx) => {
+      const snap = await tx.get(ref);
+      if (snap.exists) {
+        throw new AppError(`An app with prefix "${toPrefix}" already exists`, 409, { appPrefix: toPrefix });
+      }
+      tx.set(ref, { appPrefix: toPrefix, status: APP_STATUS.MIGRATING, reservedFor: fromPrefix, createdAt: now, updatedAt: now });
+    });
+  },
+
+  /**
+   * Drop the placeholder written by reserveTarget() if the rename never started.
+   */
+  async releaseTarget(plan) {
+    const ref = jayramDb.collection(APPS_META_COLLECTION).doc(plan.toPrefix);
+    const snap = await ref.get();
+    if (snap.exists && snap.data().reservedFor === plan.fromPrefix && !snap.data().createdBy) {
+      await ref.delete();
+    }
+  },
+
+  /**
+   * Worker for an "app.rename" job. Safe to call again with the same job: phases
+   * already recorded in job.progress.completed are skipped.
+   */
+  async migratePrefix(job, reportProgress = async () => {}) {
+    if (running.has(job.id)) throw new AppError('This rename job is already running', 409, { jobId: job.id });
+    running.add(job.id);
+
+    const plan = job.params;
+    const state = {
+      phase: 'collections',
+      completed: [],
+      collectionsCopied: [],
+      ...(job.progress || {}),
+      resumedAt: job.progress?.phase ? new Date().toISOString() : null
+    };
+    const save = async (patch = {}) => {
+      Object.assign(state, patch);
+      await reportProgress({ ...state });
+    };
+    const done = (phase) => state.completed.includes(phase);
+    const complete = async (phase, next) => save({ completed: [...state.completed, phase], phase: next });
+
+    const ctx = {
+      sourcePrefix: plan.fromPrefix,
+      targetPrefix: plan.toPrefix,
+      targetName: plan.newAppName,
+      idMap: new Map(Object.entries(plan.collectionMap))
+    };
+
+    try {
+      await jayramDb.collection(APPS_META_COLLECTION).doc(plan.fromPrefix).set(
+        { status: APP_STATUS.MIGRATING, migrationJobId: job.id, updatedAt: new Date().toISOString() },
+        { merge: true }
+      );
+
+      try {
+        if (!done('collections')) {
+          await save({ phase: 'collections' });
+          for (const [from, to] of Object.entries(plan.collectionMap)) {
+            if (state.collectionsCopied.includes(from)) continue;
+            await copyInBatches(jayramDb, jayramDb.collection(from), to, (doc) => ({
+              id: doc.id,
+              data: rewriteAppReferences(doc.data(), ctx)
+            }));
+            await save({ collectionsCopied: [...state.collectionsCopied, from] });
+          }
+          await complete('collections', 'files');
+        }
+
+        if (!done('files')) {
+          await this.copyFiles(plan);
+          await complete('files', 'memberships');
+        }
+
+        if (!done('memberships')) {
+          await this.copyMemberships(plan);
+          await complete('memberships', 'commit');
+        }
+
+        if (!done('commit')) {
+          await this.commit(plan, job);
+          await complete('commit', 'cleanup');
+        }
+      } catch (err) {
+        logger.error(`[appRenameService] Rename ${plan.fromPrefix} -> ${plan.toPrefix} failed in ${state.phase}: ${err.message}; rolling back`);
+        await this.rollback(plan);
+        await save({ phase: 'rolledBack', rolledBack: true, error: err.message });
+        throw err;
+      }
+
+      // Past the commit the renamed app is live; cleanup failures are resumed, not rolled back
+      await this.cleanup(plan);
+      await complete('cleanup', 'done');
+
+      logger.info(`[appRenameService] Renamed ${plan.fromPrefix} -> ${plan.toPrefix}`);
+      return { fromPrefix: plan.fromPrefix, appPrefix: plan.toPrefix, appName: plan.newAppName, collections: Object.values(plan.collectionMap) };
+    } finally {
+      running.delete(job.id);
+    }
+  },
+
+  /**
+   * Whether an "app.rename" job may be resumed: it failed after the commit, or
+   * it is still marked running but stopped reporting (process restart).
+   */
+  canResume(job, now = Date.now()) {
+    if (job.type !== 'app.rename' || running.has(job.id)) return false;
+    if (job.status === 'failed') return !job.progress?.rolledBack;
+    if (job.status === 'running' || job.status === 'queued') {
+      return now - Date.parse(job.updatedAt) > RESUME_STALE_MS;
+    }
+    return false;
+  },
+
+  async copyFiles(plan) {
+    const bucket = getBucket();
+    for (const root of plan.storageRoots) {
+      await forEachFile(`apps/${root}/`, async (file) => {
+        const target = file.name.replace(`apps/${root}/`, `apps/${plan.toPrefix}/`);
+        await file.copy(bucket.file(target));
+        await bucket.file(target).makePublic();
+      });
+    }
+
+    // Point the copied asset docs at the new files
+    const assets = plan.collectionMap[`${plan.fromPrefix}_assets`];
+    if (!assets) return;
+    const snap = await jayramDb.collection(assets).get();
+    for (const doc of snap.docs) {
+      const { path: oldPath, downloadURL } = doc.data();
+      const match = STORAGE_ROOT.exec(oldPath || '');
+      if (!match || !plan.storageRoots.includes(match[1])) continue;
+      const newPath = oldPath.replace(STORAGE_ROOT, `apps/${plan.toPrefix}/`);
+      await doc.ref.set(
+        { path: newPath, downloadURL: downloadURL ? downloadURL.replace(oldPath, newPath) : downloadURL },
+        { merge: true }
+      );
+    }
+  },
+
+  async copyMemberships(plan) {
+    for (const query of membershipQueries(plan.fromPrefix, plan.fromAppName)) {
+      await copyInBatches(mudumbaiDb, query, APP_USERS_COLLECTION, (doc) => {
+        const { appName: _legacyAppName, ...data } = doc.data();
+        return { id: membershipId(plan.toPrefix, data.uid), data: { ...data, appPrefix: plan.toPrefix } };
+      });
+    }
+    await copyInBatches(
+      mudumbaiDb,
+      mudumbaiDb.collection(INVITATIONS_COLLECTION).where('appPrefix', '==', plan.fromPrefix),
+      INVITATIONS_COLLECTION,
+      (doc) => ({
+        id: doc.id.startsWith(`${plan.fromPrefix}__`) ? `${plan.toPrefix}${doc.id.slice(plan.fromPrefix.length)}` : `${plan.toPrefix}__${doc.id}`,
+        data: { ...doc.data(), appPrefix: plan.toPrefix }
+      })
+    );
+    await copyInBatches(
+      mudumbaiDb,
+      mudumbaiDb.collection(PACK_INSTALLS_COLLECTION).where('appPrefix', '==', plan.fromPrefix),
+      PACK_INSTALLS_COLLECTION,
+      (doc) => ({ id: installId(plan.toPrefix, doc.data().packId), data: { ...doc.data(), appPrefix: plan.toPrefix } })
+    );
+  },
+
+  async commit(plan, job) {
+    const oldMeta = await accessService.getAppMeta(plan.fromPrefix);
+    if (!oldMeta) throw new Error(`apps_meta for ${plan.fromPrefix} disappeared during the rename`);
+    const { id: _id, migrationJobId: _jobId, ...meta } = oldMeta;
+    const now = new Date().toISOString();
+    await jayramDb.collection(APPS_META_COLLECTION).doc(plan.toPrefix).set({
+      ...meta,
+      appName: plan.newAppName,
+      appPrefix: plan.toPrefix,
+      collections: (meta.collections || []).map((name) => plan.collectionMap[name] || name),
+      status: APP_STATUS.ACTIVE,
+      previousPrefixes: [...(meta.previousPrefixes || []), plan.fromPrefix],
+      previousAppName: plan.fromAppName,
+      renamedAt: now,
+      renamedBy: job.createdBy,
+      updatedAt: now
+    });
+  },
+
+  async cleanup(plan) {
+    for (const from of Object.keys(plan.collectionMap)) {
+      await deleteInBatches(jayramDb, jayramDb.collection(from));
+    }
+    for (const root of plan.storageRoots) {
+      await forEachFile(`apps/${root}/`, (file) => file.delete({ ignoreNotFound: true }));
+    }
+    for (const query of membershipQueries(plan.fromPrefix, plan.fromAppName)) {
+      await deleteInBatches(mudumbaiDb, query);
+    }
+    await deleteInBatches(mudumbaiDb, mudumbaiDb.collection(INVITATIONS_COLLECTION).where('appPrefix', '==', plan.fromPrefix));
+    await deleteInBatches(mudumbaiDb, mudumbaiDb.collection(PACK_INSTALLS_COLLECTION).where('appPrefix', '==', plan.fromPrefix));
+    await jayramDb.collection(APPS_META_COLLECTION).doc(plan.fromPrefix).delete();
+  },
+
+  /**
+   * Remove whatever was written under the new prefix and reactivate the old app.
+   */
+  async rollback(plan) {
+    for (const to of Object.values(plan.collectionMap)) {
+      await deleteInBatches(jayramDb, jayramDb.collection(to));
+    }
+    await forEachFile(`apps/${plan.toPrefix}/`, (file) => file.delete({ ignoreNotFound: true }));
+    await deleteInBatches(mudumbaiDb, mudumbaiDb.collection(APP_USERS_COLLECTION).where('appPrefix', '==', plan.toPrefix));
+    await deleteInBatches(mudumbaiDb, mudumbaiDb.collection(INVITATIONS_COLLECTION).where('appPrefix', '==', plan.toPrefix));
+    await deleteInBatches(mudumbaiDb, mudumbaiDb.collection(PACK_INSTALLS_COLLECTION).where('appPrefix', '==', plan.toPrefix));
+    await jayramDb.collection(APPS_META_COLLECTION).doc(plan.toPrefix).delete();
+    await jayramDb.collection(APPS_META_COLLECTION).doc(plan.fromPrefix).set(
+      { status: APP_STATUS.ACTIVE, migrationJobId: null, updatedAt: new Date().toISOString() },
+      { merge: true }
+    );
+  }
+};
+
+export default appRenameService;
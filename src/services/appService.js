@@ -5,6 +5,9 @@
  */
 
 import logger from "./loggerService.js";
+import { ROLES } from "../config/roles.js";
+import { APP_STATUS, assertAppPrefixAllowed, membershipId } from "./accessService.js";
+import { AppError } from "../utils/errorHandler.js";
 
 export class AppService {
   /**
@@ -34,7 +37,22 @@ export class AppService {
     // Normalize app name to collection prefix (e.g., "My App" -> "myapp")
     // Remove special characters, convert to lowercase for consistency
     const appPrefix = appName.trim().toLowerCase().replace(/[^a-z0-9]+/g, "");
+    // Platform collections share the prefix namespace (apps_meta, app_users, ...)
+    assertAppPrefixAllowed(appPrefix);
     
+    // Re-running create for your own active app is allowed (idempotent); taking over
+    // someone else's prefix or reviving an archived app is not
+    const existing = await this.firestore.getDoc("apps_meta", appPrefix);
+    if (existing.success) {
+      const { status = APP_STATUS.ACTIVE, createdBy: owner } = existing.data;
+      if (status !== APP_STATUS.ACTIVE) {
+        throw new AppError(`An app named "${appName}" is ${status}; restore it instead`, 409, { appPrefix, status });
+      }
+      if (owner && owner !== createdBy) {
+        throw new AppError(`An app named "${appName}" already exists`, 409, { appPrefix });
+      }
+    }
+
     // Define the 4 required collections for each app
     // IMPORTANT: These names must match what frontend expects
     const collections = [
@@ -84,13 +102,14 @@ export class AppService {
       const appUserDoc = {
         appPrefix,
         uid: createdBy,
-        role: "appAdmin",
+        role: ROLES.OWNER,
+        status: "active",
         createdAt: now,
         updatedAt: now,
       };
 
       // Write to mudumbai.app_users collection
-      const mappingResult = await this.firestore.upsertDoc("app_users", `${createdBy}_${appPrefix}`, appUserDoc, "mudumbai");
+      const mappingResult = await this.firestore.upsertDoc("app_users", membershipId(appPrefix, createdBy), appUserDoc, "mudumbai");
       if (!mappingResult.success) {
         logger.warn(`[AppService] Ownership mapping failed for uid=${createdBy}, app=${appPrefix}: ${mappingResult.error}`);
       } else {
@@ -103,6 +122,104 @@ export class AppService {
 
     return { collections, appPrefix };
   }
+
+  /**
+   * Soft delete: mark the app archived. Data is untouched and the app stays
+   * readable; writes are rejected by requireAppPermission until it is restored.
+   * The purge job hard-deletes it once retentionDays have passed.
+   * This method is called from: AppController.deleteApp (DELETE /api/app/:appName)
+   *
+   * @param {string} appPrefix
+   * @param {string} archivedBy - uid of the owner archiving the app
+   * @param {number} retentionDays
+   * @returns {Promise<object>} the updated apps_meta fields
+   */
+  async archiveApp(appPrefix, archivedBy, retentionDays) {
+    const existing = await this.firestore.getDoc("apps_meta", appPrefix);
+    if (!existing.success) {
+      throw new AppError("App not found", 404, { appPrefix });
+    }
+    if ((existing.data.status || APP_STATUS.ACTIVE) !== APP_STATUS.ACTIVE) {
+      throw new AppError(`App is already ${existing.data.status}`, 409, { appPrefix });
+    }
+
+    const now = new Date();
+    const update = {
+      status: APP_STATUS.ARCHIVED,
+      archivedAt: now.toISOString(),
+      archivedBy,
+      purgeAfter: new Date(now.getTime() + retentionDays * 24 * 3600 * 1000).toISOString(),
+      updatedAt: now.toISOString(),
+    };
+    const result = await this.firestore.updateDoc("apps_meta", appPrefix, update);
+    if (!result.success) {
+      throw new Error(`Failed to archive app: ${result.error}`);
+    }
+    logger.info(`[AppService] App archived appPrefix=${appPrefix} by=${archivedBy} purgeAfter=${update.purgeAfter}`);
+    return { appPrefix, ...update };
+  }
+
+  /**
+   * Undo archiveApp.
+   * This method is called from: AppController.restoreApp (POST /api/app/:appName/restore)
+   */
+  async restoreApp(appPrefix, restoredBy) {
+    const existing = await this.firestore.getDoc("apps_meta", appPrefix);
+    if (!existing.success) {
+      throw new AppError("App not found", 404, { appPrefix });
+    }
+    if (existing.data.status !== APP_STATUS.ARCHIVED) {
+      throw new AppError(`Only archived apps can be restored (status: ${existing.data.status || APP_STATUS.ACTIVE})`, 409, { appPrefix });
+    }
+
+    const now = new Date().toISOString();
+    const update = {
+      status: APP_STATUS.ACTIVE,
+      archivedAt: null,
+      archivedBy: null,
+      purgeAfter: null,
+      restoredAt: now,
+      restoredBy,
+      updatedAt: now,
+    };
+    const result = await this.firestore.updateDoc("apps_meta", appPrefix, update);
+    if (!result.success) {
+      throw new Error(`Failed to restore app: ${result.error}`);
+    }
+    logger.info(`[AppService] App restored appPrefix=${appPrefix} by=${restoredBy}`);
+    return { appPrefix, ...update };
+  }
+
+  /**
+   * Create the (empty) target app for a clone. Unlike createApp this never
+   * reuses an existing prefix, so a clone cannot merge into another app.
+   * The content is copied afterwards by appCloneService.
+   * This method is called from: AppController.cloneApp (POST /api/app/:appName/clone)
+   *
+   * @param {object} source - apps_meta of the app being cloned
+   * @param {string} appName - name of the new app
+   * @param {string} createdBy - uid of the caller, who owns the clone
+   * @param {string} [description] - defaults to the source app's description
+   * @returns {Promise<{collections: string[], appPrefix: string}>}
+   */
+  async createCloneTarget(source, appName, createdBy, description = source.description || "") {
+    const appPrefix = appName.trim().toLowerCase().replace(/[^a-z0-9]+/g, "");
+    assertAppPrefixAllowed(appPrefix);
+
+    const existing = await this.firestore.getDoc("apps_meta", appPrefix);
+    if (existing.success) {
+      throw new AppError(`An app named "${appName}" already exists`, 409, { appPrefix });
+    }
+
+    const created = await this.createApp(appName, description, createdBy);
+    const result = await this.firestore.updateDoc("apps_meta", appPrefix, {
+      clonedFrom: source.appPrefix || source.id,
+    });
+    if (!result.success) {
+      logger.warn(`[AppService] Could not record clonedFrom for appPrefix=${appPrefix}: ${result.error}`);
+    }
+    return created;
+  }
 }
 
 export default AppService;
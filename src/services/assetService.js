@@ -8,16 +8,15 @@
  * - Store/retrieve metadata from Firestore
  */
 
-import { admin } from '../config/firebaseConfig.js';
 import { v4 as uuidv4 } from 'uuid';
 import path from 'path';
 import { logger } from '../utils/logger.js';
+import { getBucket } from './storageAdapter.js';
 
-// Get the storage bucket - explicitly specify bucket name to ensure it's correct
-const bucketName = process.env.FIREBASE_STORAGE_BUCKET || 'wordfun-dcd3b.firebasestorage.app';
-const bucket = admin.storage().bucket(bucketName);
+// Get the storage bucket (Firebase Storage, or local files when STORAGE_BACKEND=local)
+const bucket = getBucket();
 
-logger.log('[AssetService] Initialized with bucket:', bucketName);
+logger.log('[AssetService] Initialized with bucket:', bucket.name);
 
 /**
  * Determine asset type folder based on MIME type
@@ -0,0 +1,331 @@
+/**
+ * componentLinkService.js
+ * -----------------------
+ * Linked component instances: a page component that points at a component
+ * of the app's library (`{prefix}_components`) instead of carrying a copy.
+ *
+ *   { id: 'hdr_1', libraryComponentId: 'site_header', libraryVersion?: '1.2.0',
+ *     overrides: { name?, commonAttrs?: {...}, specificAttrs?: {...} } }
+ *
+ * Instances pinned to a libraryVersion resolve to that published version
+ * (see componentVersionService). The others follow the latest: the latest
+ * published version, or the working copy of a component never published.
+ *
+ * Resolving an instance takes type, name, commonAttrs and specificAttrs from
+ * the library component; every attribute in `overrides` replaces the
+ * library's value for this instance only. Anything else an instance carries
+ * (e.g. a copy made before it was linked) is a snapshot for clients that do
+ * not resolve, and is ignored while the library component exists.
+ *
+ * Drafts keep their references and are resolved on read (?resolve=true).
+ * Publishing resolves them into the live snapshot, so editing a library
+ * component never changes a live page until that page is published again.
+ */
+import { getDb } from './storageAdapter.js';
+import { environmentService } from './environmentService.js';
+import { pageValidationService } from './pageValidationService.js';
+import { AppError } from '../utils/errorHandler.js';
+
+const jayramDb = getDb('jayram');
+
+const SENTINEL_ID = '_init';
+const VERSIONS_KIND = 'components_versions';
+export const LATEST = 'latest';
+
+// What an instance takes from its library component
+const LINKED_FIELDS = ['type', 'name', 'commonAttrs', 'specificAttrs'];
+const OVERRIDABLE_ATTRS = ['commonAttrs', 'specificAttrs'];
+
+const isPlainObject = (value) =>
+  value !== null && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype;
+
+// Component saves merge into the stored component (set with merge: true)
+function mergeDeep(target, source) {
+  const out = { ...target };
+  Object.entries(source).forEach(([key, value]) => {
+    out[key] = isPlainObject(value) && isPlainObject(out[key]) ? mergeDeep(out[key], value) : value;
+  });
+  return out;
+}
+
+const childrenOf = (component) =>
+  isPlainObject(component) && isPlainObject(component.specificAttrs) && Array.isArray(component.specificAttrs.children)
+    ? component.specificAttrs.children
+    : null;
+
+/**
+ * Apply `transform` to every component object of a list, containers first,
+ * then their children (object children only; string children are ids).
+ */
+function mapComponents(components, transform) {
+  return components.map((component) => {
+    if (!isPlainObject(component)) return component;
+    const next = transform(component);
+    const children = childrenOf(next);
+    if (!children) return next;
+    return { ...next, specificAttrs: { ...next.specificAttrs, children: mapComponents(children, transform) } };
+  });
+}
+
+function walkComponents(components, visit) {
+  (Array.isArray(components) ? components : []).forEach((component) => {
+    if (!isPlainObject(component)) return;
+    visit(component);
+    walkComponents(childrenOf(component), visit);
+  });
+}
+
+export const isInstance = (component) =>
+  isPlainObject(component) && typeof component.libraryComponentId === 'string' && component.libraryComponentId !== '';
+
+// Library map key of a published version
+export const versionKey = (componentId, version) => `${componentId}@${version}`;
+
+// Version an instance is pinned to, or null when it follows the latest
+export const pinnedVersion = (component) =>
+  typeof component.libraryVersion === 'string' && component.libraryVersion !== LATEST ? component.libraryVersion : null;
+
+export const componentLinkService = {
+  /**
+   * Library components of an app by id, and the components of their
+   * published versions by versionKey(id, version); inside a transaction
+   * when `tx` is given.
+   * @returns {Promise<Map<string, object>>}
+   */
+  async loadLibrary(appPrefix, environment, tx = null) {
+    const read = (kind) => {
+      const collection = jayramDb.collection(environmentService.collectionName(appPrefix, kind, environment));
+      return tx ? tx.get(collection) : collection.get();
+    };
+    const [components, versions] = [await read('components'), await read(VERSIONS_KIND)];
+    const library = new Map(components.docs.filter((doc) => doc.id !== SENTINEL_ID).map((doc) => [doc.id, doc.data()]));
+    versions.docs
+      .filter((doc) => doc.id !== SENTINEL_ID)
+      .forEach((doc) => library.set(doc.id, doc.data().component));
+    return library;
+  },
+
+  /**
+   * Library with one component replaced (or removed when `component` is null).
+   */
+  withComponent(library, componentId, component) {
+    const next = new Map(library);
+    if (component) next.set(componentId, component);
+    else next.delete(componentId);
+    return next;
+  },
+
+  /**
+   * What an instance resolves from: its pinned version, else the latest
+   * published version, else the working copy. null when that is missing.
+   * @returns {{ source: object, version: string | null } | null}
+   */
+  sourceOf(component, library) {
+    const pin = pinnedVersion(component);
+    if (pin) {
+      const source = library.get(versionKey(component.libraryComponentId, pin));
+      return source ? { source, version: pin } : null;
+    }
+    const head = library.get(component.libraryComponentId);
+    if (!head) return null;
+    const latest = head.latestVersion && library.get(versionKey(component.libraryComponentId, head.latestVersion));
+    return latest ? { source: latest, version: head.latestVersion } : { source: head, version: null };
+  },
+
+  /**
+   * The component an instance stands for. Unknown library components (or
+   * pinned versions) leave the instance as it is, flagged `libraryMissing`.
+   * `resolvedVersion` tells which published version was used.
+   */
+  resolveComponent(component, library) {
+    if (!isInstance(component)) return component;
+    const found = this.sourceOf(component, library);
+    if (!found) return { ...component, libraryMissing: true };
+    const { source, version } = found;
+
+    const overrides = isPlainObject(component.overrides) ? component.overrides : {};
+    const resolved = { id: component.id, libraryComponentId: component.libraryComponentId };
+    if (component.libraryVersion !== undefined) resolved.libraryVersion = component.libraryVersion;
+    if (version) resolved.resolvedVersion = version;
+    LINKED_FIELDS.forEach((field) => {
+      if (source[field] !== undefined) resolved[field] = source[field];
+    });
+    if (typeof overrides.name === 'string') resolved.name = overrides.name;
+    OVERRIDABLE_ATTRS.forEach((key) => {
+      if (isPlainObject(overrides[key])) resolved[key] = { ...(isPlainObject(resolved[key]) ? resolved[key] : {}), ...overrides[key] };
+    });
+    if (Object.keys(overrides).length) resolved.overrides = overrides;
+    return resolved;
+  },
+
+  /**
+   * Page with every instance (nested ones included) resolved.
+   */
+  resolvePage(page, library) {
+    if (!isPlainObject(page) || !Array.isArray(page.components)) return page;
+    return { ...page, components: mapComponents(page.components, (component) => this.resolveComponent(component, library)) };
+  },
+
+  async resolvePages(appPrefix, environment, pages) {
+    const linked = pages.some((page) => this.instancesOf(page).length);
+    if (!linked) return pages;
+    const library = await this.loadLibrary(appPrefix, environment);
+    return pages.map((page) => this.resolvePage(page, library));
+  },
+
+  /**
+   * Page with `transform` applied to every instance, nested ones included.
+   */
+  mapInstances(page, transform) {
+    if (!isPlainObject(page) || !Array.isArray(page.components)) return page;
+    return { ...page, components: mapComponents(page.components, (component) => (isInstance(component) ? transform(component) : component)) };
+  },
+
+  /**
+   * Instances on a page, optionally only those of one library component.
+   */
+  instancesOf(page, libraryComponentId = null) {
+    const found = [];
+    walkComponents(page && page.components, (component) => {
+      if (isInstance(component) && (!libraryComponentId || component.libraryComponentId === libraryComponentId)) found.push(component);
+    });
+    return found;
+  },
+
+  /**
+   * Check the instances of a page being saved: the library component (and
+   * a pinned version) must exist (always an error) and, with the overrides applied, match the
+   * component schemas (error or warning, following the validation mode).
+   * @returns {Promise<{ warnings: object[] }>} or throws 422
+   */
+  async checkInstances(appPrefix, environment, page, mode) {
+    const instances = this.instancesOf(page);
+    if (!instances.length) return { warnings: [] };
+    const library = await this.loadLibrary(appPrefix, environment);
+
+    const errors = [];
+    const warnings = [];
+    instances.forEach((instance) => {
+      const where = { componentId: instance.id, libraryComponentId: instance.libraryComponentId };
+      if (!library.has(instance.libraryComponentId)) {
+        errors.push({ path: '$.libraryComponentId', message: 'is not a component of the library', ...where });
+        return;
+      }
+      const pin = pinnedVersion(instance);
+      if (pin && !library.has(versionKey(instance.libraryComponentId, pin))) {
+        errors.push({ path: '$.libraryVersion', message: 'is not a published version of the library component', ...where, libraryVersion: pin });
+        return;
+      }
+      const resolved = this.detachComponent(instance, library);
+      const report = pageValidationService.validateComponent(resolved, { mode });
+      errors.push(...report.errors.map((error) => ({ ...error, ...where })));
+      warnings.push(...report.warnings.map((warning) => ({ ...warning, ...where })));
+    });
+
+    if (errors.length) {
+      throw new AppError('Linked components do not resolve to valid components', 422, { errors, errorCount: errors.length });
+    }
+    return { warnings };
+  },
+
+  /**
+   * Plain copy of what an instance resolves to (its own copy when the library
+   * component or its pinned version is gone), without the link.
+   */
+  detachComponent(component, library) {
+    if (!isInstance(component)) return component;
+    const resolved = this.sourceOf(component, library) ? this.resolveComponent(component, library) : component;
+    const {
+      libraryComponentId: _link,
+      libraryVersion: _version,
+      resolvedVersion: _resolved,
+      overrides: _overrides,
+      libraryMissing: _missing,
+      ...detached
+    } = resolved;
+    return detached;
+  },
+
+  /**
+   * Page with every instance detached (e.g. leaving the app of its library).
+   */
+  detachAll(page, library) {
+    if (!isPlainObject(page) || !Array.isArray(page.components)) return page;
+    return { ...page, components: mapComponents(page.components, (component) => this.detachComponent(component, library)) };
+  },
+
+  /**
+   * Page with one instance replaced by a plain copy of what it resolves to.
+   * 404 for an unknown component, 400 if it is not linked, 409 if its
+   * library component is gone and the instance has no copy of its own.
+   */
+  detach(page, componentId, library) {
+    let target = null;
+    walkComponents(page.components, (component) => {
+      if (component.id === componentId) target = component;
+    });
+    if (!target) throw new AppError('Component not found on this page', 404, { componentId });
+    if (!isInstance(target)) throw new AppError('Component is not linked to the library', 400, { componentId });
+    if (!this.sourceOf(target, library) && !target.type) {
+      throw new AppError('Library component no longer exists', 409, { componentId, libraryComponentId: target.libraryComponentId });
+    }
+
+    const detached = this.detachComponent(target, library);
+    const components = mapComponents(page.components, (component) => (component.id === componentId ? detached : component));
+    return { page: { ...page, components }, component: detached, libraryComponentId: target.libraryComponentId };
+  },
+
+  /**
+   * Library after `changes` are saved (merged) into its component
+   * `componentId`, as a component save does.
+   */
+  withSavedComponent(library, componentId, changes) {
+    const before = library.get(componentId);
+    return this.withComponent(library, componentId, before ? mergeDeep(before, changes) : changes);
+  },
+
+  /**
+   * Which draft pages show something different when the library changes
+   * from `beforeLibrary` to `afterLibrary` for component
+   * `libraryComponentId` (instances whose overrides cover every change, or
+   * that are pinned to a version, stay the same). Live pages change only
+   * when published again.
+   *
+   * @returns {Promise<{ libraryComponentId, pageCount, changedPageCount,
+   *   pages: [{ pageId, name, instanceIds, changed, published }] }>}
+   */
+  async propagation(appPrefix, environment, libraryComponentId, beforeLibrary, afterLibrary) {
+    const pagesCollection = jayramDb.collection(environmentService.collectionName(appPrefix, 'pages', environment));
+    const publishedCollection = jayramDb.collection(environmentService.collectionName(appPrefix, 'pages_published', environment));
+    const [pagesSnap, publishedSnap] = await Promise.all([pagesCollection.get(), publishedCollection.get()]);
+    const live = new Set(publishedSnap.docs.filter((doc) => doc.data().status === 'published').map((doc) => doc.id));
+
+    const pages = [];
+    pagesSnap.docs
+      .filter((doc) => doc.id !== SENTINEL_ID)
+      .forEach((doc) => {
+        const instances = this.instancesOf(doc.data(), libraryComponentId);
+        if (!instances.length) return;
+        const changed = instances.some(
+          (instance) =>
+            JSON.stringify(this.resolveComponent(instance, beforeLibrary)) !== JSON.stringify(this.resolveComponent(instance, afterLibrary))
+        );
+        pages.push({
+          pageId: doc.id,
+          name: doc.data().name || doc.id,
+          instanceIds: instances.map((instance) => instance.id),
+          changed,
+          published: live.has(doc.id)
+        });
+      });
+
+    return {
+      libraryComponentId,
+      pageCount: pages.length,
+      changedPageCount: pages.filter((page) => page.changed).length,
+      pages
+    };
+  }
+};
+
+export default componentLinkService;
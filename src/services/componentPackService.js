@@ -0,0 +1,361 @@
+/**
+ * componentPackService.js
+ * -----------------------
+ * Component packs: a library shared by all apps (MUDUMBAI database).
+ *
+ * Collections:
+ * - component_packs          { name, description, tags, preview, version,
+ *                              releaseNotes, components: [{ id, sourceVersion,
+ *                              component }], componentIds, sourceApp:
+ *                              { appPrefix, environment }, ownerId,
+ *                              createdAt, updatedAt }
+ *                            id: slug of the name ("Marketing Kit" -> "marketing-kit")
+ * - component_pack_installs  { packId, packName, appPrefix, environment,
+ *                              installedVersion, componentIds, installedBy,
+ *                              installedAt, updatedAt, notification }
+ *                            id: `${appPrefix}__${packId}` (see installId)
+ *
+ * A pack is a copy of library components taken from one app: their latest
+ * published version, or the working copy of components never published.
+ * Library components they link to (libraryComponentId, nested ones included)
+ * are taken along, so a group of components installs as a whole.
+ *
+ * Installing copies the pack's components into the app's library, marked
+ * `pack: { packId, version }`; installing again updates them. When the
+ * owner changes a pack's components its version goes up and every app with
+ * an older version installed gets `notification` set on its install until
+ * it installs the update or dismisses the notification.
+ */
+import { getDb } from './storageAdapter.js';
+import { environmentService } from './environmentService.js';
+import { componentLinkService } from './componentLinkService.js';
+import { componentVersionService } from './componentVersionService.js';
+import { usageService } from './usageService.js';
+import { AppError } from '../utils/errorHandler.js';
+import { contentHash } from '../utils/revisionToken.js';
+import { isSemver, compareVersions, bumpVersion, BUMPS } from '../utils/semver.js';
+
+const jayramDb = getDb('jayram');
+const mudumbaiDb = getDb('mudumbai');
+
+const PACKS_COLLECTION = 'component_packs';
+export const PACK_INSTALLS_COLLECTION = 'component_pack_installs';
+
+const FIRST_VERSION = '1.0.0';
+const MAX_PACK_COMPONENTS = 100;
+const MAX_TAGS = 20;
+const BATCH_SIZE = 400;
+
+export const installId = (appPrefix, packId) => `${appPrefix}__${packId}`;
+
+const toPackId = (name) =>
+  String(name || '').trim().toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+
+const isPlainObject = (value) =>
+  value !== null && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype;
+
+const packs = () => mudumbaiDb.collection(PACKS_COLLECTION);
+const installs = () => mudumbaiDb.collection(PACK_INSTALLS_COLLECTION);
+
+const summarize = ({ components: _components, ...pack }) => pack;
+
+/**
+ * Checked description, tags and preview; only the fields given.
+ */
+function metadataOf({ description, tags, preview }) {
+  const meta = {};
+  if (description !== undefined) {
+    if (typeof description !== 'string') throw new AppError('description must be a string', 400);
+    meta.description = description;
+  }
+  if (tags !== undefined) {
+    if (!Array.isArray(tags) || tags.length > MAX_TAGS || tags.some((tag) => typeof tag !== 'string' || !tag.trim())) {
+      throw new AppError(`tags must be an array of at most ${MAX_TAGS} non-empty strings`, 400);
+    }
+    meta.tags = [...new Set(tags.map((tag) => tag.trim().toLowerCase()))];
+  }
+  if (preview !== undefined) {
+    if (!isPlainObject(preview)) throw new AppError('preview must be an object', 400);
+    meta.preview = preview;
+  }
+  return meta;
+}
+
+/**
+ * The components of a pack: the selected library components and the ones
+ * they link to, each as released (latest version, else working copy).
+ */
+async function collectComponents(appPrefix, environment, componentIds) {
+  if (!Array.isArray(componentIds) || !componentIds.length || componentIds.some((id) => typeof id !== 'string' || !id)) {
+    throw new AppError('componentIds must be a non-empty array of component ids', 400);
+  }
+  const library = await componentLinkService.loadLibrary(appPrefix, environment);
+  const missing = componentIds.filter((id) => !library.has(id) || id.includes('@'));
+  if (missing.length) throw new AppError('Components not found in the library', 404, { missing });
+
+  const collected = new Map();
+  const queue = [...new Set(componentIds)];
+  while (queue.length) {
+    const id = queue.shift();
+    if (collected.has(id)) continue;
+    const found = componentLinkService.sourceOf({ libraryComponentId: id }, library);
+    if (!found) continue;
+    // An installed copy of another pack is published as a component of its own
+    const { pack: _pack, ...component } = componentVersionService.contentOf(found.source);
+    collected.set(id, { id, sourceVersion: found.version, ...(componentIds.includes(id) ? {} : { dependency: true }), component });
+    usageService
+      .referencesOf('component', id, component)
+      .filter((ref) => ref.type === 'component' && !collected.has(ref.id))
+      .forEach((ref) => queue.push(ref.id));
+  }
+  if (collected.size > MAX_PACK_COMPONENTS) {
+    throw new AppError(`A pack holds at most ${MAX_PACK_COMPONENTS} components`, 400, { count: collected.size });
+  }
+  return [...collected.values()];
+}
+
+const contentKey = (components) => contentHash(components.map(({ id, component }) => ({ id, component })));
+
+export const componentPackService = {
+  /**
+   * Packs without their components, optionally matching `search` (name or
+   * description) and carrying `tag`.
+   */
+  async list({ search, tag } = {}) {
+    const snap = await packs().get();
+    const needle = search ? String(search).toLowerCase() : null;
+    return snap.docs
+      .map((doc) => summarize({ id: doc.id, ...doc.data() }))
+      .filter((pack) => !tag || (pack.tags || []).includes(String(tag).toLowerCase()))
+      .filter((pack) => !needle || `${pack.name}\n${pack.description || ''}`.toLowerCase().includes(needle))
+      .sort((a, b) => a.name.localeCompare(b.name));
+  },
+
+  async get(packId) {
+    const doc = await packs().doc(packId).get();
+    if (!doc.exists) throw new AppError('Pack not found', 404, { packId });
+    return { id: doc.id, ...doc.data() };
+  },
+
+  assertOwner(pack, uid) {
+    if (pack.ownerId !== uid) throw new AppError('Only the owner of the pack can change it', 403, { packId: pack.id });
+  },
+
+  /**
+   * Publish library components of an app as a new pack (version 1.0.0).
+   * 409 when a pack with the same name exists.
+   */
+  async publish({ name, appPrefix, environment, componentIds, description = '', tags = [], preview = {}, releaseNotes = '', ownerId }) {
+    const packId = toPackId(name);
+    if (!packId) throw new AppError('name must contain letters or digits', 400, { name });
+    const meta = metadataOf({ description, tags, preview });
+    const components = await collectComponents(appPrefix, environment, componentIds);
+
+    const now = new Date().toISOString();
+    const pack = {
+      name: String(name).trim(),
+      ...meta,
+      version: FIRST_VERSION,
+      releaseNotes: typeof releaseNotes === 'string' ? releaseNotes : '',
+      components,
+      componentIds: components.map((item) => item.id),
+      sourceApp: { appPrefix, environment },
+      ownerId,
+      createdAt: now,
+      updatedAt: now
+    };
+    const ref = packs().doc(packId);
+    await mudumbaiDb.runTransaction(async (tx) => {
+      if ((await tx.get(ref)).exists) throw new AppError('A pack with this name already exists', 409, { packId });
+      tx.set(ref, pack);
+    });
+    return { id: packId, ...pack };
+  },
+
+  /**
+   * Change a pack (owner only). With `source` ({ appPrefix, environment,
+   * componentIds }) the components are taken again; if they changed the
+   * version goes up (`version`, or `bump`, default minor) and apps with an
+   * older version installed are notified.
+   * @returns {Promise<{ pack, previousVersion, notified: number }>}
+   */
+  async update(packId, uid, { name, description, tags, preview, releaseNotes, version, bump, source = null }) {
+    const pack = await this.get(packId);
+    this.assertOwner(pack, uid);
+    if (version !== undefined && !isSemver(version)) {
+      throw new AppError('version must be a semantic version (MAJOR.MINOR.PATCH)', 400, { version });
+    }
+    if (bump !== undefined && !BUMPS.includes(bump)) {
+      throw new AppError(`bump must be one of: ${BUMPS.join(', ')}`, 400, { bump });
+    }
+
+    const changes = { ...metadataOf({ description, tags, preview }) };
+    if (name !== undefined) {
+      if (typeof name !== 'string' || !name.trim()) throw new AppError('name must be a non-empty string', 400);
+      changes.name = name.trim();
+    }
+    if (releaseNotes !== undefined) changes.releaseNotes = typeof releaseNotes === 'string' ? releaseNotes : '';
+
+    if (source) {
+      const components = await collectComponents(source.appPrefix, source.environment, source.componentIds);
+      if (contentKey(components) !== contentKey(pack.components || [])) {
+        const next = version || bumpVersion(pack.version, bump || 'minor');
+        if (compareVersions(next, pack.version) <= 0) {
+          throw new AppError(`Version must be greater than the current version ${pack.version}`, 409, { packId, version: next, currentVersion: pack.version });
+        }
+        Object.assign(changes, {
+          components,
+          componentIds: components.map((item) => item.id),
+          sourceApp: { appPrefix: source.appPrefix, environment: source.environment },
+          version: next
+        });
+      }
+    }
+
+    changes.updatedAt = new Date().toISOString();
+    await packs().doc(packId).update(changes);
+    const updated = { ...pack, ...changes };
+    const notified = changes.version ? await this.notifyInstalls(updated) : 0;
+    return { pack: updated, previousVersion: pack.version, notified };
+  },
+
+  /**
+   * Tell every app with an older version of the pack installed about the
+   * new one (replaces an earlier, unread notification).
+   * @returns {Promise<number>} installs notified
+   */
+  async notifyInstalls(pack) {
+    const snap = await installs().where('packId', '==', pack.id).get();
+    const outdated = snap.docs.filter((doc) => compareVersions(doc.data().installedVersion, pack.version) < 0);
+    const notification = { version: pack.version, releaseNotes: pack.releaseNotes || '', createdAt: new Date().toISOString(), dismissedAt: null };
+    for (let i = 0; i < outdated.length; i += BATCH_SIZE) {
+      const batch = mudumbaiDb.batch();
+      outdated.slice(i, i + BATCH_SIZE).forEach((doc) => batch.update(doc.ref, { notification, packName: pack.name }));
+      await batch.commit();
+    }
+    return outdated.length;
+  },
+
+  /**
+   * Delete a pack (owner only). Installed copies stay in their apps.
+   */
+  async remove(packId, uid) {
+    const pack = await this.get(packId);
+    this.assertOwner(pack, uid);
+    await packs().doc(packId).delete();
+    return summarize(pack);
+  },
+
+  /**
+   * Copy a pack's components into an app's library, or update them to the
+   * pack's current version. Components of the app with the same id that do
+   * not come from this pack are only replaced with `overwrite`.
+   * @returns {Promise<{ packId, version, previousVersion, components: [{ id, action }], removedFromPack: string[] }>}
+   */
+  async install(packId, { appPrefix, appName, environment, overwrite = false, installedBy }) {
+    const pack = await this.get(packId);
+    const library = jayramDb.collection(environmentService.collectionName(appPrefix, 'components', environment));
+    const installRef = installs().doc(installId(appPrefix, packId));
+    const [installSnap, existing] = await Promise.all([
+      installRef.get(),
+      Promise.all(pack.components.map(async (item) => library.doc(item.id).get()))
+    ]);
+
+    const conflicts = existing
+      .filter((doc) => doc.exists && !(doc.data().pack && doc.data().pack.packId === packId))
+      .map((doc) => doc.id);
+    if (conflicts.length && !overwrite) {
+      throw new AppError('The app already has components with these ids; pass overwrite=true to replace them', 409, { packId, conflicts });
+    }
+
+    const now = new Date().toISOString();
+    const written = pack.components.map((item, i) => {
+      const current = existing[i].exists ? existing[i].data() : null;
+      const data = {
+        ...item.component,
+        id: item.id,
+        appName,
+        pack: { packId, version: pack.version },
+        // Versions the app published of its copy stay valid
+        ...(current && current.latestVersion ? { latestVersion: current.latestVersion, latestPublishedAt: current.latestPublishedAt } : {}),
+        updatedBy: installedBy,
+        savedAt: now,
+        updatedAt: now
+      };
+      return { id: item.id, data, action: current ? 'updated' : 'created' };
+    });
+    const batch = jayramDb.batch();
+    written.forEach(({ id, data }) => batch.set(library.doc(id), data));
+    await batch.commit();
+    for (const { id, data } of written) {
+      await usageService.indexSource(appPrefix, environment, 'component', id, data);
+    }
+
+    const previous = installSnap.exists ? installSnap.data() : null;
+    await installRef.set({
+      packId,
+      packName: pack.name,
+      appPrefix,
+      environment,
+      installedVersion: pack.version,
+      componentIds: pack.componentIds,
+      installedBy,
+      installedAt: previous ? previous.installedAt : now,
+      updatedAt: now,
+      notification: null
+    });
+
+    return {
+      packId,
+      version: pack.version,
+      previousVersion: previous ? previous.installedVersion : null,
+      components: written.map(({ id, action }) => ({ id, action })),
+      removedFromPack: previous ? previous.componentIds.filter((id) => !pack.componentIds.includes(id)) : []
+    };
+  },
+
+  /**
+   * Packs installed in an app, with the pack's current version.
+   */
+  async installsOf(appPrefix) {
+    const snap = await installs().where('appPrefix', '==', appPrefix).get();
+    const result = [];
+    for (const doc of snap.docs) {
+      const install = doc.data();
+      const packDoc = await packs().doc(install.packId).get();
+      const latestVersion = packDoc.exists ? packDoc.data().version : null;
+      result.push({
+        ...install,
+        latestVersion,
+        updateAvailable: !!latestVersion && compareVersions(install.installedVersion, latestVersion) < 0,
+        packDeleted: !packDoc.exists
+      });
+    }
+    return result.sort((a, b) => a.packId.localeCompare(b.packId));
+  },
+
+  /**
+   * Update notifications of an app that were not dismissed.
+   */
+  async notificationsOf(appPrefix) {
+    const snap = await installs().where('appPrefix', '==', appPrefix).get();
+    return snap.docs
+      .map((doc) => doc.data())
+      .filter((install) => install.notification && !install.notification.dismissedAt)
+      .map(({ packId, packName, installedVersion, notification }) => ({ packId, packName, installedVersion, ...notification }))
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  },
+
+  async dismissNotification(appPrefix, packId) {
+    const ref = installs().doc(installId(appPrefix, packId));
+    const doc = await ref.get();
+    if (!doc.exists || !doc.data().notification) {
+      throw new AppError('No update notification for this pack', 404, { packId });
+    }
+    const notification = { ...doc.data().notification, dismissedAt: new Date().toISOString() };
+    await ref.update({ notification });
+    return { packId, ...notification };
+  }
+};
+
+export default componentPackService;
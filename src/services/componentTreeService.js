@@ -0,0 +1,177 @@
+/**
+ * componentTreeService.js
+ * -----------------------
+ * Operations on the component tree of a page. Containers (type 'container')
+ * hold their nested components in specificAttrs.children; string children
+ * are ids of components elsewhere on the page (the older, flat form) and are
+ * not part of the tree.
+ *
+ * Every operation works on a copy and returns the new page; nothing is saved
+ * here. Depth counts from 1 for top-level components and may not exceed
+ * pageValidationConfig.maxComponentDepth.
+ */
+import { pageValidationService, newComponentId } from './pageValidationService.js';
+import { isInstance } from './componentLinkService.js';
+import { pageValidationConfig } from '../config/pageValidationConfig.js';
+import { AppError } from '../utils/errorHandler.js';
+
+const DEFAULT_LAYOUT = 'column';
+
+const isPlainObject = (value) =>
+  value !== null && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype;
+
+const clone = (value) => JSON.parse(JSON.stringify(value));
+
+const isContainer = (component) => isPlainObject(component) && component.type === 'container' && !isInstance(component);
+
+const childrenOf = (component) =>
+  isPlainObject(component) && isPlainObject(component.specificAttrs) && Array.isArray(component.specificAttrs.children)
+    ? component.specificAttrs.children
+    : null;
+
+/**
+ * Where a component sits: the list holding it, its index there, its parent
+ * container (null at the top level), depth and JSON path.
+ */
+function locate(components, id, parent = null, depth = 1, path = '$.components') {
+  for (let index = 0; index < components.length; index++) {
+    const component = components[index];
+    if (!isPlainObject(component)) continue;
+    const here = `${path}[${index}]`;
+    if (component.id === id) return { component, siblings: components, index, parent, depth, path: here };
+    const children = childrenOf(component);
+    if (children) {
+      const found = locate(children, id, component, depth + 1, `${here}.specificAttrs.children`);
+      if (found) return found;
+    }
+  }
+  return null;
+}
+
+// Levels a component occupies: 1 for a leaf, more for containers with children
+const heightOf = (component) => pageValidationService.treeDepth([component]);
+
+const componentsOf = (page) => (isPlainObject(page) && Array.isArray(page.components) ? page.components : []);
+
+function locateOrFail(components, id) {
+  const found = locate(components, id);
+  if (!found) throw new AppError('Component not found on this page', 404, { componentId: id });
+  return found;
+}
+
+function assertDepth(depth, componentId) {
+  const maxDepth = pageValidationConfig.maxComponentDepth;
+  if (depth > maxDepth) {
+    throw new AppError(`Components may be nested at most ${maxDepth} levels deep`, 422, { componentId, depth, maxDepth });
+  }
+}
+
+export const componentTreeService = {
+  isContainer,
+
+  /**
+   * A component anywhere in the tree.
+   * @returns {{ component, parentId, index, depth, path }} or throws 404
+   */
+  findById(page, componentId) {
+    const { component, parent, index, depth, path } = locateOrFail(componentsOf(page), componentId);
+    return { component, parentId: parent ? parent.id : null, index, depth, path };
+  },
+
+  /**
+   * Move a component with everything nested in it into container `parentId`
+   * (null for the top level) at `index` (default: the end).
+   */
+  moveSubtree(page, componentId, { parentId = null, index } = {}) {
+    const components = clone(componentsOf(page));
+    const source = locateOrFail(components, componentId);
+
+    let targetList = components;
+    let targetDepth = 1;
+    if (parentId) {
+      const target = locateOrFail(components, parentId);
+      if (!isContainer(target.component)) {
+        throw new AppError('Target parent is not a container', 400, { parentId });
+      }
+      if (target.component === source.component || locate(childrenOf(source.component) || [], parentId)) {
+        throw new AppError('A component cannot be moved into itself or one of its descendants', 400, { componentId, parentId });
+      }
+      if (!childrenOf(target.component)) {
+        target.component.specificAttrs = { ...(target.component.specificAttrs || {}), children: [] };
+      }
+      targetList = childrenOf(target.component);
+      targetDepth = target.depth + 1;
+    }
+    assertDepth(targetDepth + heightOf(source.component) - 1, componentId);
+
+    source.siblings.splice(source.index, 1);
+    const position = Number.isInteger(index) ? Math.max(0, Math.min(index, targetList.length)) : targetList.length;
+    targetList.splice(position, 0, source.component);
+
+    return { page: { ...page, components }, component: source.component, parentId: parentId || null, index: position };
+  },
+
+  /**
+   * Put sibling components (kept in page order) into a new container placed
+   * where the first of them was.
+   * container: { id?, name?, layout?, commonAttrs? }
+   */
+  wrap(page, componentIds, container = {}) {
+    if (!Array.isArray(componentIds) || !componentIds.length || componentIds.some((id) => typeof id !== 'string')) {
+      throw new AppError('componentIds must be a non-empty array of component ids', 400);
+    }
+    const components = clone(componentsOf(page));
+    const found = [...new Set(componentIds)].map((id) => locateOrFail(components, id));
+    const siblings = found[0].siblings;
+    if (found.some((item) => item.siblings !== siblings)) {
+      throw new AppError('Components to wrap must share the same parent', 400, { componentIds });
+    }
+
+    const settings = isPlainObject(container) ? container : {};
+    const id = settings.id || newComponentId();
+    if (locate(components, id)) throw new AppError('A component with this id already exists on the page', 409, { componentId: id });
+
+    const depth = found[0].depth;
+    assertDepth(depth + Math.max(...found.map((item) => heightOf(item.component))), id);
+
+    found.sort((a, b) => a.index - b.index);
+    const wrapper = {
+      id,
+      type: 'container',
+      name: settings.name || 'Container',
+      commonAttrs: isPlainObject(settings.commonAttrs) ? settings.commonAttrs : {},
+      specificAttrs: { layout: settings.layout || DEFAULT_LAYOUT, children: found.map((item) => item.component) }
+    };
+    const position = found[0].index;
+    found
+      .slice()
+      .reverse()
+      .forEach((item) => siblings.splice(item.index, 1));
+    siblings.splice(position, 0, wrapper);
+
+    return { page: { ...page, components }, component: wrapper, parentId: found[0].parent ? found[0].parent.id : null, index: position };
+  },
+
+  /**
+   * Replace a container by its children.
+   */
+  unwrap(page, containerId) {
+    const components = clone(componentsOf(page));
+    const { component, siblings, index, parent } = locateOrFail(components, containerId);
+    if (!isContainer(component)) throw new AppError('Component is not a container', 400, { componentId: containerId });
+    const children = childrenOf(component) || [];
+    if (children.some((child) => !isPlainObject(child))) {
+      throw new AppError('Container lists components by id; only nested components can be unwrapped', 400, { componentId: containerId });
+    }
+
+    siblings.splice(index, 1, ...children);
+    return {
+      page: { ...page, components },
+      container: component,
+      parentId: parent ? parent.id : null,
+      childIds: children.map((child) => child.id)
+    };
+  }
+};
+
+export default componentTreeService;
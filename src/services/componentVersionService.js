@@ -0,0 +1,267 @@
+/**
+ * componentVersionService.js
+ * --------------------------
+ * Published versions of library components.
+ *
+ * The component in `${prefix}_components` is the working copy; saves change
+ * it in place. publish() freezes the working copy as a semantic version in
+ * `${prefix}_components_versions`, keyed `${componentId}@${version}`:
+ *
+ *   { componentId, version, component, notes, publishedAt, publishedBy }
+ *
+ * Versions are never rewritten and each one is greater than the one before.
+ * The working copy records the latest in `latestVersion` and
+ * `latestPublishedAt`. Versions are promoted together with the components.
+ *
+ * Page instances pinned (libraryVersion) to a version older than the latest
+ * are outdated; upgradePage() moves them to the latest version, pinned to it
+ * or following it from then on (see componentLinkService for resolution).
+ */
+import { getDb } from './storageAdapter.js';
+import { environmentService } from './environmentService.js';
+import { componentLinkService, versionKey, pinnedVersion } from './componentLinkService.js';
+import { pageHistoryService } from './pageHistoryService.js';
+import { concurrencyService } from './concurrencyService.js';
+import { AppError } from '../utils/errorHandler.js';
+import { contentHash } from '../utils/revisionToken.js';
+import { isSemver, compareVersions, bumpVersion, BUMPS } from '../utils/semver.js';
+
+const jayramDb = getDb('jayram');
+
+const VERSIONS_KIND = 'components_versions';
+const FIRST_VERSION = '1.0.0';
+const BATCH_SIZE = 400;
+
+// Working-copy fields that are not part of a version
+const BOOKKEEPING_FIELDS = ['id', 'appName', 'updatedAt', 'updatedBy', 'savedAt', 'latestVersion', 'latestPublishedAt', 'revisionToken'];
+
+const snapshotOf = (component) =>
+  Object.fromEntries(Object.entries(component).filter(([key]) => !BOOKKEEPING_FIELDS.includes(key)));
+
+const summarize = ({ component: _component, ...version }) => version;
+
+const assertVersion = (version) => {
+  if (!isSemver(version)) {
+    throw new AppError('version must be a semantic version (MAJOR.MINOR.PATCH)', 400, { version });
+  }
+};
+
+const isOutdated = (instance, library) => {
+  const pin = pinnedVersion(instance);
+  const head = library.get(instance.libraryComponentId);
+  return !!(pin && isSemver(pin) && head && head.latestVersion && compareVersions(pin, head.latestVersion) < 0);
+};
+
+export const componentVersionService = {
+  collection(appPrefix, environment) {
+    return jayramDb.collection(environmentService.collectionName(appPrefix, VERSIONS_KIND, environment));
+  },
+
+  componentsCollection(appPrefix, environment) {
+    return jayramDb.collection(environmentService.collectionName(appPrefix, 'components', environment));
+  },
+
+  /**
+   * A working copy without its bookkeeping: what a version freezes.
+   */
+  contentOf(component) {
+    return snapshotOf(component);
+  },
+
+  /**
+   * Whether the working copy differs from the version it was last published as.
+   */
+  hasUnpublishedChanges(component, latest) {
+    if (!latest) return true;
+    return contentHash(snapshotOf(component)) !== contentHash(latest.component);
+  },
+
+  /**
+   * Freeze the working copy as a new version: `version` when given,
+   * otherwise the latest bumped by `bump` (default patch), or 1.0.0 first.
+   * 409 when the version is not greater than the latest, or nothing changed
+   * since the latest.
+   * @returns {Promise<{ version: object, previousVersion: string | null }>}
+   */
+  async publish(appPrefix, environment, componentId, { version, bump, notes = '', publishedBy }) {
+    if (version !== undefined) assertVersion(version);
+    if (bump !== undefined && !BUMPS.includes(bump)) {
+      throw new AppError(`bump must be one of: ${BUMPS.join(', ')}`, 400, { bump });
+    }
+    const headRef = this.componentsCollection(appPrefix, environment).doc(componentId);
+    const versions = this.collection(appPrefix, environment);
+
+    return jayramDb.runTransaction(async (tx) => {
+      const head = await tx.get(headRef);
+      if (!head.exists) throw new AppError('Component not found', 404, { componentId });
+      const component = head.data();
+      const previousVersion = component.latestVersion || null;
+      const previous = previousVersion ? await tx.get(versions.doc(versionKey(componentId, previousVersion))) : null;
+
+      const next = version || (previousVersion ? bumpVersion(previousVersion, bump || 'patch') : FIRST_VERSION);
+      if (previousVersion && compareVersions(next, previousVersion) <= 0) {
+        throw new AppError(`Version must be greater than the latest version ${previousVersion}`, 409, {
+          componentId,
+          version: next,
+          latestVersion: previousVersion
+        });
+      }
+      if (previous && previous.exists && !this.hasUnpublishedChanges(component, previous.data())) {
+        throw new AppError(`Nothing to publish: the component has not changed since ${previousVersion}`, 409, {
+          componentId,
+          latestVersion: previousVersion
+        });
+      }
+      const ref = versions.doc(versionKey(componentId, next));
+      if ((await tx.get(ref)).exists) {
+        throw new AppError(`Version ${next} already exists`, 409, { componentId, version: next });
+      }
+
+      const entry = {
+        componentId,
+        version: next,
+        component: snapshotOf(component),
+        notes: typeof notes === 'string' ? notes : '',
+        publishedAt: new Date().toISOString(),
+        publishedBy
+      };
+      tx.set(ref, entry);
+      tx.update(headRef, { latestVersion: next, latestPublishedAt: entry.publishedAt });
+      return { version: entry, previousVersion };
+    });
+  },
+
+  /**
+   * Versions of a component, newest first, without their content.
+   * @returns {Promise<{ componentId, latestVersion, unpublishedChanges, versions: object[] }>}
+   */
+  async listVersions(appPrefix, environment, componentId) {
+    const head = await this.componentsCollection(appPrefix, environment).doc(componentId).get();
+    if (!head.exists) throw new AppError('Component not found', 404, { componentId });
+    const snap = await this.collection(appPrefix, environment).where('componentId', '==', componentId).get();
+    const versions = snap.docs.map((doc) => doc.data()).sort((a, b) => compareVersions(b.version, a.version));
+    const { latestVersion = null } = head.data();
+    const latest = versions.find((entry) => entry.version === latestVersion) || null;
+
+    return {
+      componentId,
+      latestVersion,
+      unpublishedChanges: this.hasUnpublishedChanges(head.data(), latest),
+      versions: versions.map(summarize)
+    };
+  },
+
+  async getVersion(appPrefix, environment, componentId, version) {
+    assertVersion(version);
+    const doc = await this.collection(appPrefix, environment).doc(versionKey(componentId, version)).get();
+    if (!doc.exists) throw new AppError('Component version not found', 404, { componentId, version });
+    return doc.data();
+  },
+
+  /**
+   * Delete every version of a component (the component itself is gone).
+   * @returns {Promise<number>} versions deleted
+   */
+  async removeVersions(appPrefix, environment, componentId) {
+    const snap = await this.collection(appPrefix, environment).where('componentId', '==', componentId).get();
+    for (let i = 0; i < snap.docs.length; i += BATCH_SIZE) {
+      const batch = jayramDb.batch();
+      snap.docs.slice(i, i + BATCH_SIZE).forEach((doc) => batch.delete(doc.ref));
+      await batch.commit();
+    }
+    return snap.docs.length;
+  },
+
+  /**
+   * Copy the versions of a component into another app's library (the
+   * component was copied there).
+   * @returns {Promise<number>} versions copied
+   */
+  async copyVersions(sourcePrefix, targetPrefix, environment, componentId) {
+    const snap = await this.collection(sourcePrefix, environment).where('componentId', '==', componentId).get();
+    const target = this.collection(targetPrefix, environment);
+    for (let i = 0; i < snap.docs.length; i += BATCH_SIZE) {
+      const batch = jayramDb.batch();
+      snap.docs.slice(i, i + BATCH_SIZE).forEach((doc) => batch.set(target.doc(doc.id), doc.data()));
+      await batch.commit();
+    }
+    return snap.docs.length;
+  },
+
+  /**
+   * Draft pages with instances pinned to a version older than the latest,
+   * optionally only instances of one library component.
+   * @returns {Promise<{ componentId, pageCount, instanceCount,
+   *   pages: [{ pageId, name, instances: [{ componentId, libraryComponentId, pinnedVersion, latestVersion }] }] }>}
+   */
+  async outdated(appPrefix, environment, { componentId = null } = {}) {
+    const library = await componentLinkService.loadLibrary(appPrefix, environment);
+    const pagesSnap = await jayramDb.collection(environmentService.collectionName(appPrefix, 'pages', environment)).get();
+    const pages = [];
+    pagesSnap.docs
+      .filter((doc) => doc.id !== '_init')
+      .forEach((doc) => {
+        const instances = componentLinkService
+          .instancesOf(doc.data(), componentId)
+          .filter((instance) => isOutdated(instance, library))
+          .map((instance) => ({
+            componentId: instance.id,
+            libraryComponentId: instance.libraryComponentId,
+            pinnedVersion: instance.libraryVersion,
+            latestVersion: library.get(instance.libraryComponentId).latestVersion
+          }));
+        if (instances.length) pages.push({ pageId: doc.id, name: doc.data().name || doc.id, instances });
+      });
+
+    return {
+      componentId,
+      pageCount: pages.length,
+      instanceCount: pages.reduce((sum, page) => sum + page.instances.length, 0),
+      pages
+    };
+  },
+
+  /**
+   * Move the outdated instances of a page (optionally of one library
+   * component) to the latest version: pinned to it, or following the latest
+   * from now on with `follow`. The upgraded page must pass checkInstances in
+   * `mode`. Saved as a new page revision; pages without outdated instances
+   * are left alone.
+   * @returns {Promise<{ pageId, revision, upgraded: [{ componentId, libraryComponentId, from, to }] }>}
+   */
+  async upgradePage(appPrefix, environment, pageId, { componentId = null, follow = false, mode, message, authorId }) {
+    const pagesCollection = environmentService.collectionName(appPrefix, 'pages', environment);
+    const doc = await jayramDb.collection(pagesCollection).doc(pageId).get();
+    if (!doc.exists) throw new AppError('Page not found', 404, { pageId });
+    const current = doc.data();
+    const library = await componentLinkService.loadLibrary(appPrefix, environment);
+
+    const upgraded = [];
+    const page = componentLinkService.mapInstances(current, (instance) => {
+      if ((componentId && instance.libraryComponentId !== componentId) || !isOutdated(instance, library)) return instance;
+      const to = library.get(instance.libraryComponentId).latestVersion;
+      upgraded.push({ componentId: instance.id, libraryComponentId: instance.libraryComponentId, from: instance.libraryVersion, to });
+      if (!follow) return { ...instance, libraryVersion: to };
+      const { libraryVersion: _pin, ...rest } = instance;
+      return rest;
+    });
+    if (!upgraded.length) return { pageId, revision: current.revision || null, upgraded };
+
+    const { warnings } = await componentLinkService.checkInstances(appPrefix, environment, page, mode);
+    const { revision } = await pageHistoryService.saveRevision({
+      appPrefix,
+      environment,
+      pagesCollection,
+      pageId,
+      data: { ...page, updatedBy: authorId, updatedAt: new Date().toISOString() },
+      message: message || `Upgraded ${upgraded.map((item) => `${item.componentId} to ${item.to}`).join(', ')}`,
+      authorId,
+      replace: true,
+      expectedRevision: concurrencyService.revisionToken(current),
+      autoMerge: true
+    });
+    return { pageId, revision, upgraded, ...(warnings.length ? { warnings } : {}) };
+  }
+};
+
+export default componentVersionService;
@@ -0,0 +1,101 @@
+/**
+ * concurrencyService.js
+ * ---------------------
+ * Optimistic concurrency (ETag / If-Match) for pages, components, actions,
+ * validations and processes.
+ *
+ * Reads attach the document's revision token (utils/revisionToken.js) as the
+ * ETag header and `revisionToken` in the body. Writes that carry a token,
+ * via If-Match or `expectedRevision`, only go through while the stored
+ * document still has that token; otherwise they fail with 409 and the current
+ * server copy. Writes without a token behave as before (last write wins).
+ *
+ * The check and the write run in one transaction.
+ */
+import { getDb } from './storageAdapter.js';
+import { AppError } from '../utils/errorHandler.js';
+import { parseIfMatch, revisionToken, stripTokenFields } from '../utils/revisionToken.js';
+
+const withToken = (id, data) => ({ id, ...data, revisionToken: revisionToken(data) });
+
+export const concurrencyService = {
+  revisionToken,
+  stripTokenFields,
+
+  /**
+   * Token the client expects the stored document to have, or null for an
+   * unconditional write. If-Match wins over the body field.
+   */
+  expectedRevision(req) {
+    const header = parseIfMatch(req.get && req.get('if-match'));
+    if (header) return header;
+    const fromBody = req.body && req.body.expectedRevision;
+    return fromBody === undefined || fromBody === null || fromBody === '' ? null : String(fromBody);
+  },
+
+  setEtag(res, doc) {
+    const token = revisionToken(doc);
+    if (token) res.set('ETag', `"${token}"`);
+    return token;
+  },
+
+  /**
+   * Response form of a document: adds revisionToken.
+   */
+  present(doc) {
+    return doc ? { ...doc, revisionToken: revisionToken(doc) } : doc;
+  },
+
+  conflict(what, id, current, details = {}) {
+    return new AppError(`${what} was changed by someone else; reload it and try again`, 409, {
+      id,
+      currentRevision: revisionToken(current),
+      current: current ? withToken(id, current) : null,
+      ...details
+    });
+  },
+
+  /**
+   * Throws 409 unless `current` matches `expected` ("*" = any existing document).
+   */
+  assertCurrent(what, id, current, expected) {
+    if (expected === null || expected === undefined) return;
+    if (expected === '*' ? current : current && revisionToken(current) === expected) return;
+    throw this.conflict(what, id, current);
+  },
+
+  /**
+   * `set(data, { merge: true })` (what firestoreService.upsertDoc does) guarded
+   * by the expected token. Returns the stored document with its new token.
+   */
+  async upsertIfCurrent({ what, collectionName, docId, data, expected, dbName = 'jayram' }) {
+    const db = getDb(dbName);
+    const ref = db.collection(collectionName).doc(docId);
+    await db.runTransaction(async (tx) => {
+      const snap = await tx.get(ref);
+      this.assertCurrent(what, docId, snap.exists ? snap.data() : null, expected);
+      tx.set(ref, { ...stripTokenFields(data), updatedAt: new Date().toISOString() }, { merge: true });
+    });
+    const stored = await ref.get();
+    return withToken(docId, stored.data());
+  },
+
+  /**
+   * `update(data)` (what firestoreService.updateDoc does) guarded by the
+   * expected token. 404 when the document is gone.
+   */
+  async updateIfCurrent({ what, collectionName, docId, data, expected, dbName = 'jayram' }) {
+    const db = getDb(dbName);
+    const ref = db.collection(collectionName).doc(docId);
+    await db.runTransaction(async (tx) => {
+      const snap = await tx.get(ref);
+      if (!snap.exists) throw new AppError(`${what} not found`, 404, { id: docId });
+      this.assertCurrent(what, docId, snap.data(), expected);
+      tx.update(ref, { ...stripTokenFields(data), updatedAt: new Date().toISOString() });
+    });
+    const stored = await ref.get();
+    return withToken(docId, stored.data());
+  }
+};
+
+export default concurrencyService;
@@ -0,0 +1,408 @@
+/**
+ * environmentService.js
+ * ---------------------
+ * Per-app environments: dev, staging and prod.
+ *
+ * Pages, components (with their published versions), actions, validations,
+ * processes and the site map (page tree, redirects, menus) exist once per
+ * environment. dev keeps the original collection names (`${appPrefix}_pages`),
+ * so every app created before environments existed is simply its dev
+ * environment; the others live in `${appPrefix}_${env}_pages` and so on.
+ *
+ * Editors work in dev. staging and prod only change through promote(), which
+ * diffs two environments and applies the diff in one transaction together with
+ * a history entry in `${appPrefix}_promotions`. The documents the promotion
+ * replaced go to `${appPrefix}_promotions_before` in the same transaction,
+ * packed into chunks below Firestore's 1 MiB document limit, so rollback() can
+ * put them back.
+ *
+ * Data tables are shared by all environments unless
+ * apps_meta.environments.sharedData is false. Then data_schemas (and the
+ * tables they point at) are scoped like the rest and promoted with them:
+ * schema definitions move, records stay in their own environment.
+ */
+import { getDb } from './storageAdapter.js';
+import { AppError } from '../utils/errorHandler.js';
+import { contentHash } from '../utils/revisionToken.js';
+
+const jayramDb = getDb('jayram');
+
+const APPS_META_COLLECTION = 'apps_meta';
+
+export const ENVIRONMENTS = ['dev', 'staging', 'prod'];
+export const DEFAULT_ENVIRONMENT = 'dev';
+
+export const PROMOTABLE_KINDS = ['pages', 'components', 'components_versions', 'actions', 'validations', 'processes', 'sitemap', 'redirects', 'menus'];
+const DATA_KIND = 'data_schemas';
+
+// A Firestore transaction takes at most 500 writes
+const MAX_TRANSACTION_WRITES = 500;
+
+// Room left in a before-image chunk for its other fields
+const MAX_CHUNK_BYTES = 900 * 1024;
+
+// Permissions name resources ("schemas:write"); collections name kinds
+const kindForResource = (resource) => (resource === 'schemas' ? DATA_KIND : resource);
+
+const isSharedData = (app) => !app || !app.environments || app.environments.sharedData !== false;
+
+const envPrefix = (appPrefix, environment) =>
+  (environment === DEFAULT_ENVIRONMENT ? appPrefix : `${appPrefix}_${environment}`);
+
+const promotionsCollection = (appPrefix) => jayramDb.collection(`${appPrefix}_promotions`);
+const beforeImagesCollection = (appPrefix) => jayramDb.collection(`${appPrefix}_promotions_before`);
+
+const isInitDoc = (id) => id === '_init';
+
+// Stands in for a transaction when only reading (diff, dry runs)
+const directReads = { get: (refOrQuery) => refOrQuery.get() };
+
+const hashOf = (data) => (data ? contentHash(data) : null);
+
+const summarize = (changes) =>
+  changes.reduce(
+    (summary, change) => ({ ...summary, [change.action]: summary[change.action] + 1 }),
+    { create: 0, update: 0, delete: 0 }
+  );
+
+/**
+ * Split the documents a promotion replaces into chunks of at most
+ * MAX_CHUNK_BYTES: [[{ index, before }]], index being the change's position.
+ * Creates replace nothing and are left out.
+ */
+const chunkBeforeImages = (changes) => {
+  const chunks = [];
+  let chunk = [];
+  let size = 0;
+  changes.forEach(({ before }, index) => {
+    if (!before) return;
+    const bytes = Buffer.byteLength(JSON.stringify(before));
+    if (chunk.length && size + bytes > MAX_CHUNK_BYTES) {
+      chunks.push(chunk);
+      chunk = [];
+      size = 0;
+    }
+    chunk.push({ index, before });
+    size += bytes;
+  });
+  if (chunk.length) chunks.push(chunk);
+  return chunks;
+};
+
+// History entries are returned without the replaced documents
+const describe = (id, entry) => ({
+  id,
+  ...entry,
+  changes: (entry.changes || []).map(({ kind, id: docId, action }) => ({ kind, id: docId, action }))
+});
+
+export const environmentService = {
+  isSharedData,
+
+  /**
+   * Environment a request targets: ?env= or the X-App-Env header, dev by default.
+   */
+  resolveEnvironment(req) {
+    const environment = (req.query && req.query.env) || (req.get && req.get('x-app-env')) || DEFAULT_ENVIRONMENT;
+    if (!ENVIRONMENTS.includes(environment)) {
+      throw new AppError(`env must be one of: ${ENVIRONMENTS.join(', ')}`, 400, { env: environment });
+    }
+    return environment;
+  },
+
+  collectionName(appPrefix, kind, environment = DEFAULT_ENVIRONMENT) {
+    return `${envPrefix(appPrefix, environment)}_${kind}`;
+  },
+
+  /**
+   * Prefix the data controllers build data_schemas and table names from.
+   */
+  dataPrefix(app, environment = DEFAULT_ENVIRONMENT) {
+    const appPrefix = app.appPrefix || app.id;
+    return isSharedData(app) ? appPrefix : envPrefix(appPrefix, environment);
+  },
+
+  kindsFor(app) {
+    return isSharedData(app) ? PROMOTABLE_KINDS : [...PROMOTABLE_KINDS, DATA_KIND];
+  },
+
+  /**
+   * Writes to promoted kinds are only allowed in dev. Publishing is not a
+   * content change: each environment publishes its own pages.
+   */
+  assertWritable(app, permission, environment) {
+    if (environment === DEFAULT_ENVIRONMENT) return;
+    const [resource, verb] = permission.split(':');
+    if (verb === 'publish') return;
+    if (this.kindsFor(app).includes(kindForResource(resource))) {
+      throw new AppError(`${resource} in ${environment} can only change through promotion`, 409, {
+        environment,
+        editableIn: DEFAULT_ENVIRONMENT
+      });
+    }
+  },
+
+  resolveKinds(app, kinds) {
+    const allowed = this.kindsFor(app);
+    if (kinds === undefined || kinds === null) return allowed;
+    const list = Array.isArray(kinds) ? kinds : String(kinds).split(',').map((kind) => kind.trim());
+    const unknown = list.filter((kind) => !allowed.includes(kind));
+    if (!list.length || unknown.length) {
+      throw new AppError(`kinds must be taken from: ${allowed.join(', ')}`, 400, { unknown });
+    }
+    return list;
+  },
+
+  assertEnvironmentPair(from, to) {
+    if (!ENVIRONMENTS.includes(from) || !ENVIRONMENTS.includes(to)) {
+      throw new AppError(`from and to must be one of: ${ENVIRONMENTS.join(', ')}`, 400, { from, to });
+    }
+    if (from === to) throw new AppError('from and to must be different environments', 400, { from, to });
+  },
+
+  /**
+   * Schema documents point at their table; promoted copies must point at the
+   * target environment's table.
+   */
+  toTarget(appPrefix, kind, data, from, to) {
+    if (kind !== DATA_KIND || typeof data.internalName !== 'string') return data;
+    const sourcePrefix = `${envPrefix(appPrefix, from)}_data_`;
+    if (!data.internalName.startsWith(sourcePrefix)) return data;
+    return {
+      ...data,
+      internalName: `${envPrefix(appPrefix, to)}_data_${data.internalName.slice(sourcePrefix.length)}`
+    };
+  },
+
+  async readKind(tx, appPrefix, kind, environment) {
+    const snap = await tx.get(jayramDb.collection(this.collectionName(appPrefix, kind, environment)));
+    const docs = new Map();
+    snap.docs.filter((doc) => !isInitDoc(doc.id)).forEach((doc) => docs.set(doc.id, doc.data()));
+    return docs;
+  },
+
+  /**
+   * Changes that make `to` match `from` for the given kinds:
+   * [{ kind, id, action: create|update|delete, data, before }]
+   */
+  async computeChanges(tx, appPrefix, { from, to, kinds }) {
+    const changes = [];
+    for (const kind of kinds) {
+      const source = await this.readKind(tx, appPrefix, kind, from);
+      const target = await this.readKind(tx, appPrefix, kind, to);
+
+      source.forEach((sourceData, id) => {
+        const data = this.toTarget(appPrefix, kind, sourceData, from, to);
+        const before = target.has(id) ? target.get(id) : null;
+        if (!before) changes.push({ kind, id, action: 'create', data, before });
+        else if (hashOf(before) !== hashOf(data)) changes.push({ kind, id, action: 'update', data, before });
+      });
+      target.forEach((before, id) => {
+        if (!source.has(id)) changes.push({ kind, id, action: 'delete', data: null, before });
+      });
+    }
+    return changes;
+  },
+
+  async diff(app, { from, to, kinds }) {
+    const appPrefix = app.appPrefix || app.id;
+    this.assertEnvironmentPair(from, to);
+    const resolvedKinds = this.resolveKinds(app, kinds);
+    const changes = await this.computeChanges(directReads, appPrefix, { from, to, kinds: resolvedKinds });
+    return {
+      from,
+      to,
+      kinds: resolvedKinds,
+      summary: summarize(changes),
+      changes: changes.map(({ kind, id, action }) => ({ kind, id, action }))
+    };
+  },
+
+  /**
+   * Apply the diff from `from` to `to` and record it, all in one transaction.
+   * The diff is computed up front; the transaction only reads the documents it
+   * changes and refuses (409) if any of them moved in the meantime.
+   * With dryRun only the diff is returned. Returns the history entry (without
+   * the replaced documents), or { promotion: null } when nothing differs.
+   */
+  async promote(app, { from, to, kinds, dryRun = false, promotedBy }) {
+    if (dryRun) return { dryRun: true, ...(await this.diff(app, { from, to, kinds })) };
+
+    const appPrefix = app.appPrefix || app.id;
+    this.assertEnvironmentPair(from, to);
+    const resolvedKinds = this.resolveKinds(app, kinds);
+    const historyRef = promotionsCollection(appPrefix).doc();
+
+    const changes = await this.computeChanges(directReads, appPrefix, { from, to, kinds: resolvedKinds });
+    if (!changes.length) return null;
+    const chunks = chunkBeforeImages(changes);
+    // The history entry, the before-images and, for rollback(), the rollback
+    // entry and the update of this one must fit next to the changes
+    const writes = changes.length + chunks.length + 2;
+    if (writes > MAX_TRANSACTION_WRITES) {
+      throw new AppError(
+        `Promotion would write ${writes} documents with its history; at most ${MAX_TRANSACTION_WRITES} can be applied atomically. Promote fewer kinds at a time.`,
+        422,
+        { summary: summarize(changes), kinds: resolvedKinds }
+      );
+    }
+
+    return jayramDb.runTransaction(async (tx) => {
+      const refs = changes.map(({ kind, id }) => ({
+        source: jayramDb.collection(this.collectionName(appPrefix, kind, from)).doc(id),
+        target: jayramDb.collection(this.collectionName(appPrefix, kind, to)).doc(id)
+      }));
+      const moved = [];
+      for (const [i, change] of changes.entries()) {
+        const sourceSnap = await tx.get(refs[i].source);
+        const targetSnap = await tx.get(refs[i].target);
+        const data = sourceSnap.exists
+          ? this.toTarget(appPrefix, change.kind, sourceSnap.data(), from, to)
+          : null;
+        const before = targetSnap.exists ? targetSnap.data() : null;
+        if (hashOf(data) !== hashOf(change.data) || hashOf(before) !== hashOf(change.before)) {
+          moved.push({ kind: change.kind, id: change.id });
+        }
+      }
+      if (moved.length) {
+        throw new AppError(`${from} or ${to} changed while promoting; try again`, 409, { moved });
+      }
+
+      changes.forEach(({ action, data }, i) => {
+        if (action === 'delete') tx.delete(refs[i].target);
+        else tx.set(refs[i].target, data);
+      });
+      chunks.forEach((chunk, n) => {
+        tx.set(beforeImagesCollection(appPrefix).doc(`${historyRef.id}_${n}`), {
+          promotionId: historyRef.id,
+          chunk: n,
+          changes: chunk
+        });
+      });
+
+      const entry = {
+        type: 'promotion',
+        from,
+        to,
+        kinds: resolvedKinds,
+        summary: summarize(changes),
+        changes: changes.map(({ kind, id, action, data }) => ({ kind, id, action, afterHash: hashOf(data) })),
+        beforeChunks: chunks.length,
+        createdBy: promotedBy,
+        createdAt: new Date().toISOString(),
+        rolledBackAt: null
+      };
+      tx.set(historyRef, entry);
+      return describe(historyRef.id, entry);
+    });
+  },
+
+  /**
+   * Put back the documents a promotion replaced. Refuses (409) when any of
+   * them changed since, e.g. through a later promotion, unless force is set.
+   */
+  async rollback(app, promotionId, { force = false, rolledBackBy }) {
+    const appPrefix = app.appPrefix || app.id;
+    const promotionRef = promotionsCollection(appPrefix).doc(promotionId);
+    const rollbackRef = promotionsCollection(appPrefix).doc();
+
+    return jayramDb.runTransaction(async (tx) => {
+      const snap = await tx.get(promotionRef);
+      if (!snap.exists) throw new AppError('Promotion not found', 404, { promotionId });
+      const promotion = snap.data();
+      if (promotion.type !== 'promotion') {
+        throw new AppError('Only promotions can be rolled back', 400, { promotionId, type: promotion.type });
+      }
+      if (promotion.rolledBackAt) {
+        throw new AppError('Promotion was already rolled back', 409, { promotionId, rollbackId: promotion.rollbackId });
+      }
+
+      // Entries written before the before-images moved out keep them inline
+      const befores = promotion.changes.map((change) => change.before || null);
+      if (promotion.beforeChunks) {
+        const chunks = await tx.get(beforeImagesCollection(appPrefix).where('promotionId', '==', promotionId));
+        chunks.docs.forEach((doc) => doc.data().changes.forEach(({ index, before }) => { befores[index] = before; }));
+      }
+
+      const refs = promotion.changes.map(({ kind, id }) =>
+        jayramDb.collection(this.collectionName(appPrefix, kind, promotion.to)).doc(id));
+      const current = [];
+      for (const ref of refs) {
+        const docSnap = await tx.get(ref);
+        current.push(docSnap.exists ? docSnap.data() : null);
+      }
+      const drifted = promotion.changes
+        .filter((change, i) => hashOf(current[i]) !== change.afterHash)
+        .map(({ kind, id }) => ({ kind, id }));
+      if (drifted.length && !force) {
+        throw new AppError(`${promotion.to} changed since this promotion; pass force to roll back anyway`, 409, {
+          promotionId,
+          drifted
+        });
+      }
+
+      const changes = promotion.changes.map((change, i) => {
+        if (befores[i]) tx.set(refs[i], befores[i]);
+        else tx.delete(refs[i]);
+        const action = !befores[i] ? 'delete' : current[i] ? 'update' : 'create';
+        return { kind: change.kind, id: change.id, action };
+      });
+
+      const now = new Date().toISOString();
+      const entry = {
+        type: 'rollback',
+        from: null,
+        to: promotion.to,
+        kinds: promotion.kinds,
+        rollbackOf: promotionId,
+        summary: summarize(changes),
+        changes,
+        createdBy: rolledBackBy,
+        createdAt: now
+      };
+      tx.set(rollbackRef, entry);
+      tx.update(promotionRef, { rolledBackAt: now, rolledBackBy, rollbackId: rollbackRef.id });
+      return { ...describe(rollbackRef.id, entry), drifted };
+    });
+  },
+
+  async listPromotions(appPrefix, { limit = 50 } = {}) {
+    const snap = await promotionsCollection(appPrefix).orderBy('createdAt', 'desc').limit(limit).get();
+    return snap.docs.map((doc) => {
+      const { changes, ...entry } = describe(doc.id, doc.data());
+      return { ...entry, changeCount: changes.length };
+    });
+  },
+
+  async getPromotion(appPrefix, promotionId) {
+    const snap = await promotionsCollection(appPrefix).doc(promotionId).get();
+    if (!snap.exists) throw new AppError('Promotion not found', 404, { promotionId });
+    return describe(snap.id, snap.data());
+  },
+
+  /**
+   * Environments with document counts per promoted kind.
+   */
+  async describeEnvironments(app) {
+    const appPrefix = app.appPrefix || app.id;
+    const kinds = this.kindsFor(app);
+    const environments = [];
+    for (const name of ENVIRONMENTS) {
+      const counts = {};
+      for (const kind of kinds) {
+        const snap = await jayramDb.collection(this.collectionName(appPrefix, kind, name)).get();
+        counts[kind] = snap.docs.filter((doc) => !isInitDoc(doc.id)).length;
+      }
+      environments.push({ name, editable: name === DEFAULT_ENVIRONMENT, counts });
+    }
+    return { sharedData: isSharedData(app), environments };
+  },
+
+  async setSharedData(appPrefix, sharedData, updatedBy) {
+    const environments = { sharedData, updatedBy, updatedAt: new Date().toISOString() };
+    await jayramDb.collection(APPS_META_COLLECTION).doc(appPrefix).set({ environments }, { merge: true });
+    return environments;
+  }
+};
+
+export default environmentService;
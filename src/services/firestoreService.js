@@ -162,19 +162,15 @@
  * firestoreService.js
  * -------------------
  * Provides Firestore CRUD operations with error handling and logs.
+ * Database handles come from storageAdapter.js, so the same calls work against the local backend.
  * fixed/updated by ChatGPT on 2025-10-21 14:15:00 – added getCollectionFromFirestore() for universal collection fetch.
  */
 
-import { db } from "../config/firebaseConfig.js";
 import logger from "./loggerService.js";
-import { jayramDb, mudumbaiDb } from "../config/firebaseAdmin.js";
+import { getDb } from "./storageAdapter.js";
 
-// Select correct Firestore instance dynamically
-const getDB = (dbName = "jayram") => {
-  if (dbName === "mudumbai" && mudumbaiDb) return mudumbaiDb;
-  if (jayramDb) return jayramDb;
-  return db; // fallback to client SDK
-};
+// Select correct database instance dynamically (Firestore or local backend, see storageAdapter.js)
+const getDB = (dbName = "jayram") => getDb(dbName);
 
 const firestoreService = {
   async createDoc(collection, data, dbName = "jayram") {
@@ -0,0 +1,100 @@
+/**
+ * jobService.js
+ * -------------
+ * Minimal background jobs for long-running app operations (JAYRAM `app_jobs`).
+ *
+ * A job document records what is running and how far it got, so clients can
+ * poll GET /api/app/jobs/:jobId while the request that started it has long
+ * returned:
+ *   { type, appPrefix, params, createdBy, status, progress, result?, error?,
+ *     createdAt, startedAt?, finishedAt?, updatedAt }
+ *   status: queued | running | completed | failed
+ *
+ * Workers run in-process. A job interrupted by a restart stays "running";
+ * workers are written to be safely re-run.
+ */
+import { getDb } from './storageAdapter.js';
+import logger from './loggerService.js';
+
+const jayramDb = getDb('jayram');
+
+const JOBS_COLLECTION = 'app_jobs';
+
+export const JOB_STATUS = {
+  QUEUED: 'queued',
+  RUNNING: 'running',
+  COMPLETED: 'completed',
+  FAILED: 'failed'
+};
+
+export const jobService = {
+  async createJob({ type, appPrefix, params = {}, createdBy }) {
+    const now = new Date().toISOString();
+    const ref = jayramDb.collection(JOBS_COLLECTION).doc();
+    const job = {
+      type,
+      appPrefix,
+      params,
+      createdBy,
+      status: JOB_STATUS.QUEUED,
+      progress: {},
+      createdAt: now,
+      updatedAt: now
+    };
+    await ref.set(job);
+    return { id: ref.id, ...job };
+  },
+
+  async getJob(id) {
+    const snap = await jayramDb.collection(JOBS_COLLECTION).doc(id).get();
+    return snap.exists ? { id: snap.id, ...snap.data() } : null;
+  },
+
+  async updateJob(id, patch) {
+    await jayramDb.collection(JOBS_COLLECTION).doc(id).set(
+      { ...patch, updatedAt: new Date().toISOString() },
+      { merge: true }
+    );
+  },
+
+  /**
+   * Run `worker(job, reportProgress)` and record its outcome on the job.
+   * Resolves when the worker finishes; callers that should not wait simply
+   * don't await it (see start()).
+   */
+  async run(job, worker) {
+    await this.updateJob(job.id, { status: JOB_STATUS.RUNNING, startedAt: new Date().toISOString() });
+    const reportProgress = (progress) => this.updateJob(job.id, { progress });
+
+    try {
+      const result = await worker(job, reportProgress);
+      await this.updateJob(job.id, {
+        status: JOB_STATUS.COMPLETED,
+        result: result ?? null,
+        finishedAt: new Date().toISOString()
+      });
+      logger.info(`[jobService] Job ${job.id} (${job.type}) completed`);
+      return result;
+    } catch (err) {
+      await this.updateJob(job.id, {
+        status: JOB_STATUS.FAILED,
+        error: err.message,
+        finishedAt: new Date().toISOString()
+      });
+      logger.error(`[jobService] Job ${job.id} (${job.type}) failed: ${err.message}`);
+      throw err;
+    }
+  },
+
+  /**
+   * Fire-and-forget variant of run(); failures are already recorded on the job.
+   */
+  start(job, worker) {
+    setImmediate(() => {
+      this.run(job, worker).catch(() => {});
+    });
+    return job;
+  }
+};
+
+export default jobService;
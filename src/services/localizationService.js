@@ -0,0 +1,320 @@
+/**
+ * localizationService.js
+ * ----------------------
+ * Localized page variants.
+ *
+ * An app lists the locales it supports and a default locale in
+ * apps_meta.i18n ({ defaultLocale, locales }); apps that never set them
+ * have just "en". The text stored in a page's components is the default
+ * locale's text. Other locales override single strings in the page's
+ * `translations` field, keyed by component id:
+ *
+ *   translations: {
+ *     fr: {
+ *       comp_1: { content: 'Bonjour' },
+ *       contact_form: { title: 'Contact', fields: { email: 'Courriel' } }
+ *     }
+ *   }
+ *
+ * `fields` holds form field labels by field id; the other keys are the
+ * TRANSLATABLE_ATTRS of the component's specificAttrs. Because translations
+ * live in the page document they follow its revisions, publication and
+ * promotion.
+ *
+ * Reading a locale falls back string by string: the locale itself, then its
+ * language when that is supported too (fr-CA -> fr), then the default text.
+ */
+import { getDb } from './storageAdapter.js';
+import { AppError } from '../utils/errorHandler.js';
+
+const jayramDb = getDb('jayram');
+
+const APPS_META_COLLECTION = 'apps_meta';
+
+export const TRANSLATABLE_ATTRS = ['content', 'title', 'description', 'label', 'linkText', 'submitLabel', 'caption', 'alt'];
+const FIELDS_KEY = 'fields';
+
+const DEFAULT_SETTINGS = { defaultLocale: 'en', locales: ['en'] };
+const MAX_LOCALES = 50;
+
+const isPlainObject = (value) =>
+  value !== null && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype;
+
+const isText = (value) => typeof value === 'string' && value.trim() !== '';
+
+/**
+ * Canonical BCP 47 form ("EN-us" -> "en-US"), or null when invalid.
+ */
+const canonicalLocale = (locale) => {
+  try {
+    return Intl.getCanonicalLocales(String(locale))[0] || null;
+  } catch {
+    return null;
+  }
+};
+
+const languageOf = (locale) => locale.split('-')[0];
+
+// Components including those nested in containers
+function flatten(components) {
+  return (Array.isArray(components) ? components : []).filter(isPlainObject).flatMap((component) => {
+    const children = isPlainObject(component.specificAttrs) && Array.isArray(component.specificAttrs.children)
+      ? component.specificAttrs.children
+      : [];
+    return [component, ...flatten(children)];
+  });
+}
+
+/**
+ * The translatable strings of one component as [{ key, source }], where key
+ * is an attribute name or "fields.<fieldId>".
+ */
+function stringsOf(component) {
+  const specific = isPlainObject(component.specificAttrs) ? component.specificAttrs : {};
+  const strings = TRANSLATABLE_ATTRS.filter((key) => isText(specific[key])).map((key) => ({ key, source: specific[key] }));
+  (Array.isArray(specific.fields) ? specific.fields : []).forEach((field) => {
+    if (isPlainObject(field) && field.id && isText(field.label)) {
+      strings.push({ key: `${FIELDS_KEY}.${field.id}`, source: field.label });
+    }
+  });
+  return strings;
+}
+
+const translationOf = (overrides, key) => {
+  if (!isPlainObject(overrides)) return undefined;
+  if (!key.startsWith(`${FIELDS_KEY}.`)) return overrides[key];
+  return isPlainObject(overrides[FIELDS_KEY]) ? overrides[FIELDS_KEY][key.slice(FIELDS_KEY.length + 1)] : undefined;
+};
+
+function localizeComponent(component, tables) {
+  if (!isPlainObject(component)) return component;
+  const specific = isPlainObject(component.specificAttrs) ? { ...component.specificAttrs } : null;
+  if (!specific) return component;
+
+  // Most specific locale last so its strings win
+  tables.forEach((table) => {
+    const overrides = table[component.id];
+    if (!isPlainObject(overrides)) return;
+    TRANSLATABLE_ATTRS.forEach((key) => {
+      if (isText(overrides[key])) specific[key] = overrides[key];
+    });
+    if (isPlainObject(overrides[FIELDS_KEY]) && Array.isArray(specific.fields)) {
+      specific.fields = specific.fields.map((field) =>
+        isPlainObject(field) && isText(overrides[FIELDS_KEY][field.id]) ? { ...field, label: overrides[FIELDS_KEY][field.id] } : field
+      );
+    }
+  });
+  if (Array.isArray(specific.children)) {
+    specific.children = specific.children.map((child) => localizeComponent(child, tables));
+  }
+  return { ...component, specificAttrs: specific };
+}
+
+/**
+ * Check one locale's overrides against the page: components must exist and
+ * carry the attribute; null removes a string.
+ */
+function validateOverrides(page, strings) {
+  if (!isPlainObject(strings)) throw new AppError('strings must be an object keyed by component id', 400);
+  const components = new Map(flatten(page.components).map((component) => [component.id, component]));
+  const errors = [];
+
+  Object.entries(strings).forEach(([componentId, overrides]) => {
+    const component = components.get(componentId);
+    if (!component) {
+      errors.push({ componentId, message: 'No component with this id on the page' });
+      return;
+    }
+    if (overrides === null) return;
+    if (!isPlainObject(overrides)) {
+      errors.push({ componentId, message: 'Expected an object of strings' });
+      return;
+    }
+    const known = new Set(stringsOf(component).map(({ key }) => key));
+    Object.entries(overrides).forEach(([key, value]) => {
+      const entries = key === FIELDS_KEY && isPlainObject(value)
+        ? Object.entries(value).map(([fieldId, label]) => [`${FIELDS_KEY}.${fieldId}`, label])
+        : [[key, value]];
+      entries.forEach(([path, text]) => {
+        if (!known.has(path)) errors.push({ componentId, key: path, message: 'Not a translatable string of this component' });
+        else if (text !== null && typeof text !== 'string') errors.push({ componentId, key: path, message: 'Must be a string or null' });
+      });
+    });
+  });
+
+  if (errors.length) throw new AppError('Translations do not match the page', 400, { errors });
+}
+
+/**
+ * Merge `strings` into one locale's table; null drops a component or a string.
+ */
+function mergeOverrides(table, strings) {
+  const next = { ...(isPlainObject(table) ? table : {}) };
+  Object.entries(strings).forEach(([componentId, overrides]) => {
+    if (overrides === null) {
+      delete next[componentId];
+      return;
+    }
+    const merged = { ...(isPlainObject(next[componentId]) ? next[componentId] : {}) };
+    Object.entries(overrides).forEach(([key, value]) => {
+      if (key === FIELDS_KEY) {
+        const fields = { ...(isPlainObject(merged[FIELDS_KEY]) ? merged[FIELDS_KEY] : {}) };
+        Object.entries(value).forEach(([fieldId, label]) => {
+          if (label === null) delete fields[fieldId];
+          else fields[fieldId] = label;
+        });
+        if (Object.keys(fields).length) merged[FIELDS_KEY] = fields;
+        else delete merged[FIELDS_KEY];
+      } else if (value === null) {
+        delete merged[key];
+      } else {
+        merged[key] = value;
+      }
+    });
+    if (Object.keys(merged).length) next[componentId] = merged;
+    else delete next[componentId];
+  });
+  return next;
+}
+
+export const localizationService = {
+  /**
+   * Supported locales of an app (its apps_meta document).
+   * @returns {{ defaultLocale: string, locales: string[] }}
+   */
+  getSettings(app) {
+    const i18n = app && isPlainObject(app.i18n) ? app.i18n : null;
+    if (!i18n || !i18n.defaultLocale) return { ...DEFAULT_SETTINGS };
+    return { defaultLocale: i18n.defaultLocale, locales: Array.isArray(i18n.locales) ? i18n.locales : [i18n.defaultLocale] };
+  },
+
+  /**
+   * Replace the supported locales. The default locale is always supported.
+   * Strings of a locale that is dropped stay in the pages, unused.
+   */
+  async saveSettings(appPrefix, { defaultLocale, locales }, updatedBy) {
+    const canonicalDefault = canonicalLocale(defaultLocale);
+    if (!canonicalDefault) throw new AppError('defaultLocale is not a valid locale code', 400, { defaultLocale });
+    if (locales !== undefined && !Array.isArray(locales)) throw new AppError('locales must be an array of locale codes', 400);
+
+    const invalid = (locales || []).filter((locale) => !canonicalLocale(locale));
+    if (invalid.length) throw new AppError('locales contains invalid locale codes', 400, { locales: invalid });
+
+    const canonical = [...new Set([canonicalDefault, ...(locales || []).map(canonicalLocale)])];
+    if (canonical.length > MAX_LOCALES) {
+      throw new AppError(`At most ${MAX_LOCALES} locales per app`, 400, { count: canonical.length });
+    }
+
+    const i18n = { defaultLocale: canonicalDefault, locales: canonical, updatedBy, updatedAt: new Date().toISOString() };
+    await jayramDb.collection(APPS_META_COLLECTION).doc(appPrefix).set({ i18n }, { merge: true });
+    return i18n;
+  },
+
+  /**
+   * Locale to serve for `requested`: itself when supported, else its
+   * language, else the default.
+   * @returns {{ locale: string, requested: string, fallback: boolean }}
+   */
+  resolveLocale(settings, requested) {
+    const canonical = canonicalLocale(requested);
+    let locale = settings.defaultLocale;
+    if (canonical && settings.locales.includes(canonical)) locale = canonical;
+    else if (canonical && settings.locales.includes(languageOf(canonical))) locale = languageOf(canonical);
+    return { locale, requested: String(requested), fallback: locale !== canonical };
+  },
+
+  /**
+   * Canonical codes of `requested`; 400 unless the app supports all of them.
+   */
+  assertSupported(settings, requested) {
+    const locales = requested.map((locale) => canonicalLocale(locale) || locale);
+    const unsupported = locales.filter((locale) => !settings.locales.includes(locale));
+    if (unsupported.length) {
+      throw new AppError('Locale is not supported by this app', 400, { locales: unsupported, supported: settings.locales });
+    }
+    return locales;
+  },
+
+  /**
+   * Locale that translations are written to; 400 for unsupported locales
+   * and for the default locale (its text is the page itself).
+   */
+  assertTranslatable(settings, requested) {
+    const [locale] = this.assertSupported(settings, [requested]);
+    if (locale === settings.defaultLocale) {
+      throw new AppError('The default locale is edited in the page itself', 400, { locale });
+    }
+    return locale;
+  },
+
+  /**
+   * The page as seen in `locale`, without its translations field.
+   */
+  localizePage(page, settings, locale) {
+    const { translations, ...rest } = page;
+    if (locale === settings.defaultLocale || !isPlainObject(translations)) return rest;
+
+    const chain = [languageOf(locale), locale].filter(
+      (code, i, codes) => codes.indexOf(code) === i && code !== settings.defaultLocale && settings.locales.includes(code)
+    );
+    const tables = chain.map((code) => translations[code]).filter(isPlainObject);
+    if (!tables.length || !Array.isArray(rest.components)) return rest;
+    return { ...rest, components: rest.components.map((component) => localizeComponent(component, tables)) };
+  },
+
+  /**
+   * Page translations after merging one locale's strings (validated
+   * against the page).
+   */
+  applyStrings(page, locale, strings) {
+    validateOverrides(page, strings);
+    const translations = isPlainObject(page.translations) ? page.translations : {};
+    const table = mergeOverrides(translations[locale], strings);
+    const next = { ...translations, [locale]: table };
+    if (!Object.keys(table).length) delete next[locale];
+    return next;
+  },
+
+  /**
+   * Translations re-keyed after components got new ids (page duplication).
+   */
+  remapTranslations(translations, idMap) {
+    if (!isPlainObject(translations)) return translations;
+    return Object.fromEntries(
+      Object.entries(translations).map(([locale, table]) => [
+        locale,
+        isPlainObject(table) ? Object.fromEntries(Object.entries(table).map(([id, overrides]) => [idMap[id] || id, overrides])) : table
+      ])
+    );
+  },
+
+  /**
+   * Strings without a translation, per non-default locale.
+   * @param {object[]} pages - page documents with id
+   * @param {object} settings
+   * @param {string[]} [locales] - only these locales
+   * @returns {{ defaultLocale: string, locales: [{ locale, total, missingCount, missing: [{ pageId, componentId, key, source }] }] }}
+   */
+  missingTranslations(pages, settings, locales = null) {
+    const targets = (locales || settings.locales).filter((locale) => locale !== settings.defaultLocale);
+    const report = targets.map((locale) => {
+      const chain = [...new Set([locale, languageOf(locale)])].filter((code) => settings.locales.includes(code));
+      const missing = [];
+      let total = 0;
+      pages.forEach((page) => {
+        const translations = isPlainObject(page.translations) ? page.translations : {};
+        flatten(page.components).forEach((component) => {
+          stringsOf(component).forEach(({ key, source }) => {
+            total += 1;
+            const translated = chain.some((code) => isText(translationOf((translations[code] || {})[component.id], key)));
+            if (!translated) missing.push({ pageId: page.id, componentId: component.id, key, source });
+          });
+        });
+      });
+      return { locale, total, missingCount: missing.length, missing };
+    });
+    return { defaultLocale: settings.defaultLocale, locales: report };
+  }
+};
+
+export default localizationService;
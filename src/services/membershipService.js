@@ -0,0 +1,334 @@
+/**
+ * membershipService.js
+ * --------------------
+ * App membership & invitations (MUDUMBAI database).
+ *
+ * Collections:
+ * - app_users        { appPrefix, uid, role, status, createdAt, updatedAt }
+ *                    id: `${appPrefix}__${uid}` (see membershipId)
+ * - app_invitations  { appPrefix, email, role, status, tokenHash, expiresAt,
+ *                      invitedBy, createdAt, acceptedBy?, acceptedAt? }
+ *                    status: pending | accepted | revoked | expired
+ *
+ * Invitation tokens are only returned once, at creation; the database keeps a
+ * SHA-256 hash so a leaked document cannot be used to join the app.
+ *
+ * Ownership: apps_meta.createdBy (JAYRAM) is the source of truth for who owns
+ * an app; the owner's app_users row mirrors it so member lists are complete.
+ *
+ * Rows with a legacy id (see accessService) grant access until they are
+ * rewritten; the member functions below rewrite each one they read
+ * (migrateRow), so listing, role changes and removal see the same members
+ * accessService does.
+ */
+import crypto from 'crypto';
+import { getDb } from './storageAdapter.js';
+import { accessService, membershipId, toAppPrefix } from './accessService.js';
+import { normalizeRole, ROLES } from '../config/roles.js';
+import { AppError } from '../utils/errorHandler.js';
+
+const jayramDb = getDb('jayram');
+const mudumbaiDb = getDb('mudumbai');
+
+const USERS_COLLECTION = 'users';
+const APP_USERS_COLLECTION = 'app_users';
+const INVITATIONS_COLLECTION = 'app_invitations';
+const APPS_META_COLLECTION = 'apps_meta';
+
+const INVITATION_TTL_HOURS = Number(process.env.INVITATION_TTL_HOURS) || 7 * 24;
+
+// Roles that can be granted by invite or role change; ownership moves only via transfer
+export const ASSIGNABLE_ROLES = [ROLES.EDITOR, ROLES.VIEWER, ROLES.DATA_ENTRY];
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+const invitationId = (appPrefix, email) => `${appPrefix}__${hashToken(email).slice(0, 24)}`;
+const normalizeEmail = (email) => String(email || '').trim().toLowerCase();
+
+/**
+ * Rewrite a legacy app_users row to `${appPrefix}__${uid}` with a normalized
+ * role, and delete the old id. Returns the row as stored under the new id.
+ */
+async function migrateRow(id, data, appPrefix, now = new Date().toISOString()) {
+  const targetId = membershipId(appPrefix, data.uid);
+  const row = { ...data, appPrefix, role: normalizeRole(data.role) || data.role, updatedAt: now };
+  const batch = mudumbaiDb.batch();
+  batch.set(mudumbaiDb.collection(APP_USERS_COLLECTION).doc(targetId), row, { merge: true });
+  if (targetId !== id) batch.delete(mudumbaiDb.collection(APP_USERS_COLLECTION).doc(id));
+  await batch.commit();
+  return { id: targetId, ...row };
+}
+
+const assertAssignableRole = (role) => {
+  if (!ASSIGNABLE_ROLES.includes(role)) {
+    throw new AppError(`role must be one of: ${ASSIGNABLE_ROLES.join(', ')}`, 400, { role });
+  }
+};
+
+export const membershipService = {
+  async getMember(appPrefix, uid) {
+    const snap = await mudumbaiDb.collection(APP_USERS_COLLECTION).doc(membershipId(appPrefix, uid)).get();
+    if (snap.exists) return { id: snap.id, ...snap.data() };
+
+    const legacy = await accessService.getMembership(appPrefix, uid);
+    if (!legacy) return null;
+    const { id, ...data } = legacy;
+    return migrateRow(id, data, appPrefix);
+  },
+
+  async upsertMember({ appPrefix, uid, role }) {
+    const now = new Date().toISOString();
+    const ref = mudumbaiDb.collection(APP_USERS_COLLECTION).doc(membershipId(appPrefix, uid));
+    const existing = await ref.get();
+    const doc = {
+      appPrefix,
+      uid,
+      role,
+      status: 'active',
+      updatedAt: now,
+      ...(existing.exists ? {} : { createdAt: now })
+    };
+    await ref.set(doc, { merge: true });
+    return { id: ref.id, ...(existing.exists ? existing.data() : {}), ...doc };
+  },
+
+  /**
+   * Active members joined with their mudumbai.users profile, plus pending invitations.
+   * `ownerUid` (apps_meta.createdBy) is always listed as owner, even before
+   * migrateMembershipKeys() has backfilled the owner's row. Legacy rows that
+   * only carry the app's name (`appName`, the display name or the prefix) are
+   * listed too, and rewritten to the current id.
+   */
+  async listMembers(appPrefix, ownerUid = null, appName = null) {
+    const appUsers = mudumbaiDb.collection(APP_USERS_COLLECTION);
+    const snap = await appUsers.where('appPrefix', '==', appPrefix).get();
+    const legacySnap = await appUsers.where('appName', 'in', [...new Set([appPrefix, appName].filter(Boolean))]).get();
+
+    const rows = new Map(snap.docs.map((d) => [d.data().uid, { id: d.id, ...d.data() }]));
+    for (const doc of legacySnap.docs) {
+      const data = doc.data();
+      if (!data.uid || data.appPrefix || toAppPrefix(data.appName) !== appPrefix) continue;
+      const migrated = await migrateRow(doc.id, data, appPrefix);
+      if (!rows.has(data.uid)) rows.set(data.uid, migrated);
+    }
+
+    const memberships = [...rows.values()].filter((m) => !m.status || m.status === 'active');
+    if (ownerUid && !memberships.some((m) => m.uid === ownerUid)) {
+      memberships.unshift({ uid: ownerUid, role: ROLES.OWNER });
+    }
+
+    const profiles = memberships.length
+      ? await mudumbaiDb.getAll(...memberships.map((m) => mudumbaiDb.collection(USERS_COLLECTION).doc(m.uid)))
+      : [];
+    const profileByUid = new Map(profiles.filter((p) => p.exists).map((p) => [p.id, p.data()]));
+
+    const members = memberships.map((m) => {
+      const profile = profileByUid.get(m.uid) || {};
+      return {
+        uid: m.uid,
+        role: m.uid === ownerUid ? ROLES.OWNER : normalizeRole(m.role) || m.role,
+        status: 'active',
+        joinedAt: m.createdAt || null,
+        email: profile.email || '',
+        name: profile.name || profile.displayName || [profile.firstName, profile.lastName].filter(Boolean).join(' '),
+        picture: profile.picture || ''
+      };
+    });
+
+    const invites = await mudumbaiDb.collection(INVITATIONS_COLLECTION)
+      .where('appPrefix', '==', appPrefix)
+      .where('status', '==', 'pending')
+      .get();
+    const now = Date.now();
+    const pending = invites.docs
+      .map((d) => ({ id: d.id, ...d.data() }))
+      .filter((inv) => Date.parse(inv.expiresAt) > now)
+      .map(({ tokenHash: _tokenHash, ...inv }) => inv);
+
+    return { members, pending };
+  },
+
+  async inviteMember({ appPrefix, email, role, invitedBy }) {
+    assertAssignableRole(role);
+    const normalizedEmail = normalizeEmail(email);
+    if (!/^[^@\s]+@[^@\s]+$/.test(normalizedEmail)) {
+      throw new AppError('A valid email is required', 400, { email });
+    }
+
+    const token = crypto.randomBytes(32).toString('hex');
+    const now = new Date();
+    const invitation = {
+      appPrefix,
+      email: normalizedEmail,
+      role,
+      status: 'pending',
+      tokenHash: hashToken(token),
+      invitedBy,
+      createdAt: now.toISOString(),
+      expiresAt: new Date(now.getTime() + INVITATION_TTL_HOURS * 3600 * 1000).toISOString()
+    };
+
+    // One live invitation per email and app; re-inviting replaces the token
+    const id = invitationId(appPrefix, normalizedEmail);
+    await mudumbaiDb.collection(INVITATIONS_COLLECTION).doc(id).set(invitation);
+
+    const { tokenHash: _tokenHash, ...publicInvitation } = invitation;
+    return { invitation: { id, ...publicInvitation }, token };
+  },
+
+  async revokeInvitation(appPrefix, id) {
+    const ref = mudumbaiDb.collection(INVITATIONS_COLLECTION).doc(id);
+    const snap = await ref.get();
+    if (!snap.exists || snap.data().appPrefix !== appPrefix) {
+      throw new AppError('Invitation not found', 404, { id });
+    }
+    if (snap.data().status !== 'pending') {
+      throw new AppError(`Invitation is already ${snap.data().status}`, 409, { id });
+    }
+    await ref.update({ status: 'revoked', updatedAt: new Date().toISOString() });
+    return { id, status: 'revoked' };
+  },
+
+  /**
+   * Accept an invitation for `user` ({ uid, email } from the verified token).
+   * The token must belong to this app and to the user's email address.
+   */
+  async acceptInvitation({ appPrefix, token, user }) {
+    const snap = await mudumbaiDb.collection(INVITATIONS_COLLECTION)
+      .where('tokenHash', '==', hashToken(String(token || '')))
+      .limit(1)
+      .get();
+    const doc = snap.docs[0];
+    if (!doc || doc.data().appPrefix !== appPrefix) {
+      throw new AppError('Invitation not found', 404);
+    }
+
+    const invitation = doc.data();
+    if (invitation.status !== 'pending') {
+      throw new AppError(`Invitation is already ${invitation.status}`, 409);
+    }
+    if (Date.parse(invitation.expiresAt) <= Date.now()) {
+      await doc.ref.update({ status: 'expired', updatedAt: new Date().toISOString() });
+      throw new AppError('Invitation has expired', 410);
+    }
+    if (normalizeEmail(user.email) !== invitation.email) {
+      throw new AppError('Invitation was sent to a different email address', 403);
+    }
+
+    // Accepting never downgrades someone who already has a role (e.g. the owner)
+    const existing = await this.getMember(appPrefix, user.uid);
+    const member = existing || await this.upsertMember({ appPrefix, uid: user.uid, role: invitation.role });
+
+    const now = new Date().toISOString();
+    await doc.ref.update({ status: 'accepted', acceptedBy: user.uid, acceptedAt: now, updatedAt: now });
+    return member;
+  },
+
+  async changeRole({ appPrefix, uid, role, ownerUid }) {
+    assertAssignableRole(role);
+    if (uid === ownerUid) {
+      throw new AppError('The owner\'s role cannot be changed; transfer ownership instead', 409);
+    }
+    const member = await this.getMember(appPrefix, uid);
+    if (!member) {
+      throw new AppError('Member not found', 404, { uid });
+    }
+    return this.upsertMember({ appPrefix, uid, role });
+  },
+
+  async removeMember({ appPrefix, uid, ownerUid }) {
+    if (uid === ownerUid) {
+      throw new AppError('The owner cannot be removed; transfer ownership first', 409);
+    }
+    const member = await this.getMember(appPrefix, uid);
+    if (!member) {
+      throw new AppError('Member not found', 404, { uid });
+    }
+    await mudumbaiDb.collection(APP_USERS_COLLECTION).doc(member.id).delete();
+    return { uid, removed: true };
+  },
+
+  /**
+   * Make `toUid` (an existing member) the owner. The previous owner stays on
+   * the app as an editor.
+   */
+  async transferOwnership({ appPrefix, fromUid, toUid }) {
+    if (fromUid === toUid) {
+      throw new AppError('User already owns this app', 409);
+    }
+    const target = await this.getMember(appPrefix, toUid);
+    if (!target) {
+      throw new AppError('New owner must already be a member of the app', 400, { uid: toUid });
+    }
+
+    const now = new Date().toISOString();
+    const batch = mudumbaiDb.batch();
+    batch.set(mudumbaiDb.collection(APP_USERS_COLLECTION).doc(membershipId(appPrefix, toUid)),
+      { role: ROLES.OWNER, updatedAt: now }, { merge: true });
+    batch.set(mudumbaiDb.collection(APP_USERS_COLLECTION).doc(membershipId(appPrefix, fromUid)),
+      { appPrefix, uid: fromUid, role: ROLES.EDITOR, status: 'active', updatedAt: now }, { merge: true });
+    await batch.commit();
+
+    // apps_meta lives in JAYRAM, so it cannot join the batch above
+    await jayramDb.collection(APPS_META_COLLECTION).doc(appPrefix).update({
+      createdBy: toUid,
+      ownershipTransferredAt: now,
+      ownershipTransferredFrom: fromUid,
+      updatedAt: now
+    });
+
+    return { appPrefix, owner: toUid, previousOwner: fromUid };
+  },
+
+  /**
+   * Rewrite legacy app_users ids (`${uid}_${appPrefix}`, `${appName}__${uid}`)
+   * to `${appPrefix}__${uid}`, normalize roles, and backfill an owner row for
+   * every app in apps_meta. Safe to run repeatedly.
+   */
+  async migrateMembershipKeys({ dryRun = false } = {}) {
+    const summary = { scanned: 0, rekeyed: 0, ownersBackfilled: 0, skipped: [] };
+    const now = new Date().toISOString();
+
+    const snap = await mudumbaiDb.collection(APP_USERS_COLLECTION).get();
+    for (const doc of snap.docs) {
+      summary.scanned += 1;
+      const data = doc.data();
+      const appPrefix = toAppPrefix(data.appPrefix || data.appName);
+      if (!appPrefix || !data.uid) {
+        summary.skipped.push({ id: doc.id, reason: 'missing appPrefix/appName or uid' });
+        continue;
+      }
+
+      const targetId = membershipId(appPrefix, data.uid);
+      const role = normalizeRole(data.role) || data.role;
+      if (targetId === doc.id && data.appPrefix === appPrefix && role === data.role) continue;
+
+      summary.rekeyed += 1;
+      if (dryRun) continue;
+      await migrateRow(doc.id, data, appPrefix, now);
+    }
+
+    const apps = await jayramDb.collection(APPS_META_COLLECTION).get();
+    for (const app of apps.docs) {
+      const { createdBy } = app.data();
+      if (!createdBy) continue;
+      const ref = mudumbaiDb.collection(APP_USERS_COLLECTION).doc(membershipId(app.id, createdBy));
+      const existing = await ref.get();
+      if (existing.exists && existing.data().role === ROLES.OWNER) continue;
+
+      summary.ownersBackfilled += 1;
+      if (dryRun) continue;
+      await ref.set({
+        appPrefix: app.id,
+        uid: createdBy,
+        role: ROLES.OWNER,
+        status: 'active',
+        updatedAt: now,
+        ...(existing.exists ? {} : { createdAt: now })
+      }, { merge: true });
+    }
+
+    return summary;
+  }
+};
+
+export default membershipService;
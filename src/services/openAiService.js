@@ -8,6 +8,7 @@
  */
 import OpenAI from "openai";
 import logger from "./loggerService.js";
+import { pageValidationConfig } from "../config/pageValidationConfig.js";
 
 // Lazy initialization - client will be created when first needed
 let client = null;
@@ -95,7 +96,9 @@ EXACT SCHEMA - DO NOT DEVIATE:
 Page: {id, name, appName, layoutId, themeId, savedAt, updatedAt, components:[FULL_COMPONENT_OBJECTS]}
 Component: {id, type, name, appName, createdAt, updatedAt, commonAttrs:{width,height,padding[4],margin[4],backgroundColor,borderRadius,boxShadow}, specificAttrs:{...}}
 
-Component types (lowercase only): form, button, text, card, image`;
+Component types (lowercase only): form, button, text, card, image, container
+
+Containers group components: specificAttrs {layout, children:[FULL_COMPONENT_OBJECTS]} with layout one of column, row, grid, single-column, two-column, three-column, hero-split, grid-12. Children follow the same Component schema and may be containers themselves, at most ${pageValidationConfig.maxComponentDepth} levels deep (top-level components are level 1). Every component id is unique within its page, nested ones included.`;
 
       // User message with example and content
       const userPrompt = `App: ${appName}
@@ -163,7 +166,7 @@ Generate 5 pages. MATCH THIS EXACT STRUCTURE:
   }]
 }]}
 
-Generate 5 pages (Home, About, Services, Features, Contact) following EXACT structure above. Use lowercase types. Fill content from provided CONTENT. Output JSON only.`;
+Generate 5 pages (Home, About, Services, Features, Contact) following EXACT structure above. Use lowercase types. Group related components (e.g. a hero headline and subheading) in a container with nested children. Fill content from provided CONTENT. Output JSON only.`;
 
       const response = await getClient().chat.completions.create({
         model: "gpt-4o",
@@ -0,0 +1,356 @@
+/**
+ * pageHistoryService.js
+ * ---------------------
+ * Immutable page revisions.
+ *
+ * Every save through pageController writes the new head of the page and a
+ * revision document in the same transaction. Revisions live next to the pages
+ * of their environment in `${prefix}_pages_history`, keyed
+ * `${pageId}__${revision}` (zero-padded), and hold a full snapshot of the page
+ * after the save plus author, timestamp and an optional message.
+ *
+ * The page head carries `revision`, the number of its latest revision. Pages
+ * saved before history existed get their current state recorded as
+ * revision 1 on their first save, so nothing is lost. Numbering continues
+ * after the highest stored revision when the head is gone, so a page that is
+ * deleted and created again never overwrites its earlier history.
+ *
+ * Restoring writes the old snapshot as a new head (and a new revision);
+ * history itself is never rewritten.
+ *
+ * Saves may carry the revision they were based on (expectedRevision). When
+ * the head has moved on, the save fails with 409 unless autoMerge is set and
+ * mergePages() can combine both sides: edits to different components (or
+ * different page fields) merge, edits to the same one conflict.
+ */
+import { getDb } from './storageAdapter.js';
+import { environmentService } from './environmentService.js';
+import { concurrencyService } from './concurrencyService.js';
+import { usageService } from './usageService.js';
+import { AppError } from '../utils/errorHandler.js';
+
+const jayramDb = getDb('jayram');
+
+const HISTORY_KIND = 'pages_history';
+const REVISION_DIGITS = 8;
+
+const LEGACY_MESSAGE = 'Page state before revision history was enabled';
+
+const isPlainObject = (value) =>
+  value !== null && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype;
+
+/**
+ * What `set(data, { merge: true })` leaves behind: nested maps are merged,
+ * everything else (arrays included) is replaced.
+ */
+function mergeDeep(target, source) {
+  const out = { ...target };
+  Object.entries(source).forEach(([key, value]) => {
+    out[key] = isPlainObject(value) && isPlainObject(out[key]) ? mergeDeep(out[key], value) : value;
+  });
+  return out;
+}
+
+const revisionId = (pageId, revision) => `${pageId}__${String(revision).padStart(REVISION_DIGITS, '0')}`;
+
+const parseRevision = (value) => {
+  const revision = Number(value);
+  if (!Number.isInteger(revision) || revision < 1) {
+    throw new AppError('revision must be a positive integer', 400, { revision: value });
+  }
+  return revision;
+};
+
+const summarizeRevision = ({ page, ...revision }) => ({
+  ...revision,
+  componentCount: Array.isArray(page && page.components) ? page.components.length : 0
+});
+
+// Component-level diff ------------------------------------------------------
+
+const sameValue = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+/**
+ * Leaf-level differences between two values: [{ path, from, to }].
+ * Arrays are compared as a whole.
+ */
+function diffValues(before, after, path = '') {
+  if (isPlainObject(before) && isPlainObject(after)) {
+    const keys = [...new Set([...Object.keys(before), ...Object.keys(after)])].sort();
+    return keys.flatMap((key) => diffValues(before[key], after[key], path ? `${path}.${key}` : key));
+  }
+  if (sameValue(before, after)) return [];
+  return [{ path, from: before === undefined ? null : before, to: after === undefined ? null : after }];
+}
+
+// Fields that change on every save and say nothing about the page's structure
+const VOLATILE_FIELDS = new Set(['updatedAt', 'updatedBy', 'savedAt', 'revision']);
+
+const componentKey = (component, index) => (component && component.id ? component.id : `#${index}`);
+
+/**
+ * Compare two page snapshots.
+ * @returns {{ page: object[], added: object[], removed: object[], changed: object[], moved: object[] }}
+ */
+export function diffPages(before = {}, after = {}) {
+  const withoutComponents = (page) =>
+    Object.fromEntries(Object.entries(page || {}).filter(([key]) => key !== 'components' && !VOLATILE_FIELDS.has(key)));
+
+  const index = (page) => {
+    const map = new Map();
+    (Array.isArray(page && page.components) ? page.components : []).forEach((component, i) => {
+      map.set(componentKey(component, i), { component, position: i });
+    });
+    return map;
+  };
+  const beforeComponents = index(before);
+  const afterComponents = index(after);
+  const describe = (id, { component, position }) => ({ id, type: component.type, name: component.name, position });
+
+  const added = [];
+  const changed = [];
+  const moved = [];
+  afterComponents.forEach((entry, id) => {
+    const previous = beforeComponents.get(id);
+    if (!previous) {
+      added.push(describe(id, entry));
+      return;
+    }
+    const attrs = diffValues(previous.component, entry.component).filter(({ path }) => !VOLATILE_FIELDS.has(path));
+    if (attrs.length) changed.push({ ...describe(id, entry), attrs });
+    if (previous.position !== entry.position) moved.push({ id, from: previous.position, to: entry.position });
+  });
+  const removed = [...beforeComponents.entries()]
+    .filter(([id]) => !afterComponents.has(id))
+    .map(([id, entry]) => describe(id, entry));
+
+  return { page: diffValues(withoutComponents(before), withoutComponents(after)), added, removed, changed, moved };
+}
+
+/**
+ * Three-way merge of page snapshots at component level. `ours` and `theirs`
+ * both started from `base`; whatever only one side changed is taken from
+ * that side. Components are matched by id; component order follows the side
+ * that reordered (ours if both did), with the other side's additions
+ * appended.
+ *
+ * @returns {{ page: object, conflicts: object[] }} conflicts: [{ field }] or [{ componentId }]
+ */
+export function mergePages(base = {}, ours = {}, theirs = {}) {
+  const conflicts = [];
+  const pick = (b, o, t, conflict) => {
+    const oursChanged = !sameValue(b, o);
+    const theirsChanged = !sameValue(b, t);
+    if (oursChanged && theirsChanged && !sameValue(o, t)) conflicts.push(conflict);
+    return oursChanged ? o : t;
+  };
+
+  const page = {};
+  const fields = new Set([...Object.keys(base), ...Object.keys(ours), ...Object.keys(theirs)]);
+  fields.delete('components');
+  fields.forEach((field) => {
+    const value = VOLATILE_FIELDS.has(field) ? ours[field] : pick(base[field], ours[field], theirs[field], { field });
+    if (value !== undefined) page[field] = value;
+  });
+
+  const byId = (snapshot) => {
+    const list = Array.isArray(snapshot.components) ? snapshot.components : [];
+    return new Map(list.map((component, i) => [componentKey(component, i), component]));
+  };
+  const [baseComponents, ourComponents, theirComponents] = [base, ours, theirs].map(byId);
+  const resolved = new Map();
+  new Set([...baseComponents.keys(), ...ourComponents.keys(), ...theirComponents.keys()]).forEach((id) => {
+    const value = pick(baseComponents.get(id), ourComponents.get(id), theirComponents.get(id), { componentId: id });
+    if (value !== undefined) resolved.set(id, value);
+  });
+
+  const baseOrder = [...baseComponents.keys()];
+  const ourOrder = [...ourComponents.keys()];
+  const theirOrder = [...theirComponents.keys()];
+  const [primary, secondary] = sameValue(ourOrder, baseOrder) ? [theirOrder, ourOrder] : [ourOrder, theirOrder];
+  const order = [...primary, ...secondary.filter((id) => !primary.includes(id))];
+  if ([base, ours, theirs].some((snapshot) => Array.isArray(snapshot.components))) {
+    page.components = order.filter((id) => resolved.has(id)).map((id) => resolved.get(id));
+  }
+
+  return { page, conflicts };
+}
+
+// Service -------------------------------------------------------------------
+
+export const pageHistoryService = {
+  collection(appPrefix, environment) {
+    return jayramDb.collection(environmentService.collectionName(appPrefix, HISTORY_KIND, environment));
+  },
+
+  /**
+   * Write `data` onto the page (merge semantics, or replacing it with
+   * `replace`) and record the result as a new revision.
+   * With expectedRevision the head must still be at that revision token, or
+   * (with autoMerge) mergeable with it; otherwise 409 with the current page.
+   * The page's entry in the usage index is refreshed afterwards.
+   * Returns { revision, page, merged }.
+   */
+  async saveRevision({
+    appPrefix,
+    environment,
+    pagesCollection,
+    pageId,
+    data,
+    message = null,
+    authorId,
+    replace = false,
+    restoredFrom = null,
+    expectedRevision = null,
+    autoMerge = false
+  }) {
+    const pageRef = jayramDb.collection(pagesCollection).doc(pageId);
+    const history = this.collection(appPrefix, environment);
+
+    const saved = await jayramDb.runTransaction(async (tx) => {
+      const snap = await tx.get(pageRef);
+      const current = snap.exists ? snap.data() : null;
+      let incoming = data;
+      let replaceHead = replace;
+      let merged = false;
+
+      if (expectedRevision !== null && !this.matches(current, expectedRevision)) {
+        const attempt = await this.tryMerge(tx, history, pageId, expectedRevision, current, data, replace);
+        const mergeable = !!attempt && !attempt.conflicts.length;
+        if (!autoMerge || !mergeable) {
+          throw concurrencyService.conflict('Page', pageId, current, {
+            mergeable,
+            conflicts: attempt ? attempt.conflicts : []
+          });
+        }
+        incoming = attempt.page;
+        replaceHead = true;
+        merged = true;
+      }
+
+      const headRevision = current && Number.isInteger(current.revision) ? current.revision : 0;
+      let revision = await this.lastStoredRevision(tx, history, pageId, headRevision);
+
+      if (current && headRevision === 0) {
+        revision += 1;
+        tx.set(history.doc(revisionId(pageId, revision)), {
+          pageId,
+          revision,
+          page: { ...current, revision },
+          message: LEGACY_MESSAGE,
+          authorId: current.updatedBy || null,
+          createdAt: current.updatedAt || new Date().toISOString(),
+          restoredFrom: null
+        });
+      }
+
+      revision += 1;
+      const createdAt = new Date().toISOString();
+      const page = { ...(current && !replaceHead ? mergeDeep(current, incoming) : incoming), revision, updatedAt: createdAt };
+      tx.set(pageRef, page);
+      tx.set(history.doc(revisionId(pageId, revision)), {
+        pageId,
+        revision,
+        page,
+        message: message || null,
+        authorId,
+        createdAt,
+        restoredFrom
+      });
+      return { revision, page, merged };
+    });
+    await usageService.indexSource(appPrefix, environment, 'page', pageId, saved.page);
+    return saved;
+  },
+
+  /**
+   * Number the next revision goes after. History outlives the page head: a
+   * page deleted and created again, or renamed away and back, carries on
+   * after its highest stored revision instead of writing over it.
+   */
+  async lastStoredRevision(tx, history, pageId, headRevision) {
+    if (headRevision > 0) {
+      const next = await tx.get(history.doc(revisionId(pageId, headRevision + 1)));
+      if (!next.exists) return headRevision;
+    }
+    const snap = await tx.get(history.where('pageId', '==', pageId));
+    return snap.docs.reduce((max, doc) => Math.max(max, doc.data().revision || 0), headRevision);
+  },
+
+  matches(current, expected) {
+    if (expected === '*') return !!current;
+    return !!current && concurrencyService.revisionToken(current) === expected;
+  },
+
+  /**
+   * Merge a save based on revision `expected` with the current head, or null
+   * when there is nothing to merge against (unknown base, page deleted).
+   */
+  async tryMerge(tx, history, pageId, expected, current, data, replace) {
+    if (!current || !/^\d+$/.test(expected)) return null;
+    const baseSnap = await tx.get(history.doc(revisionId(pageId, Number(expected))));
+    if (!baseSnap.exists) return null;
+    const base = baseSnap.data().page;
+    const ours = replace ? data : mergeDeep(base, data);
+    return mergePages(base, ours, current);
+  },
+
+  /**
+   * Newest first, without the page snapshots.
+   */
+  async listRevisions(appPrefix, environment, pageId, { limit = 50 } = {}) {
+    const snap = await this.collection(appPrefix, environment).where('pageId', '==', pageId).get();
+    return snap.docs
+      .map((doc) => doc.data())
+      .sort((a, b) => b.revision - a.revision)
+      .slice(0, limit)
+      .map(summarizeRevision);
+  },
+
+  async getRevision(appPrefix, environment, pageId, revision) {
+    const number = parseRevision(revision);
+    const snap = await this.collection(appPrefix, environment).doc(revisionId(pageId, number)).get();
+    if (!snap.exists) throw new AppError('Revision not found', 404, { pageId, revision: number });
+    return snap.data();
+  },
+
+  /**
+   * Structural diff from revision `from` to revision `to` (default: latest).
+   */
+  async diffRevisions(appPrefix, environment, pageId, { from, to }) {
+    let toRevision = to;
+    if (!toRevision) {
+      const [latest] = await this.listRevisions(appPrefix, environment, pageId, { limit: 1 });
+      if (!latest) throw new AppError('Page has no revisions', 404, { pageId });
+      toRevision = latest.revision;
+    }
+    const [before, after] = await Promise.all([
+      this.getRevision(appPrefix, environment, pageId, from),
+      this.getRevision(appPrefix, environment, pageId, toRevision)
+    ]);
+
+    return { pageId, from: before.revision, to: after.revision, ...diffPages(before.page, after.page) };
+  },
+
+  /**
+   * Make an old revision the head again (recorded as a new revision).
+   */
+  async restoreRevision({ appPrefix, environment, pagesCollection, pageId, revision, message, authorId, expectedRevision = null }) {
+    const source = await this.getRevision(appPrefix, environment, pageId, revision);
+    const { revision: _old, updatedAt: _updatedAt, ...page } = source.page;
+    return this.saveRevision({
+      appPrefix,
+      environment,
+      pagesCollection,
+      pageId,
+      data: { ...page, updatedBy: authorId },
+      message: message || `Restored revision ${source.revision}`,
+      authorId,
+      replace: true,
+      restoredFrom: source.revision,
+      expectedRevision
+    });
+  }
+};
+
+export default pageHistoryService;
@@ -0,0 +1,298 @@
+/**
+ * pageOperationsService.js
+ * ------------------------
+ * Whole-page operations: delete, duplicate (within an app or into another
+ * app), move to another app, rename, and running any of them over a list of
+ * pages with a result per page.
+ *
+ * Every write goes through pageHistoryService, so copies, moves and renames
+ * start their history with a revision that says where they came from.
+ * Both sides of a cross-app operation use the same environment.
+ *
+ * Duplicates get new component ids (comp_<timestamp>_<random>); their
+ * translations follow them. Components that came from the component library
+ * (their id is a library id, or they carry libraryComponentId) are detached,
+ * i.e. copied as they resolve now, unless relinkLibrary is set; then the copy
+ * keeps `libraryComponentId` with its overrides and,
+ * in another app, the library component is copied into that app's library
+ * when it is not there yet.
+ */
+import { getDb } from './storageAdapter.js';
+import { environmentService } from './environmentService.js';
+import { pageHistoryService } from './pageHistoryService.js';
+import { pagePublicationService } from './pagePublicationService.js';
+import { siteMapService } from './siteMapService.js';
+import { localizationService } from './localizationService.js';
+import { componentLinkService } from './componentLinkService.js';
+import { componentVersionService } from './componentVersionService.js';
+import { usageService } from './usageService.js';
+import { newComponentId } from './pageValidationService.js';
+import { concurrencyService } from './concurrencyService.js';
+import { AppError } from '../utils/errorHandler.js';
+
+const jayramDb = getDb('jayram');
+
+export const MAX_BULK_PAGES = 100;
+
+// Bookkeeping of the source page that must not carry over to a copy
+const NOT_COPIED = ['id', 'revision', 'updatedAt', 'updatedBy', 'createdAt', 'name', 'appName', 'duplicatedFrom', 'movedFrom'];
+
+const isPlainObject = (value) =>
+  value !== null && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype;
+
+const pagesCollectionName = (appPrefix, environment) => environmentService.collectionName(appPrefix, 'pages', environment);
+const libraryCollection = (appPrefix, environment) =>
+  jayramDb.collection(environmentService.collectionName(appPrefix, 'components', environment));
+
+const withoutBookkeeping = (page) =>
+  Object.fromEntries(Object.entries(concurrencyService.stripTokenFields(page)).filter(([key]) => !NOT_COPIED.includes(key)));
+
+/**
+ * Copy components with fresh ids, including components nested in containers;
+ * container children given by id follow their component.
+ * @returns {{ components: object[], idMap: object, linked: string[] }}
+ */
+function copyComponents(components, { libraryIds, relinkLibrary }) {
+  const idMap = {};
+  const linked = new Set();
+
+  const copy = (component) => {
+    if (!isPlainObject(component)) return component;
+    const { libraryComponentId, overrides, libraryMissing: _missing, ...rest } = component;
+    const next = { ...rest, id: newComponentId() };
+    if (component.id) idMap[component.id] = next.id;
+    const libraryId = libraryComponentId || (libraryIds.has(component.id) ? component.id : null);
+    if (relinkLibrary && libraryId) {
+      next.libraryComponentId = libraryId;
+      if (overrides) next.overrides = overrides;
+      linked.add(libraryId);
+    }
+    if (isPlainObject(component.specificAttrs) && Array.isArray(component.specificAttrs.children)) {
+      next.specificAttrs = { ...component.specificAttrs, children: component.specificAttrs.children.map(copy) };
+    }
+    return next;
+  };
+
+  const remapChildren = (component) => {
+    if (!isPlainObject(component) || !isPlainObject(component.specificAttrs) || !Array.isArray(component.specificAttrs.children)) return;
+    component.specificAttrs.children = component.specificAttrs.children.map((child) => {
+      if (typeof child === 'string') return idMap[child] || child;
+      remapChildren(child);
+      return child;
+    });
+  };
+
+  const copied = (Array.isArray(components) ? components : []).map(copy);
+  copied.forEach(remapChildren);
+  return { components: copied, idMap, linked: [...linked] };
+}
+
+async function readPage(appPrefix, environment, pageId) {
+  const snap = await jayramDb.collection(pagesCollectionName(appPrefix, environment)).doc(pageId).get();
+  if (!snap.exists) throw new AppError('Page not found', 404, { appPrefix, pageId });
+  return snap.data();
+}
+
+async function assertFree(appPrefix, environment, pageId) {
+  const snap = await jayramDb.collection(pagesCollectionName(appPrefix, environment)).doc(pageId).get();
+  if (snap.exists) throw new AppError('A page with this name already exists', 409, { appPrefix, pageId });
+}
+
+export const pageOperationsService = {
+  /**
+   * Delete a page with its published copy and site map entry (revision
+   * history is kept). 409 while the site map still needs it.
+   * @returns {Promise<{ pageId: string, existed: boolean }>}
+   */
+  async deletePage(appPrefix, environment, pageId) {
+    await siteMapService.assertRemovable(appPrefix, environment, pageId);
+    const ref = jayramDb.collection(pagesCollectionName(appPrefix, environment)).doc(pageId);
+    const snap = await ref.get();
+    await ref.delete();
+    await pagePublicationService.removePage(appPrefix, environment, pageId);
+    await siteMapService.forgetPage(appPrefix, environment, pageId);
+    await usageService.removeSource(appPrefix, environment, 'page', pageId);
+    return { pageId, existed: snap.exists };
+  },
+
+  /**
+   * Copy a page under a new id, in the same app or another one.
+   *
+   * @param {object} options
+   * @param {string} options.environment
+   * @param {string} options.sourcePrefix
+   * @param {string} options.pageId
+   * @param {{ appPrefix: string, appName: string }} options.target
+   * @param {string} options.newPageId
+   * @param {string} options.newPageName
+   * @param {boolean} [options.relinkLibrary]
+   * @param {string} options.authorId
+   */
+  async duplicatePage({ environment, sourcePrefix, pageId, target, newPageId, newPageName, relinkLibrary = false, authorId }) {
+    const source = await readPage(sourcePrefix, environment, pageId);
+    await assertFree(target.appPrefix, environment, newPageId);
+
+    const sourceLibrary = libraryCollection(sourcePrefix, environment);
+    const library = await componentLinkService.loadLibrary(sourcePrefix, environment);
+    const libraryIds = new Set(library.keys());
+    // Detached copies take what their links resolve to
+    const { components, idMap, linked } = copyComponents(
+      relinkLibrary ? source.components : componentLinkService.resolvePage(source, library).components,
+      { libraryIds, relinkLibrary }
+    );
+
+    // Linked components must resolve in the target app's library as well
+    const libraryComponents = [];
+    if (target.appPrefix !== sourcePrefix) {
+      const targetLibrary = libraryCollection(target.appPrefix, environment);
+      for (const libraryId of linked) {
+        const [existing, original] = await Promise.all([targetLibrary.doc(libraryId).get(), sourceLibrary.doc(libraryId).get()]);
+        if (existing.exists) {
+          libraryComponents.push({ id: libraryId, action: 'existing' });
+        } else if (original.exists) {
+          await targetLibrary.doc(libraryId).set({ ...original.data(), appName: target.appName, updatedBy: authorId, updatedAt: new Date().toISOString() });
+          // Pinned instances need the published versions as well
+          await componentVersionService.copyVersions(sourcePrefix, target.appPrefix, environment, libraryId);
+          libraryComponents.push({ id: libraryId, action: 'copied' });
+        } else {
+          libraryComponents.push({ id: libraryId, action: 'missing' });
+        }
+      }
+    }
+
+    const { revision } = await pageHistoryService.saveRevision({
+      appPrefix: target.appPrefix,
+      environment,
+      pagesCollection: pagesCollectionName(target.appPrefix, environment),
+      pageId: newPageId,
+      data: {
+        ...withoutBookkeeping(source),
+        ...(Array.isArray(source.components) ? { components } : {}),
+        ...(source.translations ? { translations: localizationService.remapTranslations(source.translations, idMap) } : {}),
+        name: newPageName,
+        appName: target.appName,
+        duplicatedFrom: { appPrefix: sourcePrefix, pageId, revision: source.revision || null },
+        updatedBy: authorId,
+        updatedAt: new Date().toISOString()
+      },
+      message: `Duplicated from ${sourcePrefix}/${pageId}`,
+      authorId,
+      replace: true
+    });
+
+    return { pageId: newPageId, pageName: newPageName, appPrefix: target.appPrefix, revision, componentIds: idMap, libraryComponents };
+  },
+
+  /**
+   * Move a page to another app, keeping its id and components. The page
+   * must be free to leave the source site map. Linked components are
+   * detached: the target app has its own library.
+   */
+  async movePage({ environment, sourcePrefix, pageId, target, authorId }) {
+    if (target.appPrefix === sourcePrefix) throw new AppError('Target app is the page\'s own app', 400, { appPrefix: sourcePrefix });
+    const source = await readPage(sourcePrefix, environment, pageId);
+    await siteMapService.assertRemovable(sourcePrefix, environment, pageId);
+    await assertFree(target.appPrefix, environment, pageId);
+    const library = await componentLinkService.loadLibrary(sourcePrefix, environment);
+
+    const { revision } = await pageHistoryService.saveRevision({
+      appPrefix: target.appPrefix,
+      environment,
+      pagesCollection: pagesCollectionName(target.appPrefix, environment),
+      pageId,
+      data: {
+        ...withoutBookkeeping(componentLinkService.detachAll(source, library)),
+        name: source.name || pageId,
+        appName: target.appName,
+        movedFrom: { appPrefix: sourcePrefix, pageId, revision: source.revision || null },
+        updatedBy: authorId,
+        updatedAt: new Date().toISOString()
+      },
+      message: `Moved from ${sourcePrefix}`,
+      authorId,
+      replace: true
+    });
+    await this.deletePage(sourcePrefix, environment, pageId);
+
+    return { pageId, appPrefix: target.appPrefix, revision };
+  },
+
+  /**
+   * Give a page a new name. When the name maps to a new id the page moves to
+   * that id: its published copy, site map node, menu items and redirects go
+   * with it; the revision history stays under the old id.
+   */
+  async renamePage({ appPrefix, environment, pageId, newPageId, newPageName, authorId }) {
+    const pagesCollection = pagesCollectionName(appPrefix, environment);
+    const current = await readPage(appPrefix, environment, pageId);
+    const message = `Renamed from "${current.name || pageId}" to "${newPageName}"`;
+
+    if (newPageId === pageId) {
+      const { revision } = await pageHistoryService.saveRevision({
+        appPrefix,
+        environment,
+        pagesCollection,
+        pageId,
+        data: { name: newPageName, updatedBy: authorId, updatedAt: new Date().toISOString() },
+        message,
+        authorId
+      });
+      return { pageId, previousPageId: pageId, pageName: newPageName, revision };
+    }
+
+    await assertFree(appPrefix, environment, newPageId);
+    const { revision } = await pageHistoryService.saveRevision({
+      appPrefix,
+      environment,
+      pagesCollection,
+      pageId: newPageId,
+      data: { ...withoutBookkeeping(current), name: newPageName, appName: current.appName, updatedBy: authorId, updatedAt: new Date().toISOString() },
+      message,
+      authorId,
+      replace: true
+    });
+
+    const publications = pagePublicationService.collection(appPrefix, environment);
+    const publication = await publications.doc(pageId).get();
+    if (publication.exists) {
+      await publications.doc(newPageId).set({ ...publication.data(), pageId: newPageId });
+      await publications.doc(pageId).delete();
+    }
+    const siteMap = await siteMapService.renamePage(appPrefix, environment, pageId, newPageId);
+    await jayramDb.collection(pagesCollection).doc(pageId).delete();
+    await usageService.removeSource(appPrefix, environment, 'page', pageId);
+
+    return { pageId: newPageId, previousPageId: pageId, pageName: newPageName, revision, ...siteMap };
+  },
+
+  /**
+   * Run `operation` for each item, one after the other; a failure is reported
+   * for its item and does not stop the others.
+   * @returns {Promise<{ results: object[], succeeded: number, failed: number }>}
+   */
+  async runBulk(items, operation) {
+    if (!Array.isArray(items) || !items.length) throw new AppError('pages must be a non-empty array', 400);
+    if (items.length > MAX_BULK_PAGES) {
+      throw new AppError(`At most ${MAX_BULK_PAGES} pages per request`, 400, { count: items.length });
+    }
+
+    const results = [];
+    for (const item of items) {
+      try {
+        results.push({ ...(await operation(item)), success: true });
+      } catch (err) {
+        results.push({
+          ...(isPlainObject(item) ? item : { pageName: item }),
+          success: false,
+          status: err.status || 500,
+          error: err.message,
+          ...(err.details ? { details: err.details } : {})
+        });
+      }
+    }
+    const succeeded = results.filter((result) => result.success).length;
+    return { results, succeeded, failed: results.length - succeeded };
+  }
+};
+
+export default pageOperationsService;
@@ -0,0 +1,267 @@
+/**
+ * pagePublicationService.js
+ * -------------------------
+ * Draft / published split for pages.
+ *
+ * The page document in `${prefix}_pages` is the draft: every save goes there.
+ * Publishing copies the draft into `${prefix}_pages_published/{pageId}`, which
+ * is what `?version=published` reads. Each environment publishes on its own.
+ *
+ * Publication document:
+ * {
+ *   pageId, status: 'published' | 'unpublished',
+ *   page, revision, publishedAt, publishedBy,        // live snapshot
+ *   unpublishedAt, unpublishedBy,
+ *   scheduledAt, scheduledBy, scheduledRevision,     // pending timed publish
+ *   scheduledPage
+ * }
+ *
+ * A scheduled publish pins the draft as it was when it was scheduled
+ * (scheduledPage); edits made afterwards need a new schedule. publishDue()
+ * applies schedules whose time has passed and is run by publishScheduler.
+ *
+ * Linked components (componentLinkService) are resolved when the snapshot is
+ * taken: library edits reach the live page only when it is published again.
+ *
+ * Snapshots are always written whole (never with merge: true), otherwise a
+ * field the new draft no longer has would stay live from the previous one.
+ */
+import { getDb } from './storageAdapter.js';
+import { APP_STATUS } from './accessService.js';
+import { environmentService, ENVIRONMENTS } from './environmentService.js';
+import { componentLinkService } from './componentLinkService.js';
+import { AppError } from '../utils/errorHandler.js';
+import logger from './loggerService.js';
+
+const jayramDb = getDb('jayram');
+
+const APPS_META_COLLECTION = 'apps_meta';
+const PUBLISHED_KIND = 'pages_published';
+
+export const PAGE_VERSIONS = ['draft', 'published'];
+
+const STATUS = {
+  PUBLISHED: 'published',
+  UNPUBLISHED: 'unpublished'
+};
+
+const NO_SCHEDULE = {
+  scheduledAt: null,
+  scheduledBy: null,
+  scheduledRevision: null,
+  scheduledPage: null
+};
+
+const revisionOf = (page) => (page && Number.isInteger(page.revision) ? page.revision : null);
+
+// Publication state without the page snapshots
+const describe = (pageId, publication, draft) => {
+  const { page: _page, scheduledPage: _scheduledPage, ...state } = publication || { status: STATUS.UNPUBLISHED, ...NO_SCHEDULE };
+  const result = { pageId, ...state };
+  if (draft !== undefined) {
+    result.draftRevision = revisionOf(draft);
+    result.hasUnpublishedChanges = !!draft && (result.status !== STATUS.PUBLISHED || result.revision !== revisionOf(draft));
+  }
+  return result;
+};
+
+export const pagePublicationService = {
+  collection(appPrefix, environment) {
+    return jayramDb.collection(environmentService.collectionName(appPrefix, PUBLISHED_KIND, environment));
+  },
+
+  resolveVersion(value) {
+    const version = value || 'draft';
+    if (!PAGE_VERSIONS.includes(version)) {
+      throw new AppError(`version must be one of: ${PAGE_VERSIONS.join(', ')}`, 400, { version });
+    }
+    return version;
+  },
+
+  async getPublication(appPrefix, environment, pagesCollection, pageId) {
+    const [publication, draft] = await Promise.all([
+      this.collection(appPrefix, environment).doc(pageId).get(),
+      jayramDb.collection(pagesCollection).doc(pageId).get()
+    ]);
+    if (!publication.exists && !draft.exists) throw new AppError('Page not found', 404, { pageId });
+    return describe(pageId, publication.exists ? publication.data() : null, draft.exists ? draft.data() : null);
+  },
+
+  /**
+   * The live version of one page, or 404 when it is not published.
+   */
+  async getPublished(appPrefix, environment, pageId) {
+    const snap = await this.collection(appPrefix, environment).doc(pageId).get();
+    const publication = snap.exists ? snap.data() : null;
+    if (!publication || publication.status !== STATUS.PUBLISHED) {
+      throw new AppError('Page is not published', 404, { pageId });
+    }
+    return { id: pageId, ...publication.page };
+  },
+
+  async listPublished(appPrefix, environment) {
+    const snap = await this.collection(appPrefix, environment).where('status', '==', STATUS.PUBLISHED).get();
+    return snap.docs.map((doc) => ({ id: doc.id, ...doc.data().page }));
+  },
+
+  async readDraft(tx, pagesCollection, pageId) {
+    const snap = await tx.get(jayramDb.collection(pagesCollection).doc(pageId));
+    if (!snap.exists) throw new AppError('Page not found', 404, { pageId });
+    return snap.data();
+  },
+
+  /**
+   * The draft as it goes live: linked components resolved against the
+   * library of the environment, read inside the same transaction.
+   */
+  async snapshotOf(tx, appPrefix, environment, draft) {
+    if (!componentLinkService.instancesOf(draft).length) return draft;
+    const library = await componentLinkService.loadLibrary(appPrefix, environment, tx);
+    return componentLinkService.resolvePage(draft, library);
+  },
+
+  /**
+   * Snapshot the current draft as the live version (clears any schedule).
+   */
+  async publish({ appPrefix, environment, pagesCollection, pageId, publishedBy }) {
+    const ref = this.collection(appPrefix, environment).doc(pageId);
+    return jayramDb.runTransaction(async (tx) => {
+      const draft = await this.readDraft(tx, pagesCollection, pageId);
+      const existing = await tx.get(ref);
+      const publication = {
+        ...(existing.exists ? existing.data() : {}),
+        pageId,
+        status: STATUS.PUBLISHED,
+        page: await this.snapshotOf(tx, appPrefix, environment, draft),
+        revision: revisionOf(draft),
+        publishedAt: new Date().toISOString(),
+        publishedBy,
+        ...NO_SCHEDULE
+      };
+      tx.set(ref, publication);
+      return describe(pageId, publication, draft);
+    });
+  },
+
+  /**
+   * Publish the current draft at `publishAt` (replaces an earlier schedule).
+   */
+  async schedule({ appPrefix, environment, pagesCollection, pageId, publishAt, scheduledBy }) {
+    const when = new Date(publishAt);
+    if (Number.isNaN(when.getTime())) {
+      throw new AppError('publishAt must be an ISO 8601 timestamp', 400, { publishAt });
+    }
+    if (when.getTime() <= Date.now()) {
+      throw new AppError('publishAt must be in the future', 400, { publishAt });
+    }
+
+    const ref = this.collection(appPrefix, environment).doc(pageId);
+    return jayramDb.runTransaction(async (tx) => {
+      const draft = await this.readDraft(tx, pagesCollection, pageId);
+      const existing = await tx.get(ref);
+      const schedule = {
+        pageId,
+        scheduledAt: when.toISOString(),
+        scheduledBy,
+        scheduledRevision: revisionOf(draft),
+        scheduledPage: await this.snapshotOf(tx, appPrefix, environment, draft)
+      };
+      if (!existing.exists) schedule.status = STATUS.UNPUBLISHED;
+      const publication = { ...(existing.exists ? existing.data() : {}), ...schedule };
+      tx.set(ref, publication);
+      return describe(pageId, publication, draft);
+    });
+  },
+
+  async cancelSchedule({ appPrefix, environment, pageId }) {
+    const ref = this.collection(appPrefix, environment).doc(pageId);
+    return jayramDb.runTransaction(async (tx) => {
+      const snap = await tx.get(ref);
+      if (!snap.exists || !snap.data().scheduledAt) {
+        throw new AppError('Page has no scheduled publish', 404, { pageId });
+      }
+      tx.set(ref, NO_SCHEDULE, { merge: true });
+      return describe(pageId, { ...snap.data(), ...NO_SCHEDULE });
+    });
+  },
+
+  /**
+   * Take the page offline. Pending schedules are cancelled as well, otherwise
+   * the page would come back on its own.
+   */
+  async unpublish({ appPrefix, environment, pageId, unpublishedBy }) {
+    const ref = this.collection(appPrefix, environment).doc(pageId);
+    return jayramDb.runTransaction(async (tx) => {
+      const snap = await tx.get(ref);
+      const current = snap.exists ? snap.data() : null;
+      if (!current || (current.status !== STATUS.PUBLISHED && !current.scheduledAt)) {
+        throw new AppError('Page is not published', 409, { pageId });
+      }
+      const update = {
+        status: STATUS.UNPUBLISHED,
+        page: null,
+        unpublishedAt: new Date().toISOString(),
+        unpublishedBy,
+        ...NO_SCHEDULE
+      };
+      tx.set(ref, update, { merge: true });
+      return describe(pageId, { ...current, ...update });
+    });
+  },
+
+  async removePage(appPrefix, environment, pageId) {
+    await this.collection(appPrefix, environment).doc(pageId).delete();
+  },
+
+  /**
+   * Publish every scheduled page whose time has come, across all active apps
+   * and environments. Safe to run from several processes: each publish
+   * re-checks the schedule inside a transaction.
+   *
+   * @returns {Promise<{ published: number, failed: number }>}
+   */
+  async publishDue(now = new Date()) {
+    const nowIso = now.toISOString();
+    const apps = (await jayramDb.collection(APPS_META_COLLECTION).get()).docs
+      .map((doc) => ({ id: doc.id, ...doc.data() }))
+      .filter((app) => (app.status || APP_STATUS.ACTIVE) === APP_STATUS.ACTIVE);
+
+    let published = 0;
+    let failed = 0;
+    for (const app of apps) {
+      const appPrefix = app.appPrefix || app.id;
+      for (const environment of ENVIRONMENTS) {
+        const due = await this.collection(appPrefix, environment).where('scheduledAt', '<=', nowIso).get();
+        for (const doc of due.docs) {
+          try {
+            const applied = await jayramDb.runTransaction(async (tx) => {
+              const snap = await tx.get(doc.ref);
+              const current = snap.exists ? snap.data() : null;
+              if (!current || !current.scheduledAt || current.scheduledAt > nowIso) return false;
+              tx.set(doc.ref, {
+                ...current,
+                status: STATUS.PUBLISHED,
+                page: current.scheduledPage,
+                revision: current.scheduledRevision,
+                publishedAt: nowIso,
+                publishedBy: current.scheduledBy,
+                ...NO_SCHEDULE
+              });
+              return true;
+            });
+            if (applied) {
+              published += 1;
+              logger.info(`[PagePublication] Published ${appPrefix}/${doc.id} (${environment}) on schedule`);
+            }
+          } catch (err) {
+            failed += 1;
+            logger.error(`[PagePublication] Scheduled publish of ${appPrefix}/${doc.id} (${environment}) failed: ${err.message}`);
+          }
+        }
+      }
+    }
+    return { published, failed };
+  }
+};
+
+export default pagePublicationService;
@@ -0,0 +1,214 @@
+/**
+ * pageSearchService.js
+ * --------------------
+ * Search, filtering, field projection and cursor pagination for the page
+ * list (GET /api/pages/:appName).
+ *
+ * Firestore cannot search text, so pages are loaded and filtered in memory;
+ * an app holds hundreds of pages, not millions. The cursor is opaque to
+ * clients: it carries the sort key of the last page returned, so inserts and
+ * deletes between requests never repeat or skip a page.
+ *
+ * Options (all optional):
+ * - search:        words that must all occur in the page name / id or in the
+ *                  text of its components (case-insensitive)
+ * - componentType: "form" or "form,image" – pages using any of these types
+ * - updatedSince:  ISO date; pages modified at or after it
+ * - fields:        "id,name,updatedAt" or "summary"; id and revisionToken are
+ *                  always returned
+ * - sort:          "id" (default, the order pages were always listed in) |
+ *                  "name" | "updatedAt" | "-updatedAt"
+ * - limit:         1..200; without it every match is returned
+ * - cursor:        nextCursor of the previous response
+ */
+import { AppError } from '../utils/errorHandler.js';
+
+export const PAGE_SORTS = ['id', 'name', 'updatedAt', '-updatedAt'];
+const MAX_LIMIT = 200;
+
+const FIELD_PATTERN = /^[A-Za-z0-9_]+$/;
+const ALWAYS_RETURNED = ['id', 'revisionToken'];
+const SUMMARY_FIELDS = ['name', 'layoutId', 'themeId', 'revision', 'updatedAt', 'updatedBy', 'componentCount', 'componentTypes'];
+
+// specificAttrs that hold text a visitor reads
+const TEXT_ATTRS = ['content', 'title', 'description', 'label', 'caption', 'alt', 'linkText', 'submitLabel'];
+
+const isPlainObject = (value) =>
+  value !== null && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype;
+
+const toList = (value) =>
+  String(value || '')
+    .split(',')
+    .map((item) => item.trim())
+    .filter(Boolean);
+
+// updatedAt is an ISO string, or a Timestamp on pages written by older code
+const toMillis = (value) => {
+  if (!value) return null;
+  if (typeof value.toDate === 'function') return value.toDate().getTime();
+  const millis = new Date(value).getTime();
+  return Number.isNaN(millis) ? null : millis;
+};
+
+const componentsOf = (page) => (Array.isArray(page.components) ? page.components.filter(isPlainObject) : []);
+
+// Components including those nested in containers
+function flatten(components) {
+  return components.flatMap((component) => {
+    const children = component.specificAttrs && Array.isArray(component.specificAttrs.children)
+      ? component.specificAttrs.children.filter(isPlainObject)
+      : [];
+    return [component, ...flatten(children)];
+  });
+}
+
+function searchableText(page) {
+  const parts = [page.name, page.id];
+  flatten(componentsOf(page)).forEach((component) => {
+    parts.push(component.name);
+    const specific = isPlainObject(component.specificAttrs) ? component.specificAttrs : {};
+    TEXT_ATTRS.forEach((key) => {
+      if (typeof specific[key] === 'string') parts.push(specific[key]);
+    });
+    (Array.isArray(specific.fields) ? specific.fields : []).forEach((field) => parts.push(field && field.label));
+  });
+  return parts.filter((part) => typeof part === 'string').join('\n').toLowerCase();
+}
+
+const componentTypesOf = (page) => [...new Set(flatten(componentsOf(page)).map((component) => component.type).filter(Boolean))].sort();
+
+const derived = {
+  componentCount: (page) => componentsOf(page).length,
+  componentTypes: componentTypesOf
+};
+
+const sortValue = (page, sort) => {
+  const key = sort.replace(/^-/, '');
+  if (key === 'updatedAt') return toMillis(page.updatedAt) ?? 0;
+  if (key === 'name') return String(page.name || page.id).toLowerCase();
+  return page.id;
+};
+
+const compareKeys = (sort) => {
+  const direction = sort.startsWith('-') ? -1 : 1;
+  return ([aValue, aId], [bValue, bId]) => {
+    if (aValue < bValue) return -direction;
+    if (aValue > bValue) return direction;
+    return aId < bId ? -1 : aId > bId ? 1 : 0;
+  };
+};
+
+const encodeCursor = (sort, key) => Buffer.from(JSON.stringify({ sort, key })).toString('base64url');
+
+function decodeCursor(cursor, sort) {
+  let decoded;
+  try {
+    decoded = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+  } catch {
+    decoded = null;
+  }
+  if (!decoded || !Array.isArray(decoded.key) || decoded.key.length !== 2) {
+    throw new AppError('cursor is invalid', 400, { cursor });
+  }
+  if (decoded.sort !== sort) {
+    throw new AppError('cursor belongs to a different sort order', 400, { cursor, sort });
+  }
+  return decoded.key;
+}
+
+export const pageSearchService = {
+  /**
+   * Validate the query string of a page list request.
+   * @returns {object} options for search()
+   */
+  parseQuery(query = {}) {
+    const sort = query.sort || 'id';
+    if (!PAGE_SORTS.includes(sort)) {
+      throw new AppError(`sort must be one of: ${PAGE_SORTS.join(', ')}`, 400, { sort });
+    }
+
+    let limit = null;
+    if (query.limit !== undefined && query.limit !== '') {
+      limit = Number(query.limit);
+      if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+        throw new AppError(`limit must be an integer from 1 to ${MAX_LIMIT}`, 400, { limit: query.limit });
+      }
+    }
+
+    let updatedSince = null;
+    if (query.updatedSince) {
+      updatedSince = toMillis(query.updatedSince);
+      if (updatedSince === null) {
+        throw new AppError('updatedSince must be an ISO date', 400, { updatedSince: query.updatedSince });
+      }
+    }
+
+    let fields = null;
+    if (query.fields) {
+      const requested = toList(query.fields);
+      const invalid = requested.filter((field) => field !== 'summary' && !FIELD_PATTERN.test(field));
+      if (invalid.length) throw new AppError('fields contains invalid names', 400, { fields: invalid });
+      fields = [...new Set(requested.flatMap((field) => (field === 'summary' ? SUMMARY_FIELDS : [field])))];
+    }
+
+    return {
+      search: String(query.search || '').toLowerCase().split(/\s+/).filter(Boolean),
+      componentTypes: toList(query.componentType),
+      updatedSince,
+      fields,
+      sort,
+      limit,
+      cursor: query.cursor ? decodeCursor(query.cursor, sort) : null
+    };
+  },
+
+  matches(page, { search, componentTypes, updatedSince }) {
+    if (updatedSince !== null && (toMillis(page.updatedAt) ?? -Infinity) < updatedSince) return false;
+    if (componentTypes.length) {
+      const used = componentTypesOf(page);
+      if (!componentTypes.some((type) => used.includes(type))) return false;
+    }
+    if (search.length) {
+      const text = searchableText(page);
+      if (!search.every((term) => text.includes(term))) return false;
+    }
+    return true;
+  },
+
+  project(page, fields) {
+    if (!fields) return page;
+    const projected = {};
+    [...ALWAYS_RETURNED, ...fields].forEach((field) => {
+      if (derived[field]) projected[field] = derived[field](page);
+      else if (page[field] !== undefined) projected[field] = page[field];
+    });
+    return projected;
+  },
+
+  /**
+   * Filter, sort and page through already loaded pages.
+   * @param {object[]} pages - page documents with id (and revisionToken)
+   * @param {object} options - from parseQuery()
+   * @returns {{ pages: object[], total: number, nextCursor: string|null }}
+   */
+  search(pages, options) {
+    const { sort, limit, cursor, fields } = options;
+    const compare = compareKeys(sort);
+    const keyed = pages
+      .filter((page) => this.matches(page, options))
+      .map((page) => ({ page, key: [sortValue(page, sort), page.id] }))
+      .sort((a, b) => compare(a.key, b.key));
+
+    const start = cursor ? keyed.filter(({ key }) => compare(key, cursor) <= 0).length : 0;
+    const slice = limit ? keyed.slice(start, start + limit) : keyed.slice(start);
+    const hasMore = start + slice.length < keyed.length;
+
+    return {
+      pages: slice.map(({ page }) => this.project(page, fields)),
+      total: keyed.length,
+      nextCursor: hasMore && slice.length ? encodeCursor(sort, slice[slice.length - 1].key) : null
+    };
+  }
+};
+
+export default pageSearchService;
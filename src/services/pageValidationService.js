@@ -0,0 +1,331 @@
+/**
+ * pageValidationService.js
+ * ------------------------
+ * Checks page and component JSON against the schema files in src/schemas.
+ *
+ * standardComponentSchemas.json is authoritative for the component types it
+ * defines: required specificAttrs, value types, enums and defaults.
+ * componentVocabulary.json adds the types the standard file lacks (e.g.
+ * container, required attrs only) and decides which commonAttrs are required.
+ *
+ * Modes:
+ * - strict:  every problem is an error and assertValid() rejects with 422.
+ * - lenient: missing required attributes are filled in from their defaults
+ *            (empty object / array when the schema has none), and every
+ *            problem is reported as a warning instead of an error.
+ *
+ * The page's `seo` block (SEO_SCHEMA) is checked the same way in both modes:
+ * there is nothing to fill in, so a title that is too long is an error.
+ *
+ * Containers nest components: object children (specificAttrs.children) are
+ * checked like top-level components, ids must be unique in the whole tree,
+ * and nesting deeper than pageValidationConfig.maxComponentDepth is an
+ * error in both modes. String children are ids of components on the same
+ * page (the older, flat form) and are left alone.
+ *
+ * Linked instances ({ id, libraryComponentId, overrides }) only have their
+ * shape checked here (INSTANCE_SCHEMA); what they resolve to needs the
+ * library and is checked by componentLinkService.checkInstances().
+ *
+ * Report: { valid, mode, errors, warnings, page | component }
+ * where errors / warnings are [{ path, message, componentId? }] and
+ * page / component is the input after lenient fixes.
+ */
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { validateJsonSchema } from '../utils/jsonSchema.js';
+import { AppError } from '../utils/errorHandler.js';
+import { pageValidationConfig, PAGE_VALIDATION_MODES } from '../config/pageValidationConfig.js';
+import { SEMVER_PATTERN } from '../utils/semver.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const MAX_REPORTED_ERRORS = 50;
+
+export const SEO_LIMITS = { title: 60, description: 160 };
+
+// Search / social metadata of a page; null clears it
+const SEO_SCHEMA = {
+  type: ['object', 'null'],
+  additionalProperties: false,
+  properties: {
+    title: { type: 'string', minLength: 1, maxLength: SEO_LIMITS.title },
+    description: { type: 'string', maxLength: SEO_LIMITS.description },
+    canonicalUrl: { type: 'string', pattern: '^(https?://[^\\s"<>]+|/[^\\s"<>]*)$' },
+    ogImageAssetId: { type: 'string', minLength: 1 },
+    noindex: { type: 'boolean' }
+  }
+};
+
+// A page component linked to a library component (componentLinkService)
+const INSTANCE_SCHEMA = {
+  type: 'object',
+  required: ['id', 'libraryComponentId'],
+  properties: {
+    id: { type: 'string', minLength: 1 },
+    libraryComponentId: { type: 'string', minLength: 1 },
+    // A published version, or 'latest' (the same as leaving it out)
+    libraryVersion: { type: 'string', pattern: `^(latest|${SEMVER_PATTERN.slice(1, -1)})$` },
+    overrides: {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        name: { type: 'string' },
+        commonAttrs: { type: 'object' },
+        specificAttrs: { type: 'object' }
+      }
+    }
+  }
+};
+
+const isPlainObject = (value) =>
+  value !== null && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype;
+
+const clone = (value) => (value === undefined ? value : JSON.parse(JSON.stringify(value)));
+
+const readSchemaFile = (name) => JSON.parse(fs.readFileSync(path.join(__dirname, '../schemas', name), 'utf8'));
+
+let schemas = null;
+const loadSchemas = () => {
+  if (schemas) return schemas;
+  const standard = readSchemaFile('standardComponentSchemas.json');
+  const vocabulary = readSchemaFile('componentVocabulary.json');
+
+  const commonProperties = {};
+  Object.entries(standard.commonAttrs.properties).forEach(([key, property]) => {
+    commonProperties[key] = { ...property, default: property.default ?? vocabulary.commonAttrs.defaults[key] };
+  });
+
+  const specific = {};
+  Object.entries(vocabulary.componentTypes).forEach(([type, entry]) => {
+    specific[type] = { type: 'object', required: entry.requiredAttrs || [], properties: {} };
+  });
+  Object.entries(standard.componentTypes).forEach(([type, entry]) => {
+    specific[type] = { type: 'object', ...entry.specificAttrs };
+  });
+
+  schemas = {
+    page: {
+      type: 'object',
+      properties: {
+        components: { type: 'array' },
+        layoutId: { type: 'string', enum: Object.keys(standard.layoutTypes) },
+        themeId: { type: 'string', enum: Object.keys(standard.themeTypes) }
+      }
+    },
+    component: {
+      type: 'object',
+      required: ['id', 'type', 'commonAttrs', 'specificAttrs'],
+      properties: {
+        id: { type: 'string' },
+        type: { type: 'string', enum: Object.keys(specific) },
+        name: { type: 'string' },
+        commonAttrs: { type: 'object', required: vocabulary.commonAttrs.required, properties: commonProperties },
+        specificAttrs: { type: 'object' }
+      }
+    },
+    specific
+  };
+  return schemas;
+};
+
+const defaultFor = (property = {}) => {
+  if (property.default !== undefined) return clone(property.default);
+  if (property.type === 'object') return {};
+  if (property.type === 'array') return [];
+  return undefined;
+};
+
+/**
+ * Lenient mode: set missing required keys that have a default, in place.
+ */
+function fillDefaults(schema, value, path, filled) {
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, i) => fillDefaults(schema.items, item, `${path}[${i}]`, filled));
+    return;
+  }
+  if (!isPlainObject(value)) return;
+  const properties = schema.properties || {};
+  (schema.required || []).forEach((key) => {
+    if (value[key] !== undefined) return;
+    const fallback = defaultFor(properties[key]);
+    if (fallback === undefined) return;
+    value[key] = fallback;
+    filled.push({ path: `${path}.${key}`, message: `was missing; set to ${JSON.stringify(fallback)}` });
+  });
+  Object.entries(properties).forEach(([key, property]) => {
+    if (value[key] !== undefined) fillDefaults(property, value[key], `${path}.${key}`, filled);
+  });
+}
+
+const prefixed = (errors, path) => errors.map((error) => ({ ...error, path: path + error.path.slice(1) }));
+
+// Same pattern as the template generator: comp_<timestamp>_<random>
+export const newComponentId = () => `comp_${Date.now()}_${Math.random().toString(36).slice(2, 11)}`;
+
+/**
+ * Check one component (modified in place in lenient mode).
+ * @returns {{ problems: object[], filled: object[] }}
+ */
+function checkComponent(component, path, lenient) {
+  const { component: componentSchema, specific } = loadSchemas();
+  const filled = [];
+  if (!isPlainObject(component)) return { problems: [{ path, message: 'must be object' }], filled };
+
+  if (lenient && !component.id) {
+    component.id = newComponentId();
+    filled.push({ path: `${path}.id`, message: `was missing; set to ${JSON.stringify(component.id)}` });
+  }
+
+  const tag = (entry) => (component.id ? { ...entry, componentId: component.id } : entry);
+  if (component.libraryComponentId !== undefined) {
+    return { problems: prefixed(validateJsonSchema(INSTANCE_SCHEMA, component).errors, path).map(tag), filled: filled.map(tag) };
+  }
+
+  if (lenient) {
+    fillDefaults(componentSchema, component, path, filled);
+    if (specific[component.type]) fillDefaults(specific[component.type], component.specificAttrs, `${path}.specificAttrs`, filled);
+  }
+
+  const problems = prefixed(validateJsonSchema(componentSchema, component).errors, path);
+  if (specific[component.type] && isPlainObject(component.specificAttrs)) {
+    problems.push(...prefixed(validateJsonSchema(specific[component.type], component.specificAttrs).errors, `${path}.specificAttrs`));
+  }
+
+  return { problems: problems.map(tag), filled: filled.map(tag) };
+}
+
+/**
+ * Check a component and, for containers, its nested components.
+ * ctx: { lenient, maxDepth, seen: Set, problems: [], filled: [], depthErrors: [] }
+ */
+function checkNode(component, path, depth, ctx) {
+  const result = checkComponent(component, path, ctx.lenient);
+  ctx.problems.push(...result.problems);
+  ctx.filled.push(...result.filled);
+  if (!isPlainObject(component)) return;
+
+  if (component.id) {
+    if (ctx.seen.has(component.id)) ctx.problems.push({ path: `${path}.id`, message: 'must be unique within the page', componentId: component.id });
+    ctx.seen.add(component.id);
+  }
+  if (depth > ctx.maxDepth) {
+    ctx.depthErrors.push({
+      path,
+      message: `is nested ${depth} levels deep; at most ${ctx.maxDepth} are allowed`,
+      ...(component.id ? { componentId: component.id } : {})
+    });
+    return;
+  }
+
+  const children = component.libraryComponentId === undefined && isPlainObject(component.specificAttrs)
+    ? component.specificAttrs.children
+    : null;
+  if (!Array.isArray(children)) return;
+  children.forEach((child, i) => {
+    if (typeof child !== 'string') checkNode(child, `${path}.specificAttrs.children[${i}]`, depth + 1, ctx);
+  });
+}
+
+const newContext = (lenient) => ({
+  lenient,
+  maxDepth: pageValidationConfig.maxComponentDepth,
+  seen: new Set(),
+  problems: [],
+  filled: [],
+  depthErrors: []
+});
+
+const buildReport = (mode, problems, filled) => {
+  const errors = mode === 'strict' ? problems : [];
+  const warnings = mode === 'strict' ? [] : [...filled, ...problems];
+  return { valid: errors.length === 0, mode, errors, warnings };
+};
+
+export const pageValidationService = {
+  resolveMode(value) {
+    const mode = value || pageValidationConfig.mode;
+    if (!PAGE_VALIDATION_MODES.includes(mode)) {
+      throw new AppError(`validation mode must be one of: ${PAGE_VALIDATION_MODES.join(', ')}`, 400, { mode: value });
+    }
+    return mode;
+  },
+
+  /**
+   * Validate page JSON (a full page or the partial pageData of a save:
+   * only what is present is checked). Never throws for invalid input.
+   */
+  validatePage(page, { mode } = {}) {
+    const resolved = this.resolveMode(mode);
+    const lenient = resolved === 'lenient';
+    const copy = clone(page);
+    const ctx = newContext(lenient);
+    ctx.problems.push(...validateJsonSchema(loadSchemas().page, copy).errors);
+
+    if (isPlainObject(copy) && Array.isArray(copy.components)) {
+      copy.components.forEach((component, i) => checkNode(component, `$.components[${i}]`, 1, ctx));
+    }
+
+    const report = buildReport(resolved, ctx.problems, ctx.filled);
+    report.errors.push(...ctx.depthErrors);
+    if (isPlainObject(copy) && copy.seo !== undefined) {
+      report.errors.push(...prefixed(validateJsonSchema(SEO_SCHEMA, copy.seo).errors, '$.seo'));
+    }
+    report.valid = report.errors.length === 0;
+    return { ...report, page: copy };
+  },
+
+  /**
+   * Validate a single component (e.g. a library component) with the
+   * components nested in it.
+   */
+  validateComponent(component, { mode } = {}) {
+    const resolved = this.resolveMode(mode);
+    const copy = clone(component);
+    const ctx = newContext(resolved === 'lenient');
+    checkNode(copy, '$', 1, ctx);
+    const report = buildReport(resolved, ctx.problems, ctx.filled);
+    report.errors.push(...ctx.depthErrors);
+    report.valid = report.errors.length === 0;
+    return { ...report, component: copy };
+  },
+
+  /**
+   * Depth of the deepest component in a list (top level = 1; 0 when empty).
+   */
+  treeDepth(components) {
+    return (Array.isArray(components) ? components : []).reduce((max, component) => {
+      const children = isPlainObject(component) && isPlainObject(component.specificAttrs) && Array.isArray(component.specificAttrs.children)
+        ? component.specificAttrs.children.filter(isPlainObject)
+        : [];
+      return isPlainObject(component) ? Math.max(max, 1 + this.treeDepth(children)) : max;
+    }, 0);
+  },
+
+  /**
+   * Validate generated pages (template / AI output). errors and warnings
+   * carry the pageId they belong to; pages are returned after lenient fixes.
+   */
+  validatePages(pages = [], { mode } = {}) {
+    const resolved = this.resolveMode(mode);
+    const reports = pages.map((page) => ({ pageId: page && page.id, ...this.validatePage(page, { mode: resolved }) }));
+    const collect = (key) => reports.flatMap((report) => report[key].map((entry) => ({ pageId: report.pageId, ...entry })));
+    const errors = collect('errors');
+    return { valid: errors.length === 0, mode: resolved, errors, warnings: collect('warnings'), pages: reports.map((report) => report.page), reports };
+  },
+
+  /**
+   * Throw 422 for a report with errors (strict mode); otherwise return it.
+   */
+  assertValid(report, what = 'Page') {
+    if (report.valid) return report;
+    throw new AppError(`${what} does not match the component schemas`, 422, {
+      mode: report.mode,
+      errors: report.errors.slice(0, MAX_REPORTED_ERRORS),
+      errorCount: report.errors.length
+    });
+  }
+};
+
+export default pageValidationService;
@@ -0,0 +1,48 @@
+/**
+ * publishScheduler.js
+ * -------------------
+ * Runs pagePublicationService.publishDue() on an interval inside the server
+ * process. Started from server.js; ticks never overlap.
+ */
+import { pagePublicationService } from './pagePublicationService.js';
+import logger from './loggerService.js';
+
+let timer = null;
+let running = false;
+
+async function tick() {
+  if (running) return;
+  running = true;
+  try {
+    const { published, failed } = await pagePublicationService.publishDue();
+    if (published || failed) {
+      logger.info(`[PublishScheduler] Scheduled publishes applied: ${published}, failed: ${failed}`);
+    }
+  } catch (err) {
+    logger.error(`[PublishScheduler] Sweep failed: ${err.message}`);
+  } finally {
+    running = false;
+  }
+}
+
+export const publishScheduler = {
+  /**
+   * @param {{ intervalMs: number }} options - 0 leaves the scheduler off
+   * @returns {boolean} whether it was started
+   */
+  start({ intervalMs }) {
+    if (timer || !intervalMs) return false;
+    timer = setInterval(tick, intervalMs);
+    timer.unref();
+    return true;
+  },
+
+  stop() {
+    if (timer) clearInterval(timer);
+    timer = null;
+  },
+
+  tick
+};
+
+export default publishScheduler;
@@ -0,0 +1,136 @@
+/**
+ * seoService.js
+ * -------------
+ * Search and social metadata of pages, and the sitemap.xml / robots.txt of
+ * an app.
+ *
+ * A page's `seo` block ({ title, description, canonicalUrl, ogImageAssetId,
+ * noindex }) is shape-checked by pageValidationService; the Open Graph
+ * image must also be an image in the app's assets (`${appPrefix}_assets`).
+ *
+ * sitemap.xml lists the published pages that have a URL: a place in the site
+ * map, or a canonicalUrl. noindex pages are left out and disallowed in
+ * robots.txt. Page paths are made absolute with the base URL of the site.
+ */
+import { getDb } from './storageAdapter.js';
+import { pagePublicationService } from './pagePublicationService.js';
+import { siteMapService } from './siteMapService.js';
+import { AppError } from '../utils/errorHandler.js';
+
+const jayramDb = getDb('jayram');
+
+const isPlainObject = (value) =>
+  value !== null && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype;
+
+const escapeXml = (value) =>
+  String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+
+export const isBaseUrl = (value) => /^https?:\/\/[^\s"'<>/?#]+(\/[^\s"'<>?#]*)?$/i.test(String(value || ''));
+
+const seoOf = (page) => (isPlainObject(page.seo) ? page.seo : {});
+
+// updatedAt is an ISO string, or a Timestamp on pages written by older code
+const lastModified = (value) => {
+  if (!value) return null;
+  const date = typeof value.toDate === 'function' ? value.toDate() : new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date.toISOString();
+};
+
+export const seoService = {
+  /**
+   * 422 unless `seo.ogImageAssetId` (when set) is an image asset of the app.
+   */
+  async assertOgImage(appPrefix, seo) {
+    if (!isPlainObject(seo) || !seo.ogImageAssetId) return;
+    const snap = await jayramDb.collection(`${appPrefix}_assets`).doc(seo.ogImageAssetId).get();
+    const asset = snap.exists ? snap.data() : null;
+    let message = null;
+    if (!asset) message = 'is not an asset of this app';
+    else if (!String(asset.fileType || '').startsWith('image/')) message = 'must be an image';
+    if (message) {
+      throw new AppError('Page SEO metadata is invalid', 422, {
+        errors: [{ path: '$.seo.ogImageAssetId', message, assetId: seo.ogImageAssetId }],
+        errorCount: 1
+      });
+    }
+  },
+
+  /**
+   * Public URLs of the Open Graph images used by `pages`.
+   * @returns {Promise<Map<string, string>>} assetId -> URL
+   */
+  async ogImageUrls(appPrefix, pages) {
+    const ids = [...new Set(pages.map((page) => seoOf(page).ogImageAssetId).filter(Boolean))];
+    const urls = new Map();
+    for (const id of ids) {
+      const snap = await jayramDb.collection(`${appPrefix}_assets`).doc(id).get();
+      if (snap.exists && snap.data().downloadURL) urls.set(id, snap.data().downloadURL);
+    }
+    return urls;
+  },
+
+  /**
+   * `path` ("/about") or an absolute URL, resolved against the site.
+   */
+  absoluteUrl(baseUrl, path) {
+    if (/^https?:\/\//i.test(path)) return path;
+    return `${baseUrl.replace(/\/+$/, '')}${path}`;
+  },
+
+  /**
+   * Published pages with where they live on the site.
+   * @returns {Promise<{ pageId, loc, lastmod, noindex, path }[]>} path is null without a site map entry
+   */
+  async publishedEntries(appPrefix, environment, baseUrl) {
+    const [pages, paths] = await Promise.all([
+      pagePublicationService.listPublished(appPrefix, environment),
+      siteMapService.urlPaths(appPrefix, environment)
+    ]);
+    return pages
+      .map((page) => {
+        const seo = seoOf(page);
+        const path = paths.get(page.id) || null;
+        const target = seo.canonicalUrl || path;
+        return {
+          pageId: page.id,
+          path,
+          loc: target ? this.absoluteUrl(baseUrl, target) : null,
+          lastmod: lastModified(page.updatedAt),
+          noindex: seo.noindex === true
+        };
+      })
+      .sort((a, b) => String(a.path || a.loc || a.pageId).localeCompare(String(b.path || b.loc || b.pageId)));
+  },
+
+  async sitemapXml(appPrefix, environment, baseUrl) {
+    const entries = await this.publishedEntries(appPrefix, environment, baseUrl);
+    // Pages sharing a canonical URL are listed once
+    const byLoc = new Map();
+    entries.filter((entry) => entry.loc && !entry.noindex).forEach((entry) => {
+      if (!byLoc.has(entry.loc)) byLoc.set(entry.loc, entry);
+    });
+    const urls = [...byLoc.values()].map((entry) => {
+      const lastmod = entry.lastmod ? `\n    <lastmod>${entry.lastmod}</lastmod>` : '';
+      return `  <url>\n    <loc>${escapeXml(entry.loc)}</loc>${lastmod}\n  </url>`;
+    });
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+${urls.length ? `${urls.join('\n')}\n` : ''}</urlset>
+`;
+  },
+
+  async robotsTxt(appPrefix, environment, baseUrl) {
+    const entries = await this.publishedEntries(appPrefix, environment, baseUrl);
+    const disallowed = [...new Set(entries.filter((entry) => entry.noindex && entry.path).map((entry) => entry.path))];
+    // "$" ends the match so child pages stay crawlable (Google, Bing)
+    const rules = disallowed.length ? disallowed.map((path) => `Disallow: ${path}$`) : ['Allow: /'];
+    return ['User-agent: *', ...rules, '', `Sitemap: ${this.absoluteUrl(baseUrl, '/sitemap.xml')}`, ''].join('\n');
+  }
+};
+
+export default seoService;
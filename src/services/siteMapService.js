@@ -0,0 +1,416 @@
+/**
+ * siteMapService.js
+ * -----------------
+ * Navigation model of an app: page tree, URL slugs, home page, redirects and
+ * named menus. Stored per environment next to the pages:
+ *
+ *   ${prefix}_sitemap/{pageId}     { pageId, slug, parentId, order, isHome }
+ *   ${prefix}_redirects/{encoded}  { from, pageId, createdAt }
+ *   ${prefix}_menus/{menuName}     { name, label, items: [{ pageId | url, label, children }] }
+ *
+ * A page's path is the slugs of its ancestors and itself ("/about/team");
+ * paths are unique within the app. The home page is also served at "/".
+ * When a path changes (new slug or parent), the old path of the page and of
+ * every page below it becomes a redirect to the page. Redirects point at
+ * pages rather than paths, so chains never form.
+ *
+ * Menu items reference pages that are in the site map; a page cannot leave
+ * the site map (or be deleted) while a menu links to it or it has child pages.
+ */
+import { getDb } from './storageAdapter.js';
+import { environmentService } from './environmentService.js';
+import { AppError } from '../utils/errorHandler.js';
+
+const jayramDb = getDb('jayram');
+
+const SLUG_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+const MENU_NAME_PATTERN = /^[a-z0-9][a-z0-9_-]{0,49}$/;
+const MAX_MENU_DEPTH = 3;
+
+const slugify = (value) =>
+  String(value || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+
+const redirectId = (path) => encodeURIComponent(path);
+
+const normalizePath = (value) => {
+  const trimmed = String(value || '').trim().replace(/\/+$/, '');
+  return trimmed.startsWith('/') ? trimmed || '/' : `/${trimmed}`;
+};
+
+const nextOrder = (siblings) => siblings.reduce((max, sibling) => Math.max(max, sibling.order + 1), 0);
+
+const byOrder = (a, b) => a.order - b.order || a.slug.localeCompare(b.slug);
+
+/**
+ * pageId -> path for every node; nodes is a Map of pageId -> node.
+ */
+function computePaths(nodes) {
+  const paths = new Map();
+  const pathOf = (pageId, seen = new Set()) => {
+    if (paths.has(pageId)) return paths.get(pageId);
+    const node = nodes.get(pageId);
+    if (!node || seen.has(pageId)) return null;
+    seen.add(pageId);
+    const parentPath = node.parentId ? pathOf(node.parentId, seen) : '';
+    const path = `${parentPath || ''}/${node.slug}`;
+    paths.set(pageId, path);
+    return path;
+  };
+  nodes.forEach((_node, pageId) => pathOf(pageId));
+  return paths;
+}
+
+const descendantsOf = (nodes, pageId) => {
+  const found = [];
+  const walk = (parentId) => {
+    nodes.forEach((node) => {
+      if (node.parentId === parentId) {
+        found.push(node.pageId);
+        walk(node.pageId);
+      }
+    });
+  };
+  walk(pageId);
+  return found;
+};
+
+// Page ids referenced anywhere in a menu's items
+const menuPageIds = (items = []) =>
+  items.flatMap((item) => [...(item.pageId ? [item.pageId] : []), ...menuPageIds(item.children || [])]);
+
+const docsToMap = (snap) => new Map(snap.docs.map((doc) => [doc.id, { pageId: doc.id, ...doc.data() }]));
+
+export const siteMapService = {
+  collections(appPrefix, environment) {
+    const collection = (kind) => jayramDb.collection(environmentService.collectionName(appPrefix, kind, environment));
+    return {
+      pages: collection('pages'),
+      nodes: collection('sitemap'),
+      redirects: collection('redirects'),
+      menus: collection('menus')
+    };
+  },
+
+  /**
+   * The page tree, ordered, with paths and page names.
+   * @returns {{ homePageId: string|null, tree: object[] }}
+   */
+  async getSiteMap(appPrefix, environment) {
+    const { pages, nodes: nodesCollection } = this.collections(appPrefix, environment);
+    const [nodeSnap, pageSnap] = await Promise.all([nodesCollection.get(), pages.get()]);
+    const nodes = docsToMap(nodeSnap);
+    const names = new Map(pageSnap.docs.map((doc) => [doc.id, doc.data().name || doc.id]));
+    const paths = computePaths(nodes);
+
+    const build = (parentId) =>
+      [...nodes.values()]
+        .filter((node) => (node.parentId || null) === parentId)
+        .sort(byOrder)
+        .map((node) => ({
+          pageId: node.pageId,
+          name: names.get(node.pageId) || null,
+          slug: node.slug,
+          path: paths.get(node.pageId),
+          order: node.order,
+          isHome: !!node.isHome,
+          children: build(node.pageId)
+        }));
+
+    const home = [...nodes.values()].find((node) => node.isHome);
+    return { homePageId: home ? home.pageId : null, tree: build(null) };
+  },
+
+  /**
+   * Add a page to the site map or move / re-slug it. Unset fields keep their
+   * current value (new nodes: slug from the page name, top level, last).
+   */
+  async upsertNode({ appPrefix, environment, pageId, slug, parentId, order, isHome, updatedBy }) {
+    const { pages, nodes: nodesCollection, redirects } = this.collections(appPrefix, environment);
+
+    return jayramDb.runTransaction(async (tx) => {
+      const pageSnap = await tx.get(pages.doc(pageId));
+      if (!pageSnap.exists) throw new AppError('Page not found', 404, { pageId });
+      const nodes = docsToMap(await tx.get(nodesCollection));
+      const existing = nodes.get(pageId);
+
+      const nextParent = parentId !== undefined ? parentId || null : (existing && existing.parentId) || null;
+      if (nextParent !== null) {
+        if (!nodes.has(nextParent)) throw new AppError('parentId must be a page in the site map', 400, { parentId: nextParent });
+        if (nextParent === pageId || descendantsOf(nodes, pageId).includes(nextParent)) {
+          throw new AppError('A page cannot be placed below itself', 400, { pageId, parentId: nextParent });
+        }
+      }
+
+      const nextSlug = slug !== undefined ? slug : existing ? existing.slug : slugify(pageSnap.data().name || pageId);
+      if (typeof nextSlug !== 'string' || !SLUG_PATTERN.test(nextSlug)) {
+        throw new AppError('slug must be lowercase letters, digits and single dashes', 400, { slug: nextSlug });
+      }
+      if (order !== undefined && !Number.isInteger(order)) throw new AppError('order must be an integer', 400, { order });
+      if (isHome !== undefined && typeof isHome !== 'boolean') throw new AppError('isHome must be true or false', 400, { isHome });
+
+      const siblings = [...nodes.values()].filter((node) => (node.parentId || null) === nextParent && node.pageId !== pageId);
+      const node = {
+        pageId,
+        slug: nextSlug,
+        parentId: nextParent,
+        order: order !== undefined ? order : existing && (existing.parentId || null) === nextParent ? existing.order : nextOrder(siblings),
+        isHome: isHome !== undefined ? isHome : !!(existing && existing.isHome),
+        updatedAt: new Date().toISOString(),
+        updatedBy
+      };
+
+      const oldPaths = computePaths(nodes);
+      const next = new Map(nodes).set(pageId, node);
+      const newPaths = computePaths(next);
+      const taken = [...newPaths.entries()].find(([id, path]) => id !== pageId && path === newPaths.get(pageId));
+      if (taken) {
+        throw new AppError(`Path ${newPaths.get(pageId)} is already used by another page`, 409, { path: newPaths.get(pageId), pageId: taken[0] });
+      }
+
+      const moved = [pageId, ...descendantsOf(next, pageId)].filter((id) => oldPaths.has(id) && oldPaths.get(id) !== newPaths.get(id));
+      const claimed = await Promise.all(moved.concat(existing ? [] : [pageId]).map((id) => tx.get(redirects.doc(redirectId(newPaths.get(id))))));
+
+      // Writes: previous home, the node, redirects for moved paths, redirects now shadowed by live pages
+      if (node.isHome) {
+        nodes.forEach((other) => {
+          if (other.isHome && other.pageId !== pageId) tx.update(nodesCollection.doc(other.pageId), { isHome: false });
+        });
+      }
+      tx.set(nodesCollection.doc(pageId), node);
+      const createdAt = new Date().toISOString();
+      moved.forEach((id) => {
+        tx.set(redirects.doc(redirectId(oldPaths.get(id))), { from: oldPaths.get(id), pageId: id, createdAt });
+      });
+      claimed.filter((snap) => snap.exists).forEach((snap) => tx.delete(snap.ref));
+
+      return {
+        node: { ...node, path: newPaths.get(pageId) },
+        redirects: moved.map((id) => ({ from: oldPaths.get(id), to: newPaths.get(id), pageId: id }))
+      };
+    });
+  },
+
+  /**
+   * Why a page cannot leave the site map: { children, menus } (empty = free to go).
+   */
+  async blockersFor(appPrefix, environment, pageId, reader = null) {
+    const { nodes: nodesCollection, menus } = this.collections(appPrefix, environment);
+    const read = reader || { get: (ref) => ref.get() };
+    const [nodeSnap, menuSnap] = await Promise.all([read.get(nodesCollection), read.get(menus)]);
+    return {
+      children: nodeSnap.docs.map((doc) => doc.data()).filter((node) => node.parentId === pageId).map((node) => node.pageId),
+      menus: menuSnap.docs.filter((doc) => menuPageIds(doc.data().items).includes(pageId)).map((doc) => doc.id)
+    };
+  },
+
+  /**
+   * 409 unless the page can be removed from the site map.
+   */
+  async assertRemovable(appPrefix, environment, pageId, reader = null) {
+    const blockers = await this.blockersFor(appPrefix, environment, pageId, reader);
+    if (blockers.children.length || blockers.menus.length) {
+      throw new AppError('Page is still used by the site map; move its child pages and remove it from menus first', 409, {
+        pageId,
+        ...blockers
+      });
+    }
+  },
+
+  /**
+   * Take a page out of the site map, with the redirects that point at it.
+   */
+  async removeNode(appPrefix, environment, pageId) {
+    const { nodes: nodesCollection, redirects } = this.collections(appPrefix, environment);
+    return jayramDb.runTransaction(async (tx) => {
+      const snap = await tx.get(nodesCollection.doc(pageId));
+      if (!snap.exists) throw new AppError('Page is not in the site map', 404, { pageId });
+      await this.assertRemovable(appPrefix, environment, pageId, tx);
+      const stale = await tx.get(redirects.where('pageId', '==', pageId));
+      tx.delete(snap.ref);
+      stale.docs.forEach((doc) => tx.delete(doc.ref));
+      return { pageId, redirectsRemoved: stale.size };
+    });
+  },
+
+  /**
+   * Called when a page is deleted: drops its node and redirects if present.
+   */
+  async forgetPage(appPrefix, environment, pageId) {
+    const { nodes: nodesCollection } = this.collections(appPrefix, environment);
+    const snap = await nodesCollection.doc(pageId).get();
+    if (snap.exists) await this.removeNode(appPrefix, environment, pageId);
+  },
+
+  /**
+   * Called when a page gets a new id (rename): its node, the parentId of its
+   * children, menu items and redirects follow it. Paths do not change.
+   */
+  async renamePage(appPrefix, environment, fromId, toId) {
+    const { nodes: nodesCollection, redirects, menus } = this.collections(appPrefix, environment);
+    return jayramDb.runTransaction(async (tx) => {
+      const [nodeSnap, menuSnap, redirectSnap] = await Promise.all([
+        tx.get(nodesCollection),
+        tx.get(menus),
+        tx.get(redirects.where('pageId', '==', fromId))
+      ]);
+      const renameItems = (items = []) =>
+        items.map((item) => ({
+          ...item,
+          ...(item.pageId === fromId ? { pageId: toId } : {}),
+          ...(item.children ? { children: renameItems(item.children) } : {})
+        }));
+
+      nodeSnap.docs.forEach((doc) => {
+        const node = doc.data();
+        if (doc.id === fromId) {
+          tx.delete(doc.ref);
+          tx.set(nodesCollection.doc(toId), { ...node, pageId: toId });
+        } else if (node.parentId === fromId) {
+          tx.update(doc.ref, { parentId: toId });
+        }
+      });
+      const touchedMenus = menuSnap.docs.filter((doc) => menuPageIds(doc.data().items).includes(fromId));
+      touchedMenus.forEach((doc) => tx.update(doc.ref, { items: renameItems(doc.data().items) }));
+      redirectSnap.docs.forEach((doc) => tx.update(doc.ref, { pageId: toId }));
+
+      return { inSiteMap: nodeSnap.docs.some((doc) => doc.id === fromId), menus: touchedMenus.map((doc) => doc.id) };
+    });
+  },
+
+  /**
+   * What a URL path shows: { pageId, path } or { pageId, redirectTo } (404 if nothing).
+   */
+  /**
+   * URL path of every page in the site map; the home page is served at "/".
+   * @returns {Promise<Map<string, string>>} pageId -> path
+   */
+  async urlPaths(appPrefix, environment) {
+    const nodes = docsToMap(await this.collections(appPrefix, environment).nodes.get());
+    const paths = computePaths(nodes);
+    const home = [...nodes.values()].find((node) => node.isHome);
+    if (home) paths.set(home.pageId, '/');
+    return paths;
+  },
+
+  async resolvePath(appPrefix, environment, rawPath) {
+    const path = normalizePath(rawPath);
+    const { nodes: nodesCollection, redirects } = this.collections(appPrefix, environment);
+    const nodes = docsToMap(await nodesCollection.get());
+    const paths = computePaths(nodes);
+
+    if (path === '/') {
+      const home = [...nodes.values()].find((node) => node.isHome);
+      if (!home) throw new AppError('App has no home page', 404, { path });
+      return { pageId: home.pageId, path: paths.get(home.pageId) };
+    }
+    const match = [...paths.entries()].find(([, candidate]) => candidate === path);
+    if (match) return { pageId: match[0], path };
+
+    const redirect = await redirects.doc(redirectId(path)).get();
+    if (redirect.exists && paths.has(redirect.data().pageId)) {
+      return { pageId: redirect.data().pageId, redirectTo: paths.get(redirect.data().pageId), status: 301 };
+    }
+    throw new AppError('No page at this path', 404, { path });
+  },
+
+  async listRedirects(appPrefix, environment) {
+    const { nodes: nodesCollection, redirects } = this.collections(appPrefix, environment);
+    const [redirectSnap, nodeSnap] = await Promise.all([redirects.get(), nodesCollection.get()]);
+    const paths = computePaths(docsToMap(nodeSnap));
+    return redirectSnap.docs
+      .map((doc) => ({ id: doc.id, ...doc.data(), to: paths.get(doc.data().pageId) || null }))
+      .sort((a, b) => a.from.localeCompare(b.from));
+  },
+
+  async deleteRedirect(appPrefix, environment, path) {
+    const { redirects } = this.collections(appPrefix, environment);
+    const ref = redirects.doc(redirectId(normalizePath(path)));
+    const snap = await ref.get();
+    if (!snap.exists) throw new AppError('Redirect not found', 404, { path });
+    await ref.delete();
+    return { from: snap.data().from };
+  },
+
+  // Menus ---------------------------------------------------------------------
+
+  /**
+   * Check menu items; every pageId must be in `nodes`. Returns the cleaned items.
+   */
+  validateMenuItems(items, nodes, depth = 1, path = 'items') {
+    if (!Array.isArray(items)) throw new AppError(`${path} must be an array`, 400);
+    if (depth > MAX_MENU_DEPTH) throw new AppError(`Menus can be at most ${MAX_MENU_DEPTH} levels deep`, 400, { path });
+    return items.map((item, i) => {
+      const at = `${path}[${i}]`;
+      if (!item || typeof item !== 'object') throw new AppError(`${at} must be an object`, 400);
+      if (!!item.pageId === !!item.url) throw new AppError(`${at} needs either pageId or url`, 400);
+      if (item.pageId && !nodes.has(item.pageId)) {
+        throw new AppError(`${at}.pageId is not a page in the site map`, 400, { pageId: item.pageId });
+      }
+      if (item.url && !item.label) throw new AppError(`${at}.label is required for url items`, 400);
+      const cleaned = item.pageId ? { pageId: item.pageId } : { url: String(item.url) };
+      if (item.label) cleaned.label = String(item.label);
+      if (item.children && item.children.length) {
+        cleaned.children = this.validateMenuItems(item.children, nodes, depth + 1, `${at}.children`);
+      }
+      return cleaned;
+    });
+  },
+
+  // Adds path (and page name) to page items
+  expandMenu(menu, paths, names) {
+    const expand = (items = []) =>
+      items.map((item) => ({
+        ...item,
+        ...(item.pageId ? { path: paths.get(item.pageId) || null, label: item.label || names.get(item.pageId) || item.pageId } : {}),
+        ...(item.children ? { children: expand(item.children) } : {})
+      }));
+    return { ...menu, items: expand(menu.items) };
+  },
+
+  async listMenus(appPrefix, environment) {
+    const { menus, nodes: nodesCollection, pages } = this.collections(appPrefix, environment);
+    const [menuSnap, nodeSnap, pageSnap] = await Promise.all([menus.get(), nodesCollection.get(), pages.get()]);
+    const paths = computePaths(docsToMap(nodeSnap));
+    const names = new Map(pageSnap.docs.map((doc) => [doc.id, doc.data().name || doc.id]));
+    return menuSnap.docs.map((doc) => this.expandMenu({ id: doc.id, ...doc.data() }, paths, names));
+  },
+
+  async getMenu(appPrefix, environment, name) {
+    const menu = (await this.listMenus(appPrefix, environment)).find((candidate) => candidate.id === name);
+    if (!menu) throw new AppError('Menu not found', 404, { menu: name });
+    return menu;
+  },
+
+  async saveMenu({ appPrefix, environment, name, label, items, updatedBy }) {
+    if (!MENU_NAME_PATTERN.test(name || '')) {
+      throw new AppError('Menu name must be lowercase letters, digits, "-" or "_" (max 50)', 400, { menu: name });
+    }
+    const { menus, nodes: nodesCollection } = this.collections(appPrefix, environment);
+    await jayramDb.runTransaction(async (tx) => {
+      const nodes = docsToMap(await tx.get(nodesCollection));
+      const existing = await tx.get(menus.doc(name));
+      const menu = {
+        name,
+        label: label !== undefined ? String(label) : existing.exists ? existing.data().label : name,
+        items: this.validateMenuItems(items, nodes),
+        updatedAt: new Date().toISOString(),
+        updatedBy
+      };
+      tx.set(menus.doc(name), menu);
+    });
+    return this.getMenu(appPrefix, environment, name);
+  },
+
+  async deleteMenu(appPrefix, environment, name) {
+    const { menus } = this.collections(appPrefix, environment);
+    const snap = await menus.doc(name).get();
+    if (!snap.exists) throw new AppError('Menu not found', 404, { menu: name });
+    await menus.doc(name).delete();
+    return { menu: name };
+  }
+};
+
+export default siteMapService;
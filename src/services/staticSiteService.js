@@ -0,0 +1,587 @@
+/**
+ * staticSiteService.js
+ * --------------------
+ * Render an app's pages to plain HTML/CSS that runs without the React
+ * runtime (GET /api/app/:appName/export/static).
+ *
+ * Output (one file list, zipped by the controller):
+ *
+ *   index.html                  home page of the site map (or a page index)
+ *   <path>/index.html           every page in the site map, at its path
+ *   pages/<pageId>/index.html   pages that are not in the site map
+ *   css/site.css                shared styles
+ *   css/<pageId>.css            commonAttrs box styling of the page's components
+ *   assets/<file>               copies of the app's assets used by the pages
+ *                               (file name only; "-2", "-3" when names clash)
+ *   export.json                 manifest: pages, assets, warnings
+ *
+ * Components are rendered by type following componentVocabulary.json (text,
+ * card, image, button, form, container); unknown types are skipped with a
+ * warning. Links between pages and asset URLs become relative, so the site
+ * also works from the file system. Forms post to `formAction`. A page's
+ * `seo` block becomes its title, description, canonical, robots and Open
+ * Graph tags.
+ */
+import path from 'path';
+import { getDb, getBucket } from './storageAdapter.js';
+import { environmentService } from './environmentService.js';
+import { pagePublicationService } from './pagePublicationService.js';
+import { siteMapService } from './siteMapService.js';
+import { seoService } from './seoService.js';
+
+const jayramDb = getDb('jayram');
+
+const SENTINEL_ID = '_init';
+const MANIFEST_ENTRY = 'export.json';
+const NAV_MENUS = { header: 'site-header', footer: 'site-footer' };
+const RENDERED_TYPES = ['text', 'image', 'card', 'button', 'form', 'container'];
+
+// Page / container layouts (componentVocabulary.json layoutTypes, plus row / column)
+const LAYOUTS = {
+  'single-column': 'display: flex; flex-direction: column;',
+  column: 'display: flex; flex-direction: column;',
+  row: 'display: flex; flex-direction: row; flex-wrap: wrap; gap: 16px;',
+  'two-column': 'display: grid; grid-template-columns: repeat(2, minmax(0, 1fr)); gap: 16px;',
+  'hero-split': 'display: grid; grid-template-columns: repeat(2, minmax(0, 1fr)); gap: 16px; align-items: center;',
+  'three-column': 'display: grid; grid-template-columns: repeat(3, minmax(0, 1fr)); gap: 16px;',
+  'grid-12': 'display: grid; grid-template-columns: repeat(auto-fit, minmax(240px, 1fr)); gap: 16px;',
+  grid: 'display: grid; grid-template-columns: repeat(auto-fit, minmax(240px, 1fr)); gap: 16px;'
+};
+
+const SITE_CSS = `*, *::before, *::after { box-sizing: border-box; }
+body { margin: 0; font-family: system-ui, -apple-system, "Segoe UI", Roboto, sans-serif; line-height: 1.5; color: #1f2328; }
+.site-header, .site-footer { padding: 16px 24px; background: #f6f8fa; }
+.site-nav ul { list-style: none; margin: 0; padding: 0; display: flex; flex-wrap: wrap; gap: 16px; }
+.site-nav ul ul { display: none; }
+.site-nav a { color: inherit; text-decoration: none; }
+main { max-width: 1200px; margin: 0 auto; padding: 24px; }
+.span-all { grid-column: 1 / -1; }
+img { max-width: 100%; }
+.card img { width: 100%; display: block; }
+.btn { display: inline-block; border: 1px solid #0969da; cursor: pointer; text-decoration: none; font: inherit; }
+.btn-primary { background: #0969da; color: #fff; }
+.btn-secondary { background: #6e7781; border-color: #6e7781; color: #fff; }
+.btn-outline { background: transparent; color: #0969da; }
+.btn-text { background: transparent; border-color: transparent; color: #0969da; }
+form .field { display: flex; flex-direction: column; gap: 4px; margin-bottom: 12px; }
+form input, form textarea, form select { font: inherit; padding: 8px; border: 1px solid #d0d7de; border-radius: 6px; }
+form .choice { flex-direction: row; align-items: center; gap: 8px; }
+`;
+
+const isPlainObject = (value) =>
+  value !== null && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype;
+
+const escapeHtml = (value) =>
+  String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+const attrs = (values) =>
+  Object.entries(values)
+    .filter(([, value]) => value !== undefined && value !== null && value !== false)
+    .map(([name, value]) => (value === true ? ` ${name}` : ` ${name}="${escapeHtml(value)}"`))
+    .join('');
+
+// commonAttrs come from the editor as bare numbers ("16") or CSS values ("50%")
+const isNumber = (value) => /^-?\d+(\.\d+)?$/.test(String(value).trim());
+const cssValue = (value, unit = 'px') => {
+  if (value === undefined || value === null || value === '') return null;
+  const text = String(value).trim();
+  if (/[;{}<>\\]/.test(text)) return null;
+  return isNumber(text) && text !== '0' ? `${text}${unit}` : text;
+};
+
+const BOX_PROPERTIES = {
+  paddingTop: 'padding-top',
+  paddingBottom: 'padding-bottom',
+  paddingLeft: 'padding-left',
+  paddingRight: 'padding-right',
+  marginTop: 'margin-top',
+  marginBottom: 'margin-bottom',
+  marginLeft: 'margin-left',
+  marginRight: 'margin-right',
+  height: 'height',
+  borderRadius: 'border-radius',
+  backgroundColor: 'background-color',
+  boxShadow: 'box-shadow'
+};
+
+const TEXT_PROPERTIES = { fontSize: 'font-size', fontWeight: 'font-weight', textAlign: 'text-align', color: 'color' };
+
+function boxStyles(common = {}) {
+  const declarations = [];
+  const width = cssValue(common.width, '%');
+  if (width) declarations.push(`width: ${width}`);
+  Object.entries(BOX_PROPERTIES).forEach(([key, property]) => {
+    const value = cssValue(common[key]);
+    if (value) declarations.push(`${property}: ${value}`);
+  });
+  return declarations;
+}
+
+function textStyles(specific = {}) {
+  return Object.entries(TEXT_PROPERTIES)
+    .map(([key, property]) => [property, cssValue(specific[key])])
+    .filter(([, value]) => value)
+    .map(([property, value]) => `${property}: ${value}`);
+}
+
+// Only links a browser can follow safely; anything else becomes "#"
+const safeHref = (value) => {
+  const text = String(value || '').trim();
+  if (!text) return '#';
+  if (/^(https?:|mailto:|tel:|#|\/|\.\.?\/)/i.test(text) || !/^[a-z][a-z0-9+.-]*:/i.test(text)) return text;
+  return '#';
+};
+
+const normalizePath = (value) => {
+  const trimmed = String(value || '').split(/[?#]/)[0].replace(/\/+$/, '');
+  return trimmed.startsWith('/') ? trimmed || '/' : `/${trimmed}`;
+};
+
+/**
+ * <head> tags from a page's seo block. og:url only for an absolute canonical
+ * URL; the export does not know the site's domain.
+ */
+function seoTags(page, title, ogImageUrl) {
+  const seo = isPlainObject(page.seo) ? page.seo : {};
+  const tags = [];
+  if (seo.description) tags.push(`<meta${attrs({ name: 'description', content: seo.description })}>`);
+  if (seo.noindex === true) tags.push('<meta name="robots" content="noindex">');
+  if (seo.canonicalUrl) tags.push(`<link${attrs({ rel: 'canonical', href: seo.canonicalUrl })}>`);
+  tags.push(`<meta${attrs({ property: 'og:title', content: title })}>`, '<meta property="og:type" content="website">');
+  if (seo.description) tags.push(`<meta${attrs({ property: 'og:description', content: seo.description })}>`);
+  if (/^https?:\/\//i.test(seo.canonicalUrl || '')) tags.push(`<meta${attrs({ property: 'og:url', content: seo.canonicalUrl })}>`);
+  if (ogImageUrl) tags.push(`<meta${attrs({ property: 'og:image', content: ogImageUrl })}>`);
+  return tags.join('\n');
+}
+
+const cssId = (value) => String(value).replace(/[^A-Za-z0-9_-]+/g, '-');
+
+// Zip entry for an asset: its file name, made safe and unique among `taken`
+const assetEntryName = (assetPath, taken) => {
+  const base = path.posix.basename(String(assetPath)).replace(/[^A-Za-z0-9._-]+/g, '-').replace(/^\.+/, '') || 'asset';
+  const extension = path.posix.extname(base);
+  const stem = base.slice(0, base.length - extension.length);
+  let name = `assets/${base}`;
+  for (let n = 2; taken.has(name); n += 1) name = `assets/${stem}-${n}${extension}`;
+  taken.add(name);
+  return name;
+};
+
+/**
+ * Every URL a page may point at an asset with (image src, card imageUrl),
+ * including those of components nested in containers.
+ */
+function collectAssetUrls(components, urls = new Set()) {
+  (Array.isArray(components) ? components : []).forEach((component) => {
+    if (!isPlainObject(component)) return;
+    const specific = isPlainObject(component.specificAttrs) ? component.specificAttrs : {};
+    if (component.type === 'image' && specific.src) urls.add(String(specific.src));
+    if (component.type === 'card' && specific.imageUrl) urls.add(String(specific.imageUrl));
+    if (component.type === 'container') collectAssetUrls(specific.children, urls);
+  });
+  return urls;
+}
+
+/**
+ * Renders the components of one page into HTML plus CSS rules.
+ * `context`: { link(url), asset(url), formAction, appPrefix, pageId, warn(message) }
+ */
+class PageRenderer {
+  constructor(page, context) {
+    this.page = page;
+    this.context = context;
+    this.rules = [];
+    this.usedIds = new Set();
+    this.byId = new Map((page.components || []).filter(isPlainObject).map((component) => [component.id, component]));
+  }
+
+  elementId(component, fallback) {
+    const base = `c-${cssId(component.id || fallback)}`;
+    let id = base;
+    for (let n = 2; this.usedIds.has(id); n += 1) id = `${base}-${n}`;
+    this.usedIds.add(id);
+    return id;
+  }
+
+  rule(id, declarations) {
+    if (declarations.length) this.rules.push(`#${id} { ${declarations.join('; ')}; }`);
+  }
+
+  render(component, position, ancestors = new Set()) {
+    if (!isPlainObject(component)) return '';
+    const specific = isPlainObject(component.specificAttrs) ? component.specificAttrs : {};
+    if (!RENDERED_TYPES.includes(component.type)) {
+      this.context.warn(`component ${component.id || position} has unsupported type "${component.type}"; skipped`);
+      return '';
+    }
+    const id = this.elementId(component, position);
+    this.rule(id, boxStyles(component.commonAttrs));
+
+    switch (component.type) {
+    case 'text':
+      return this.text(id, specific);
+    case 'image':
+      return this.image(id, specific);
+    case 'card':
+      return this.card(id, specific);
+    case 'button':
+      return this.button(id, specific);
+    case 'form':
+      return this.form(id, component, specific);
+    default:
+      return this.container(id, component, specific, ancestors);
+    }
+  }
+
+  text(id, specific) {
+    const variant = String(specific.variant || 'paragraph');
+    const tag = /^h[1-6]$/.test(variant) ? variant : { label: 'span', span: 'span' }[variant] || 'p';
+    this.rule(id, textStyles(specific));
+    const className = /^h[1-3]$/.test(variant) ? 'text span-all' : 'text';
+    return `<${tag}${attrs({ id, class: className })}>${escapeHtml(specific.content)}</${tag}>`;
+  }
+
+  image(id, specific) {
+    const size = [['width', specific.width], ['height', specific.height]]
+      .map(([property, value]) => [property, cssValue(value)])
+      .filter(([, value]) => value)
+      .map(([property, value]) => `${property}: ${value}`);
+    if (size.length) this.rules.push(`#${id} img { ${size.join('; ')}; }`);
+    const caption = specific.caption ? `<figcaption>${escapeHtml(specific.caption)}</figcaption>` : '';
+    return `<figure${attrs({ id, class: 'image' })}><img${attrs({ src: this.context.asset(specific.src), alt: specific.alt || '' })}>${caption}</figure>`;
+  }
+
+  card(id, specific) {
+    const parts = [];
+    if (specific.imageUrl) parts.push(`<img${attrs({ src: this.context.asset(specific.imageUrl), alt: specific.title || '' })}>`);
+    if (specific.title) parts.push(`<h3>${escapeHtml(specific.title)}</h3>`);
+    if (specific.description) parts.push(`<p>${escapeHtml(specific.description)}</p>`);
+    if (typeof specific.content === 'string' && specific.content) parts.push(`<p>${escapeHtml(specific.content)}</p>`);
+    if (specific.link && specific.link !== '#') {
+      parts.push(`<a${attrs({ href: this.context.link(specific.link) })}>${escapeHtml(specific.linkText || 'Learn More')}</a>`);
+    }
+    return `<div${attrs({ id, class: 'card' })}>${parts.join('')}</div>`;
+  }
+
+  button(id, specific) {
+    const className = `btn btn-${cssId(specific.variant || 'primary')}`;
+    const label = escapeHtml(specific.label || 'Button');
+    if (specific.url && specific.url !== '#') {
+      const target = specific.newTab ? { target: '_blank', rel: 'noopener' } : {};
+      return `<a${attrs({ id, class: className, href: this.context.link(specific.url), ...target })}>${label}</a>`;
+    }
+    return `<button${attrs({ id, class: className, type: 'button' })}>${label}</button>`;
+  }
+
+  field(formId, field) {
+    if (!isPlainObject(field) || field.visibility === false) return '';
+    const name = String(field.id || '');
+    const inputId = `${formId}-${cssId(name)}`;
+    const validation = isPlainObject(field.validation) ? field.validation : {};
+    const common = {
+      id: inputId,
+      name,
+      required: field.required === true,
+      minlength: validation.minLength,
+      maxlength: validation.maxLength,
+      title: validation.customMessage
+    };
+    const options = (Array.isArray(field.options) ? field.options : []).map((option) =>
+      isPlainObject(option) ? { value: option.value ?? option.label, label: option.label ?? option.value } : { value: option, label: option }
+    );
+    const label = `<label${attrs({ for: inputId })}>${escapeHtml(field.label || name)}</label>`;
+
+    switch (field.type) {
+    case 'textarea':
+      return `<div class="field">${label}<textarea${attrs(common)}>${escapeHtml(field.defaultValue)}</textarea></div>`;
+    case 'select':
+      return `<div class="field">${label}<select${attrs(common)}>${options
+        .map(({ value, label: text }) => `<option${attrs({ value, selected: value === field.defaultValue })}>${escapeHtml(text)}</option>`)
+        .join('')}</select></div>`;
+    case 'checkbox':
+    case 'radio':
+      if (!options.length) {
+        return `<div class="field choice"><input${attrs({ ...common, type: field.type, value: 'true', checked: field.defaultValue === 'true' })}>${label}</div>`;
+      }
+      return `<fieldset class="field"><legend>${escapeHtml(field.label || name)}</legend>${options
+        .map(({ value, label: text }, i) => {
+          const optionId = `${inputId}-${i}`;
+          const input = `<input${attrs({ id: optionId, name, type: field.type, value, checked: value === field.defaultValue })}>`;
+          return `<div class="choice">${input}<label${attrs({ for: optionId })}>${escapeHtml(text)}</label></div>`;
+        })
+        .join('')}</fieldset>`;
+    default: {
+      const type = ['text', 'email', 'number', 'tel', 'url'].includes(field.type) ? field.type : 'text';
+      // "email" / "phone" are named checks the input type already covers
+      const pattern = validation.pattern && !['email', 'phone'].includes(validation.pattern) ? validation.pattern : undefined;
+      return `<div class="field">${label}<input${attrs({ ...common, type, pattern, value: field.defaultValue || undefined })}></div>`;
+    }
+    }
+  }
+
+  form(id, component, specific) {
+    const { formAction, appPrefix, pageId } = this.context;
+    const hidden = { _app: appPrefix, _page: pageId, _form: component.id || id, _formType: specific.formType };
+    const parts = [
+      specific.title ? `<h3>${escapeHtml(specific.title)}</h3>` : '',
+      specific.description ? `<p>${escapeHtml(specific.description)}</p>` : '',
+      ...Object.entries(hidden)
+        .filter(([, value]) => value)
+        .map(([name, value]) => `<input${attrs({ type: 'hidden', name, value })}>`),
+      ...(Array.isArray(specific.fields) ? specific.fields : []).map((field) => this.field(id, field)),
+      `<button type="submit" class="btn btn-primary">${escapeHtml(specific.submitLabel || 'Submit')}</button>`
+    ];
+    return `<form${attrs({ id, class: 'form', method: 'post', action: formAction || undefined })}>${parts.join('')}</form>`;
+  }
+
+  /**
+   * children: component objects, or ids of components on the same page.
+   */
+  container(id, component, specific, ancestors) {
+    const layout = LAYOUTS[specific.layout] || LAYOUTS.column;
+    this.rules.push(`#${id} { ${layout} }`);
+    const nested = new Set([...ancestors, component.id]);
+    const children = (Array.isArray(specific.children) ? specific.children : []).map((child, i) => {
+      const resolved = typeof child === 'string' ? this.byId.get(child) : child;
+      if (!resolved || nested.has(resolved.id)) {
+        this.context.warn(`container ${component.id || id} has a missing or circular child "${typeof child === 'string' ? child : i}"`);
+        return '';
+      }
+      return this.render(resolved, `${id}-${i}`, nested);
+    });
+    return `<div${attrs({ id, class: 'container' })}>${children.join('')}</div>`;
+  }
+
+  /**
+   * Top-level components; those a container refers to by id render inside it.
+   */
+  renderPage() {
+    const components = (this.page.components || []).filter(isPlainObject);
+    const referenced = new Set(
+      components
+        .filter((component) => component.type === 'container')
+        .flatMap((component) => (component.specificAttrs && component.specificAttrs.children) || [])
+        .filter((child) => typeof child === 'string')
+    );
+    return components
+      .filter((component) => !referenced.has(component.id))
+      .map((component, i) => this.render(component, i))
+      .join('\n');
+  }
+}
+
+export const staticSiteService = {
+  async loadPages(appPrefix, environment, version) {
+    if (version === 'published') return pagePublicationService.listPublished(appPrefix, environment);
+    const snap = await jayramDb.collection(environmentService.collectionName(appPrefix, 'pages', environment)).get();
+    return snap.docs.filter((doc) => doc.id !== SENTINEL_ID).map((doc) => ({ id: doc.id, ...doc.data() }));
+  },
+
+  /**
+   * Copy the app's assets that the pages use into the export.
+   * @returns {Promise<Map<string, string>>} original URL -> file name in the zip
+   */
+  async bundleAssets(appPrefix, urls, files, warn) {
+    const bundled = new Map();
+    if (!urls.size) return bundled;
+    const snap = await jayramDb.collection(`${appPrefix}_assets`).get();
+    const assets = snap.docs.map((doc) => doc.data()).filter((asset) => asset.path);
+    const bucket = getBucket();
+    const copied = new Map();
+    const taken = new Set();
+
+    for (const url of urls) {
+      const decoded = (() => {
+        try {
+          return decodeURIComponent(url);
+        } catch {
+          return url;
+        }
+      })();
+      const asset = assets.find(
+        (candidate) => url === candidate.downloadURL || decoded === candidate.path || decoded.split('?')[0].endsWith(`/${candidate.path}`)
+      );
+      if (!asset) continue;
+      if (!copied.has(asset.path)) {
+        const file = bucket.file(asset.path);
+        const [exists] = await file.exists();
+        if (!exists) {
+          warn(`asset ${asset.path} is missing from storage; kept its original URL`);
+          copied.set(asset.path, null);
+        } else {
+          const [data] = await file.download();
+          const name = assetEntryName(asset.path, taken);
+          files.push({ name, data });
+          copied.set(asset.path, name);
+        }
+      }
+      if (copied.get(asset.path)) bundled.set(url, copied.get(asset.path));
+    }
+    return bundled;
+  },
+
+  /**
+   * Render the site.
+   *
+   * @param {object} options
+   * @param {string} options.appPrefix
+   * @param {string} options.appName    - shown in page titles
+   * @param {string} options.environment
+   * @param {string} [options.version]  - "draft" (default) | "published"
+   * @param {string} [options.formAction] - where forms post (null: no endpoint)
+   * @returns {Promise<{ files: { name: string, data: Buffer|string }[], manifest: object }>}
+   */
+  async exportSite({ appPrefix, appName, environment, version = 'draft', formAction = null }) {
+    const warnings = [];
+    const warn = (message) => warnings.push(message);
+    const files = [];
+
+    const [pages, siteMap, menus] = await Promise.all([
+      this.loadPages(appPrefix, environment, version),
+      siteMapService.getSiteMap(appPrefix, environment),
+      siteMapService.listMenus(appPrefix, environment)
+    ]);
+
+    // Where each page goes: home at the root, site map pages at their path
+    const pathOf = new Map();
+    const walk = (nodes) =>
+      nodes.forEach((node) => {
+        pathOf.set(node.pageId, node.path);
+        walk(node.children);
+      });
+    walk(siteMap.tree);
+    const pageIds = new Set(pages.map((page) => page.id));
+    const homePageId = pageIds.has(siteMap.homePageId) ? siteMap.homePageId : null;
+    const fileOf = (pageId) => {
+      if (pageId === homePageId) return 'index.html';
+      if (pathOf.has(pageId)) return `${pathOf.get(pageId).slice(1)}/index.html`;
+      return `pages/${pageId}/index.html`;
+    };
+    const fileByPath = new Map([...pathOf].filter(([pageId]) => pageIds.has(pageId)).map(([pageId, sitePath]) => [sitePath, fileOf(pageId)]));
+    if (homePageId) fileByPath.set('/', 'index.html');
+
+    if (!formAction && pages.some((page) => JSON.stringify(page.components || []).includes('"type":"form"'))) {
+      warn('forms have no submission endpoint; set STATIC_EXPORT_FORM_ACTION or pass formAction');
+    }
+
+    const assetUrls = new Set();
+    pages.forEach((page) => collectAssetUrls(page.components, assetUrls));
+    const assets = await this.bundleAssets(appPrefix, assetUrls, files, warn);
+    const ogImages = await seoService.ogImageUrls(appPrefix, pages);
+
+    const order = (page) => (pathOf.has(page.id) ? 0 : 1);
+    const sorted = [...pages].sort((a, b) => order(a) - order(b) || fileOf(a.id).localeCompare(fileOf(b.id)));
+
+    files.push({ name: 'css/site.css', data: SITE_CSS });
+    const rendered = sorted.map((page) => {
+      const file = fileOf(page.id);
+      const depth = file.split('/').length - 1;
+      const relative = (target) => `${'../'.repeat(depth)}${target}`;
+      const context = {
+        appPrefix,
+        pageId: page.id,
+        formAction,
+        warn: (message) => warn(`page ${page.id}: ${message}`),
+        asset: (url) => (assets.has(String(url)) ? relative(assets.get(String(url))) : safeHref(url)),
+        link: (url) => {
+          const target = fileByPath.get(normalizePath(url));
+          return target && String(url).startsWith('/') ? relative(target) : safeHref(url);
+        }
+      };
+
+      const renderer = new PageRenderer(page, context);
+      const body = renderer.renderPage();
+      const layout = LAYOUTS[page.layoutId] || LAYOUTS['single-column'];
+      const css = [`main { ${layout} }`, ...renderer.rules].join('\n');
+      files.push({ name: `css/${page.id}.css`, data: `${css}\n` });
+
+      const nav = (menuName) => {
+        const menu = menus.find((candidate) => candidate.id === menuName);
+        if (!menu || !menu.items.length) return '';
+        const list = (items) =>
+          `<ul>${items
+            .map((item) => {
+              const href = item.pageId ? (item.path && fileByPath.has(item.path) ? relative(fileByPath.get(item.path)) : null) : safeHref(item.url);
+              const label = escapeHtml(item.label);
+              const entry = href ? `<a${attrs({ href })}>${label}</a>` : `<span>${label}</span>`;
+              return `<li>${entry}${item.children && item.children.length ? list(item.children) : ''}</li>`;
+            })
+            .join('')}</ul>`;
+        return `<nav class="site-nav"${attrs({ 'aria-label': menu.label || menuName })}>${list(menu.items)}</nav>`;
+      };
+      const [header, footer] = Object.keys(NAV_MENUS).map(nav);
+      const title = page.name || page.id;
+      const seo = isPlainObject(page.seo) ? page.seo : {};
+      const documentTitle = seo.title || `${title} | ${appName}`;
+      if (seo.ogImageAssetId && !ogImages.has(seo.ogImageAssetId)) {
+        context.warn(`Open Graph image ${seo.ogImageAssetId} is not an asset of this app`);
+      }
+      const html = `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(documentTitle)}</title>
+${seoTags(page, documentTitle, ogImages.get(seo.ogImageAssetId))}
+<link rel="stylesheet" href="${escapeHtml(relative('css/site.css'))}">
+<link rel="stylesheet" href="${escapeHtml(relative(`css/${page.id}.css`))}">
+</head>
+<body>
+${header ? `<header class="${NAV_MENUS.header}">${header}</header>\n` : ''}<main>
+${body}
+</main>
+${footer ? `<footer class="${NAV_MENUS.footer}">${footer}</footer>\n` : ''}</body>
+</html>
+`;
+      files.push({ name: file, data: html });
+      return { pageId: page.id, name: title, file, path: pathOf.get(page.id) || null };
+    });
+
+    // Without a home page the root lists the pages
+    if (!homePageId) {
+      const items = rendered.map(({ name, file }) => `<li><a${attrs({ href: file })}>${escapeHtml(name)}</a></li>`).join('\n');
+      files.push({
+        name: 'index.html',
+        data: `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(appName)}</title>
+<link rel="stylesheet" href="css/site.css">
+</head>
+<body>
+<main>
+<h1>${escapeHtml(appName)}</h1>
+<ul>
+${items}
+</ul>
+</main>
+</body>
+</html>
+`
+      });
+    }
+
+    const manifest = {
+      app: appPrefix,
+      environment,
+      version,
+      exportedAt: new Date().toISOString(),
+      homePageId,
+      formAction,
+      pages: rendered,
+      assets: [...new Set(assets.values())],
+      warnings
+    };
+    files.push({ name: MANIFEST_ENTRY, data: JSON.stringify(manifest, null, 2) });
+    return { files, manifest };
+  }
+};
+
+export default staticSiteService;
@@ -0,0 +1,52 @@
+/**
+ * storageAdapter.js
+ * -----------------
+ * Single entry point for persistence. Controllers and services obtain their
+ * database, Storage bucket and Auth handles from here instead of importing
+ * the Firebase config modules directly.
+ *
+ * Backend is chosen by STORAGE_BACKEND (see config/storageConfig.js):
+ * - "firestore": live Firebase project (named DBs "jayram" / "mudumbai")
+ * - "local":     in-memory store with optional JSON-on-disk persistence
+ *
+ * Both backends expose the same Firestore-shaped surface:
+ *   db.collection(path) -> where / orderBy / limit / offset / startAfter / get
+ *                          doc(id?) / add(data) / listDocuments()
+ *   docRef              -> get / set(data, { merge }) / create / update / delete
+ *                          collection(sub) / listCollections()
+ *   db.batch()          -> set / create / update / delete / commit
+ *   db.runTransaction(fn)
+ *   db.listCollections()
+ */
+
+import { storageConfig } from '../config/storageConfig.js';
+import { createLocalAdapter } from './adapters/localAdapter.js';
+import logger from './loggerService.js';
+
+async function createAdapter() {
+  if (storageConfig.backend === 'local') {
+    logger.info(
+      `[storageAdapter] Using local storage backend (${storageConfig.localDir ? `persisted to ${storageConfig.localDir}` : 'in-memory'})`
+    );
+    return createLocalAdapter({ localDir: storageConfig.localDir, bucketName: storageConfig.bucketName });
+  }
+
+  const { createFirestoreAdapter } = await import('./adapters/firestoreAdapter.js');
+  logger.info('[storageAdapter] Using Firestore storage backend');
+  return createFirestoreAdapter({ bucketName: storageConfig.bucketName });
+}
+
+const adapter = await createAdapter();
+
+export const storageBackend = adapter.name;
+
+/**
+ * @param {string} dbName - "jayram" (app data), "mudumbai" (users & memberships) or "default"
+ */
+export const getDb = (dbName = 'jayram') => adapter.getDb(dbName);
+
+export const getBucket = () => adapter.getBucket();
+
+export const getAuth = () => adapter.getAuth();
+
+export default { storageBackend, getDb, getBucket, getAuth };
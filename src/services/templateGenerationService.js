@@ -2,6 +2,8 @@
  * templateGenerationService.js
  * Template-based page JSON generation (without OpenAI)
  * Uses predefined templates and content mapping
+ * Container entries ({ type: 'container', layout, children }) generate
+ * nested component trees
  */
 
 import fs from 'fs';
@@ -15,6 +17,10 @@ const __dirname = path.dirname(__filename);
 // Load templates
 let templates = null;
 
+// Component templates including those nested in containers
+const flattenTemplates = (components = []) =>
+  components.flatMap(c => [c, ...flattenTemplates(c.type === 'container' ? c.children : [])]);
+
 const loadTemplates = () => {
   if (!templates) {
     const templatePath = path.join(__dirname, '../templates/pageTemplates.json');
@@ -57,8 +63,8 @@ export const TemplateGenerationService = {
         id: page.id,
         name: page.name,
         layoutId: page.layoutId,
-        componentCount: page.components.length,
-        componentTypes: page.components.map(c => c.type)
+        componentCount: flattenTemplates(page.components).length,
+        componentTypes: flattenTemplates(page.components).map(c => c.type)
       }))
     };
   },
@@ -108,7 +114,15 @@ export const TemplateGenerationService = {
    * Generate components for a page based on template
    */
   generateComponentsForPage(pageTemplate, appName, content, timestamp) {
-    return pageTemplate.components.map((compTemplate, index) => {
+    return this.generateComponents(pageTemplate.components, appName, content, timestamp);
+  },
+
+  /**
+   * Generate components from component templates; containers get their
+   * children generated as nested components
+   */
+  generateComponents(compTemplates, appName, content, timestamp) {
+    return compTemplates.map((compTemplate) => {
       const compId = `comp_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
       
       return {
@@ -119,11 +133,16 @@ export const TemplateGenerationService = {
         createdAt: timestamp,
         updatedAt: timestamp,
         commonAttrs: this.getCommonAttrs(compTemplate.type),
-        specificAttrs: this.getSpecificAttrs(
-          compTemplate.type,
-          compTemplate,
-          content
-        )
+        specificAttrs: compTemplate.type === 'container'
+          ? {
+            layout: compTemplate.layout || 'column',
+            children: this.generateComponents(compTemplate.children || [], appName, content, timestamp)
+          }
+          : this.getSpecificAttrs(
+            compTemplate.type,
+            compTemplate,
+            content
+          )
       };
     });
   },
@@ -133,6 +152,7 @@ export const TemplateGenerationService = {
    */
   getComponentName(role, type) {
     const names = {
+      'hero': 'Hero Section',
       'hero-headline': 'Hero Headline',
       'hero-subheading': 'Hero Subheading',
       'hero-description': 'Hero Description',
@@ -209,6 +229,16 @@ export const TemplateGenerationService = {
         borderRadius: "6",
         boxShadow: "0 1px 3px rgba(0,0,0,0.1)"
       },
+      container: {
+        ...base,
+        paddingTop: "0",
+        paddingBottom: "0",
+        paddingLeft: "0",
+        paddingRight: "0",
+        marginBottom: "0",
+        borderRadius: "0",
+        boxShadow: "none"
+      },
       image: {
         ...base,
         paddingTop: "0",
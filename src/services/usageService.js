@@ -0,0 +1,211 @@
+/**
+ * usageService.js
+ * ---------------
+ * Where components, actions, validations and assets are used.
+ *
+ * Pages, library components and processes (the sources) are scanned for
+ * references when they are saved; the result is kept per environment in
+ * `${prefix}_usages`, one document per source that references anything:
+ *
+ *   { sourceType: 'page' | 'component' | 'process', sourceId, name,
+ *     keys: ['component:site_header', 'action:openurl_1', ...],
+ *     references: [{ type, id, path }], indexedAt }
+ *
+ * What counts as a reference (anywhere in the source, at any depth):
+ * - component:  libraryComponentId, and process step content
+ *               { type: 'component', contentId }
+ * - action:     actionId, and the ids in preActions / postActions / finalActions
+ * - validation: validationId
+ * - asset:      assetId and any key ending in AssetId (e.g. seo.ogImageAssetId)
+ *
+ * The index is rebuilt from the sources by rebuild() (on demand, and after
+ * promotions and rollbacks, which write many documents at once). Assets
+ * belong to the app rather than an environment, so their usages are looked
+ * up in every environment.
+ */
+import { getDb } from './storageAdapter.js';
+import { environmentService, ENVIRONMENTS } from './environmentService.js';
+import { AppError } from '../utils/errorHandler.js';
+import logger from './loggerService.js';
+
+const jayramDb = getDb('jayram');
+
+const SENTINEL_ID = '_init';
+const BATCH_SIZE = 400;
+
+export const USAGE_TARGET_TYPES = ['component', 'action', 'validation', 'asset'];
+
+// Source type -> collection kind it is read from
+const SOURCES = { page: 'pages', component: 'components', process: 'processes' };
+
+const REFERENCE_KEYS = { libraryComponentId: 'component', actionId: 'action', validationId: 'validation', assetId: 'asset' };
+const ACTION_LISTS = new Set(['preActions', 'postActions', 'finalActions']);
+
+const isPlainObject = (value) =>
+  value !== null && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype;
+
+const isId = (value) => typeof value === 'string' && value.trim() !== '';
+
+const typeOfKey = (key) => REFERENCE_KEYS[key] || (/AssetId$/.test(key) ? 'asset' : null);
+
+const usageKey = (type, id) => `${type}:${id}`;
+const indexDocId = (sourceType, sourceId) => `${sourceType}:${sourceId}`;
+
+const nameOf = (data, sourceId) => (data && (data.name || data.label)) || sourceId;
+
+function collectReferences(value, path, found) {
+  if (Array.isArray(value)) {
+    value.forEach((item, i) => collectReferences(item, `${path}[${i}]`, found));
+    return;
+  }
+  if (!isPlainObject(value)) return;
+
+  if (value.type === 'component' && isId(value.contentId)) found.push({ type: 'component', id: value.contentId, path: `${path}.contentId` });
+  Object.entries(value).forEach(([key, child]) => {
+    const childPath = `${path}.${key}`;
+    const type = typeOfKey(key);
+    if (type && isId(child)) {
+      found.push({ type, id: child, path: childPath });
+      return;
+    }
+    if (ACTION_LISTS.has(key) && Array.isArray(child)) {
+      child.forEach((item, i) => {
+        if (isId(item)) found.push({ type: 'action', id: item, path: `${childPath}[${i}]` });
+      });
+    }
+    collectReferences(child, childPath, found);
+  });
+}
+
+export const usageService = {
+  collection(appPrefix, environment) {
+    return jayramDb.collection(environmentService.collectionName(appPrefix, 'usages', environment));
+  },
+
+  /**
+   * References a source document makes (a component never counts as using itself).
+   * @returns {{ type, id, path }[]}
+   */
+  referencesOf(sourceType, sourceId, data) {
+    const found = [];
+    collectReferences(data, '$', found);
+    return found.filter((ref) => !(sourceType === 'component' && ref.type === 'component' && ref.id === sourceId));
+  },
+
+  entryFor(sourceType, sourceId, data) {
+    const references = this.referencesOf(sourceType, sourceId, data);
+    if (!references.length) return null;
+    return {
+      sourceType,
+      sourceId,
+      name: nameOf(data, sourceId),
+      keys: [...new Set(references.map((ref) => usageKey(ref.type, ref.id)))],
+      references,
+      indexedAt: new Date().toISOString()
+    };
+  },
+
+  /**
+   * Re-index one source after it was saved. The save has already happened,
+   * so a failure is logged rather than thrown; rebuild() repairs the index.
+   */
+  async indexSource(appPrefix, environment, sourceType, sourceId, data) {
+    try {
+      const ref = this.collection(appPrefix, environment).doc(indexDocId(sourceType, sourceId));
+      const entry = this.entryFor(sourceType, sourceId, data);
+      if (entry) await ref.set(entry);
+      else await ref.delete();
+    } catch (err) {
+      logger.warn(`[usageService] Could not index ${sourceType} ${appPrefix}/${sourceId}: ${err.message}`);
+    }
+  },
+
+  async removeSource(appPrefix, environment, sourceType, sourceId) {
+    await this.indexSource(appPrefix, environment, sourceType, sourceId, null);
+  },
+
+  /**
+   * Sources that reference `type`/`id`, in one environment or (assets)
+   * in all of them.
+   * @returns {Promise<{ sourceType, sourceId, name, environment, paths: string[] }[]>}
+   */
+  async usagesOf(appPrefix, environment, type, id) {
+    if (!USAGE_TARGET_TYPES.includes(type)) {
+      throw new AppError(`type must be one of: ${USAGE_TARGET_TYPES.join(', ')}`, 400, { type });
+    }
+    const environments = type === 'asset' ? ENVIRONMENTS : [environment];
+    const key = usageKey(type, id);
+    const usages = [];
+    for (const env of environments) {
+      const snap = await this.collection(appPrefix, env).where('keys', 'array-contains', key).get();
+      snap.docs.forEach((doc) => {
+        const { sourceType, sourceId, name, references = [] } = doc.data();
+        usages.push({
+          sourceType,
+          sourceId,
+          name,
+          environment: env,
+          paths: references.filter((ref) => ref.type === type && ref.id === id).map((ref) => ref.path)
+        });
+      });
+    }
+    return usages.sort((a, b) =>
+      `${a.environment}/${a.sourceType}/${a.sourceId}`.localeCompare(`${b.environment}/${b.sourceType}/${b.sourceId}`)
+    );
+  },
+
+  /**
+   * 409 with the referencing items while `type`/`id` is in use, unless force.
+   * @returns {Promise<object[]>} the usages (those a forced delete leaves dangling)
+   */
+  async assertUnused(appPrefix, environment, type, id, { force = false } = {}) {
+    const usages = await this.usagesOf(appPrefix, environment, type, id);
+    if (usages.length && !force) {
+      const label = type.charAt(0).toUpperCase() + type.slice(1);
+      throw new AppError(`${label} is still used by ${usages.length} item(s); pass force=true to delete it anyway`, 409, {
+        type,
+        id,
+        usageCount: usages.length,
+        usages
+      });
+    }
+    return usages;
+  },
+
+  /**
+   * Recompute the index of an environment from its pages, components and
+   * processes; entries of sources that no longer exist are dropped.
+   * @returns {Promise<{ environment, sources: number, indexed: number, removed: number }>}
+   */
+  async rebuild(appPrefix, environment) {
+    const entries = new Map();
+    let sources = 0;
+    for (const [sourceType, kind] of Object.entries(SOURCES)) {
+      const snap = await jayramDb.collection(environmentService.collectionName(appPrefix, kind, environment)).get();
+      snap.docs
+        .filter((doc) => doc.id !== SENTINEL_ID)
+        .forEach((doc) => {
+          sources += 1;
+          const entry = this.entryFor(sourceType, doc.id, doc.data());
+          if (entry) entries.set(indexDocId(sourceType, doc.id), entry);
+        });
+    }
+
+    const collection = this.collection(appPrefix, environment);
+    const stale = (await collection.get()).docs.map((doc) => doc.id).filter((id) => id !== SENTINEL_ID && !entries.has(id));
+    const writes = [
+      ...[...entries].map(([id, entry]) => (batch) => batch.set(collection.doc(id), entry)),
+      ...stale.map((id) => (batch) => batch.delete(collection.doc(id)))
+    ];
+    for (let i = 0; i < writes.length; i += BATCH_SIZE) {
+      const batch = jayramDb.batch();
+      writes.slice(i, i + BATCH_SIZE).forEach((write) => write(batch));
+      await batch.commit();
+    }
+
+    logger.info(`[usageService] Rebuilt usage index of ${appPrefix} (${environment}): ${entries.size} of ${sources} sources reference something`);
+    return { environment, sources, indexed: entries.size, removed: stale.length };
+  }
+};
+
+export default usageService;
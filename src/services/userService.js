@@ -1,8 +1,12 @@
 // 🔧 fixed/updated by ChatGPT on 2025-10-18 00:12:00 – reason: centralize user CRUD in MUDUMBAI DB (users collection), support role & app membership (app_users) (START)
-import { mudumbaiDb } from '../config/firebaseAdmin.js';
+import { getDb } from './storageAdapter.js';
+import { toAppPrefix } from './accessService.js';
+import { membershipService } from './membershipService.js';
+
+const mudumbaiDb = getDb('mudumbai');
 
 const USERS_COLLECTION = 'users';
-const APP_USERS_COLLECTION = 'app_users'; // mapping: { appId/appName, uid, role }
+const APP_USERS_COLLECTION = 'app_users'; // mapping: { appPrefix, uid, role }
 
 export const userService = {
   async getUserByUid(uid) {
@@ -51,20 +55,8 @@ export const userService = {
   },
 
   async upsertAppMembership({ appName, uid, role }) {
-    // id format: `${appName}_${uid}`
-    const id = `${appName}__${uid}`;
-    const now = new Date().toISOString();
-    const doc = {
-      appName,
-      uid,
-      role,
-      updatedAt: now,
-      ...(await mudumbaiDb.collection(APP_USERS_COLLECTION).doc(id).get()).exists
-        ? {}
-        : { createdAt: now },
-    };
-    await mudumbaiDb.collection(APP_USERS_COLLECTION).doc(id).set(doc, { merge: true });
-    return { id, ...doc };
+    // Same key format as membershipService: `${appPrefix}__${uid}`
+    return membershipService.upsertMember({ appPrefix: toAppPrefix(appName), uid, role });
   },
 };
 // 🔧 fixed/updated by ChatGPT on 2025-10-18 00:12:00 (END)
@@ -0,0 +1,114 @@
+/**
+ * Archiving, restoring and purging apps: an archived app is hidden and
+ * read-only until it is restored, and is only deleted permanently once
+ * archived (right away on request, or by the retention purge).
+ */
+import { getDb } from '../../services/storageAdapter.js';
+import { appDeletionService } from '../../services/appDeletionService.js';
+import { api, auth, signup, createApp, addMember } from './helpers.js';
+
+const jayramDb = getDb('jayram');
+
+let owner;
+let editor;
+
+const appNames = async (path) => {
+  const res = await api.get(path).set(auth(owner));
+  expect(res.status).toBe(200);
+  return res.body.data.map((app) => app.appName);
+};
+
+const savePage = (appName, pageName) => api.post('/api/pages').set(auth(owner))
+  .send({ appName, pageName, pageData: { components: [] } });
+
+async function waitForJob(jobId) {
+  for (let i = 0; i < 100; i += 1) {
+    const res = await api.get(`/api/app/jobs/${jobId}`).set(auth(owner));
+    if (['completed', 'failed'].includes(res.body.data.status)) return res.body.data;
+    await new Promise((resolve) => setTimeout(resolve, 10));
+  }
+  throw new Error(`job ${jobId} did not finish`);
+}
+
+beforeAll(async () => {
+  owner = await signup();
+  await createApp(owner, 'Shop');
+  await createApp(owner, 'Blog');
+  editor = await addMember(owner, 'Shop', 'editor');
+  await savePage('Shop', 'Home');
+});
+
+describe('archive and restore', () => {
+  test('only the owner can archive', async () => {
+    expect((await api.delete('/api/app/shop').set(auth(editor))).status).toBe(403);
+  });
+
+  test('an archived app is hidden, readable and read-only', async () => {
+    const res = await api.delete('/api/app/shop').set(auth(owner));
+    expect(res.status).toBe(200);
+    expect(res.body.data).toMatchObject({ status: 'archived', archivedBy: owner });
+    expect(Date.parse(res.body.data.purgeAfter)).toBeGreaterThan(Date.parse(res.body.data.archivedAt));
+
+    expect(await appNames('/api/app/list')).not.toContain('Shop');
+    expect(await appNames('/api/app/archived')).toContain('Shop');
+
+    expect((await api.get('/api/pages/shop/home').set(auth(editor))).status).toBe(200);
+    expect((await savePage('Shop', 'About')).status).toBe(409);
+    expect((await api.delete('/api/app/shop').set(auth(owner))).status).toBe(409);
+  });
+
+  test('restoring makes the app writable again', async () => {
+    const res = await api.post('/api/app/shop/restore').set(auth(owner));
+    expect(res.status).toBe(200);
+    expect(res.body.data).toMatchObject({ status: 'active', archivedAt: null, purgeAfter: null });
+
+    expect(await appNames('/api/app/list')).toContain('Shop');
+    expect((await savePage('Shop', 'About')).status).toBe(201);
+    expect((await api.post('/api/app/shop/restore').set(auth(owner))).status).toBe(409);
+  });
+});
+
+describe('permanent delete', () => {
+  test('needs the app to be archived first', async () => {
+    const res = await api.delete('/api/app/blog?permanent=true').set(auth(owner));
+    expect(res.status).toBe(409);
+  });
+
+  test('a dry run only reports the plan', async () => {
+    await savePage('Blog', 'Home');
+    const res = await api.delete('/api/app/blog?permanent=true&dryRun=true').set(auth(owner));
+    expect(res.status).toBe(200);
+    expect(res.body.data.plan.collections.map((c) => c.name)).toContain('blog_pages');
+    expect((await jayramDb.collection('apps_meta').doc('blog').get()).exists).toBe(true);
+  });
+
+  test('runs the cascade as a job', async () => {
+    await api.delete('/api/app/blog').set(auth(owner));
+    const res = await api.delete('/api/app/blog?permanent=true').set(auth(owner));
+    expect(res.status).toBe(202);
+
+    const job = await waitForJob(res.body.data.job.id);
+    expect(job.status).toBe('completed');
+    expect((await jayramDb.collection('apps_meta').doc('blog').get()).exists).toBe(false);
+    expect((await jayramDb.collection('blog_pages').doc('home').get()).exists).toBe(false);
+  });
+});
+
+describe('retention purge', () => {
+  test('deletes apps archived for longer than the retention window', async () => {
+    await createApp(owner, 'Old');
+    await createApp(owner, 'Recent');
+    await api.delete('/api/app/old').set(auth(owner));
+    await api.delete('/api/app/recent').set(auth(owner));
+    await jayramDb.collection('apps_meta').doc('old').update({ archivedAt: '2020-01-01T00:00:00.000Z' });
+
+    const preview = await appDeletionService.purgeArchivedApps({ retentionDays: 30, dryRun: true });
+    expect(preview.purged).toEqual(['old']);
+    expect((await jayramDb.collection('apps_meta').doc('old').get()).exists).toBe(true);
+
+    const summary = await appDeletionService.purgeArchivedApps({ retentionDays: 30 });
+    expect(summary).toMatchObject({ purged: ['old'], pending: ['recent'], failed: [] });
+    expect((await jayramDb.collection('apps_meta').doc('old').get()).exists).toBe(false);
+    expect((await jayramDb.collection('apps_meta').doc('recent').get()).data().status).toBe('archived');
+  });
+});
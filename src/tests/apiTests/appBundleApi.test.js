@@ -0,0 +1,104 @@
+/**
+ * App export and import: a round trip keeps the app's own content, and a
+ * crafted bundle cannot write outside the app it is imported into.
+ */
+import { getDb, getBucket } from '../../services/storageAdapter.js';
+import { api, auth, signup, createApp } from './helpers.js';
+
+const jayramDb = getDb('jayram');
+
+const put = (collection, id, data) => jayramDb.collection(collection).doc(id).set(data);
+const get = async (collection, id) => (await jayramDb.collection(collection).doc(id).get()).data();
+
+let owner;
+let attacker;
+
+const exportBundle = async (appName) => {
+  const res = await api.get(`/api/app/${appName}/export?includeRecords=true&includeFiles=true`).set(auth(owner));
+  expect(res.status).toBe(200);
+  return res.body;
+};
+
+const importBundle = (uid, bundle, appName) =>
+  api.post('/api/app/import').set(auth(uid)).send({ bundle, appName });
+
+beforeAll(async () => {
+  owner = await signup();
+  attacker = await signup();
+  await createApp(owner, 'Shop');
+  await createApp(owner, 'Victim');
+
+  await put('shop_pages', 'home', { title: 'Home' });
+  await put('shop_data_schemas', 'schema_orders', { displayName: 'Orders', internalName: 'shop_data_1a2b3c4d_orders' });
+  await put('shop_data_1a2b3c4d_orders', 'rec_1', { total: 5 });
+  await put('shop_assets', 'logo', { path: 'apps/shop/logo.png' });
+  await put('shop_notes', 'n1', { text: 'not a kind apps own' });
+  await getBucket().file('apps/shop/logo.png').save(Buffer.from('logo'));
+  await getBucket().file('apps/victim/secret.png').save(Buffer.from('secret'));
+});
+
+describe('export', () => {
+  test('contains only the app\'s own collections, records and files', async () => {
+    const bundle = await exportBundle('shop');
+    expect(Object.keys(bundle.collections).sort()).toEqual(['assets', 'components', 'data_schemas', 'layouts', 'pages', 'theme']);
+    expect(bundle.records).toEqual({ schema_orders: [{ id: 'rec_1', data: { total: 5 } }] });
+    expect(bundle.files.map((file) => file.path)).toEqual(['apps/shop/logo.png']);
+  });
+});
+
+describe('import', () => {
+  test('round-trips into a new app with new table names', async () => {
+    const res = await importBundle(owner, await exportBundle('shop'), 'Shop Copy');
+    expect(res.status).toBe(201);
+
+    expect(await get('shopcopy_pages', 'home')).toEqual({ title: 'Home' });
+    const schema = await get('shopcopy_data_schemas', 'schema_orders');
+    expect(schema.internalName).toMatch(/^shopcopy_data_[0-9a-f]{8}_orders$/);
+    expect(await get(schema.internalName, 'rec_1')).toEqual({ total: 5 });
+    expect((await getBucket().file('apps/shopcopy/logo.png').exists())[0]).toBe(true);
+  });
+
+  test('gives every table a new name even when the prefix is unchanged', async () => {
+    const bundle = await exportBundle('shop');
+    bundle.app.appPrefix = 'mine';
+    bundle.collections.data_schemas[0].data.internalName = 'apps_meta';
+    bundle.records = { schema_orders: [{ id: 'victim', data: { createdBy: 'attacker', status: 'active' } }] };
+
+    const res = await importBundle(attacker, bundle, 'Mine');
+    expect(res.status).toBe(201);
+
+    expect(await get('apps_meta', 'victim')).toMatchObject({ createdBy: owner });
+    const schema = await get('mine_data_schemas', 'schema_orders');
+    expect(schema.internalName).toMatch(/^mine_data_[0-9a-f]{8}_orders$/);
+    expect(await get(schema.internalName, 'victim')).toEqual({ createdBy: 'attacker', status: 'active' });
+  });
+
+  test('rejects collections an app cannot own', async () => {
+    const bundle = await exportBundle('shop');
+    bundle.collections.meta = [{ id: 'victim', data: { createdBy: 'attacker' } }];
+
+    const res = await importBundle(attacker, bundle, 'Other');
+    expect(res.status).toBe(422);
+    expect(res.body.details.collections).toEqual(['meta']);
+    expect(await get('apps_meta', 'other')).toBeUndefined();
+  });
+
+  test.each([
+    'apps/x/../victim/secret.png',
+    'apps/x/./logo.png',
+    '/apps/victim/secret.png',
+    'apps/x//logo.png'
+  ])('rejects the file path %s', async (filePath) => {
+    const bundle = await exportBundle('shop');
+    bundle.files = [{ path: filePath, content: Buffer.from('evil').toString('base64'), included: true }];
+
+    const res = await importBundle(attacker, bundle, 'Other');
+    expect(res.status).toBe(422);
+    expect((await getBucket().file('apps/victim/secret.png').download())[0].toString()).toBe('secret');
+  });
+
+  test('rejects reserved app names', async () => {
+    const res = await importBundle(attacker, await exportBundle('shop'), 'Apps');
+    expect(res.status).toBe(400);
+  });
+});
@@ -0,0 +1,104 @@
+/**
+ * Authentication of /api routes (verifyToken / authenticate) and the
+ * platform-admin user endpoints.
+ */
+import { api, auth, signup } from './helpers.js';
+import { setTokenVerifier, resetTokenVerifier } from '../../api/middleware/verifyToken.js';
+import { getDb } from '../../services/storageAdapter.js';
+import { PLATFORM_ADMIN_ROLE } from '../../config/roles.js';
+
+let uid;
+
+beforeAll(async () => {
+  uid = await signup('member@test.dev');
+});
+
+afterEach(() => {
+  resetTokenVerifier();
+});
+
+describe('public routes', () => {
+  test('sign-up, the ping route and /health need no token', async () => {
+    expect((await api.post('/api/auth/signup').send({ email: 'new@test.dev', password: 'secret123' })).status).toBe(201);
+    expect((await api.get('/api/collection/ping')).status).toBe(200);
+    expect((await api.get('/health')).status).toBe(200);
+  });
+
+  test('only the listed method is public', async () => {
+    expect((await api.get('/api/auth/signup')).status).toBe(401);
+  });
+});
+
+describe('bearer tokens', () => {
+  test('a missing token is rejected', async () => {
+    const res = await api.post('/api/auth/login');
+    expect(res.status).toBe(401);
+    expect(res.body.message).toMatch(/missing Bearer token/);
+  });
+
+  test.each([
+    ['another scheme', 'Basic local:x'],
+    ['no token', 'Bearer'],
+    ['an unknown user', 'Bearer local:nobody'],
+    ['a token that is not local:<uid>', 'Bearer abc.def.ghi']
+  ])('%s is rejected', async (_label, header) => {
+    expect((await api.post('/api/auth/login').set('Authorization', header)).status).toBe(401);
+  });
+
+  test('a local:<uid> token identifies the user', async () => {
+    const res = await api.post('/api/auth/login').set(auth(uid));
+    expect(res.status).toBe(200);
+    expect(res.body.data).toMatchObject({ uid, email: 'member@test.dev' });
+  });
+
+  test('the identity comes from the token, never the body', async () => {
+    const other = await signup();
+    const res = await api.post('/api/auth/login').set(auth(uid)).send({ uid: other });
+    expect(res.body.data.uid).toBe(uid);
+  });
+
+  test('a swapped verifier decides instead of the storage backend', async () => {
+    setTokenVerifier(async (token) => (token === 'test-token' ? { uid, email: 'member@test.dev' } : null));
+
+    expect((await api.post('/api/auth/login').set('Authorization', 'Bearer test-token')).status).toBe(200);
+    expect((await api.post('/api/auth/login').set('Authorization', 'Bearer other')).status).toBe(401);
+    expect((await api.post('/api/auth/login').set(auth(uid))).status).toBe(401);
+
+    resetTokenVerifier();
+    expect((await api.post('/api/auth/login').set(auth(uid))).status).toBe(200);
+  });
+
+  test('a verifier that throws answers 401', async () => {
+    setTokenVerifier(async () => {
+      throw new Error('token expired');
+    });
+    const res = await api.post('/api/auth/login').set(auth(uid));
+    expect(res.status).toBe(401);
+    expect(res.body.message).toBe('token expired');
+  });
+});
+
+describe('user administration', () => {
+  let admin;
+
+  beforeAll(async () => {
+    admin = await signup('admin@test.dev');
+    await getDb('mudumbai').collection('users').doc(admin).update({ role: PLATFORM_ADMIN_ROLE });
+  });
+
+  test('other users may not list users or change roles', async () => {
+    expect((await api.get('/api/auth/users').set(auth(uid))).status).toBe(403);
+    expect((await api.patch(`/api/auth/${uid}/role`).set(auth(uid)).send({ role: PLATFORM_ADMIN_ROLE })).status).toBe(403);
+    expect((await getDb('mudumbai').collection('users').doc(uid).get()).data().role).toBe('appAdmin');
+  });
+
+  test('platform admins list users and change roles', async () => {
+    const list = await api.get('/api/auth/users').set(auth(admin));
+    expect(list.status).toBe(200);
+    expect(list.body.data.map((user) => user.id)).toEqual(expect.arrayContaining([uid, admin]));
+
+    const res = await api.patch(`/api/auth/${uid}/role`).set(auth(admin)).send({ role: 'designer' });
+    expect(res.status).toBe(200);
+    expect((await getDb('mudumbai').collection('users').doc(uid).get()).data().role).toBe('designer');
+  });
+});
@@ -0,0 +1,91 @@
+/**
+ * Linked library components: pages point at a component of the app's
+ * library, reads can resolve them with the page's overrides, publishing
+ * freezes them, library saves report the pages they reach, and an instance
+ * can be detached into a plain copy.
+ */
+import { api, auth, signup, createApp } from './helpers.js';
+
+let owner;
+
+const saveHeader = (title, extra = {}) => api.post('/api/components').set(auth(owner)).send({
+  componentData: { id: 'site_header', type: 'card', name: 'Header', appName: 'Shop', specificAttrs: { title, description: 'Since 1990' } },
+  ...extra
+});
+
+const instance = (id, overrides) => ({ id, libraryComponentId: 'site_header', ...(overrides ? { overrides } : {}) });
+
+const savePage = (pageName, components) => api.post('/api/pages').set(auth(owner))
+  .send({ appName: 'Shop', pageName, pageData: { components } });
+
+const getPage = async (pageId, query = '') => (await api.get(`/api/pages/shop/${pageId}${query}`).set(auth(owner))).body.data;
+
+beforeAll(async () => {
+  owner = await signup();
+  await createApp(owner, 'Shop');
+  expect((await saveHeader('Coffee')).status).toBe(201);
+});
+
+describe('saving pages with linked components', () => {
+  test('stores the reference and resolves it on request', async () => {
+    expect((await savePage('Home', [instance('hdr')])).status).toBe(201);
+    expect((await savePage('About', [instance('hdr', { specificAttrs: { title: 'About us' } })])).status).toBe(201);
+
+    const stored = (await getPage('home')).components[0];
+    expect(stored).toEqual({ id: 'hdr', libraryComponentId: 'site_header' });
+
+    const resolved = (await getPage('about', '?resolve=true')).components[0];
+    expect(resolved).toMatchObject({ id: 'hdr', type: 'card', libraryComponentId: 'site_header', specificAttrs: { title: 'About us', description: 'Since 1990' } });
+  });
+
+  test('refuses links to missing components and invalid overrides', async () => {
+    const missing = await savePage('Broken', [{ id: 'x', libraryComponentId: 'nope' }]);
+    expect(missing.status).toBe(422);
+    const invalid = await api.post('/api/pages').set(auth(owner)).send({
+      appName: 'Shop', pageName: 'Broken', validationMode: 'strict',
+      pageData: { components: [instance('hdr', { specificAttrs: { title: 42 } })] }
+    });
+    expect(invalid.status).toBe(422);
+  });
+});
+
+describe('library changes', () => {
+  test('a dry run reports the linked pages without saving', async () => {
+    const res = await saveHeader('Coffee & tea', { dryRun: true });
+    expect(res.status).toBe(200);
+    expect(res.body.data.propagation).toMatchObject({ libraryComponentId: 'site_header', pageCount: 2, changedPageCount: 1 });
+    // The About page overrides the title, so it does not change
+    const changed = Object.fromEntries(res.body.data.propagation.pages.map((page) => [page.pageId, page.changed]));
+    expect(changed).toEqual({ home: true, about: false });
+    expect((await getPage('home', '?resolve=true')).components[0].specificAttrs.title).toBe('Coffee');
+  });
+
+  test('live pages keep what they were published with', async () => {
+    expect((await api.post('/api/pages/shop/home/publish').set(auth(owner))).status).toBe(200);
+
+    const res = await saveHeader('Coffee & tea');
+    expect(res.status).toBe(201);
+    expect(res.body.data.propagation.pages.find((page) => page.pageId === 'home')).toMatchObject({ changed: true, published: true });
+
+    expect((await getPage('home', '?resolve=true')).components[0].specificAttrs.title).toBe('Coffee & tea');
+    expect((await getPage('home', '?version=published')).components[0].specificAttrs.title).toBe('Coffee');
+  });
+});
+
+describe('detach', () => {
+  test('turns an instance into a copy that library edits no longer reach', async () => {
+    const res = await api.post('/api/pages/shop/about/components/hdr/detach').set(auth(owner)).send({});
+    expect(res.status).toBe(200);
+    expect(res.body.data).toMatchObject({ libraryComponentId: 'site_header', revision: 2 });
+
+    await saveHeader('Tea only');
+    const component = (await getPage('about', '?resolve=true')).components[0];
+    expect(component.libraryComponentId).toBeUndefined();
+    expect(component.specificAttrs).toMatchObject({ title: 'About us', description: 'Since 1990' });
+  });
+
+  test('needs a linked component', async () => {
+    expect((await api.post('/api/pages/shop/about/components/hdr/detach').set(auth(owner)).send({})).status).toBe(400);
+    expect((await api.post('/api/pages/shop/about/components/nope/detach').set(auth(owner)).send({})).status).toBe(404);
+  });
+});
@@ -0,0 +1,95 @@
+/**
+ * Component packs: publishing an app's components (editors only), installing
+ * them into another app and updating installs to a new pack version.
+ */
+import { api, auth, signup, createApp, addMember } from './helpers.js';
+
+let owner;
+let editor;
+let viewer;
+
+const saveComponent = (appName, id, content) => api.post('/api/components').set(auth(owner)).send({
+  componentData: { id, type: 'text', name: id, appName, specificAttrs: { content, variant: 'p' } }
+});
+
+const publishComponent = (id) =>
+  api.post(`/api/components/${id}/publish`).set(auth(owner)).send({ appName: 'Shop', bump: 'minor' });
+
+const publishPack = (uid, body) => api.post('/api/packs').set(auth(uid)).send({ appName: 'Shop', ...body });
+
+const install = (appName, body = {}) =>
+  api.post(`/api/app/${appName}/packs/marketing-kit/install`).set(auth(owner)).send(body);
+
+beforeAll(async () => {
+  owner = await signup();
+  await createApp(owner, 'Shop');
+  await createApp(owner, 'Blog');
+  editor = await addMember(owner, 'Shop', 'editor');
+  viewer = await addMember(owner, 'Shop', 'viewer');
+
+  expect((await saveComponent('Shop', 'card', 'v1')).status).toBe(201);
+  expect((await publishComponent('card')).status).toBe(201);
+});
+
+describe('publishing a pack', () => {
+  test('needs the right to edit the app\'s components', async () => {
+    const res = await publishPack(viewer, { name: 'Viewer Kit', componentIds: ['card'] });
+    expect(res.status).toBe(403);
+    expect((await api.get('/api/packs/viewer-kit').set(auth(viewer))).status).toBe(404);
+  });
+
+  test('publishes the released components as version 1.0.0', async () => {
+    const res = await publishPack(editor, { name: 'Marketing Kit', componentIds: ['card'], tags: ['marketing'] });
+    expect(res.status).toBe(201);
+    expect(res.body.data).toMatchObject({ id: 'marketing-kit', version: '1.0.0', componentIds: ['card'] });
+
+    const list = await api.get('/api/packs?tag=marketing').set(auth(viewer));
+    expect(list.body.data.packs.map((pack) => pack.id)).toEqual(['marketing-kit']);
+  });
+
+  test('rejects unknown components and taken names', async () => {
+    expect((await publishPack(owner, { name: 'Other Kit', componentIds: ['missing'] })).status).toBe(404);
+    expect((await publishPack(owner, { name: 'Marketing Kit', componentIds: ['card'] })).status).toBe(409);
+  });
+});
+
+describe('installing and updating', () => {
+  test('copies the components into the app\'s library', async () => {
+    const res = await install('blog');
+    expect(res.status).toBe(200);
+    expect(res.body.data).toMatchObject({ version: '1.0.0', components: [{ id: 'card' }] });
+
+    const card = await api.get('/api/components/card?appName=Blog').set(auth(owner));
+    expect(card.body.data.specificAttrs.content).toBe('v1');
+  });
+
+  test('refuses to replace the app\'s own components without overwrite', async () => {
+    await createApp(owner, 'Docs');
+    await saveComponent('Docs', 'card', 'mine');
+
+    const res = await install('docs');
+    expect(res.status).toBe(409);
+    expect((await install('docs', { overwrite: true })).status).toBe(200);
+  });
+
+  test('a new version notifies the apps that installed an older one', async () => {
+    await saveComponent('Shop', 'card', 'v2');
+    await publishComponent('card');
+
+    const viewerUpdate = await api.put('/api/packs/marketing-kit').set(auth(viewer)).send({ appName: 'Shop', componentIds: ['card'] });
+    expect(viewerUpdate.status).toBe(403);
+
+    const res = await api.put('/api/packs/marketing-kit').set(auth(editor)).send({ appName: 'Shop', componentIds: ['card'] });
+    expect(res.status).toBe(200);
+    expect(res.body.data).toMatchObject({ previousVersion: '1.0.0', notified: 2, pack: { version: '1.1.0' } });
+
+    const notifications = await api.get('/api/app/blog/packs/notifications').set(auth(owner));
+    expect(notifications.body.data.notifications).toEqual([expect.objectContaining({ packId: 'marketing-kit', version: '1.1.0' })]);
+
+    expect((await install('blog')).body.data).toMatchObject({ version: '1.1.0', previousVersion: '1.0.0' });
+    const card = await api.get('/api/components/card?appName=Blog').set(auth(owner));
+    expect(card.body.data.specificAttrs.content).toBe('v2');
+    const installs = await api.get('/api/app/blog/packs').set(auth(owner));
+    expect(installs.body.data.installs[0]).toMatchObject({ installedVersion: '1.1.0', updateAvailable: false });
+  });
+});
@@ -0,0 +1,94 @@
+/**
+ * Component tree of a page: find a nested component, move a subtree, wrap
+ * siblings in a container and unwrap it again. Each change is a revision,
+ * and none may nest components deeper than the configured limit.
+ */
+import { pageValidationConfig } from '../../config/pageValidationConfig.js';
+import { api, auth, signup, createApp } from './helpers.js';
+
+let owner;
+
+const text = (id) => ({ id, type: 'text', name: id, specificAttrs: { content: id, variant: 'paragraph' } });
+const container = (id, children) => ({ id, type: 'container', name: id, specificAttrs: { layout: 'column', children } });
+
+const pageUrl = (pageId) => `/api/pages/shop/${pageId}`;
+
+const idsOf = (components) => components.map((component) =>
+  (component.type === 'container' ? { [component.id]: idsOf(component.specificAttrs.children) } : component.id));
+
+const tree = async () => idsOf((await api.get(pageUrl('home')).set(auth(owner))).body.data.components);
+
+const post = (path, body = {}, headers = {}) => api.post(`${pageUrl('home')}/components/${path}`).set(auth(owner)).set(headers).send(body);
+
+beforeAll(async () => {
+  owner = await signup();
+  await createApp(owner, 'Shop');
+  await api.post('/api/pages').set(auth(owner)).send({
+    appName: 'Shop',
+    pageName: 'Home',
+    pageData: { components: [text('title'), container('hero', [text('headline'), container('cta', [text('note')])]), text('footer')] }
+  });
+});
+
+describe('find', () => {
+  test('returns a nested component with its position', async () => {
+    const res = await api.get(`${pageUrl('home')}/components/note`).set(auth(owner));
+    expect(res.status).toBe(200);
+    expect(res.body.data).toMatchObject({ component: { id: 'note' }, parentId: 'cta', index: 0, depth: 3 });
+    expect((await api.get(`${pageUrl('home')}/components/nope`).set(auth(owner))).status).toBe(404);
+  });
+});
+
+describe('move', () => {
+  test('moves a component with its children, as a new revision', async () => {
+    const res = await post('cta/move', { parentId: null, index: 0 }, { 'If-Match': '"1"' });
+    expect(res.status).toBe(200);
+    expect(res.body.data).toMatchObject({ revision: 2, componentId: 'cta', parentId: null, index: 0 });
+    expect(await tree()).toEqual([{ cta: ['note'] }, 'title', { hero: ['headline'] }, 'footer']);
+  });
+
+  test('refuses stale revisions, non-containers and cycles', async () => {
+    expect((await post('title/move', { parentId: 'hero' }, { 'If-Match': '"1"' })).status).toBe(409);
+    expect((await post('title/move', { parentId: 'footer' })).status).toBe(400);
+    expect((await post('hero/move', { parentId: 'hero' })).status).toBe(400);
+  });
+});
+
+describe('wrap and unwrap', () => {
+  test('wrap puts siblings into a new container where the first one was', async () => {
+    const res = await post('wrap', { componentIds: ['footer', 'title'], container: { id: 'body', layout: 'row' } });
+    expect(res.status).toBe(201);
+    expect(res.body.data).toMatchObject({ component: { id: 'body', specificAttrs: { layout: 'row' } }, parentId: null, index: 1 });
+    expect(await tree()).toEqual([{ cta: ['note'] }, { body: ['title', 'footer'] }, { hero: ['headline'] }]);
+  });
+
+  test('wrap needs siblings and a free id', async () => {
+    expect((await post('wrap', { componentIds: ['note', 'headline'] })).status).toBe(400);
+    expect((await post('wrap', { componentIds: ['headline'], container: { id: 'cta' } })).status).toBe(409);
+    expect((await post('wrap', { componentIds: [] })).status).toBe(400);
+  });
+
+  test('unwrap puts the children in the container\'s place', async () => {
+    const res = await post('body/unwrap');
+    expect(res.status).toBe(200);
+    expect(res.body.data).toMatchObject({ containerId: 'body', parentId: null, childIds: ['title', 'footer'] });
+    expect(await tree()).toEqual([{ cta: ['note'] }, 'title', 'footer', { hero: ['headline'] }]);
+    expect((await post('title/unwrap')).status).toBe(400);
+  });
+});
+
+describe('depth limit', () => {
+  test('moves and wraps may not nest deeper than allowed', async () => {
+    const { maxComponentDepth } = pageValidationConfig;
+    let deepest = text('leaf');
+    for (let level = maxComponentDepth - 1; level >= 1; level -= 1) deepest = container(`level${level}`, [deepest]);
+    const { components } = (await api.get(pageUrl('home')).set(auth(owner))).body.data;
+    const saved = await api.post('/api/pages').set(auth(owner)).send({ appName: 'Shop', pageName: 'Home', pageData: { components: [...components, deepest] } });
+    expect(saved.status).toBe(201);
+
+    const innermost = `level${maxComponentDepth - 1}`;
+    expect((await post('title/move', { parentId: innermost })).status).toBe(200);
+    expect((await post('cta/move', { parentId: innermost })).status).toBe(422);
+    expect((await post('wrap', { componentIds: ['level1'] })).status).toBe(422);
+  });
+});
@@ -0,0 +1,132 @@
+/**
+ * Component versions: publishing freezes the working copy as a semantic
+ * version, page instances either pin a version or follow the latest, and
+ * pinned instances left behind can be listed and upgraded.
+ */
+import { api, auth, signup, createApp } from './helpers.js';
+
+let owner;
+
+const saveBadge = (content) => api.post('/api/components').set(auth(owner)).send({
+  componentData: { id: 'badge', type: 'text', name: 'Badge', appName: 'Shop', specificAttrs: { content, variant: 'paragraph' } }
+});
+
+const publish = (body = {}) => api.post('/api/components/badge/publish').set(auth(owner)).send({ appName: 'Shop', ...body });
+
+const savePage = (pageName, instance) => api.post('/api/pages').set(auth(owner))
+  .send({ appName: 'Shop', pageName, pageData: { components: [{ id: 'b', libraryComponentId: 'badge', ...instance }] } });
+
+const badgeOn = async (pageId, query = '?resolve=true') =>
+  (await api.get(`/api/pages/shop/${pageId}${query}`).set(auth(owner))).body.data.components[0];
+
+const outdated = async () => (await api.get('/api/components/outdated?appName=Shop').set(auth(owner))).body.data;
+
+beforeAll(async () => {
+  owner = await signup();
+  await createApp(owner, 'Shop');
+  expect((await saveBadge('v1')).status).toBe(201);
+  expect((await savePage('Latest')).status).toBe(201);
+});
+
+describe('publish', () => {
+  test('the first version is 1.0.0', async () => {
+    // Never published: instances follow the working copy
+    expect((await badgeOn('latest')).specificAttrs.content).toBe('v1');
+
+    const res = await publish({ notes: 'First release' });
+    expect(res.status).toBe(201);
+    expect(res.body.data).toMatchObject({ componentId: 'badge', version: '1.0.0', previousVersion: null });
+  });
+
+  test('refuses to publish an unchanged component', async () => {
+    const res = await publish();
+    expect(res.status).toBe(409);
+    expect(res.body.details).toMatchObject({ latestVersion: '1.0.0' });
+  });
+
+  test('saves after publishing change only the working copy', async () => {
+    const res = await saveBadge('v2');
+    expect(res.status).toBe(201);
+    expect(res.body.data.latestVersion).toBe('1.0.0');
+    expect((await badgeOn('latest')).specificAttrs.content).toBe('v1');
+  });
+
+  test('bumps the latest version or takes a greater explicit one', async () => {
+    expect((await publish({ version: '1.0.0' })).status).toBe(409);
+    expect((await publish({ version: 'one' })).status).toBe(400);
+    expect((await publish({ bump: 'huge' })).status).toBe(400);
+
+    const res = await publish({ bump: 'minor' });
+    expect(res.status).toBe(201);
+    expect(res.body.data).toMatchObject({ version: '1.1.0', previousVersion: '1.0.0' });
+    expect((await badgeOn('latest')).specificAttrs.content).toBe('v2');
+  });
+});
+
+describe('version history', () => {
+  test('lists versions newest first, without their content', async () => {
+    await saveBadge('v3');
+    const res = await api.get('/api/components/badge/versions?appName=Shop').set(auth(owner));
+    expect(res.status).toBe(200);
+    expect(res.body.data).toMatchObject({ componentId: 'badge', latestVersion: '1.1.0', unpublishedChanges: true });
+    expect(res.body.data.versions.map((entry) => entry.version)).toEqual(['1.1.0', '1.0.0']);
+    expect(res.body.data.versions[1]).toMatchObject({ notes: 'First release' });
+    expect(res.body.data.versions[0].component).toBeUndefined();
+  });
+
+  test('serves one version as it was published', async () => {
+    const res = await api.get('/api/components/badge/versions/1.0.0?appName=Shop').set(auth(owner));
+    expect(res.status).toBe(200);
+    expect(res.body.data.component.specificAttrs.content).toBe('v1');
+    expect((await api.get('/api/components/badge/versions/2.0.0?appName=Shop').set(auth(owner))).status).toBe(404);
+    expect((await api.get('/api/components/nope/versions?appName=Shop').set(auth(owner))).status).toBe(404);
+  });
+});
+
+describe('pinned instances', () => {
+  test('resolve to the version they pin', async () => {
+    expect((await savePage('Home', { libraryVersion: '1.0.0' })).status).toBe(201);
+    const badge = await badgeOn('home');
+    expect(badge).toMatchObject({ libraryVersion: '1.0.0', resolvedVersion: '1.0.0', specificAttrs: { content: 'v1' } });
+
+    expect((await savePage('Broken', { libraryVersion: '3.0.0' })).status).toBe(422);
+  });
+
+  test('older than the latest are listed as outdated', async () => {
+    const report = await outdated();
+    expect(report).toMatchObject({ pageCount: 1, instanceCount: 1 });
+    expect(report.pages[0]).toMatchObject({
+      pageId: 'home',
+      instances: [{ componentId: 'b', libraryComponentId: 'badge', pinnedVersion: '1.0.0', latestVersion: '1.1.0' }]
+    });
+  });
+
+  test('upgrade pins the latest version as a new revision', async () => {
+    const res = await api.post('/api/components/upgrade').set(auth(owner)).send({ appName: 'Shop' });
+    expect(res.status).toBe(200);
+    expect(res.body.data).toMatchObject({ succeeded: 1, failed: 0 });
+    expect(res.body.data.results[0]).toMatchObject({
+      pageId: 'home', revision: 2, upgraded: [{ componentId: 'b', from: '1.0.0', to: '1.1.0' }]
+    });
+
+    expect(await badgeOn('home', '')).toEqual({ id: 'b', libraryComponentId: 'badge', libraryVersion: '1.1.0' });
+    expect((await outdated()).pageCount).toBe(0);
+  });
+
+  test('upgrade with follow drops the pin', async () => {
+    expect((await publish({ bump: 'major' })).body.data.version).toBe('2.0.0');
+
+    const res = await api.post('/api/components/upgrade').set(auth(owner)).send({ appName: 'Shop', follow: true });
+    expect(res.body.data.results[0].upgraded).toEqual([expect.objectContaining({ from: '1.1.0', to: '2.0.0' })]);
+
+    const badge = await badgeOn('home');
+    expect(badge.libraryVersion).toBeUndefined();
+    expect(badge.specificAttrs.content).toBe('v3');
+  });
+
+  test('nothing to upgrade is not an error', async () => {
+    const res = await api.post('/api/components/upgrade').set(auth(owner)).send({ appName: 'Shop' });
+    expect(res.status).toBe(200);
+    expect(res.body.data).toEqual({ results: [], succeeded: 0, failed: 0 });
+  });
+});
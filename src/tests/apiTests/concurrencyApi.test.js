@@ -0,0 +1,103 @@
+/**
+ * Optimistic concurrency: reads return an ETag, and saves that send it back
+ * with If-Match (or expectedRevision) fail with 409 once someone else saved.
+ * Page saves can merge edits to different components.
+ */
+import { api, auth, signup, createApp } from './helpers.js';
+
+let owner;
+
+const text = (id, content) => ({ id, type: 'text', name: id, specificAttrs: { content, variant: 'p' } });
+
+const savePage = (components, headers = {}, extra = {}) =>
+  api.post('/api/pages').set(auth(owner)).set(headers).send({ appName: 'Shop', pageName: 'Home', pageData: { components }, ...extra });
+
+const contentOf = async (componentId) => {
+  const res = await api.get('/api/pages/shop/home').set(auth(owner));
+  return res.body.data.components.find((component) => component.id === componentId).specificAttrs.content;
+};
+
+beforeAll(async () => {
+  owner = await signup();
+  await createApp(owner, 'Shop');
+  await savePage([text('title', 'Welcome'), text('footer', 'Bye')]);
+});
+
+describe('pages', () => {
+  test('reads carry the revision as ETag and revisionToken', async () => {
+    const res = await api.get('/api/pages/shop/home').set(auth(owner));
+    expect(res.headers.etag).toBe('"1"');
+    expect(res.body.data.revisionToken).toBe('1');
+  });
+
+  test('a save based on an old revision gets 409 with the current page', async () => {
+    expect((await savePage([text('title', 'Hello'), text('footer', 'Bye')], { 'If-Match': '"1"' })).status).toBe(201);
+
+    const stale = await savePage([text('title', 'Hi'), text('footer', 'Bye')], { 'If-Match': 'W/"1"' });
+    expect(stale.status).toBe(409);
+    expect(stale.body.details).toMatchObject({ currentRevision: '2', mergeable: false, conflicts: [{ componentId: 'title' }] });
+    expect(stale.body.details.current.components[0].specificAttrs.content).toBe('Hello');
+    expect(await contentOf('title')).toBe('Hello');
+  });
+
+  test('the body field works like If-Match, and the header wins', async () => {
+    expect((await savePage([text('title', 'Hi'), text('footer', 'Bye')], {}, { expectedRevision: '1' })).status).toBe(409);
+    const res = await savePage([text('title', 'Hey'), text('footer', 'Bye')], { 'If-Match': '"2"' }, { expectedRevision: '1' });
+    expect(res.status).toBe(201);
+    expect(res.body.data.revisionToken).toBe('3');
+  });
+
+  test('autoMerge combines edits to different components', async () => {
+    // Revision 3 is the base of both edits
+    expect((await savePage([text('title', 'Hey'), text('footer', 'See you')], { 'If-Match': '"3"' })).status).toBe(201);
+
+    const res = await savePage([text('title', 'Welcome back'), text('footer', 'Bye')], { 'If-Match': '"3"' }, { autoMerge: true });
+    expect(res.status).toBe(201);
+    expect(res.body.data).toMatchObject({ merged: true, revision: 5 });
+    expect(await contentOf('title')).toBe('Welcome back');
+    expect(await contentOf('footer')).toBe('See you');
+  });
+
+  test('autoMerge still refuses edits to the same component', async () => {
+    const res = await savePage([text('title', 'Other'), text('footer', 'See you')], { 'If-Match': '"4"' }, { autoMerge: true });
+    expect(res.status).toBe(409);
+    expect(res.body.details).toMatchObject({ mergeable: false, conflicts: [{ componentId: 'title' }] });
+  });
+
+  test('If-Match: * only matches an existing page', async () => {
+    const res = await api.post('/api/pages').set(auth(owner)).set('If-Match', '*')
+      .send({ appName: 'Shop', pageName: 'New', pageData: { components: [] } });
+    expect(res.status).toBe(409);
+  });
+});
+
+describe('actions', () => {
+  const saveAction = (name, headers = {}) => api.post('/api/actions/save').set(auth(owner)).set(headers)
+    .send({ appName: 'Shop', actionId: 'notify', actionData: { name, type: 'api' } });
+
+  test('content tokens change on every save', async () => {
+    const first = await saveAction('Notify');
+    expect(first.status).toBe(201);
+    const read = await api.get('/api/actions/shop/notify').set(auth(owner));
+    const etag = read.headers.etag;
+    expect(etag).toBe(`"${first.body.data.revisionToken}"`);
+
+    expect((await saveAction('Notify team', { 'If-Match': etag })).status).toBe(201);
+    const stale = await saveAction('Notify all', { 'If-Match': etag });
+    expect(stale.status).toBe(409);
+    expect(stale.body.details.current.name).toBe('Notify team');
+  });
+});
+
+describe('components', () => {
+  const saveComponent = (content, headers = {}) => api.post('/api/components').set(auth(owner)).set(headers).send({
+    componentData: { id: 'card', type: 'text', name: 'Card', appName: 'Shop', specificAttrs: { content, variant: 'p' } }
+  });
+
+  test('a stale If-Match is refused', async () => {
+    const first = await saveComponent('v1');
+    const token = first.body.data.revisionToken;
+    expect((await saveComponent('v2', { 'If-Match': `"${token}"` })).status).toBe(201);
+    expect((await saveComponent('v3', { 'If-Match': `"${token}"` })).status).toBe(409);
+  });
+});
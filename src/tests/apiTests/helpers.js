@@ -0,0 +1,36 @@
+/**
+ * Helpers shared by the API tests: a supertest client on the Express app
+ * (local storage backend, see setup.js) and local sign-up tokens.
+ */
+import request from 'supertest';
+import app from '../../app.js';
+
+export const api = request(app);
+
+// Local ID tokens are "local:<uid>" (see adapters/localAdapter.js)
+export const auth = (uid) => ({ Authorization: `Bearer local:${uid}` });
+
+let signups = 0;
+
+export async function signup(email = `user${++signups}@test.dev`) {
+  const res = await api.post('/api/auth/signup').send({ email, password: 'secret123' });
+  if (res.status !== 201 && res.status !== 200) throw new Error(`signup failed: ${res.status} ${JSON.stringify(res.body)}`);
+  return res.body.data.uid;
+}
+
+export async function createApp(uid, appName) {
+  const res = await api.post('/api/app/create').set(auth(uid)).send({ appName });
+  if (res.status !== 201) throw new Error(`create app failed: ${res.status} ${JSON.stringify(res.body)}`);
+  return res.body.data;
+}
+
+// Sign up a new user and give them `role` on the app through an invitation
+export async function addMember(ownerUid, appName, role) {
+  const email = `${role.toLowerCase()}${++signups}@test.dev`;
+  const uid = await signup(email);
+  const invite = await api.post(`/api/app/${appName}/members/invite`).set(auth(ownerUid)).send({ email, role });
+  if (invite.status !== 201) throw new Error(`invite failed: ${invite.status} ${JSON.stringify(invite.body)}`);
+  const accept = await api.post(`/api/app/${appName}/members/accept`).set(auth(uid)).send({ token: invite.body.data.token });
+  if (accept.status !== 200) throw new Error(`accept failed: ${accept.status} ${JSON.stringify(accept.body)}`);
+  return uid;
+}
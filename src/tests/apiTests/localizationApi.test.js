@@ -0,0 +1,107 @@
+/**
+ * Locales: an app's supported locales, per-locale page strings, reads that
+ * fall back string by string (fr-CA -> fr -> default) and the report of
+ * strings still missing a translation.
+ */
+import { api, auth, signup, createApp } from './helpers.js';
+
+let owner;
+
+const page = {
+  components: [
+    { id: 'hdr', type: 'text', name: 'Header', specificAttrs: { content: 'Welcome', variant: 'h1' } },
+    { id: 'intro', type: 'text', name: 'Intro', specificAttrs: { content: 'Fresh coffee', variant: 'paragraph' } },
+    { id: 'contact', type: 'form', name: 'Contact', specificAttrs: { title: 'Contact us', fields: [{ id: 'email', name: 'email', type: 'email', label: 'Email' }] } }
+  ]
+};
+
+const translate = (locale, strings, headers = {}) =>
+  api.put(`/api/pages/shop/home/translations/${locale}`).set(auth(owner)).set(headers).send({ strings });
+
+const read = async (locale) => {
+  const res = await api.get(`/api/pages/shop/home?locale=${locale}`).set(auth(owner));
+  expect(res.status).toBe(200);
+  return res;
+};
+
+const textOf = (res, componentId) => res.body.data.components.find((component) => component.id === componentId).specificAttrs;
+
+beforeAll(async () => {
+  owner = await signup();
+  await createApp(owner, 'Shop');
+  await api.post('/api/pages').set(auth(owner)).send({ appName: 'Shop', pageName: 'Home', pageData: page });
+});
+
+describe('app locales', () => {
+  test('apps start with "en" only', async () => {
+    const res = await api.get('/api/app/shop/locales').set(auth(owner));
+    expect(res.body.data).toEqual({ defaultLocale: 'en', locales: ['en'] });
+  });
+
+  test('are stored in canonical form, always with the default locale', async () => {
+    const res = await api.put('/api/app/shop/locales').set(auth(owner)).send({ defaultLocale: 'en', locales: ['fr', 'fr-ca', 'DE'] });
+    expect(res.status).toBe(200);
+    expect(res.body.data.locales.sort()).toEqual(['de', 'en', 'fr', 'fr-CA']);
+  });
+
+  test('rejects invalid codes', async () => {
+    expect((await api.put('/api/app/shop/locales').set(auth(owner)).send({ defaultLocale: 'en', locales: ['not a locale'] })).status).toBe(400);
+    expect((await api.put('/api/app/shop/locales').set(auth(owner)).send({ defaultLocale: '??' })).status).toBe(400);
+  });
+});
+
+describe('translations', () => {
+  test('are saved as a new revision and merged per locale', async () => {
+    const res = await translate('fr', { hdr: { content: 'Bienvenue' }, contact: { fields: { email: 'Courriel' } } }, { 'If-Match': '"1"' });
+    expect(res.status).toBe(200);
+    expect(res.body.data).toMatchObject({ locale: 'fr', revision: 2, translations: { hdr: { content: 'Bienvenue' } } });
+
+    await translate('fr-CA', { hdr: { content: 'Bienvenue chez nous' } });
+    expect((await translate('fr', { hdr: { content: 'Salut' } }, { 'If-Match': '"1"' })).status).toBe(409);
+  });
+
+  test('are refused for the default locale, unsupported locales and unknown components', async () => {
+    expect((await translate('en', { hdr: { content: 'Hi' } })).status).toBe(400);
+    expect((await translate('es', { hdr: { content: 'Hola' } })).status).toBe(400);
+    expect((await translate('fr', { missing: { content: 'X' } })).status).toBe(400);
+    expect((await translate('fr', { hdr: { colour: 'red' } })).status).toBe(400);
+  });
+
+  test('reads fall back string by string', async () => {
+    const canadian = await read('fr-ca');
+    expect(canadian.headers['content-language']).toBe('fr-CA');
+    expect(canadian.body.data.locale).toBe('fr-CA');
+    expect(canadian.body.data.translations).toBeUndefined();
+    expect(textOf(canadian, 'hdr').content).toBe('Bienvenue chez nous');
+    expect(textOf(canadian, 'contact').fields[0].label).toBe('Courriel');
+    expect(textOf(canadian, 'intro').content).toBe('Fresh coffee');
+
+    expect(textOf(await read('fr'), 'hdr').content).toBe('Bienvenue');
+    // A locale the app does not support gets the default text
+    const spanish = await read('es');
+    expect(spanish.headers['content-language']).toBe('en');
+    expect(textOf(spanish, 'hdr').content).toBe('Welcome');
+  });
+
+  test('null removes a string', async () => {
+    await translate('fr-CA', { hdr: null });
+    expect(textOf(await read('fr-CA'), 'hdr').content).toBe('Bienvenue');
+  });
+});
+
+describe('missing strings', () => {
+  test('are listed per locale, counting the language as a fallback', async () => {
+    const res = await api.get('/api/app/shop/locales/missing').set(auth(owner));
+    expect(res.status).toBe(200);
+    const byLocale = Object.fromEntries(res.body.data.locales.map((entry) => [entry.locale, entry]));
+    // The save filled in the form's default submitLabel
+    expect(byLocale.fr.missing.map((entry) => `${entry.componentId}.${entry.key}`).sort()).toEqual(['contact.submitLabel', 'contact.title', 'intro.content']);
+    expect(byLocale['fr-CA'].missingCount).toBe(3);
+    expect(byLocale.de).toMatchObject({ total: 5, missingCount: 5 });
+  });
+
+  test('can be narrowed to one locale', async () => {
+    const res = await api.get('/api/app/shop/locales/missing?locale=de').set(auth(owner));
+    expect(res.body.data.locales.map((entry) => entry.locale)).toEqual(['de']);
+  });
+});
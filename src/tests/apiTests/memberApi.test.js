@@ -0,0 +1,60 @@
+/**
+ * Member API with app_users rows written before the `${appPrefix}__${uid}`
+ * id: they grant access, so listing, role changes and removal must see them.
+ */
+import { api, auth, signup, createApp } from './helpers.js';
+import { getDb } from '../../services/storageAdapter.js';
+
+const appUsers = getDb('mudumbai').collection('app_users');
+
+let owner;
+let legacyEditor;
+let legacyViewer;
+
+beforeAll(async () => {
+  owner = await signup();
+  await createApp(owner, 'Corner Shop');
+  legacyEditor = await signup();
+  legacyViewer = await signup();
+
+  // Old formats: `${appName}__${uid}` with the display name, `${uid}_${appPrefix}`
+  await appUsers.doc(`Corner Shop__${legacyEditor}`).set({ appName: 'Corner Shop', uid: legacyEditor, role: 'editor' });
+  await appUsers.doc(`${legacyViewer}_cornershop`).set({ appName: 'cornershop', uid: legacyViewer, role: 'viewer' });
+});
+
+describe('legacy membership rows', () => {
+  test('grant access', async () => {
+    expect((await api.get('/api/app/cornershop').set(auth(legacyEditor))).status).toBe(200);
+  });
+
+  test('are listed and rewritten to the current id', async () => {
+    const res = await api.get('/api/app/cornershop/members').set(auth(owner));
+    expect(res.status).toBe(200);
+    const roles = Object.fromEntries(res.body.data.members.map((member) => [member.uid, member.role]));
+    expect(roles).toMatchObject({ [owner]: 'owner', [legacyEditor]: 'editor', [legacyViewer]: 'viewer' });
+
+    expect((await appUsers.doc(`cornershop__${legacyEditor}`).get()).data()).toMatchObject({ appPrefix: 'cornershop', role: 'editor' });
+    expect((await appUsers.doc(`Corner Shop__${legacyEditor}`).get()).exists).toBe(false);
+  });
+
+  test('can have their role changed', async () => {
+    const uid = await signup();
+    await appUsers.doc(`${uid}_cornershop`).set({ appName: 'cornershop', uid, role: 'viewer' });
+
+    const res = await api.patch(`/api/app/cornershop/members/${uid}`).set(auth(owner)).send({ role: 'editor' });
+    expect(res.status).toBe(200);
+    expect((await api.post('/api/actions/save').set(auth(uid)).send({
+      appName: 'cornershop', actionId: 'a1', actionData: { name: 'A1', type: 'api' }
+    })).status).toBe(201);
+    expect((await appUsers.doc(`${uid}_cornershop`).get()).exists).toBe(false);
+  });
+
+  test('can be removed, which ends access', async () => {
+    const uid = await signup();
+    await appUsers.doc(`Corner Shop__${uid}`).set({ appName: 'Corner Shop', uid, role: 'viewer' });
+
+    const res = await api.delete(`/api/app/cornershop/members/${uid}`).set(auth(owner));
+    expect(res.status).toBe(200);
+    expect((await api.get('/api/app/cornershop').set(auth(uid))).status).toBe(403);
+  });
+});
@@ -0,0 +1,59 @@
+/**
+ * Page API on the local storage backend: save, read, list and delete pages.
+ */
+import { api, auth, signup, createApp } from './helpers.js';
+
+let owner;
+
+beforeAll(async () => {
+  owner = await signup();
+  await createApp(owner, 'Shop');
+});
+
+const home = {
+  components: [{ id: 'title', type: 'text', name: 'Title', specificAttrs: { content: 'Welcome', variant: 'h1' } }]
+};
+
+describe('page API', () => {
+  test('saves a page and reads it back', async () => {
+    const saved = await api.post('/api/pages').set(auth(owner)).send({ appName: 'Shop', pageName: 'Home', pageData: home });
+    expect(saved.status).toBe(201);
+
+    const res = await api.get('/api/pages/shop/home').set(auth(owner));
+    expect(res.status).toBe(200);
+    expect(res.body.data.components.map((component) => component.id)).toEqual(['title']);
+    expect(res.body.data.components[0].specificAttrs.content).toBe('Welcome');
+  });
+
+  test('lists the pages of an app', async () => {
+    await api.post('/api/pages').set(auth(owner)).send({ appName: 'Shop', pageName: 'About', pageData: home });
+
+    const res = await api.get('/api/pages/shop').set(auth(owner));
+    expect(res.status).toBe(200);
+    const pages = res.body.data.pages || res.body.data;
+    expect(pages.map((page) => page.id)).toEqual(expect.arrayContaining(['home', 'about']));
+  });
+
+  test('rejects invalid components with 422 in strict mode', async () => {
+    const res = await api.post('/api/pages').set(auth(owner)).send({
+      appName: 'Shop',
+      pageName: 'Broken',
+      pageData: { components: [{ id: 'x', type: 'no-such-type' }] },
+      validationMode: 'strict'
+    });
+    expect(res.status).toBe(422);
+  });
+
+  test('deletes a page', async () => {
+    await api.post('/api/pages').set(auth(owner)).send({ appName: 'Shop', pageName: 'Old', pageData: home });
+
+    expect((await api.delete('/api/pages/shop/old').set(auth(owner))).status).toBe(200);
+    expect((await api.get('/api/pages/shop/old').set(auth(owner))).status).toBe(404);
+  });
+
+  test('needs a token and a role on the app', async () => {
+    const stranger = await signup();
+    expect((await api.get('/api/pages/shop/home')).status).toBe(401);
+    expect((await api.get('/api/pages/shop/home').set(auth(stranger))).status).toBe(403);
+  });
+});
@@ -0,0 +1,83 @@
+/**
+ * Page revision history: every save is a revision that can be listed, read,
+ * diffed and restored, and history survives the page being deleted.
+ */
+import { api, auth, signup, createApp } from './helpers.js';
+
+let owner;
+
+const text = (id, content) => ({ id, type: 'text', name: id, specificAttrs: { content, variant: 'p' } });
+
+const save = (pageName, components, extra = {}) =>
+  api.post('/api/pages').set(auth(owner)).send({ appName: 'Shop', pageName, pageData: { components }, ...extra });
+
+const revisions = async (pageName) => {
+  const res = await api.get(`/api/pages/shop/${pageName}/revisions`).set(auth(owner));
+  expect(res.status).toBe(200);
+  return res.body.data;
+};
+
+beforeAll(async () => {
+  owner = await signup();
+  await createApp(owner, 'Shop');
+});
+
+describe('page revisions', () => {
+  test('records every save, newest first', async () => {
+    await save('Home', [text('intro', 'v1')], { message: 'first' });
+    await save('Home', [text('intro', 'v2')]);
+    const res = await save('Home', [text('intro', 'v2'), text('outro', 'bye')]);
+    expect(res.body.data.revision).toBe(3);
+    expect(res.headers.etag).toBe('"3"');
+
+    const list = await revisions('home');
+    expect(list.map((entry) => entry.revision)).toEqual([3, 2, 1]);
+    expect(list[2]).toMatchObject({ message: 'first', authorId: owner, componentCount: 1 });
+    expect(list[0]).not.toHaveProperty('page');
+
+    const first = await api.get('/api/pages/shop/home/revisions/1').set(auth(owner));
+    expect(first.body.data.page.components[0].specificAttrs.content).toBe('v1');
+  });
+
+  test('diffs two revisions by component', async () => {
+    const res = await api.get('/api/pages/shop/home/revisions/diff?from=1').set(auth(owner));
+    expect(res.status).toBe(200);
+    expect(res.body.data).toMatchObject({ from: 1, to: 3 });
+    expect(res.body.data.added.map((component) => component.id)).toEqual(['outro']);
+    expect(res.body.data.changed[0].attrs).toEqual([{ path: 'specificAttrs.content', from: 'v1', to: 'v2' }]);
+  });
+
+  test('restores an old revision as a new one', async () => {
+    const res = await api.post('/api/pages/shop/home/revisions/1/restore').set(auth(owner)).send({});
+    expect(res.status).toBe(200);
+    expect(res.body.data).toMatchObject({ revision: 4, restoredFrom: 1 });
+
+    const page = await api.get('/api/pages/shop/home').set(auth(owner));
+    expect(page.body.data.components.map((component) => component.id)).toEqual(['intro']);
+    expect((await revisions('home'))[0]).toMatchObject({ revision: 4, restoredFrom: 1 });
+  });
+
+  test('rejects revision numbers that are not positive integers', async () => {
+    expect((await api.get('/api/pages/shop/home/revisions/0').set(auth(owner))).status).toBe(400);
+    expect((await api.get('/api/pages/shop/home/revisions/99').set(auth(owner))).status).toBe(404);
+  });
+
+  test('a page created again continues after its old history', async () => {
+    await save('Blog', [text('body', 'v1')]);
+    await save('Blog', [text('body', 'v2')]);
+    await save('Blog', [text('body', 'v3')]);
+    expect((await api.delete('/api/pages/shop/blog').set(auth(owner))).status).toBe(200);
+
+    const res = await save('Blog', [text('body', 'NEW')]);
+    expect(res.status).toBe(201);
+    expect(res.body.data.revision).toBe(4);
+
+    expect((await revisions('blog')).map((entry) => entry.revision)).toEqual([4, 3, 2, 1]);
+    const first = await api.get('/api/pages/shop/blog/revisions/1').set(auth(owner));
+    expect(first.body.data.page.components[0].specificAttrs.content).toBe('v1');
+
+    // A token from before the delete does not match the new page
+    const stale = await save('Blog', [text('body', 'stale')], { expectedRevision: '1' });
+    expect(stale.status).toBe(409);
+  });
+});
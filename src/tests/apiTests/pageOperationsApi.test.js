@@ -0,0 +1,131 @@
+/**
+ * Duplicating pages and the bulk delete / move / rename endpoints: copies
+ * get new component ids, and a page that fails does not stop the others.
+ */
+import { api, auth, signup, createApp, addMember } from './helpers.js';
+
+let owner;
+let viewer;
+
+const text = (id, content) => ({ id, type: 'text', name: id, specificAttrs: { content, variant: 'paragraph' } });
+
+const savePage = (appName, pageName, components = [text('title', pageName)]) => api.post('/api/pages').set(auth(owner))
+  .send({ appName, pageName, pageData: { components } });
+
+const getPage = (appName, pageId) => api.get(`/api/pages/${appName}/${pageId}`).set(auth(owner));
+
+const bulk = (operation, body, uid = owner) => api.post(`/api/pages/shop/bulk/${operation}`).set(auth(uid)).send(body);
+
+beforeAll(async () => {
+  owner = await signup();
+  await createApp(owner, 'Shop');
+  await createApp(owner, 'Blog');
+  viewer = await addMember(owner, 'Shop', 'viewer');
+
+  await api.post('/api/components').set(auth(owner)).send({
+    componentData: { id: 'promo', type: 'text', name: 'Promo', appName: 'Shop', specificAttrs: { content: 'Sale', variant: 'paragraph' } }
+  });
+  await savePage('Shop', 'Home', [text('title', 'Welcome'), { id: 'banner', libraryComponentId: 'promo', overrides: {} }]);
+});
+
+describe('duplicate', () => {
+  test('copies a page in the same app with new component ids', async () => {
+    const res = await api.post('/api/pages/shop/home/duplicate').set(auth(owner)).send({});
+    expect(res.status).toBe(201);
+    expect(res.body.data).toMatchObject({ pageId: 'home_copy', pageName: 'home copy', appPrefix: 'shop', revision: 1 });
+    const newTitleId = res.body.data.componentIds.title;
+    expect(newTitleId).toMatch(/^comp_/);
+
+    const copy = await getPage('shop', 'home_copy');
+    expect(copy.body.data.components[0]).toMatchObject({ id: newTitleId, specificAttrs: { content: 'Welcome' } });
+    expect(copy.body.data.duplicatedFrom).toMatchObject({ appPrefix: 'shop', pageId: 'home' });
+  });
+
+  test('detaches library components unless relinkLibrary is set', async () => {
+    const detached = await api.post('/api/pages/shop/home/duplicate').set(auth(owner)).send({ newPageName: 'Detached' });
+    const banner = (await getPage('shop', 'detached')).body.data.components[1];
+    expect(banner.libraryComponentId).toBeUndefined();
+    expect(banner).toMatchObject({ id: detached.body.data.componentIds.banner, specificAttrs: { content: 'Sale' } });
+
+    const res = await api.post('/api/pages/shop/home/duplicate').set(auth(owner)).send({ targetAppName: 'Blog', relinkLibrary: true });
+    expect(res.status).toBe(201);
+    expect(res.body.data).toMatchObject({ appPrefix: 'blog', pageId: 'home', libraryComponents: [{ id: 'promo', action: 'copied' }] });
+    expect((await getPage('blog', 'home')).body.data.components[1].libraryComponentId).toBe('promo');
+    expect((await api.get('/api/components/promo?appName=Blog').set(auth(owner))).status).toBe(200);
+  });
+
+  test('needs pages:write on the target and a free name', async () => {
+    expect((await api.post('/api/pages/shop/home/duplicate').set(auth(viewer)).send({})).status).toBe(403);
+    expect((await api.post('/api/pages/shop/home/duplicate').set(auth(owner)).send({ newPageName: 'Home copy' })).status).toBe(409);
+    expect((await api.post('/api/pages/shop/home/duplicate').set(auth(owner)).send({ newPageName: '!!!' })).status).toBe(400);
+  });
+});
+
+describe('bulk delete', () => {
+  test('reports a result per page', async () => {
+    await savePage('Shop', 'Old 1');
+    await savePage('Shop', 'Old 2');
+
+    const res = await bulk('delete', { pages: ['Old 1', 'Missing', 'Old 2'] });
+    expect(res.status).toBe(200);
+    expect(res.body.data).toMatchObject({ succeeded: 2, failed: 1 });
+    expect(res.body.data.results[1]).toMatchObject({ pageName: 'Missing', success: false, status: 404 });
+    expect((await getPage('shop', 'old_1')).status).toBe(404);
+  });
+
+  test('needs pages:delete and a list of at most 100 pages', async () => {
+    expect((await bulk('delete', { pages: ['Home'] }, viewer)).status).toBe(403);
+    expect((await bulk('delete', { pages: [] })).status).toBe(400);
+    expect((await bulk('delete', { pages: Array.from({ length: 101 }, (_, i) => `p${i}`) })).status).toBe(400);
+  });
+});
+
+describe('bulk move', () => {
+  test('moves pages to another app and skips pages the site map needs', async () => {
+    await savePage('Shop', 'Promo');
+    await savePage('Shop', 'Parent');
+    await savePage('Shop', 'Child');
+    await api.put('/api/app/shop/sitemap/pages/parent').set(auth(owner)).send({});
+    await api.put('/api/app/shop/sitemap/pages/child').set(auth(owner)).send({ parentId: 'parent' });
+
+    const res = await bulk('move', { pages: ['Promo', 'Parent'], targetAppName: 'Blog' });
+    expect(res.status).toBe(200);
+    expect(res.body.data.results).toEqual([
+      expect.objectContaining({ pageId: 'promo', appPrefix: 'blog', success: true }),
+      expect.objectContaining({ pageName: 'Parent', success: false, status: 409 })
+    ]);
+    expect((await getPage('shop', 'promo')).status).toBe(404);
+    expect((await getPage('blog', 'promo')).body.data.movedFrom).toMatchObject({ appPrefix: 'shop', pageId: 'promo' });
+    expect((await getPage('shop', 'parent')).status).toBe(200);
+  });
+
+  test('needs another app as the target', async () => {
+    expect((await bulk('move', { pages: ['Home'] })).status).toBe(422);
+    expect((await bulk('move', { pages: ['Home'], targetAppName: 'Shop' })).body.data.results[0].status).toBe(400);
+  });
+});
+
+describe('bulk rename', () => {
+  test('moves the page, its site map entry and its published copy to the new id', async () => {
+    await savePage('Shop', 'Team');
+    await api.put('/api/app/shop/sitemap/pages/team').set(auth(owner)).send({ parentId: 'parent' });
+    await api.post('/api/pages/shop/team/publish').set(auth(owner));
+
+    const res = await bulk('rename', { pages: [{ pageName: 'Team', newPageName: 'People' }, { pageName: 'Child', newPageName: 'Home' }] });
+    expect(res.status).toBe(200);
+    expect(res.body.data.results[0]).toMatchObject({ pageId: 'people', previousPageId: 'team', success: true });
+    expect(res.body.data.results[1]).toMatchObject({ success: false, status: 409 });
+
+    expect((await getPage('shop', 'team')).status).toBe(404);
+    expect((await getPage('shop', 'people')).body.data.name).toBe('People');
+    expect((await api.get('/api/pages/shop/people?version=published').set(auth(owner))).status).toBe(200);
+    const resolved = await api.get('/api/app/shop/sitemap/resolve?path=/parent/team').set(auth(owner));
+    expect(resolved.body.data.pageId).toBe('people');
+  });
+
+  test('keeps the id when only the display name changes', async () => {
+    const res = await bulk('rename', { pages: [{ pageName: 'Home', newPageName: 'home' }] });
+    expect(res.body.data.results[0]).toMatchObject({ pageId: 'home', previousPageId: 'home', success: true });
+    expect((await getPage('shop', 'home')).body.data.name).toBe('home');
+  });
+});
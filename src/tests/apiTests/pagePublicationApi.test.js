@@ -0,0 +1,98 @@
+/**
+ * Draft and published pages: publishing snapshots the draft, schedules are
+ * applied by publishDue(), and every publish replaces the live page whole.
+ */
+import { pagePublicationService } from '../../services/pagePublicationService.js';
+import { api, auth, signup, createApp } from './helpers.js';
+
+let owner;
+
+const text = (id, content) => ({ id, type: 'text', name: id, specificAttrs: { content, variant: 'p' } });
+
+const save = (pageName, pageData) =>
+  api.post('/api/pages').set(auth(owner)).send({ appName: 'Shop', pageName, pageData });
+
+const publish = (pageName, body = {}) =>
+  api.post(`/api/pages/shop/${pageName}/publish`).set(auth(owner)).send(body);
+
+const published = (pageName) => api.get(`/api/pages/shop/${pageName}?version=published`).set(auth(owner));
+
+beforeAll(async () => {
+  owner = await signup();
+  await createApp(owner, 'Shop');
+});
+
+describe('publishing', () => {
+  test('keeps drafts off the live page until they are published', async () => {
+    await save('Home', { components: [text('intro', 'v1')] });
+    expect((await published('home')).status).toBe(404);
+
+    const res = await publish('home');
+    expect(res.status).toBe(200);
+    expect(res.body.data).toMatchObject({ status: 'published', revision: 1, hasUnpublishedChanges: false });
+
+    await save('Home', { components: [text('intro', 'v2')] });
+    expect((await published('home')).body.data.components[0].specificAttrs.content).toBe('v1');
+    const state = await api.get('/api/pages/shop/home/publication').set(auth(owner));
+    expect(state.body.data).toMatchObject({ revision: 1, draftRevision: 2, hasUnpublishedChanges: true });
+  });
+
+  test('replaces the live page instead of merging into it', async () => {
+    await save('Landing', { components: [text('intro', 'v1')] });
+    await save('Landing', { components: [text('intro', 'v2')], seo: { title: 'Secret', noindex: true } });
+    await publish('landing');
+
+    const restored = await api.post('/api/pages/shop/landing/revisions/1/restore').set(auth(owner)).send({});
+    expect(restored.status).toBe(200);
+    await publish('landing');
+
+    const res = await published('landing');
+    expect(res.body.data.revision).toBe(3);
+    expect(res.body.data).not.toHaveProperty('seo');
+    expect(res.body.data.components[0].specificAttrs.content).toBe('v1');
+  });
+
+  test('unpublishes a page', async () => {
+    expect((await api.post('/api/pages/shop/home/unpublish').set(auth(owner))).status).toBe(200);
+    expect((await published('home')).status).toBe(404);
+    expect((await api.post('/api/pages/shop/home/unpublish').set(auth(owner))).status).toBe(409);
+  });
+});
+
+describe('scheduled publishing', () => {
+  test('rejects times that are not in the future', async () => {
+    expect((await publish('home', { publishAt: 'soon' })).status).toBe(400);
+    expect((await publish('home', { publishAt: '2000-01-01T00:00:00Z' })).status).toBe(400);
+  });
+
+  test('publishes the draft as it was when scheduled once the time has come', async () => {
+    await save('Sale', { components: [text('banner', 'scheduled')] });
+    await publish('sale');
+    await save('Sale', { components: [text('banner', 'next')] });
+    const publishAt = new Date(Date.now() + 60 * 60 * 1000).toISOString();
+    const res = await publish('sale', { publishAt });
+    expect(res.body.data).toMatchObject({ scheduledAt: publishAt, scheduledRevision: 2 });
+    await save('Sale', { components: [text('banner', 'later edit')] });
+
+    expect(await pagePublicationService.publishDue(new Date())).toEqual({ published: 0, failed: 0 });
+    expect((await published('sale')).body.data.components[0].specificAttrs.content).toBe('scheduled');
+
+    expect(await pagePublicationService.publishDue(new Date(Date.now() + 2 * 60 * 60 * 1000))).toEqual({ published: 1, failed: 0 });
+    const live = (await published('sale')).body.data;
+    expect(live.revision).toBe(2);
+    expect(live.components[0].specificAttrs.content).toBe('next');
+
+    const state = await api.get('/api/pages/shop/sale/publication').set(auth(owner));
+    expect(state.body.data).toMatchObject({ status: 'published', scheduledAt: null, draftRevision: 3 });
+  });
+
+  test('a cancelled schedule is not applied', async () => {
+    const publishAt = new Date(Date.now() + 60 * 60 * 1000).toISOString();
+    await publish('home', { publishAt });
+    expect((await api.delete('/api/pages/shop/home/schedule').set(auth(owner))).status).toBe(200);
+    expect((await api.delete('/api/pages/shop/home/schedule').set(auth(owner))).status).toBe(404);
+
+    expect((await pagePublicationService.publishDue(new Date(Date.now() + 2 * 60 * 60 * 1000))).published).toBe(0);
+    expect((await published('home')).status).toBe(404);
+  });
+});
@@ -0,0 +1,102 @@
+/**
+ * Page list search: text and component type filters, field projection and
+ * cursor pagination that neither repeats nor skips pages when pages are
+ * added between requests.
+ */
+import { getDb } from '../../services/storageAdapter.js';
+import { api, auth, signup, createApp } from './helpers.js';
+
+const jayramDb = getDb('jayram');
+
+let owner;
+
+const text = (id, content) => ({ id, type: 'text', name: id, specificAttrs: { content, variant: 'paragraph' } });
+const form = (id, label) => ({ id, type: 'form', name: id, specificAttrs: { fields: [{ name: 'email', type: 'email', label }] } });
+
+const savePage = (pageName, components) => api.post('/api/pages').set(auth(owner))
+  .send({ appName: 'Shop', pageName, pageData: { components } });
+
+const list = async (query) => {
+  const res = await api.get(`/api/pages/shop?${new URLSearchParams(query)}`).set(auth(owner));
+  expect(res.status).toBe(200);
+  return res.body;
+};
+
+const ids = (body) => body.data.map((page) => page.id);
+
+beforeAll(async () => {
+  owner = await signup();
+  await createApp(owner, 'Shop');
+  await savePage('Home', [text('hero', 'Fresh coffee every morning')]);
+  await savePage('Contact', [text('intro', 'Write to us'), form('signup', 'Newsletter email')]);
+  await savePage('About', [{ id: 'box', type: 'container', specificAttrs: { layout: 'column', children: [text('story', 'Roasted since 1990')] } }]);
+  await savePage('Menu', [{ id: 'photo', type: 'image', specificAttrs: { src: 'https://example.com/cup.png', alt: 'Coffee cup' } }]);
+  await jayramDb.collection('shop_pages').doc('home').update({ updatedAt: '2020-01-01T00:00:00.000Z' });
+});
+
+describe('filters', () => {
+  test('without parameters every page is listed by id', async () => {
+    const body = await list({});
+    expect(ids(body)).toEqual(['about', 'contact', 'home', 'menu']);
+    expect(body.pagination).toEqual({ total: 4, limit: null, nextCursor: null });
+  });
+
+  test('search needs every word, in names or component text, nested ones included', async () => {
+    expect(ids(await list({ search: 'coffee' }))).toEqual(['home', 'menu']);
+    expect(ids(await list({ search: 'COFFEE morning' }))).toEqual(['home']);
+    expect(ids(await list({ search: 'roasted' }))).toEqual(['about']);
+    expect(ids(await list({ search: 'newsletter' }))).toEqual(['contact']);
+    expect(ids(await list({ search: 'tea' }))).toEqual([]);
+  });
+
+  test('componentType matches any of the listed types', async () => {
+    expect(ids(await list({ componentType: 'form' }))).toEqual(['contact']);
+    expect(ids(await list({ componentType: 'form,image' }))).toEqual(['contact', 'menu']);
+  });
+
+  test('updatedSince leaves out older pages', async () => {
+    expect(ids(await list({ updatedSince: '2021-01-01' }))).toEqual(['about', 'contact', 'menu']);
+  });
+
+  test('fields projects pages, always keeping id and revisionToken', async () => {
+    const body = await list({ fields: 'summary', search: 'contact' });
+    expect(body.data[0]).toMatchObject({ id: 'contact', revisionToken: '1', componentCount: 2, componentTypes: ['form', 'text'] });
+    expect(body.data[0].components).toBeUndefined();
+
+    expect(Object.keys((await list({ fields: 'name', search: 'home' })).data[0]).sort()).toEqual(['id', 'name', 'revisionToken']);
+  });
+
+  test('rejects bad parameters', async () => {
+    for (const query of [{ sort: 'size' }, { limit: '0' }, { limit: '201' }, { updatedSince: 'yesterday' }, { fields: 'a.b' }, { cursor: 'nope' }]) {
+      expect((await api.get(`/api/pages/shop?${new URLSearchParams(query)}`).set(auth(owner))).status).toBe(400);
+    }
+  });
+});
+
+describe('pagination', () => {
+  test('follows nextCursor to the end', async () => {
+    const first = await list({ limit: '3' });
+    expect(ids(first)).toEqual(['about', 'contact', 'home']);
+    expect(first.pagination).toMatchObject({ total: 4, limit: 3 });
+
+    const second = await list({ limit: '3', cursor: first.pagination.nextCursor });
+    expect(ids(second)).toEqual(['menu']);
+    expect(second.pagination.nextCursor).toBeNull();
+  });
+
+  test('pages added between requests are not repeated or skipped', async () => {
+    const first = await list({ limit: '2', sort: '-updatedAt' });
+    const seen = ids(first);
+
+    await savePage('Blog', []);
+    const rest = await list({ limit: '10', sort: '-updatedAt', cursor: first.pagination.nextCursor });
+    expect([...seen, ...ids(rest)].sort()).toEqual(['about', 'contact', 'home', 'menu']);
+    expect(ids(rest).at(-1)).toBe('home');
+  });
+
+  test('a cursor only works with the sort it came from', async () => {
+    const first = await list({ limit: '1', sort: 'name' });
+    const res = await api.get(`/api/pages/shop?limit=1&sort=id&cursor=${first.pagination.nextCursor}`).set(auth(owner));
+    expect(res.status).toBe(400);
+  });
+});
@@ -0,0 +1,41 @@
+/**
+ * Validation modes over HTTP: POST /api/pages/validate reports without
+ * saving, and page saves honour validationMode.
+ */
+import { api, auth, signup, createApp } from './helpers.js';
+
+let owner;
+
+const text = (id, specificAttrs) => ({ id, type: 'text', name: id, specificAttrs });
+
+beforeAll(async () => {
+  owner = await signup();
+  await createApp(owner, 'Shop');
+});
+
+describe('validation modes over HTTP', () => {
+  test('reports without saving', async () => {
+    const res = await api.post('/api/pages/validate').set(auth(owner))
+      .send({ page: { components: [text('a', {})] }, mode: 'strict' });
+    expect(res.status).toBe(200);
+    expect(res.body.data.valid).toBe(false);
+    expect((await api.post('/api/pages/validate').set(auth(owner)).send({})).status).toBe(422);
+  });
+
+  test('a lenient save stores the defaults and returns the warnings', async () => {
+    const res = await api.post('/api/pages').set(auth(owner))
+      .send({ appName: 'Shop', pageName: 'Home', pageData: { components: [text('a', { content: 'Hi' })] }, validationMode: 'lenient' });
+    expect(res.status).toBe(201);
+    expect(res.body.data.warnings.length).toBeGreaterThan(0);
+
+    const page = await api.get('/api/pages/shop/home').set(auth(owner));
+    expect(page.body.data.components[0].specificAttrs.variant).toBe('paragraph');
+  });
+
+  test('a strict save of the same page is rejected', async () => {
+    const res = await api.post('/api/pages').set(auth(owner))
+      .send({ appName: 'Shop', pageName: 'Other', pageData: { components: [text('a', { content: 'Hi' })] }, validationMode: 'strict' });
+    expect(res.status).toBe(422);
+    expect((await api.get('/api/pages/shop/other').set(auth(owner))).status).toBe(404);
+  });
+});
@@ -0,0 +1,112 @@
+/**
+ * requireAppPermission over HTTP: 401 without a token, 403 or 200 by role,
+ * and requests that name more than one app.
+ */
+import { api, auth, signup, createApp, addMember } from './helpers.js';
+
+const users = {};
+
+beforeAll(async () => {
+  users.owner = await signup();
+  await createApp(users.owner, 'Shop');
+  users.editor = await addMember(users.owner, 'Shop', 'editor');
+  users.viewer = await addMember(users.owner, 'Shop', 'viewer');
+  users.dataEntry = await addMember(users.owner, 'Shop', 'dataEntry');
+  users.stranger = await signup();
+
+  // An app the stranger owns, used to try reaching Shop through it
+  await createApp(users.stranger, 'Mine');
+
+  const saved = await api.post('/api/actions/save').set(auth(users.owner)).send({
+    appName: 'Shop',
+    actionId: 'secret',
+    actionData: { name: 'Secret', type: 'api' }
+  });
+  expect(saved.status).toBe(201);
+});
+
+// Expected status per role for each endpoint; the stranger has no role on Shop
+const matrix = [
+  ['GET /api/app/shop', (req) => req.get('/api/app/shop'),
+    { owner: 200, editor: 200, viewer: 200, dataEntry: 200, stranger: 403 }],
+  ['GET /api/actions/shop', (req) => req.get('/api/actions/shop'),
+    { owner: 200, editor: 200, viewer: 200, dataEntry: 403, stranger: 403 }],
+  ['POST /api/actions/save', (req) => req.post('/api/actions/save').send({
+    appName: 'Shop', actionId: 'draft', actionData: { name: 'Draft', type: 'api' }
+  }), { owner: 201, editor: 201, viewer: 403, dataEntry: 403, stranger: 403 }],
+  ['GET /api/app/shop/members', (req) => req.get('/api/app/shop/members'),
+    { owner: 200, editor: 200, viewer: 200, dataEntry: 200, stranger: 403 }],
+  ['POST /api/app/shop/members/invite', (req) => req.post('/api/app/shop/members/invite').send({
+    email: 'new@test.dev', role: 'viewer'
+  }), { owner: 201, editor: 403, viewer: 403, dataEntry: 403, stranger: 403 }],
+  ['POST /api/app/shop/rename', (req) => req.post('/api/app/shop/rename').send({ newAppName: '' }),
+    { editor: 403, viewer: 403, dataEntry: 403, stranger: 403 }],
+  ['DELETE /api/app/shop', (req) => req.delete('/api/app/shop'),
+    { editor: 403, viewer: 403, dataEntry: 403, stranger: 403 }],
+  ['GET /api/app/shop/export', (req) => req.get('/api/app/shop/export'),
+    { owner: 200, editor: 200, viewer: 200, dataEntry: 403, stranger: 403 }],
+  ['GET /api/app/shop/export/static', (req) => req.get('/api/app/shop/export/static'),
+    { dataEntry: 403, stranger: 403 }],
+  ['POST /api/app/shop/clone', (req) => req.post('/api/app/shop/clone').send({ newAppName: '' }),
+    { dataEntry: 403, stranger: 403 }],
+  ['GET /api/collection/jayram/shop/staging_actions', (req) => req.get('/api/collection/jayram/shop/staging_actions'),
+    { owner: 200, editor: 200, viewer: 200, dataEntry: 403, stranger: 403 }],
+  ['GET /api/collection/jayram/shop/prod_processes', (req) => req.get('/api/collection/jayram/shop/prod_processes'),
+    { owner: 200, viewer: 200, dataEntry: 403 }],
+  ['GET /api/collection/jayram/shop/pages_history', (req) => req.get('/api/collection/jayram/shop/pages_history'),
+    { viewer: 200, dataEntry: 200, stranger: 403 }],
+  ['GET /api/collection/jayram/shop/promotions_before', (req) => req.get('/api/collection/jayram/shop/promotions_before'),
+    { owner: 200, editor: 403, viewer: 403, dataEntry: 403, stranger: 403 }]
+];
+
+describe.each(matrix)('%s', (_name, send, expected) => {
+  test('needs a token', async () => {
+    expect((await send(api)).status).toBe(401);
+  });
+
+  test.each(Object.entries(expected))('%s gets %i', async (role, status) => {
+    const res = await send(api).set(auth(users[role]));
+    expect(res.status).toBe(status);
+  });
+});
+
+describe('requests that name more than one app', () => {
+  test('a query appPrefix does not override the app in the path', async () => {
+    const res = await api.get('/api/actions/shop/secret?appPrefix=mine').set(auth(users.stranger));
+    expect(res.status).toBe(400);
+    expect(res.body.data).toBeUndefined();
+  });
+
+  test('cannot delete another app\'s action through its own app', async () => {
+    const res = await api.delete('/api/actions/shop/secret?appPrefix=mine&force=true').set(auth(users.stranger));
+    expect(res.status).toBe(400);
+
+    const still = await api.get('/api/actions/shop/secret').set(auth(users.owner));
+    expect(still.status).toBe(200);
+  });
+
+  test('a body appName that differs from the query is rejected', async () => {
+    const res = await api.post('/api/actions/save?appPrefix=mine').set(auth(users.stranger)).send({
+      appName: 'Shop',
+      actionId: 'planted',
+      actionData: { name: 'Planted', type: 'api' }
+    });
+    expect(res.status).toBe(400);
+    expect((await api.get('/api/actions/shop/planted').set(auth(users.owner))).status).toBe(404);
+  });
+
+  test('a path and a query that name different apps are rejected', async () => {
+    const res = await api.get('/api/app/shop').query({ appName: 'Mine' }).set(auth(users.stranger));
+    expect(res.status).toBe(400);
+  });
+
+  test('the same app written two ways is one app', async () => {
+    const res = await api.get('/api/actions/Shop/secret?appPrefix=shop').set(auth(users.viewer));
+    expect(res.status).toBe(200);
+  });
+
+  test('checks the role on the app in the path', async () => {
+    const res = await api.get('/api/actions/mine').set(auth(users.owner));
+    expect(res.status).toBe(403);
+  });
+});
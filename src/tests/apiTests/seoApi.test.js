@@ -0,0 +1,94 @@
+/**
+ * Page SEO metadata and the generated sitemap.xml / robots.txt: only
+ * published pages with a URL are listed, and noindex pages are left out of
+ * the sitemap and disallowed for crawlers.
+ */
+import { getDb } from '../../services/storageAdapter.js';
+import { api, auth, signup, createApp } from './helpers.js';
+
+const jayramDb = getDb('jayram');
+
+let owner;
+
+const BASE_URL = 'https://www.example.com';
+
+const savePage = (pageName, seo) => api.post('/api/pages').set(auth(owner))
+  .send({ appName: 'Shop', pageName, pageData: { components: [], ...(seo ? { seo } : {}) } });
+
+const place = (pageId, body = {}) => api.put(`/api/app/shop/sitemap/pages/${pageId}`).set(auth(owner)).send(body);
+
+const publish = (pageId) => api.post(`/api/pages/shop/${pageId}/publish`).set(auth(owner));
+
+const locs = (xml) => [...xml.matchAll(/<loc>([^<]*)<\/loc>/g)].map((match) => match[1]);
+
+beforeAll(async () => {
+  owner = await signup();
+  await createApp(owner, 'Shop');
+  await jayramDb.collection('shop_assets').doc('hero').set({ path: 'apps/shop/hero.png', fileType: 'image/png', downloadURL: 'https://cdn.example.com/hero.png' });
+  await jayramDb.collection('shop_assets').doc('terms').set({ path: 'apps/shop/terms.pdf', fileType: 'application/pdf' });
+});
+
+describe('seo block', () => {
+  test('is saved with the page', async () => {
+    const seo = { title: 'Coffee shop', description: 'Fresh coffee every morning', ogImageAssetId: 'hero' };
+    expect((await savePage('Home', seo)).status).toBe(201);
+    expect((await api.get('/api/pages/shop/home').set(auth(owner))).body.data.seo).toEqual(seo);
+  });
+
+  test('is checked in both validation modes', async () => {
+    for (const validationMode of ['strict', 'lenient']) {
+      const res = await api.post('/api/pages').set(auth(owner)).send({
+        appName: 'Shop', pageName: 'Long', validationMode, pageData: { components: [], seo: { description: 'x'.repeat(161) } }
+      });
+      expect(res.status).toBe(422);
+    }
+    expect((await savePage('Extra', { keywords: 'coffee' })).status).toBe(422);
+  });
+
+  test('needs the Open Graph image to be an image asset of the app', async () => {
+    expect((await savePage('Terms', { ogImageAssetId: 'terms' })).status).toBe(422);
+    const res = await savePage('Missing', { ogImageAssetId: 'nope' });
+    expect(res.status).toBe(422);
+    expect(res.body.details.errors[0].path).toBe('$.seo.ogImageAssetId');
+  });
+});
+
+describe('sitemap.xml and robots.txt', () => {
+  beforeAll(async () => {
+    await savePage('About');
+    await savePage('Private', { noindex: true });
+    await savePage('Landing', { canonicalUrl: 'https://landing.example.com/coffee' });
+    await savePage('Draft');
+    await place('home', { isHome: true });
+    for (const pageId of ['about', 'private', 'draft']) await place(pageId);
+    for (const pageId of ['home', 'about', 'private', 'landing']) await publish(pageId);
+  });
+
+  test('sitemap.xml lists published pages with a URL, except noindex ones', async () => {
+    const res = await api.get(`/api/app/shop/sitemap.xml?baseUrl=${BASE_URL}`).set(auth(owner));
+    expect(res.status).toBe(200);
+    expect(res.headers['content-type']).toMatch(/^application\/xml/);
+    expect(locs(res.text)).toEqual([`${BASE_URL}/`, `${BASE_URL}/about`, 'https://landing.example.com/coffee']);
+    expect(res.text).toMatch(/<lastmod>\d{4}-\d{2}-\d{2}T/);
+  });
+
+  test('robots.txt disallows noindex paths and links the sitemap', async () => {
+    const res = await api.get(`/api/app/shop/robots.txt?baseUrl=${BASE_URL}/`).set(auth(owner));
+    expect(res.status).toBe(200);
+    expect(res.text).toBe(`User-agent: *\nDisallow: /private$\n\nSitemap: ${BASE_URL}/sitemap.xml\n`);
+  });
+
+  test('other environments have their own published pages', async () => {
+    const res = await api.get(`/api/app/shop/sitemap.xml?env=prod&baseUrl=${BASE_URL}`).set(auth(owner));
+    expect(locs(res.text)).toEqual([]);
+    const robots = await api.get(`/api/app/shop/robots.txt?env=prod&baseUrl=${BASE_URL}`).set(auth(owner));
+    expect(robots.text).toContain('Allow: /\n');
+  });
+
+  test('rejects a baseUrl that is not an absolute http(s) URL', async () => {
+    for (const baseUrl of ['ftp://example.com', 'example.com', 'https://example.com/?q=1']) {
+      const res = await api.get(`/api/app/shop/sitemap.xml?baseUrl=${encodeURIComponent(baseUrl)}`).set(auth(owner));
+      expect(res.status).toBe(400);
+    }
+  });
+});
@@ -0,0 +1,124 @@
+/**
+ * Site map and menus: pages get unique paths, path changes leave redirects,
+ * and a page that a menu or a child page depends on cannot be removed.
+ */
+import { api, auth, signup, createApp, addMember } from './helpers.js';
+
+let owner;
+let viewer;
+
+const savePage = (pageName) => api.post('/api/pages').set(auth(owner))
+  .send({ appName: 'Shop', pageName, pageData: { components: [] } });
+
+const place = (pageName, body = {}, uid = owner) =>
+  api.put(`/api/app/shop/sitemap/pages/${pageName}`).set(auth(uid)).send(body);
+
+const resolve = (path) => api.get(`/api/app/shop/sitemap/resolve?path=${encodeURIComponent(path)}`).set(auth(owner));
+
+beforeAll(async () => {
+  owner = await signup();
+  await createApp(owner, 'Shop');
+  viewer = await addMember(owner, 'Shop', 'viewer');
+  for (const name of ['Home', 'About', 'Team', 'Contact']) await savePage(name);
+});
+
+describe('page tree', () => {
+  test('places pages with slugs, parents and a home page', async () => {
+    expect((await place('home', { isHome: true })).status).toBe(200);
+    expect((await place('about')).body.data.node).toMatchObject({ slug: 'about', path: '/about', parentId: null });
+    expect((await place('team', { parentId: 'about' })).body.data.node.path).toBe('/about/team');
+
+    const res = await api.get('/api/app/shop/sitemap').set(auth(viewer));
+    expect(res.status).toBe(200);
+    expect(res.body.data.homePageId).toBe('home');
+    expect(res.body.data.tree.map((node) => node.pageId)).toEqual(['home', 'about']);
+    expect(res.body.data.tree[1].children).toEqual([expect.objectContaining({ pageId: 'team', path: '/about/team' })]);
+  });
+
+  test('viewers cannot change it', async () => {
+    expect((await place('contact', {}, viewer)).status).toBe(403);
+  });
+
+  test('rejects taken paths, bad slugs, cycles and unknown pages', async () => {
+    expect((await place('contact', { slug: 'about' })).status).toBe(409);
+    expect((await place('contact', { slug: 'Not A Slug' })).status).toBe(400);
+    expect((await place('about', { parentId: 'team' })).status).toBe(400);
+    expect((await place('missing')).status).toBe(404);
+  });
+
+  test('resolves paths, including "/" for the home page', async () => {
+    expect((await resolve('/about/team')).body.data).toEqual({ pageId: 'team', path: '/about/team' });
+    expect((await resolve('/')).body.data.pageId).toBe('home');
+    expect((await resolve('/nowhere')).status).toBe(404);
+  });
+
+  test('each environment has its own site map', async () => {
+    const res = await api.get('/api/app/shop/sitemap?env=staging').set(auth(owner));
+    expect(res.status).toBe(200);
+    expect(res.body.data).toEqual({ homePageId: null, tree: [] });
+  });
+});
+
+describe('redirects', () => {
+  test('a new slug redirects the old paths of the page and its children', async () => {
+    const res = await place('about', { slug: 'company' });
+    expect(res.status).toBe(200);
+    expect(res.body.data.redirects.map((redirect) => redirect.from).sort()).toEqual(['/about', '/about/team']);
+
+    expect((await resolve('/about/team')).body.data).toEqual({ pageId: 'team', redirectTo: '/company/team', status: 301 });
+    expect((await resolve('/company/team')).body.data.pageId).toBe('team');
+  });
+
+  test('redirects follow later moves instead of chaining', async () => {
+    await place('about', { slug: 'us' });
+    expect((await resolve('/about')).body.data.redirectTo).toBe('/us');
+    expect((await resolve('/company')).body.data.redirectTo).toBe('/us');
+  });
+
+  test('can be listed and deleted', async () => {
+    const list = await api.get('/api/app/shop/sitemap/redirects').set(auth(owner));
+    expect(list.body.data.map((redirect) => redirect.from)).toEqual(expect.arrayContaining(['/about', '/company']));
+
+    expect((await api.delete('/api/app/shop/sitemap/redirects?path=/company').set(auth(owner))).status).toBe(200);
+    expect((await resolve('/company')).status).toBe(404);
+    expect((await api.delete('/api/app/shop/sitemap/redirects?path=/company').set(auth(owner))).status).toBe(404);
+  });
+});
+
+describe('menus', () => {
+  test('link pages in the site map and show their current paths', async () => {
+    const res = await api.put('/api/app/shop/menus/main').set(auth(owner)).send({
+      label: 'Main',
+      items: [{ pageId: 'home' }, { pageId: 'about', label: 'About us', children: [{ pageId: 'team' }] }, { url: 'https://example.com', label: 'Blog' }]
+    });
+    expect(res.status).toBe(200);
+
+    const menu = await api.get('/api/app/shop/menus/main').set(auth(viewer));
+    expect(menu.body.data.items[1]).toMatchObject({ pageId: 'about', label: 'About us', path: '/us', children: [{ pageId: 'team', path: '/us/team' }] });
+  });
+
+  test('refuse pages outside the site map and bad items', async () => {
+    const save = (items) => api.put('/api/app/shop/menus/footer').set(auth(owner)).send({ items });
+    expect((await save([{ pageId: 'contact' }])).status).toBe(400);
+    expect((await save([{ url: 'https://example.com' }])).status).toBe(400);
+    expect((await save([{ pageId: 'home', url: 'https://example.com' }])).status).toBe(400);
+    expect((await api.put('/api/app/shop/menus/Bad Name').set(auth(owner)).send({ items: [] })).status).toBe(400);
+  });
+
+  test('keep linked pages and parents from being removed or deleted', async () => {
+    expect((await api.delete('/api/app/shop/sitemap/pages/team').set(auth(owner))).status).toBe(409);
+    expect((await api.delete('/api/app/shop/sitemap/pages/about').set(auth(owner))).status).toBe(409);
+    expect((await api.delete('/api/pages/shop/team').set(auth(owner))).status).toBe(409);
+
+    expect((await api.delete('/api/app/shop/menus/main').set(auth(owner))).status).toBe(200);
+    expect((await api.delete('/api/app/shop/menus/main').set(auth(owner))).status).toBe(404);
+    expect((await api.delete('/api/app/shop/sitemap/pages/team').set(auth(owner))).status).toBe(200);
+    expect((await resolve('/us/team')).status).toBe(404);
+  });
+
+  test('deleting a page takes it out of the site map', async () => {
+    await place('contact');
+    expect((await api.delete('/api/pages/shop/contact').set(auth(owner))).status).toBe(200);
+    expect((await resolve('/contact')).status).toBe(404);
+  });
+});
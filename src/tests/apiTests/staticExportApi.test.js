@@ -0,0 +1,115 @@
+/**
+ * Static HTML export: pages land at their site map paths inside the zip,
+ * links and assets become relative, and every entry name stays inside the
+ * archive.
+ */
+import { getDb, getBucket } from '../../services/storageAdapter.js';
+import { readZip } from '../../utils/zip.js';
+import { api, auth, signup, createApp, addMember } from './helpers.js';
+
+const jayramDb = getDb('jayram');
+
+let owner;
+let dataEntry;
+
+const binary = (res, callback) => {
+  const chunks = [];
+  res.on('data', (chunk) => chunks.push(chunk));
+  res.on('end', () => callback(null, Buffer.concat(chunks)));
+};
+
+const exportSite = async (query = '') => {
+  const res = await api.get(`/api/app/shop/export/static${query}`).set(auth(owner)).buffer(true).parse(binary);
+  expect(res.status).toBe(200);
+  expect(res.headers['content-type']).toBe('application/zip');
+  return readZip(res.body);
+};
+
+const html = (entries, name) => entries.get(name).toString('utf8');
+
+const savePage = (pageName, components) => api.post('/api/pages').set(auth(owner))
+  .send({ appName: 'Shop', pageName, pageData: { components } });
+
+const addAsset = async (id, path) => {
+  await jayramDb.collection('shop_assets').doc(id).set({ path, downloadURL: `https://storage.googleapis.com/test/${path}` });
+  await getBucket().file(path).save(Buffer.from(id));
+};
+
+beforeAll(async () => {
+  owner = await signup();
+  await createApp(owner, 'Shop');
+  dataEntry = await addMember(owner, 'Shop', 'dataEntry');
+
+  // Two assets with the same file name in different folders
+  await addAsset('photo', 'apps/shop/assets/images/logo.png');
+  await addAsset('icon', 'apps/shop/assets/icons/logo.png');
+
+  await savePage('Home', [
+    { id: 'title', type: 'text', specificAttrs: { content: '<script>alert(1)</script>', variant: 'h1' } },
+    { id: 'more', type: 'card', specificAttrs: { title: 'Team', link: '/about/team', imageUrl: 'https://storage.googleapis.com/test/apps/shop/assets/icons/logo.png' } },
+    { id: 'bad', type: 'card', specificAttrs: { title: 'Bad', link: 'javascript:alert(1)' } }
+  ]);
+  await savePage('About', [{ id: 'photo', type: 'image', specificAttrs: { src: 'https://storage.googleapis.com/test/apps/shop/assets/images/logo.png' } }]);
+  await savePage('Team', [{ id: 'signup', type: 'form', specificAttrs: { fields: [{ name: 'email', type: 'email', label: 'Email' }] } }]);
+  await savePage('Draft', [{ id: 'wip', type: 'marquee' }]);
+
+  await api.put('/api/app/shop/sitemap/pages/home').set(auth(owner)).send({ isHome: true });
+  await api.put('/api/app/shop/sitemap/pages/about').set(auth(owner)).send({});
+  await api.put('/api/app/shop/sitemap/pages/team').set(auth(owner)).send({ parentId: 'about' });
+});
+
+describe('GET /api/app/:appName/export/static', () => {
+  test('needs app:export', async () => {
+    expect((await api.get('/api/app/shop/export/static').set(auth(dataEntry))).status).toBe(403);
+  });
+
+  test('writes pages at their site map paths', async () => {
+    const entries = await exportSite();
+    expect([...entries.keys()]).toEqual(expect.arrayContaining([
+      'index.html', 'about/index.html', 'about/team/index.html', 'pages/draft/index.html', 'css/site.css', 'export.json'
+    ]));
+
+    const manifest = JSON.parse(html(entries, 'export.json'));
+    expect(manifest.pages.map((page) => page.file).sort()).toEqual(['about/index.html', 'about/team/index.html', 'index.html', 'pages/draft/index.html']);
+    expect(manifest.warnings).toEqual(expect.arrayContaining([expect.stringContaining('unsupported type "marquee"')]));
+  });
+
+  test('escapes content and makes links relative', async () => {
+    const entries = await exportSite();
+    const home = html(entries, 'index.html');
+    expect(home).toContain('&lt;script&gt;alert(1)&lt;/script&gt;');
+    expect(home).not.toContain('<script>');
+    expect(home).toContain('href="about/team/index.html"');
+    expect(home).not.toContain('javascript:');
+    expect(html(entries, 'about/team/index.html')).toContain('href="../../css/site.css"');
+  });
+
+  test('keeps every entry name relative, unique and free of dot segments', async () => {
+    const entries = await exportSite();
+    const names = [...entries.keys()];
+    names.forEach((name) => {
+      expect(name).not.toMatch(/^\/|\\/);
+      expect(name.split('/').every((segment) => segment && segment !== '.' && segment !== '..')).toBe(true);
+    });
+
+    const manifest = JSON.parse(html(entries, 'export.json'));
+    expect([...manifest.assets].sort()).toEqual(['assets/logo-2.png', 'assets/logo.png']);
+    expect(manifest.assets.map((file) => entries.get(file).toString()).sort()).toEqual(['icon', 'photo']);
+  });
+
+  test('points forms at formAction and rejects unsafe ones', async () => {
+    const entries = await exportSite('?formAction=https://forms.example.com/submit');
+    expect(html(entries, 'about/team/index.html')).toContain('action="https://forms.example.com/submit"');
+
+    const res = await api.get('/api/app/shop/export/static?formAction=javascript:alert(1)').set(auth(owner));
+    expect(res.status).toBe(400);
+  });
+
+  test('version=published exports only live pages', async () => {
+    expect((await api.post('/api/pages/shop/about/publish').set(auth(owner))).status).toBe(200);
+
+    const entries = await exportSite('?version=published');
+    const manifest = JSON.parse(html(entries, 'export.json'));
+    expect(manifest.pages.map((page) => page.pageId)).toEqual(['about']);
+  });
+});
@@ -0,0 +1,59 @@
+/**
+ * Template generation: generated pages are saved like editor saves, as new
+ * revisions with a new ETag and a refreshed usage index.
+ */
+import { api, auth, signup, createApp } from './helpers.js';
+
+let owner;
+
+const generate = () =>
+  api.post('/api/template/generate-and-save').set(auth(owner)).send({ appName: 'Shop', appType: 'e-commerce' });
+
+const usagesOf = async (type, id) => {
+  const res = await api.get(`/api/app/shop/usages?type=${type}&id=${id}`).set(auth(owner));
+  expect(res.status).toBe(200);
+  return res.body.data.usageCount;
+};
+
+beforeAll(async () => {
+  owner = await signup();
+  await createApp(owner, 'Shop');
+});
+
+describe('generate-and-save', () => {
+  test('records each generated page as a revision', async () => {
+    const res = await generate();
+    expect(res.status).toBe(201);
+    expect(res.body.data.savedPages.map((page) => page.docId)).toEqual(['home', 'products', 'about', 'contact']);
+    expect(res.body.data.savedPages[0].revision).toBe(1);
+
+    const revisions = await api.get('/api/pages/shop/home/revisions').set(auth(owner));
+    expect(revisions.body.data).toEqual([
+      expect.objectContaining({ revision: 1, authorId: owner, message: 'Generated from the e-commerce template' })
+    ]);
+    const page = await api.get('/api/pages/shop/home').set(auth(owner));
+    expect(page.headers.etag).toBe('"1"');
+  });
+
+  test('moves the ETag on, so edits based on the old page are refused', async () => {
+    const before = await api.get('/api/pages/shop/about').set(auth(owner));
+    const etag = before.headers.etag;
+
+    await generate();
+
+    const stale = await api.post('/api/pages').set(auth(owner)).set('If-Match', etag)
+      .send({ appName: 'Shop', pageName: 'About', pageData: { components: [] } });
+    expect(stale.status).toBe(409);
+  });
+
+  test('refreshes the usage index of the pages it replaces', async () => {
+    const button = { id: 'buy', type: 'button', name: 'Buy', specificAttrs: { label: 'Buy', actionId: 'checkout' } };
+    const saved = await api.post('/api/pages').set(auth(owner))
+      .send({ appName: 'Shop', pageName: 'Contact', pageData: { components: [button] } });
+    expect(saved.status).toBe(201);
+    expect(await usagesOf('action', 'checkout')).toBe(1);
+
+    await generate();
+    expect(await usagesOf('action', 'checkout')).toBe(0);
+  });
+});
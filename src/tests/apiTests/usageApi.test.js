@@ -0,0 +1,111 @@
+/**
+ * Usage index: saves and deletes of pages and processes keep track of the
+ * components, actions, validations and assets they reference, and deleting
+ * an item that is still used answers 409 unless forced.
+ */
+import { getDb, getBucket } from '../../services/storageAdapter.js';
+import { api, auth, signup, createApp } from './helpers.js';
+
+const jayramDb = getDb('jayram');
+
+let owner;
+
+const savePage = (pageName, pageData) => api.post('/api/pages').set(auth(owner)).send({ appName: 'Shop', pageName, pageData });
+
+const usagesOf = async (type, id) => {
+  const res = await api.get(`/api/app/shop/usages?type=${type}&id=${id}`).set(auth(owner));
+  expect(res.status).toBe(200);
+  return res.body.data;
+};
+
+const sources = (report) => report.usages.map((usage) => `${usage.sourceType}:${usage.sourceId}`).sort();
+
+beforeAll(async () => {
+  owner = await signup();
+  await createApp(owner, 'Shop');
+
+  await api.post('/api/components').set(auth(owner)).send({
+    componentData: { id: 'promo', type: 'text', name: 'Promo', appName: 'Shop', specificAttrs: { content: 'Sale', variant: 'paragraph' } }
+  });
+  await api.post('/api/actions/save').set(auth(owner)).send({ appName: 'Shop', actionId: 'checkout', actionData: { name: 'Checkout', type: 'api' } });
+  await api.post('/api/actions/save').set(auth(owner)).send({ appName: 'Shop', actionId: 'notify', actionData: { name: 'Notify', type: 'api' } });
+  await api.post('/api/validations/jayram/Shop').set(auth(owner)).send({ id: 'val_email', name: 'Email', type: 'regex' });
+  await jayramDb.collection('shop_assets').doc('hero').set({ path: 'apps/shop/hero.png', fileType: 'image/png' });
+  await getBucket().file('apps/shop/hero.png').save(Buffer.from('hero'));
+
+  await savePage('Home', {
+    components: [
+      { id: 'banner', libraryComponentId: 'promo' },
+      { id: 'buy', type: 'button', name: 'Buy', specificAttrs: { label: 'Buy', action: 'submitForm', variant: 'primary', actionId: 'checkout' } }
+    ],
+    seo: { ogImageAssetId: 'hero' }
+  });
+  await api.post('/api/processes/jayram/Shop').set(auth(owner)).send({
+    id: 'signup', name: 'Sign up',
+    steps: [{ id: 's1', content: { type: 'component', contentId: 'promo' }, validationId: 'val_email' }],
+    finalActions: ['notify']
+  });
+});
+
+describe('the index', () => {
+  test('records references from pages and processes', async () => {
+    expect(sources(await usagesOf('component', 'promo'))).toEqual(['page:home', 'process:signup']);
+    expect(sources(await usagesOf('action', 'checkout'))).toEqual(['page:home']);
+    expect(sources(await usagesOf('action', 'notify'))).toEqual(['process:signup']);
+    expect(sources(await usagesOf('validation', 'val_email'))).toEqual(['process:signup']);
+
+    const asset = await usagesOf('asset', 'hero');
+    expect(asset.usages[0]).toMatchObject({ sourceType: 'page', sourceId: 'home', paths: ['$.seo.ogImageAssetId'] });
+  });
+
+  test('is also served per component', async () => {
+    const res = await api.get('/api/components/promo/usages?appName=Shop').set(auth(owner));
+    expect(res.body.data).toMatchObject({ componentId: 'promo', usageCount: 2 });
+  });
+
+  test('follows saves and deletes of the sources', async () => {
+    await savePage('Other', { components: [{ id: 'pay', type: 'button', name: 'Pay', specificAttrs: { label: 'Pay', action: 'submitForm', variant: 'primary', actionId: 'checkout' } }] });
+    expect((await usagesOf('action', 'checkout')).usageCount).toBe(2);
+
+    await api.delete('/api/pages/shop/other').set(auth(owner));
+    expect((await usagesOf('action', 'checkout')).usageCount).toBe(1);
+  });
+
+  test('rejects unknown types', async () => {
+    expect((await api.get('/api/app/shop/usages?type=page&id=home').set(auth(owner))).status).toBe(400);
+  });
+
+  test('can be rebuilt after writes that bypassed the API', async () => {
+    await jayramDb.collection('shop_pages').doc('imported').set({ name: 'Imported', components: [{ id: 'x', libraryComponentId: 'promo' }] });
+    expect((await usagesOf('component', 'promo')).usageCount).toBe(2);
+
+    const res = await api.post('/api/app/shop/usages/rebuild').set(auth(owner));
+    expect(res.status).toBe(200);
+    expect(sources(await usagesOf('component', 'promo'))).toEqual(['page:home', 'page:imported', 'process:signup']);
+  });
+});
+
+describe('deleting used items', () => {
+  test.each([
+    ['component', '/api/components/promo?appName=Shop'],
+    ['action', '/api/actions/Shop/checkout'],
+    ['validation', '/api/validations/jayram/Shop/val_email'],
+    ['asset', '/api/assets/shop/hero']
+  ])('a used %s answers 409 with its usages', async (type, path) => {
+    const res = await api.delete(path).set(auth(owner));
+    expect(res.status).toBe(409);
+    expect(res.body.details.usages.length).toBeGreaterThan(0);
+  });
+
+  test('force=true deletes anyway', async () => {
+    const res = await api.delete('/api/actions/Shop/checkout?force=true').set(auth(owner));
+    expect(res.status).toBe(200);
+    expect(res.body.data.usages).toEqual([expect.objectContaining({ sourceId: 'home' })]);
+    expect((await api.get('/api/actions/shop/checkout').set(auth(owner))).status).toBe(404);
+  });
+
+  test('an unused item is deleted right away', async () => {
+    await api.post('/api/processes/jayram/Shop').set(auth(owner)).send({ id: 'signup', name: 'Sign up', steps: [] });
+    expect((await api.delete('/api/actions/Shop/notify').set(auth(owner))).status).toBe(200);
+  });
+});
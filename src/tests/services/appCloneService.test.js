@@ -0,0 +1,86 @@
+/**
+ * appCloneService: copies the source app's own collections, tables and files
+ * into the new prefix and rewrites only real references.
+ */
+import { getDb, getBucket } from '../../services/storageAdapter.js';
+import { appCloneService } from '../../services/appCloneService.js';
+import { api, auth, signup, createApp } from '../apiTests/helpers.js';
+
+const jayramDb = getDb('jayram');
+
+const put = (collection, id, data) => jayramDb.collection(collection).doc(id).set(data);
+const read = async (collection) => {
+  const snap = await jayramDb.collection(collection).get();
+  return Object.fromEntries(snap.docs.filter((doc) => doc.id !== '_init').map((doc) => [doc.id, doc.data()]));
+};
+
+let owner;
+let result;
+
+beforeAll(async () => {
+  owner = await signup();
+  await createApp(owner, 'Shop');
+  await createApp(owner, 'Shopping');
+
+  await put('shop_validations', 'val_1', { id: 'val_1', name: 'Email' });
+  await put('shop_processes', 'signup', {
+    steps: [{ validationId: 'val_1', label: 'val_1' }],
+    note: 'schema_orders'
+  });
+  await put('shop_data_schemas', 'schema_orders', { displayName: 'Orders', internalName: 'shop_data_1a2b3c4d_orders', recordCount: 1 });
+  await put('shop_data_1a2b3c4d_orders', 'rec_1', { total: 5 });
+  await put('shop_pages', 'home', { title: 'shop_data_1a2b3c4d_orders', appName: 'Shop' });
+  await put('shop_assets', 'logo', { path: 'apps/shop/logo.png' });
+  await put('shop_assets', 'banner', { path: 'apps/shopping/banner.png' });
+  await put('shop_notes', 'n1', { text: 'not a kind apps own' });
+  await put('shopping_pages', 'home', { title: 'Shopping' });
+
+  await getBucket().file('apps/shop/logo.png').save(Buffer.from('logo'));
+  await getBucket().file('apps/shopping/banner.png').save(Buffer.from('banner'));
+
+  await createApp(owner, 'Copy');
+  result = await appCloneService.cloneApp({
+    source: { appPrefix: 'shop', appName: 'Shop' },
+    target: { appPrefix: 'copy', appName: 'Copy' },
+    includeRecords: true
+  });
+});
+
+describe('appCloneService', () => {
+  test('rewrites reference fields and leaves other equal strings alone', async () => {
+    const validations = await read('copy_validations');
+    const [newId] = Object.keys(validations);
+    expect(newId).not.toBe('val_1');
+    expect(validations[newId].id).toBe(newId);
+
+    const { signup: process } = await read('copy_processes');
+    expect(process.steps[0]).toEqual({ validationId: newId, label: 'val_1' });
+    expect(process.note).toBe('schema_orders');
+
+    const { home } = await read('copy_pages');
+    expect(home).toEqual({ title: 'shop_data_1a2b3c4d_orders', appName: 'Copy' });
+  });
+
+  test('copies schemas to new tables under the new prefix', async () => {
+    const schemas = Object.values(await read('copy_data_schemas'));
+    expect(schemas).toHaveLength(1);
+    expect(schemas[0].internalName).toMatch(/^copy_data_[0-9a-f]{8}_orders$/);
+    expect(await read(schemas[0].internalName)).toEqual({ rec_1: { total: 5 } });
+  });
+
+  test('copies only the source app\'s collections and files', async () => {
+    const names = result.collections.map((c) => c.name);
+    expect(names).not.toContain('copy_notes');
+    expect(names.every((name) => name.startsWith('copy_'))).toBe(true);
+    expect(await read('shopping_pages')).toEqual({ home: { title: 'Shopping' } });
+
+    expect(result.files).toBe(1);
+    expect((await getBucket().file('apps/copy/logo.png').exists())[0]).toBe(true);
+    expect((await getBucket().file('apps/copy/banner.png').exists())[0]).toBe(false);
+  });
+
+  test('rejects reserved names for the copy', async () => {
+    const res = await api.post('/api/app/shop/clone').set(auth(owner)).send({ newAppName: 'Apps' });
+    expect(res.status).toBe(400);
+  });
+});
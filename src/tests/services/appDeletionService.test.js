@@ -0,0 +1,111 @@
+/**
+ * appDeletionService: a hard delete removes the app's own collections, data
+ * tables and files, and nothing that merely shares the prefix.
+ */
+import { getDb, getBucket } from '../../services/storageAdapter.js';
+import { appDeletionService } from '../../services/appDeletionService.js';
+import { api, auth, signup, createApp } from '../apiTests/helpers.js';
+
+const jayramDb = getDb('jayram');
+const mudumbaiDb = getDb('mudumbai');
+
+const put = (collection, id, data = { name: id }) => jayramDb.collection(collection).doc(id).set(data);
+const exists = async (collection, id) => (await jayramDb.collection(collection).doc(id).get()).exists;
+const fileExists = async (path) => (await getBucket().file(path).exists())[0];
+
+let owner;
+
+beforeAll(async () => {
+  owner = await signup();
+  await createApp(owner, 'Shop');
+  await createApp(owner, 'Shopping');
+
+  await put('shop_pages', 'home');
+  await put('shop_staging_pages', 'home');
+  await put('shop_data_schemas', 'schema_orders', { displayName: 'Orders', internalName: 'shop_data_1a2b3c4d_orders' });
+  await put('shop_data_1a2b3c4d_orders', 'rec_1');
+  // A schema pointing outside the app's tables is not followed
+  await put('shop_data_schemas', 'schema_evil', { displayName: 'Evil', internalName: 'shopping_pages' });
+  await put('shop_assets', 'logo', { path: 'apps/Shop/logo.png' });
+  await put('shop_assets', 'stolen', { path: 'apps/shopping/banner.png' });
+  // Not a collection kind apps own
+  await put('shop_notes', 'n1');
+
+  await put('shopping_pages', 'home');
+  await put('app_jobs', 'job1', { type: 'app.rename' });
+
+  const bucket = getBucket();
+  await bucket.file('apps/shop/hero.png').save(Buffer.from('hero'));
+  await bucket.file('apps/Shop/logo.png').save(Buffer.from('logo'));
+  await bucket.file('apps/shopping/banner.png').save(Buffer.from('banner'));
+});
+
+describe('appDeletionService', () => {
+  test('plans only the collections, tables and folders of the app', async () => {
+    const plan = await appDeletionService.discover('shop');
+
+    expect(plan.collections.map((c) => c.name).sort()).toEqual([
+      'shop_assets',
+      'shop_components',
+      'shop_data_1a2b3c4d_orders',
+      'shop_data_schemas',
+      'shop_layouts',
+      'shop_pages',
+      'shop_staging_pages',
+      'shop_theme'
+    ]);
+    expect(plan.storage.map((s) => s.prefix).sort()).toEqual(['apps/Shop/', 'apps/shop/']);
+  });
+
+  test('deletes the app and leaves other apps and platform collections alone', async () => {
+    await appDeletionService.deleteApp('shop', { actor: owner });
+
+    expect(await exists('shop_pages', 'home')).toBe(false);
+    expect(await exists('shop_staging_pages', 'home')).toBe(false);
+    expect(await exists('shop_data_1a2b3c4d_orders', 'rec_1')).toBe(false);
+    expect(await exists('apps_meta', 'shop')).toBe(false);
+    expect(await fileExists('apps/shop/hero.png')).toBe(false);
+    expect(await fileExists('apps/Shop/logo.png')).toBe(false);
+
+    expect(await exists('shopping_pages', 'home')).toBe(true);
+    expect(await exists('apps_meta', 'shopping')).toBe(true);
+    expect(await exists('app_jobs', 'job1')).toBe(true);
+    expect(await exists('shop_notes', 'n1')).toBe(true);
+    expect(await fileExists('apps/shopping/banner.png')).toBe(true);
+
+    const memberships = await mudumbaiDb.collection('app_users').where('appPrefix', '==', 'shopping').get();
+    expect(memberships.size).toBe(1);
+  });
+});
+
+describe('reserved app names', () => {
+  test.each(['Apps', 'app', 'Users', 'audit'])('"%s" cannot be created', async (appName) => {
+    const res = await api.post('/api/app/create').set(auth(owner)).send({ appName });
+    expect(res.status).toBe(400);
+    expect(await exists('apps_meta', appName.toLowerCase())).toBe(false);
+  });
+});
+
+describe('a failed deletion', () => {
+  test('leaves the app archived so it can be deleted again', async () => {
+    await createApp(owner, 'Flaky');
+    await put('flaky_pages', 'home');
+    await getBucket().file('apps/flaky/logo.png').save(Buffer.from('logo'));
+    expect((await api.delete('/api/app/flaky').set(auth(owner))).status).toBe(200);
+
+    const failAtStorage = async ({ phase }) => {
+      if (phase === 'storage') throw new Error('storage unavailable');
+    };
+    await expect(appDeletionService.deleteApp('flaky', { actor: owner, onProgress: failAtStorage }))
+      .rejects.toThrow('storage unavailable');
+
+    const meta = (await jayramDb.collection('apps_meta').doc('flaky').get()).data();
+    expect(meta.status).toBe('archived');
+    expect(await fileExists('apps/flaky/logo.png')).toBe(true);
+
+    const summary = await appDeletionService.purgeArchivedApps({ retentionDays: 0, now: new Date(Date.now() + 1000) });
+    expect(summary.purged).toContain('flaky');
+    expect(await exists('apps_meta', 'flaky')).toBe(false);
+    expect(await fileExists('apps/flaky/logo.png')).toBe(false);
+  });
+});
@@ -0,0 +1,98 @@
+/**
+ * appRenameService: a prefix migration reserves its target up front and moves
+ * only the app's own collections, tables and folders.
+ */
+import { getDb, getBucket } from '../../services/storageAdapter.js';
+import { accessService } from '../../services/accessService.js';
+import { appRenameService } from '../../services/appRenameService.js';
+import { api, auth, signup, createApp } from '../apiTests/helpers.js';
+
+const jayramDb = getDb('jayram');
+
+const put = (collection, id, data) => jayramDb.collection(collection).doc(id).set(data);
+const get = async (collection, id) => (await jayramDb.collection(collection).doc(id).get()).data();
+const fileExists = async (path) => (await getBucket().file(path).exists())[0];
+
+let owner;
+
+beforeAll(async () => {
+  owner = await signup();
+  await createApp(owner, 'Shop');
+  await createApp(owner, 'Shopping');
+
+  await put('shop_pages', 'home', { title: 'Home', appName: 'Shop' });
+  await put('shop_staging_pages', 'home', { title: 'Home' });
+  await put('shop_data_schemas', 'schema_orders', { displayName: 'Orders', internalName: 'shop_data_1a2b3c4d_orders' });
+  await put('shop_data_1a2b3c4d_orders', 'rec_1', { total: 5 });
+  await put('shop_assets', 'logo', { path: 'apps/shop/logo.png' });
+  await put('shop_notes', 'n1', { text: 'not a kind apps own' });
+  await put('shopping_pages', 'home', { title: 'Shopping' });
+
+  // A display name that reads like another app's folder is not a storage root
+  await jayramDb.collection('apps_meta').doc('shop').set({ appName: 'shopping/x' }, { merge: true });
+  await getBucket().file('apps/shop/logo.png').save(Buffer.from('logo'));
+  await getBucket().file('apps/shopping/x/secret.png').save(Buffer.from('secret'));
+});
+
+describe('planMigration', () => {
+  test('reserves the target prefix until the rename is done', async () => {
+    const app = await accessService.getAppMeta('shop');
+    const plan = await appRenameService.planMigration(app, 'Outlet');
+
+    expect(await get('apps_meta', 'outlet')).toMatchObject({ status: 'migrating', reservedFor: 'shop' });
+    await expect(appRenameService.planMigration(app, 'Outlet')).rejects.toMatchObject({ status: 409 });
+    const res = await api.post('/api/app/create').set(auth(owner)).send({ appName: 'Outlet' });
+    expect(res.status).toBe(409);
+
+    await appRenameService.releaseTarget(plan);
+    expect(await get('apps_meta', 'outlet')).toBeUndefined();
+  });
+
+  test('maps only the app\'s own collections and folders', async () => {
+    const plan = await appRenameService.planMigration(await accessService.getAppMeta('shop'), 'Outlet');
+    await appRenameService.releaseTarget(plan);
+
+    expect(Object.keys(plan.collectionMap).sort()).toEqual([
+      'shop_assets',
+      'shop_components',
+      'shop_data_1a2b3c4d_orders',
+      'shop_data_schemas',
+      'shop_layouts',
+      'shop_pages',
+      'shop_staging_pages',
+      'shop_theme'
+    ]);
+    expect(plan.collectionMap.shop_data_1a2b3c4d_orders).toMatch(/^outlet_data_[0-9a-f]{8}_orders$/);
+    expect(plan.storageRoots).toEqual(['shop']);
+  });
+
+  test('rejects reserved names', async () => {
+    const res = await api.post('/api/app/shop/rename').set(auth(owner)).send({ newAppName: 'Apps', migratePrefix: true });
+    expect(res.status).toBe(400);
+    expect(await get('apps_meta', 'apps')).toBeUndefined();
+  });
+});
+
+describe('migratePrefix', () => {
+  test('moves the app and leaves everything else in place', async () => {
+    const plan = await appRenameService.planMigration(await accessService.getAppMeta('shop'), 'Store');
+    await appRenameService.migratePrefix({ id: 'job_rename', type: 'app.rename', params: plan, createdBy: owner });
+
+    expect(await get('store_pages', 'home')).toEqual({ title: 'Home', appName: 'Store' });
+    expect(await get('store_staging_pages', 'home')).toEqual({ title: 'Home' });
+    const schema = await get('store_data_schemas', 'schema_orders');
+    expect(schema.internalName).toBe(plan.collectionMap.shop_data_1a2b3c4d_orders);
+    expect(await get(schema.internalName, 'rec_1')).toEqual({ total: 5 });
+    expect(await get('apps_meta', 'store')).toMatchObject({ status: 'active', createdBy: owner, appName: 'Store' });
+
+    expect(await get('shop_pages', 'home')).toBeUndefined();
+    expect(await get('apps_meta', 'shop')).toBeUndefined();
+    expect(await fileExists('apps/store/logo.png')).toBe(true);
+    expect(await fileExists('apps/shop/logo.png')).toBe(false);
+
+    expect(await get('shop_notes', 'n1')).toEqual({ text: 'not a kind apps own' });
+    expect(await get('shopping_pages', 'home')).toEqual({ title: 'Shopping' });
+    expect(await fileExists('apps/shopping/x/secret.png')).toBe(true);
+    expect(await fileExists('apps/store/secret.png')).toBe(false);
+  });
+});
@@ -0,0 +1,82 @@
+/**
+ * environmentService: promotions keep the replaced documents out of the
+ * history entry, and refuse to apply a diff that went stale.
+ */
+import { jest } from '@jest/globals';
+import { getDb } from '../../services/storageAdapter.js';
+import { environmentService } from '../../services/environmentService.js';
+
+const jayramDb = getDb('jayram');
+
+const put = (collection, id, data) => jayramDb.collection(collection).doc(id).set(data);
+const get = async (collection, id) => (await jayramDb.collection(collection).doc(id).get()).data();
+
+const app = { appPrefix: 'shop' };
+
+beforeEach(async () => {
+  await put('shop_pages', 'home', { title: 'New home' });
+  await put('shop_pages', 'about', { title: 'About' });
+  await put('shop_staging_pages', 'home', { title: 'Old home' });
+  await put('shop_staging_pages', 'legacy', { title: 'Legacy' });
+});
+
+describe('promote', () => {
+  test('stores the replaced documents next to a small history entry', async () => {
+    const promotion = await environmentService.promote(app, { from: 'dev', to: 'staging', kinds: ['pages'], promotedBy: 'u1' });
+    expect(promotion.summary).toEqual({ create: 1, update: 1, delete: 1 });
+
+    const entry = await get('shop_promotions', promotion.id);
+    expect(entry.beforeChunks).toBe(1);
+    entry.changes.forEach((change) => expect(change).not.toHaveProperty('before'));
+
+    const chunk = await get('shop_promotions_before', `${promotion.id}_0`);
+    expect(chunk.promotionId).toBe(promotion.id);
+    expect(chunk.changes.map(({ before }) => before)).toEqual(
+      expect.arrayContaining([{ title: 'Old home' }, { title: 'Legacy' }])
+    );
+
+    await environmentService.rollback(app, promotion.id, { rolledBackBy: 'u1' });
+    expect(await get('shop_staging_pages', 'home')).toEqual({ title: 'Old home' });
+    expect(await get('shop_staging_pages', 'legacy')).toEqual({ title: 'Legacy' });
+    expect(await get('shop_staging_pages', 'about')).toBeUndefined();
+  });
+
+  test('refuses when a changed document moved after the diff', async () => {
+    const computeChanges = environmentService.computeChanges.bind(environmentService);
+    const spy = jest.spyOn(environmentService, 'computeChanges').mockImplementationOnce(async (...args) => {
+      const changes = await computeChanges(...args);
+      await put('shop_staging_pages', 'home', { title: 'Edited meanwhile' });
+      return changes;
+    });
+
+    await expect(
+      environmentService.promote(app, { from: 'dev', to: 'staging', kinds: ['pages'], promotedBy: 'u1' })
+    ).rejects.toMatchObject({ status: 409, details: { moved: [{ kind: 'pages', id: 'home' }] } });
+    spy.mockRestore();
+
+    expect(await get('shop_staging_pages', 'home')).toEqual({ title: 'Edited meanwhile' });
+    expect(await get('shop_staging_pages', 'legacy')).toEqual({ title: 'Legacy' });
+  });
+});
+
+describe('rollback', () => {
+  test('still reads entries that keep the replaced documents inline', async () => {
+    await put('shop_staging_pages', 'home', { title: 'New home' });
+    await jayramDb.collection('shop_staging_pages').doc('legacy').delete();
+    await put('shop_promotions', 'old', {
+      type: 'promotion',
+      from: 'dev',
+      to: 'staging',
+      kinds: ['pages'],
+      changes: [
+        { kind: 'pages', id: 'home', action: 'update', before: { title: 'Old home' }, afterHash: null },
+        { kind: 'pages', id: 'legacy', action: 'delete', before: { title: 'Legacy' }, afterHash: null }
+      ],
+      rolledBackAt: null
+    });
+
+    await environmentService.rollback(app, 'old', { force: true, rolledBackBy: 'u1' });
+    expect(await get('shop_staging_pages', 'home')).toEqual({ title: 'Old home' });
+    expect(await get('shop_staging_pages', 'legacy')).toEqual({ title: 'Legacy' });
+  });
+});
@@ -0,0 +1,57 @@
+/**
+ * firestoreService CRUD helpers on the local storage backend.
+ */
+import firestoreService from '../../services/firestoreService.js';
+
+describe('firestoreService', () => {
+  test('creates, reads, updates and deletes documents', async () => {
+    const created = await firestoreService.createDoc('shop_actions', { name: 'Open URL' });
+    expect(created.success).toBe(true);
+    const { id } = created.data;
+
+    const fetched = await firestoreService.getDoc('shop_actions', id);
+    expect(fetched.data).toMatchObject({ id, name: 'Open URL' });
+    expect(typeof fetched.data.createdAt).toBe('string');
+
+    await firestoreService.updateDoc('shop_actions', id, { name: 'Open link' });
+    expect((await firestoreService.getDoc('shop_actions', id)).data.name).toBe('Open link');
+
+    expect((await firestoreService.deleteDoc('shop_actions', id)).success).toBe(true);
+    expect(await firestoreService.getDoc('shop_actions', id)).toEqual({ success: false, error: 'Document not found' });
+  });
+
+  test('upsertDoc merges into an existing document', async () => {
+    await firestoreService.upsertDoc('shop_theme', 'main', { colors: { primary: '#000' } });
+    await firestoreService.upsertDoc('shop_theme', 'main', { colors: { accent: '#f00' } });
+
+    const { data } = await firestoreService.getDoc('shop_theme', 'main');
+    expect(data.colors).toEqual({ primary: '#000', accent: '#f00' });
+  });
+
+  test('update of a missing document reports failure instead of throwing', async () => {
+    const res = await firestoreService.updateDoc('shop_theme', 'missing', { a: 1 });
+    expect(res.success).toBe(false);
+  });
+
+  test('queries, lists and fetches by ids', async () => {
+    await firestoreService.upsertDoc('blog_pages', 'a', { status: 'draft' });
+    await firestoreService.upsertDoc('blog_pages', 'b', { status: 'published' });
+    await firestoreService.upsertDoc('blog_pages', 'c', { status: 'published' });
+
+    const published = await firestoreService.queryDocs('blog_pages', 'status', '==', 'published');
+    expect(published.data.map((doc) => doc.id)).toEqual(['b', 'c']);
+    expect((await firestoreService.listDocs('blog_pages')).data).toHaveLength(3);
+
+    const byIds = await firestoreService.getDocsByIds('blog_pages', ['c', 'missing', 'a']);
+    expect(byIds.data.map((doc) => doc.id)).toEqual(['c', 'a']);
+    expect((await firestoreService.getDocsByIds('blog_pages', [])).data).toEqual([]);
+  });
+
+  test('keeps the jayram and mudumbai databases apart', async () => {
+    await firestoreService.upsertDoc('users', 'u1', { email: 'a@b.c' }, 'mudumbai');
+
+    expect((await firestoreService.getDoc('users', 'u1', 'mudumbai')).success).toBe(true);
+    expect((await firestoreService.getDoc('users', 'u1')).success).toBe(false);
+    expect(await firestoreService.getCollectionFromFirestore('mudumbai', 'users')).toHaveLength(1);
+  });
+});
@@ -0,0 +1,244 @@
+/**
+ * Local storage adapter: the Firestore-shaped surface the backend relies on
+ * (documents, queries, batches, transactions, persistence, bucket, auth).
+ */
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createLocalAdapter, LocalFirestore, LocalTimestamp } from '../../services/adapters/localAdapter.js';
+
+const newDb = () => new LocalFirestore({ name: 'jayram' });
+
+describe('localAdapter documents', () => {
+  test('set, get, update and delete a document', async () => {
+    const db = newDb();
+    const ref = db.collection('shop_pages').doc('home');
+
+    await ref.set({ name: 'Home', meta: { title: 'Welcome', lang: 'en' } });
+    expect((await ref.get()).data()).toEqual({ name: 'Home', meta: { title: 'Welcome', lang: 'en' } });
+
+    await ref.update({ 'meta.title': 'Hello', published: true });
+    const updated = await ref.get();
+    expect(updated.get('meta.title')).toBe('Hello');
+    expect(updated.data().published).toBe(true);
+    expect(updated.data().meta.lang).toBe('en');
+
+    await ref.delete();
+    expect((await ref.get()).exists).toBe(false);
+  });
+
+  test('set with merge keeps existing fields; plain set replaces them', async () => {
+    const ref = newDb().collection('c').doc('d');
+    await ref.set({ a: 1, nested: { x: 1 } });
+    await ref.set({ b: 2, nested: { y: 2 } }, { merge: true });
+    expect((await ref.get()).data()).toEqual({ a: 1, b: 2, nested: { x: 1, y: 2 } });
+
+    await ref.set({ c: 3 });
+    expect((await ref.get()).data()).toEqual({ c: 3 });
+  });
+
+  test('create fails on an existing document and update on a missing one', async () => {
+    const ref = newDb().collection('c').doc('d');
+    await ref.create({ a: 1 });
+    await expect(ref.create({ a: 2 })).rejects.toMatchObject({ code: 6 });
+    await expect(newDb().collection('c').doc('missing').update({ a: 1 })).rejects.toMatchObject({ code: 5 });
+  });
+
+  test('returned data is a copy, undefined fields are dropped and dates become timestamps', async () => {
+    const ref = newDb().collection('c').doc('d');
+    const when = new Date('2025-01-02T03:04:05.678Z');
+    await ref.set({ list: [1, 2], skip: undefined, when });
+
+    const data = (await ref.get()).data();
+    data.list.push(3);
+    expect((await ref.get()).data().list).toEqual([1, 2]);
+    expect('skip' in data).toBe(false);
+    expect(data.when).toBeInstanceOf(LocalTimestamp);
+    expect(data.when.toDate().toISOString()).toBe(when.toISOString());
+  });
+
+  test('add generates ids; subcollections and listCollections', async () => {
+    const db = newDb();
+    const ref = await db.collection('shop_pages').add({ name: 'About' });
+    expect(ref.id).toMatch(/^[A-Za-z0-9]{20}$/);
+
+    await ref.collection('revisions').doc('1').set({ n: 1 });
+    expect((await ref.listCollections()).map((c) => c.id)).toEqual(['revisions']);
+    expect((await db.listCollections()).map((c) => c.id)).toEqual(['shop_pages']);
+    expect((await db.doc(`shop_pages/${ref.id}/revisions/1`).get()).data()).toEqual({ n: 1 });
+  });
+});
+
+describe('localAdapter queries', () => {
+  let db;
+  beforeEach(async () => {
+    db = newDb();
+    const users = db.collection('app_users');
+    await users.doc('a').set({ appPrefix: 'shop', role: 'owner', rank: 3, tags: ['x'] });
+    await users.doc('b').set({ appPrefix: 'shop', role: 'editor', rank: 1, tags: ['y'] });
+    await users.doc('c').set({ appPrefix: 'blog', role: 'viewer', rank: 2, tags: ['x', 'y'] });
+    await users.doc('d').set({ appPrefix: 'shop', role: 'viewer' });
+  });
+
+  const ids = (snap) => snap.docs.map((doc) => doc.id);
+
+  test('where filters combine', async () => {
+    const users = db.collection('app_users');
+    expect(ids(await users.where('appPrefix', '==', 'shop').get())).toEqual(['a', 'b', 'd']);
+    expect(ids(await users.where('appPrefix', '==', 'shop').where('role', '!=', 'owner').get())).toEqual(['b', 'd']);
+    expect(ids(await users.where('role', 'in', ['owner', 'viewer']).get())).toEqual(['a', 'c', 'd']);
+    expect(ids(await users.where('tags', 'array-contains', 'x').get())).toEqual(['a', 'c']);
+    expect(ids(await users.where('rank', '>=', 2).get())).toEqual(['a', 'c']);
+    expect(ids(await users.where('__name__', '==', 'b').get())).toEqual(['b']);
+  });
+
+  test('orderBy skips documents without the field; limit, offset and startAfter page through', async () => {
+    const users = db.collection('app_users');
+    const byRank = users.orderBy('rank', 'desc');
+    expect(ids(await byRank.get())).toEqual(['a', 'c', 'b']);
+    expect(ids(await byRank.limit(2).get())).toEqual(['a', 'c']);
+    expect(ids(await byRank.offset(1).get())).toEqual(['c', 'b']);
+
+    const first = await byRank.limit(1).get();
+    expect(ids(await byRank.startAfter(first.docs[0]).get())).toEqual(['c', 'b']);
+    expect(ids(await byRank.startAfter(2).get())).toEqual(['b']);
+  });
+
+  test('count and unsupported operators', async () => {
+    const snap = await db.collection('app_users').where('appPrefix', '==', 'shop').count().get();
+    expect(snap.data().count).toBe(3);
+    expect(() => db.collection('app_users').where('rank', 'like', 1)).toThrow(/Unsupported/);
+  });
+});
+
+describe('localAdapter batches and transactions', () => {
+  test('a batch commits all writes or none', async () => {
+    const db = newDb();
+    const col = db.collection('c');
+    await col.doc('existing').set({ v: 1 });
+
+    const failing = db.batch();
+    failing.set(col.doc('new'), { v: 1 });
+    failing.create(col.doc('existing'), { v: 2 });
+    await expect(failing.commit()).rejects.toMatchObject({ code: 6 });
+    expect((await col.doc('new').get()).exists).toBe(false);
+
+    const batch = db.batch();
+    batch.set(col.doc('new'), { v: 1 }).update(col.doc('existing'), { v: 2 }).delete(col.doc('gone'));
+    await batch.commit();
+    expect((await col.doc('new').get()).data()).toEqual({ v: 1 });
+    expect((await col.doc('existing').get()).data()).toEqual({ v: 2 });
+  });
+
+  test('transactions return their result and see their own reads', async () => {
+    const db = newDb();
+    const ref = db.collection('counters').doc('pages');
+    await ref.set({ n: 1 });
+
+    const result = await db.runTransaction(async (tx) => {
+      const snap = await tx.get(ref);
+      tx.update(ref, { n: snap.data().n + 1 });
+      return snap.data().n;
+    });
+    expect(result).toBe(1);
+    expect((await ref.get()).data().n).toBe(2);
+  });
+
+  test('a transaction whose reads changed is retried', async () => {
+    const db = newDb();
+    const ref = db.collection('counters').doc('pages');
+    await ref.set({ n: 0 });
+
+    let attempts = 0;
+    await db.runTransaction(async (tx) => {
+      attempts += 1;
+      const snap = await tx.get(ref);
+      if (attempts === 1) await ref.set({ n: 10 });
+      tx.set(ref, { n: snap.data().n + 1 });
+    });
+    expect(attempts).toBe(2);
+    expect((await ref.get()).data().n).toBe(11);
+  });
+
+  test('a failing transaction writes nothing', async () => {
+    const db = newDb();
+    const ref = db.collection('c').doc('d');
+    await expect(
+      db.runTransaction(async (tx) => {
+        tx.set(ref, { v: 1 });
+        throw new Error('boom');
+      })
+    ).rejects.toThrow('boom');
+    expect((await ref.get()).exists).toBe(false);
+  });
+
+  test('a transaction that never settles gives up with ABORTED', async () => {
+    const db = newDb();
+    const ref = db.collection('c').doc('d');
+    await ref.set({ n: 0 });
+    await expect(
+      db.runTransaction(async (tx) => {
+        await tx.get(ref);
+        await ref.update({ n: Math.random() });
+      }, { maxAttempts: 2 })
+    ).rejects.toMatchObject({ code: 10 });
+  });
+});
+
+describe('localAdapter persistence', () => {
+  let dir;
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'local-adapter-'));
+  });
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('documents, timestamps and bucket files survive a restart', async () => {
+    const first = createLocalAdapter({ localDir: dir, bucketName: 'test-bucket' });
+    await first.getDb('jayram').collection('shop_pages').doc('home').set({ name: 'Home', at: new Date(0) });
+    await first.getDb('mudumbai').collection('users').doc('u1').set({ email: 'a@b.c' });
+    await first.getBucket().file('apps/shop/logo.png').save(Buffer.from('png'), { metadata: { contentType: 'image/png' } });
+    expect(fs.existsSync(path.join(dir, 'jayram.json'))).toBe(true);
+
+    const second = createLocalAdapter({ localDir: dir, bucketName: 'test-bucket' });
+    const page = (await second.getDb('jayram').collection('shop_pages').doc('home').get()).data();
+    expect(page.name).toBe('Home');
+    expect(page.at).toBeInstanceOf(LocalTimestamp);
+    expect((await second.getDb('mudumbai').collection('users').doc('u1').get()).exists).toBe(true);
+    expect((await second.getDb('jayram').collection('users').doc('u1').get()).exists).toBe(false);
+
+    const [files] = await second.getBucket().getFiles({ prefix: 'apps/shop/' });
+    expect(files.map((file) => file.name)).toEqual(['apps/shop/logo.png']);
+    const [buffer] = await files[0].download();
+    expect(buffer.toString()).toBe('png');
+    expect((await files[0].getMetadata())[0].contentType).toBe('image/png');
+
+    await files[0].delete();
+    const [afterDelete] = await createLocalAdapter({ localDir: dir }).getBucket().getFiles();
+    expect(afterDelete).toEqual([]);
+  });
+
+  test('without a directory nothing is written to disk', async () => {
+    const adapter = createLocalAdapter();
+    await adapter.getDb('jayram').collection('c').doc('d').set({ v: 1 });
+    expect(fs.readdirSync(dir)).toEqual([]);
+    expect((await createLocalAdapter().getDb('jayram').collection('c').doc('d').get()).exists).toBe(false);
+  });
+});
+
+describe('localAdapter auth', () => {
+  test('users verify with local:<uid> tokens', async () => {
+    const auth = createLocalAdapter().getAuth();
+    const user = await auth.createUser({ email: 'a@b.c', password: 'secret1', displayName: 'A' });
+
+    await expect(auth.createUser({ email: 'a@b.c' })).rejects.toMatchObject({ code: 'auth/email-already-exists' });
+    expect((await auth.getUserByEmail('a@b.c')).uid).toBe(user.uid);
+    expect(await auth.verifyIdToken(`local:${user.uid}`)).toMatchObject({ uid: user.uid, email: 'a@b.c', name: 'A' });
+    await expect(auth.verifyIdToken('local:nobody')).rejects.toMatchObject({ code: 'auth/argument-error' });
+    await expect(auth.verifyIdToken(user.uid)).rejects.toMatchObject({ code: 'auth/argument-error' });
+
+    await auth.deleteUser(user.uid);
+    await expect(auth.getUser(user.uid)).rejects.toMatchObject({ code: 'auth/user-not-found' });
+  });
+});
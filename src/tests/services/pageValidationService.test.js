@@ -0,0 +1,77 @@
+/**
+ * pageValidationService: strict mode rejects what lenient mode fills in or
+ * reports as warnings; seo and nesting limits are errors in both modes.
+ */
+import { pageValidationService } from '../../services/pageValidationService.js';
+import { pageValidationConfig } from '../../config/pageValidationConfig.js';
+
+const commonAttrs = { width: '100', height: 'auto', backgroundColor: '#ffffff' };
+const text = (id, specificAttrs) => ({ id, type: 'text', name: id, specificAttrs });
+const validText = (id, content) => ({ ...text(id, { content, variant: 'span' }), commonAttrs });
+const container = (id, children) => ({ id, type: 'container', name: id, commonAttrs, specificAttrs: { children, layout: 'column' } });
+
+const nested = (depth) => {
+  let component = validText(`t${depth}`, 'leaf');
+  for (let level = depth - 1; level >= 1; level -= 1) component = container(`c${level}`, [component]);
+  return component;
+};
+
+const paths = (problems) => problems.map((problem) => problem.path);
+
+describe('modes', () => {
+  test('strict reports missing required attributes and bad enums as errors', () => {
+    const report = pageValidationService.validatePage(
+      { components: [text('a', { variant: 'shout' })] },
+      { mode: 'strict' }
+    );
+    expect(report.valid).toBe(false);
+    expect(report.mode).toBe('strict');
+    expect(report.errors.every((error) => error.componentId === 'a')).toBe(true);
+    expect(report.errors.length).toBeGreaterThanOrEqual(2);
+    expect(() => pageValidationService.assertValid(report)).toThrow(expect.objectContaining({ status: 422 }));
+  });
+
+  test('lenient fills in defaults and only warns', () => {
+    const report = pageValidationService.validatePage({ components: [text('a', {})] }, { mode: 'lenient' });
+    expect(report.valid).toBe(true);
+    expect(report.errors).toEqual([]);
+    expect(report.warnings.length).toBeGreaterThan(0);
+    expect(report.page.components[0].specificAttrs).toMatchObject({ variant: 'paragraph' });
+    expect(pageValidationService.assertValid(report)).toBe(report);
+  });
+
+  test('defaults to the configured mode and rejects unknown ones', () => {
+    expect(pageValidationService.validatePage({ components: [] }).mode).toBe(pageValidationConfig.mode);
+    expect(() => pageValidationService.validatePage({ components: [] }, { mode: 'loose' })).toThrow(expect.objectContaining({ status: 400 }));
+  });
+
+  test('unknown component types are errors in strict mode', () => {
+    const report = pageValidationService.validatePage({ components: [{ id: 'x', type: 'marquee' }] }, { mode: 'strict' });
+    expect(report.valid).toBe(false);
+    expect(report.errors[0].componentId).toBe('x');
+  });
+});
+
+describe('tree and seo checks', () => {
+  test.each(['strict', 'lenient'])('%s: an seo title that is too long is an error', (mode) => {
+    const report = pageValidationService.validatePage({ components: [], seo: { title: 'x'.repeat(61) } }, { mode });
+    expect(report.valid).toBe(false);
+    expect(paths(report.errors).some((path) => path.startsWith('$.seo'))).toBe(true);
+  });
+
+  test('component ids must be unique in the whole tree', () => {
+    const page = { components: [validText('a', 'y'), container('box', [validText('a', 'x')])] };
+    const duplicate = { path: '$.components[1].specificAttrs.children[0].id', componentId: 'a' };
+
+    const strict = pageValidationService.validatePage(page, { mode: 'strict' });
+    expect(strict.valid).toBe(false);
+    expect(strict.errors).toEqual([expect.objectContaining(duplicate)]);
+    expect(pageValidationService.validatePage(page, { mode: 'lenient' }).warnings).toEqual([expect.objectContaining(duplicate)]);
+  });
+
+  test.each(['strict', 'lenient'])('%s: nesting deeper than the limit is an error', (mode) => {
+    const { maxComponentDepth } = pageValidationConfig;
+    expect(pageValidationService.validatePage({ components: [nested(maxComponentDepth)] }, { mode }).valid).toBe(true);
+    expect(pageValidationService.validatePage({ components: [nested(maxComponentDepth + 1)] }, { mode }).valid).toBe(false);
+  });
+});
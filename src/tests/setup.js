@@ -0,0 +1,8 @@
+/**
+ * Jest setup
+ * Runs the suite offline: every test uses the in-memory storage backend unless
+ * STORAGE_BACKEND is set explicitly. Log files go to the ignored logs/ directory.
+ */
+process.env.STORAGE_BACKEND = process.env.STORAGE_BACKEND || 'local';
+process.env.LOG_FILE_PATH = process.env.LOG_FILE_PATH || 'logs/test.log';
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
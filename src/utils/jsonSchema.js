@@ -0,0 +1,113 @@
+/**
+ * Small JSON Schema (draft-07 subset) validator for the schemas shipped in
+ * src/schemas. Supported keywords: $ref (local "#/definitions/…"), type,
+ * enum, const, required, properties, additionalProperties, items, minItems,
+ * minLength, maxLength, pattern, minimum, maximum, oneOf, anyOf.
+ * Anything else is ignored, so keep shipped schemas within this subset.
+ */
+
+const typeOf = (value) => {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+};
+
+const matchesType = (value, type) => {
+  const actual = typeOf(value);
+  if (type === 'number') return actual === 'number' || actual === 'integer';
+  return actual === type;
+};
+
+const resolveRef = (root, ref) => {
+  if (!ref.startsWith('#/')) throw new Error(`Unsupported $ref: ${ref}`);
+  return ref
+    .slice(2)
+    .split('/')
+    .reduce((node, key) => (node ? node[key.replace(/~1/g, '/').replace(/~0/g, '~')] : undefined), root);
+};
+
+const joinPath = (path, key) => (typeof key === 'number' ? `${path}[${key}]` : `${path}.${key}`);
+
+function check(schema, value, path, root, errors) {
+  if (schema === true || schema === undefined) return;
+  if (schema === false) {
+    errors.push({ path, message: 'is not allowed' });
+    return;
+  }
+  if (schema.$ref) {
+    check(resolveRef(root, schema.$ref), value, path, root, errors);
+    return;
+  }
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some((type) => matchesType(value, type))) {
+      errors.push({ path, message: `must be ${types.join(' or ')}` });
+      return;
+    }
+  }
+  if (schema.const !== undefined && value !== schema.const) {
+    errors.push({ path, message: `must be ${JSON.stringify(schema.const)}` });
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push({ path, message: `must be one of ${schema.enum.map((v) => JSON.stringify(v)).join(', ')}` });
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push({ path, message: `must be at least ${schema.minLength} characters` });
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      errors.push({ path, message: `must be at most ${schema.maxLength} characters` });
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      errors.push({ path, message: `must match ${schema.pattern}` });
+    }
+  }
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) errors.push({ path, message: `must be >= ${schema.minimum}` });
+    if (schema.maximum !== undefined && value > schema.maximum) errors.push({ path, message: `must be <= ${schema.maximum}` });
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push({ path, message: `must have at least ${schema.minItems} items` });
+    }
+    if (schema.items) value.forEach((item, i) => check(schema.items, item, joinPath(path, i), root, errors));
+  }
+
+  if (typeOf(value) === 'object') {
+    (schema.required || []).forEach((key) => {
+      if (value[key] === undefined) errors.push({ path: joinPath(path, key), message: 'is required' });
+    });
+    const properties = schema.properties || {};
+    Object.entries(value).forEach(([key, child]) => {
+      if (properties[key] !== undefined) check(properties[key], child, joinPath(path, key), root, errors);
+      else if (schema.additionalProperties !== undefined) check(schema.additionalProperties, child, joinPath(path, key), root, errors);
+    });
+  }
+
+  for (const keyword of ['oneOf', 'anyOf']) {
+    if (!schema[keyword]) continue;
+    const passing = schema[keyword].filter((option) => validateAgainst(option, value, root).length === 0).length;
+    if (keyword === 'oneOf' ? passing !== 1 : passing === 0) {
+      errors.push({ path, message: `must match ${keyword === 'oneOf' ? 'exactly one' : 'at least one'} of the allowed shapes` });
+    }
+  }
+}
+
+function validateAgainst(schema, value, root) {
+  const errors = [];
+  check(schema, value, '$', root, errors);
+  return errors;
+}
+
+/**
+ * Validate `value` against `schema`.
+ * @returns {{ valid: boolean, errors: { path: string, message: string }[] }}
+ */
+export const validateJsonSchema = (schema, value) => {
+  const errors = validateAgainst(schema, value, schema);
+  return { valid: errors.length === 0, errors };
+};
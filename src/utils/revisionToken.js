@@ -0,0 +1,52 @@
+/**
+ * Revision tokens for optimistic concurrency.
+ *
+ * A document's token is its `revision` number when it has one (pages, see
+ * pageHistoryService) and otherwise a hash of its content, so documents
+ * that never had a version field still get a token that changes on every
+ * write. The token is sent as the ETag and as `revisionToken` in bodies;
+ * clients send it back with If-Match or `expectedRevision`.
+ */
+import crypto from 'crypto';
+
+// Not part of the stored content: `id` is the document id, the rest are echoed back by clients
+const TOKEN_IGNORED_FIELDS = ['id', 'revisionToken', 'expectedRevision'];
+
+/**
+ * Stable JSON form of a value: keys sorted, timestamps as ISO strings.
+ */
+export function canonical(value) {
+  if (value && typeof value.toDate === 'function') return { __timestamp: value.toDate().toISOString() };
+  if (Array.isArray(value)) return value.map(canonical);
+  if (value && typeof value === 'object') {
+    return Object.keys(value)
+      .sort()
+      .reduce((out, key) => ({ ...out, [key]: canonical(value[key]) }), {});
+  }
+  return value;
+}
+
+export const contentHash = (data) => crypto.createHash('sha1').update(JSON.stringify(canonical(data))).digest('hex');
+
+export const stripTokenFields = (data = {}) => {
+  const cleaned = { ...data };
+  TOKEN_IGNORED_FIELDS.forEach((field) => delete cleaned[field]);
+  return cleaned;
+};
+
+export const revisionToken = (doc) => {
+  if (!doc) return null;
+  if (Number.isInteger(doc.revision)) return String(doc.revision);
+  return contentHash(stripTokenFields(doc)).slice(0, 20);
+};
+
+/**
+ * Token from an If-Match header value: `"3"`, `W/"3"` or `*`. Lists of tags
+ * are not supported; the first one is used.
+ */
+export const parseIfMatch = (header) => {
+  if (!header) return null;
+  const first = String(header).split(',')[0].trim();
+  if (first === '*') return '*';
+  return first.replace(/^W\//, '').replace(/^"|"$/g, '') || null;
+};
@@ -0,0 +1,31 @@
+/**
+ * Semantic versions (MAJOR.MINOR.PATCH) of library components.
+ *
+ * Only plain release versions are used: no pre-release or build suffixes,
+ * no leading zeros.
+ */
+
+export const SEMVER_PATTERN = '^(0|[1-9]\\d*)\\.(0|[1-9]\\d*)\\.(0|[1-9]\\d*)$';
+
+export const BUMPS = ['major', 'minor', 'patch'];
+
+const SEMVER = new RegExp(SEMVER_PATTERN);
+
+export const isSemver = (value) => typeof value === 'string' && SEMVER.test(value);
+
+const parts = (version) => version.split('.').map(Number);
+
+/**
+ * Negative when a < b, 0 when equal, positive when a > b.
+ */
+export const compareVersions = (a, b) => {
+  const [x, y] = [parts(a), parts(b)];
+  return x[0] - y[0] || x[1] - y[1] || x[2] - y[2];
+};
+
+export const bumpVersion = (version, bump) => {
+  const [major, minor, patch] = parts(version);
+  if (bump === 'major') return `${major + 1}.0.0`;
+  if (bump === 'minor') return `${major}.${minor + 1}.0`;
+  return `${major}.${minor}.${patch + 1}`;
+};
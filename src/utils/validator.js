@@ -20,3 +20,15 @@ export const buildAppCollections = (appPrefix) => ([
   `${appPrefix}_themes`,
   `${appPrefix}_actions`,
 ]);
+
+/**
+ * Identity fields are derived from the verified token (req.user), never from the
+ * client. Strip them from any payload that gets persisted.
+ */
+export const IDENTITY_FIELDS = ["createdBy", "updatedBy", "userId", "uploadedBy"];
+
+export const stripIdentityFields = (payload = {}) => {
+  const cleaned = { ...payload };
+  IDENTITY_FIELDS.forEach((field) => delete cleaned[field]);
+  return cleaned;
+};